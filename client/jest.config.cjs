@@ -7,5 +7,6 @@ module.exports = {
     '\\.(css|less|scss|sass)$': 'identity-obj-proxy', // Mock CSS imports
     '\\.(gif|ttf|eot|svg|png|jpg)$': '<rootDir>/__mocks__/fileMock.js' // Mock static assets
   },
+  setupFiles: ['<rootDir>/jest.setup.js'], // Seed the cached game config
   setupFilesAfterEnv: ['@testing-library/jest-dom'] // Jest setup
 }
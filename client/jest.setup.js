@@ -0,0 +1,5 @@
+// the app doesn't render until it has fetched GET /game/config once (see src/App.jsx) -- tests start
+// with the server's own config already cached, as if it had
+import { getGameConfig } from '../server/utils/gameConfig.js'
+
+localStorage.setItem('gameConfig', JSON.stringify(getGameConfig()))
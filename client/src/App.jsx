@@ -1,4 +1,4 @@
-import { useState } from 'react'
+import { useState, useEffect } from 'react'
 import './css/index.css'
 import React from 'react'
 import { BrowserRouter as Router, Routes, Route, useNavigate } from 'react-router-dom'
@@ -7,20 +7,70 @@ import FolderPage from './screens/folder-page.jsx'
 import NotePage from './screens/note-page.jsx'
 import PetPage from './screens/pet-page.jsx'
 import LoginPage from './screens/login-page.jsx'
+import TaskViewPage from './screens/task-view-page.jsx'
+import CalendarPage from './screens/calendar-page.jsx'
+import TrashPage from './screens/trash-page.jsx'
+import AchievementsPage from './screens/achievements-page.jsx'
+import PetsPage from './screens/pets-page.jsx'
+import ShopPage from './screens/shop-page.jsx'
+import CategoriesPage from './screens/categories-page.jsx'
+import { ToastProvider } from './components/toast.jsx'
+import { loadGameConfig, useGameConfig } from './utils/gameConfig'
 
 function App() {
   const [count, setCount] = useState(0)
 
+  const gameConfig = useGameConfig()
+  const [configFailed, setConfigFailed] = useState(false)
+
+  // leveling curve, category points and evolution levels come from the server
+  const fetchGameConfig = () => {
+    setConfigFailed(false)
+    loadGameConfig().catch((error) => {
+      console.error('Failed to load game config:', error)
+      setConfigFailed(true)
+    })
+  }
+
+  useEffect(fetchGameConfig, [])
+
+  // nothing to show until the config has been fetched once -- after that the cached copy is used
+  // while a newer one loads
+  if (!gameConfig) {
+    return (
+      <div className="app-loading">
+        {configFailed ? (
+          <>
+            <p className="error-message">Couldn&apos;t reach the server.</p>
+            <button onClick={fetchGameConfig}>Try again</button>
+          </>
+        ) : (
+          <p>Loading...</p>
+        )}
+      </div>
+    )
+  }
+
   return (
-    <Router>
-      <Routes>
-        <Route path="/login" element={<LoginPage />} />
-        <Route path="/" element={<PetPage />} />
-        <Route path="/landing" element={<Landing />} />
-        <Route path="/folder" element={<FolderPage />} />
-        <Route path="/note" element={<NotePage />} />
-      </Routes>
-    </Router>
+    <ToastProvider>
+      <Router>
+        <Routes>
+          <Route path="/login" element={<LoginPage />} />
+          <Route path="/" element={<PetPage />} />
+          <Route path="/landing" element={<Landing />} />
+          <Route path="/folder" element={<FolderPage />} />
+          <Route path="/note" element={<NotePage />} />
+          <Route path="/today" element={<TaskViewPage view="today" />} />
+          <Route path="/upcoming" element={<TaskViewPage view="upcoming" />} />
+          <Route path="/calendar" element={<CalendarPage />} />
+          <Route path="/trash" element={<TrashPage />} />
+          <Route path="/achievements" element={<AchievementsPage />} />
+          <Route path="/pets" element={<PetsPage />} />
+          <Route path="/shop" element={<ShopPage />} />
+          <Route path="/categories" element={<CategoriesPage />} />
+        </Routes>
+      </Router>
+    </ToastProvider>
   )
 }
 
@@ -0,0 +1,34 @@
+import React, { useEffect } from 'react'
+import { render, screen } from '@testing-library/react'
+import '@testing-library/jest-dom'
+import { MemoryRouter } from 'react-router-dom'
+import Badge, { useAchievementPopup } from '../badge'
+import { ToastProvider } from '../toast'
+
+const hardWorker = { id: 'hard-worker', name: 'Hard Worker', description: 'Complete 10 hard tasks', icon: '💪', goal: 10 }
+
+describe('Badge Component', () => {
+  it('shows how far along a locked badge is', () => {
+    const { container } = render(<Badge {...hardWorker} progress={4} />)
+    expect(container.firstChild).toHaveClass('badge-locked')
+    expect(screen.getByLabelText('Hard Worker progress')).toHaveAttribute('value', '4')
+  })
+
+  it('shows when an earned badge was earned', () => {
+    const { container } = render(<Badge {...hardWorker} earnedAt={new Date(2025, 0, 31).toISOString()} />)
+    expect(container.firstChild).toHaveClass('badge-earned')
+    expect(screen.getByText(/^Earned/)).toBeInTheDocument()
+  })
+
+  it('pops up each newly unlocked badge', () => {
+    const Unlocker = () => {
+      const announceAchievements = useAchievementPopup()
+      useEffect(() => announceAchievements([hardWorker]), [])
+      return null
+    }
+
+    render(<ToastProvider><MemoryRouter><Unlocker /></MemoryRouter></ToastProvider>)
+    expect(screen.getByText('💪 Badge unlocked: Hard Worker!')).toBeInTheDocument()
+    expect(screen.getByText('See badges')).toBeInTheDocument()
+  })
+})
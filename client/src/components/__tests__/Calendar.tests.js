@@ -0,0 +1,49 @@
+import React from 'react'
+import { render, screen, fireEvent, act } from '@testing-library/react'
+import '@testing-library/jest-dom'
+import Calendar, { getCalendarDays, moveToDay } from '../calendar'
+import { setCategories } from '../../utils/categories'
+
+describe('Calendar Component', () => {
+  const anchor = new Date(2025, 0, 15)
+  const tasks = [
+    { _id: 'a', name: 'Hard Task', category: 'c3', status: 'pending', dueDate: new Date(2025, 0, 15, 9, 30).toISOString() }
+  ]
+
+  afterEach(() => act(() => setCategories([])))
+
+  it('lays out whole weeks starting on sunday', () => {
+    const month = getCalendarDays(anchor, 'month')
+    expect(month).toHaveLength(42)
+    expect(month[0]).toEqual(new Date(2024, 11, 29))
+
+    const week = getCalendarDays(anchor, 'week')
+    expect(week).toHaveLength(7)
+    expect(week[0]).toEqual(new Date(2025, 0, 12))
+  })
+
+  it('keeps the time of day when moving a task', () => {
+    const moved = moveToDay(tasks[0].dueDate, new Date(2025, 0, 20))
+    expect(moved).toEqual(new Date(2025, 0, 20, 9, 30))
+  })
+
+  it('colors tasks by category on their due day', () => {
+    setCategories([{ _id: 'c3', name: 'hard', color: '#ff0000', points: 1000, icon: '' }])
+    render(<Calendar tasks={tasks} anchor={anchor} layout="week" onReschedule={jest.fn()} />)
+    const task = screen.getByText('Hard Task')
+    expect(task).toHaveStyle('border-left: 5px solid #ff0000')
+    expect(screen.getByTestId('day-15')).toContainElement(task)
+  })
+
+  it('reschedules a task dropped on another day', () => {
+    const onReschedule = jest.fn()
+    render(<Calendar tasks={tasks} anchor={anchor} layout="week" onReschedule={onReschedule} />)
+
+    const data = {}
+    const dataTransfer = { setData: (type, value) => { data[type] = value }, getData: (type) => data[type] }
+    fireEvent.dragStart(screen.getByText('Hard Task'), { dataTransfer })
+    fireEvent.drop(screen.getByTestId('day-17'), { dataTransfer })
+
+    expect(onReschedule).toHaveBeenCalledWith('a', new Date(2025, 0, 17))
+  })
+})
@@ -0,0 +1,58 @@
+import React from 'react'
+import { render, screen, fireEvent, act } from '@testing-library/react'
+import '@testing-library/jest-dom'
+import CareActions from '../care-actions'
+import PetIcon from '../pet'
+import { ToastProvider } from '../toast'
+import { formatCooldown } from '../../utils/care'
+
+describe('CareActions Component', () => {
+  const pet = { _id: 'p1', name: 'Chomp', needs: { hunger: 80, happiness: 50, energy: 50 } }
+  const reply = (body, status = 200) => Promise.resolve({ ok: status === 200, status, json: () => Promise.resolve(body) })
+
+  afterEach(() => {
+    delete global.fetch
+  })
+
+  it('formats the time left on a cooldown', () => {
+    expect(formatCooldown(44500)).toBe('45s')
+    expect(formatCooldown(12 * 60 * 1000)).toBe('12m')
+    expect(formatCooldown(90 * 60 * 1000)).toBe('1h 30m')
+  })
+
+  it('feeds the pet and waits out the cooldown', async () => {
+    global.fetch = jest.fn((url, options = {}) => {
+      if (options.method === 'POST') return reply({ pet, items: [], cooldowns: { feed: 30 * 60 * 1000, play: 0, sleep: 0 }, used: 'kibble' })
+      return reply({ cooldowns: { feed: 0, play: 0, sleep: 5 * 60 * 1000 } })
+    })
+    const onCare = jest.fn()
+    render(<ToastProvider><CareActions petId="p1" onCare={onCare} /></ToastProvider>)
+
+    expect(await screen.findByText('5m')).toBeInTheDocument()
+    expect(screen.getByText('5m').closest('button')).toBeDisabled()
+
+    await act(async () => fireEvent.click(screen.getByText('Feed')))
+    expect(global.fetch).toHaveBeenCalledWith(expect.stringMatching(/\/pets\/p1\/actions\/feed$/), expect.objectContaining({ method: 'POST' }))
+    expect(onCare).toHaveBeenCalledWith('feed', expect.objectContaining({ used: 'kibble' }))
+    expect(screen.getByText('30m').closest('button')).toBeDisabled()
+  })
+
+  it('says why the pet couldn\'t be cared for', async () => {
+    global.fetch = jest.fn((url, options = {}) => {
+      if (options.method === 'POST') return reply({ message: 'Too tired to play' }, 400)
+      return reply({ cooldowns: { feed: 0, play: 0, sleep: 0 } })
+    })
+    render(<ToastProvider><CareActions petId="p1" onCare={jest.fn()} /></ToastProvider>)
+
+    await act(async () => fireEvent.click(screen.getByText('Play')))
+    expect(await screen.findByText('Too tired to play')).toBeInTheDocument()
+  })
+
+  it('plays along on the pet', async () => {
+    global.fetch = jest.fn(() => reply({ tasks: [] }))
+    const { container, rerender } = render(<PetIcon id="p1" name="Chomp" level={2} exp={10} needs={pet.needs} />)
+    rerender(<PetIcon id="p1" name="Chomp" level={2} exp={10} needs={pet.needs} careAction={{ action: 'play', id: 1 }} />)
+    await act(async () => {})
+    expect(container.querySelector('.pet-container')).toHaveAttribute('data-state', 'playing')
+  })
+})
@@ -0,0 +1,82 @@
+import React from 'react'
+import { render, screen, fireEvent, act } from '@testing-library/react'
+import '@testing-library/jest-dom'
+import { MemoryRouter } from 'react-router-dom'
+import CategoriesPage from '../../screens/categories-page'
+import { ToastProvider } from '../toast'
+import { setCategories, categoryBorder, categoryLabel, findCategory } from '../../utils/categories'
+
+describe('CategoriesPage Screen', () => {
+  const easy = { _id: 'c1', name: 'easy', color: '#008000', points: 250, icon: '' }
+  const hard = { _id: 'c3', name: 'hard', color: '#ff0000', points: 1000, icon: '' }
+  const pet = { _id: 'p1', name: 'Chomp', type: 'Sharkie', level: 6, points: 100, accessories: [] }
+
+  beforeEach(() => {
+    global.fetch = jest.fn((url, options = {}) => {
+      const reply = (body) => Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve(body) })
+      const body = options.body ? JSON.parse(options.body) : {}
+
+      if (url.endsWith('/categories') && options.method === 'POST') return reply({ _id: 'c4', ...body })
+      if (url.endsWith('/categories')) return reply([easy, hard])
+      if (options.method === 'PATCH') return reply({ category: { ...hard, ...body }, tasksUpdated: 2 })
+      if (options.method === 'DELETE') return reply({ category: hard, tasksMoved: 1 })
+      if (url.includes('/tasks')) return reply({ tasks: [], nextCursor: null })
+      return reply(pet)
+    })
+  })
+
+  afterEach(() => {
+    act(() => setCategories([]))
+    delete global.fetch
+  })
+
+  const renderPage = () => render(<ToastProvider><MemoryRouter><CategoriesPage /></MemoryRouter></ToastProvider>)
+
+  it('describes categories for tasks and pickers', () => {
+    expect(findCategory([easy, hard], 'c3')).toBe(hard)
+    expect(findCategory([easy], 'c3')).toBeNull()
+    expect(categoryBorder(hard)).toBe('5px solid #ff0000')
+    expect(categoryBorder(null)).toBeUndefined()
+    expect(categoryLabel({ ...easy, icon: '🧹' })).toBe('🧹 easy')
+  })
+
+  it('reprices a category and tells how many open tasks changed', async () => {
+    renderPage()
+
+    await screen.findByDisplayValue('hard')
+    const [, hardPoints] = screen.getAllByLabelText('XP')
+    fireEvent.change(hardPoints, { target: { value: '1500' } })
+    fireEvent.click(screen.getAllByText('Save')[1])
+
+    expect(await screen.findByText('Saved hard -- 2 open tasks are now worth 1500 XP')).toBeInTheDocument()
+    expect(global.fetch).toHaveBeenCalledWith(
+      expect.stringMatching(/\/categories\/c3$/),
+      expect.objectContaining({ method: 'PATCH', body: JSON.stringify({ name: 'hard', color: '#ff0000', points: 1500, icon: '' }) })
+    )
+  })
+
+  it('moves a deleted category\'s tasks into the one picked', async () => {
+    renderPage()
+
+    await screen.findByDisplayValue('hard')
+    fireEvent.click(screen.getAllByText('Delete')[1])
+    expect(screen.getByLabelText('Move tasks to')).toHaveValue('c1')
+    fireEvent.click(screen.getByText('Delete hard'))
+
+    expect(await screen.findByText('Deleted hard and moved 1 tasks')).toBeInTheDocument()
+    expect(global.fetch).toHaveBeenCalledWith(expect.stringMatching(/\/categories\/c3\?replaceWith=c1$/), expect.objectContaining({ method: 'DELETE' }))
+    expect(screen.getAllByLabelText('XP')).toHaveLength(2) // easy + the add form
+  })
+
+  it('adds a new category', async () => {
+    renderPage()
+
+    await screen.findByDisplayValue('hard')
+    const names = screen.getAllByLabelText('Name')
+    fireEvent.change(names[names.length - 1], { target: { value: 'chores' } })
+    fireEvent.click(screen.getByText('Add'))
+
+    expect(await screen.findByText('Added chores')).toBeInTheDocument()
+    expect(screen.getByDisplayValue('chores')).toBeInTheDocument()
+  })
+})
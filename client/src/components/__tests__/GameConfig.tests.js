@@ -0,0 +1,66 @@
+import React from 'react'
+import { render, screen, act } from '@testing-library/react'
+import '@testing-library/jest-dom'
+import ProgressBar from '../progress-bar'
+import { PetFactory, getStage } from '../petFactories'
+import { getGameConfig, loadGameConfig, getRequiredExp } from '../../utils/gameConfig'
+import { getGameConfig as getServerGameConfig } from '../../../../server/utils/gameConfig.js'
+
+describe('game config', () => {
+  const serverConfig = {
+    leveling: { baseExp: 200, exponent: 2, minCurveLevel: 1 },
+    categoryPoints: { easy: 100, medium: 300, hard: 900 },
+    evolutionLevels: [5, 10, 20]
+  }
+
+  const respondWith = (config) => {
+    global.fetch = jest.fn(() => Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve(config) }))
+  }
+
+  afterEach(async () => {
+    // back to the server's own config for the next test
+    respondWith(getServerGameConfig())
+    await act(() => loadGameConfig())
+    localStorage.clear()
+    delete global.fetch
+  })
+
+  it('has no config of its own before the first fetch', async () => {
+    localStorage.clear()
+    let fresh
+    jest.isolateModules(() => {
+      fresh = require('../../utils/gameConfig')
+    })
+    expect(fresh.getGameConfig()).toBeNull()
+
+    respondWith(serverConfig)
+    await fresh.loadGameConfig()
+    expect(fresh.getGameConfig()).toEqual(serverConfig)
+  })
+
+  it('never gives a level an empty bar, even level 0', () => {
+    expect(getRequiredExp(0)).toBe(getRequiredExp(1))
+    render(<ProgressBar currentExp={0} level={0} page="Landing" />)
+    expect(screen.getByText('Level 0: 0/100 EXP')).toBeInTheDocument()
+  })
+
+  it('switches the progress bar over to the server\'s curve once it arrives', async () => {
+    render(<ProgressBar currentExp={50} level={2} page="Landing" />)
+    respondWith(serverConfig)
+    await act(() => loadGameConfig())
+
+    expect(global.fetch).toHaveBeenCalledWith(expect.stringMatching(/\/game\/config$/))
+    expect(screen.getByText('Level 2: 50/800 EXP')).toBeInTheDocument()
+    expect(JSON.parse(localStorage.getItem('gameConfig'))).toEqual(serverConfig)
+  })
+
+  it('evolves pets at the server\'s levels, keeping the last art for stages without any', async () => {
+    respondWith(serverConfig)
+    await act(() => loadGameConfig())
+
+    expect(getGameConfig().evolutionLevels).toEqual([5, 10, 20])
+    expect(getStage(9)).toBe(1)
+    expect(PetFactory('Kittie', 20).stage).toBe(3)
+    expect(PetFactory('Kittie', 20).petImage).toBe(PetFactory('Kittie', 10).petImage)
+  })
+})
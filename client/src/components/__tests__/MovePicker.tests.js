@@ -0,0 +1,46 @@
+import React from 'react'
+import { render, screen, fireEvent } from '@testing-library/react'
+import '@testing-library/jest-dom'
+import MovePicker from '../movePicker'
+
+describe('MovePicker Component', () => {
+  const folders = [
+    { _id: 'f1', name: 'School', notes: ['n1'] },
+    { _id: 'f2', name: 'Chores', notes: ['n2'] }
+  ]
+  const notes = {
+    f1: [{ _id: 'n1', name: 'Homework' }],
+    f2: [{ _id: 'n2', name: 'Kitchen' }]
+  }
+
+  beforeEach(() => {
+    global.fetch = jest.fn((url) => {
+      const folderId = url.split('/notes/')[1]
+      return Promise.resolve({ ok: true, json: () => Promise.resolve(folderId ? notes[folderId] : folders) })
+    })
+  })
+
+  afterEach(() => {
+    delete global.fetch
+  })
+
+  it('offers the other folders when moving a note', async () => {
+    const onPress = jest.fn()
+    render(<MovePicker top={0} left={0} kind="note" currentFolderId="f1" onPress={onPress} />)
+
+    await screen.findByRole('option', { name: 'Chores' })
+    expect(screen.queryByRole('option', { name: 'School' })).not.toBeInTheDocument()
+
+    fireEvent.change(screen.getByLabelText('Destination'), { target: { value: 'f2' } })
+    fireEvent.click(screen.getByText('Move'))
+    expect(onPress).toHaveBeenCalledWith('f2')
+  })
+
+  it('offers every note grouped by folder when moving a task', async () => {
+    render(<MovePicker top={0} left={0} kind="task" currentFolderId="f1" onPress={jest.fn()} />)
+
+    expect(await screen.findByRole('option', { name: 'Homework' })).toBeInTheDocument()
+    expect(screen.getByRole('option', { name: 'Kitchen' })).toBeInTheDocument()
+    expect(screen.getByRole('group', { name: 'Chores' })).toBeInTheDocument()
+  })
+})
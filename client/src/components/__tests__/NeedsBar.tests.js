@@ -0,0 +1,25 @@
+import React from 'react'
+import { render, screen } from '@testing-library/react'
+import '@testing-library/jest-dom'
+import NeedsBar, { getLowestNeed } from '../needs-bar'
+import PetIcon from '../pet'
+
+describe('NeedsBar Component', () => {
+  it('shows a bar for each need', () => {
+    render(<NeedsBar needs={{ hunger: 80, happiness: 20, energy: 55 }} />)
+    expect(screen.getByLabelText('Hunger')).toHaveAttribute('value', '80')
+    expect(screen.getByLabelText('Happiness')).toHaveClass('need-low')
+    expect(screen.getByLabelText('Energy')).not.toHaveClass('need-low')
+  })
+
+  it('picks the lowest need once one runs low', () => {
+    expect(getLowestNeed({ hunger: 80, happiness: 60, energy: 90 })).toBeNull()
+    expect(getLowestNeed({ hunger: 10, happiness: 25, energy: 90 })).toBe('hunger')
+    expect(getLowestNeed(undefined)).toBeNull()
+  })
+
+  it('puts a badge on the pet when it needs attention', () => {
+    render(<PetIcon name="Bruce" level={1} page="Folder" needs={{ hunger: 5, happiness: 90, energy: 90 }} />)
+    expect(screen.getByTitle('Bruce is hungry')).toBeInTheDocument()
+  })
+})
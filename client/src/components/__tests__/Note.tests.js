@@ -0,0 +1,56 @@
+import React from 'react'
+import { render, screen, fireEvent } from '@testing-library/react'
+import '@testing-library/jest-dom'
+import Note from '../note'
+
+describe('Note Component', () => {
+  const tasks = [
+    { _id: 't1', name: 'Wash dishes', status: 'pending', category: 'easy', creationDate: '2025-01-01T00:00:00.000Z', subtasks: [] },
+    { _id: 't2', name: 'Dry dishes', status: 'pending', category: 'easy', creationDate: '2025-01-01T00:00:00.000Z', subtasks: [] },
+    { _id: 't3', name: 'Sweep floor', status: 'pending', category: 'easy', creationDate: '2025-01-01T00:00:00.000Z', subtasks: [] }
+  ]
+
+  const renderNote = (props) => render(
+    <Note name="Kitchen" noteId="n1" points={{ x: 0, y: 0 }} endEditing={() => {}} onCheckboxChange={jest.fn()} {...props} />
+  )
+
+  beforeEach(() => {
+    global.fetch = jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve(tasks) }))
+  })
+
+  afterEach(() => {
+    delete global.fetch
+  })
+
+  it('picks tasks with ctrl-click without ticking them', async () => {
+    const onSelectTasks = jest.fn()
+    const onCheckboxChange = jest.fn()
+    renderNote({ onSelectTasks, onCheckboxChange, selectedTasks: ['t1'] })
+
+    fireEvent.click(await screen.findByText('Dry dishes'), { ctrlKey: true })
+    expect(onSelectTasks).toHaveBeenCalledWith('n1', ['t1', 't2'])
+
+    fireEvent.click(screen.getAllByRole('checkbox')[0], { metaKey: true })
+    expect(onSelectTasks).toHaveBeenLastCalledWith('n1', [])
+    expect(onCheckboxChange).not.toHaveBeenCalled()
+  })
+
+  it('picks a range with shift-click', async () => {
+    const onSelectTasks = jest.fn()
+    const { rerender } = renderNote({ onSelectTasks })
+
+    fireEvent.click(await screen.findByText('Wash dishes'), { ctrlKey: true })
+    rerender(<Note name="Kitchen" noteId="n1" points={{ x: 0, y: 0 }} endEditing={() => {}} onCheckboxChange={jest.fn()} onSelectTasks={onSelectTasks} selectedTasks={['t1']} />)
+
+    fireEvent.click(screen.getByText('Sweep floor'), { shiftKey: true })
+    expect(onSelectTasks).toHaveBeenLastCalledWith('n1', ['t1', 't2', 't3'])
+  })
+
+  it('marks the picked tasks', async () => {
+    renderNote({ onSelectTasks: jest.fn(), selectedTasks: ['t2'] })
+
+    const picked = (await screen.findByText('Dry dishes')).closest('.task-selected')
+    expect(picked).toBeInTheDocument()
+    expect(screen.getByText('Wash dishes').closest('.task-selected')).toBeNull()
+  })
+})
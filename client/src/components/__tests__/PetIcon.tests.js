@@ -0,0 +1,129 @@
+import React from 'react'
+import { render, act } from '@testing-library/react'
+import '@testing-library/jest-dom'
+import PetIcon from '../pet'
+import { PetFactory, getStage } from '../petFactories'
+import { getGameConfig } from '../../utils/gameConfig'
+import { getAccessoryLayers, accessoryAnchors, SLOT_ORDER } from '../accessories'
+import { getRestingState, getPetEvent, petAnimationReducer, initialAnimation } from '../../utils/petAnimation'
+
+const { evolutionLevels: EVOLUTION_LEVELS } = getGameConfig()
+
+describe('pet animation states', () => {
+  it('rests according to its needs and overdue tasks', () => {
+    expect(getRestingState({ needs: { hunger: 80, happiness: 80, energy: 10 } })).toBe('sleeping')
+    expect(getRestingState({ needs: { hunger: 80, happiness: 80, energy: 80 }, hasOverdue: true })).toBe('sad')
+    expect(getRestingState({ needs: { hunger: 20, happiness: 80, energy: 80 } })).toBe('sad')
+    expect(getRestingState({ needs: { hunger: 80, happiness: 80, energy: 80 } })).toBe('happy')
+    expect(getRestingState({ needs: { hunger: 50, happiness: 50, energy: 50 } })).toBe('idle')
+  })
+
+  it('only reacts to the same pet changing', () => {
+    const pet = { id: 'p1', level: 2, points: 10 }
+    expect(getPetEvent({ id: undefined, level: 0, points: 0 }, pet)).toBeNull()
+    expect(getPetEvent(pet, { ...pet, points: 60 })).toBe('eating')
+    expect(getPetEvent(pet, { ...pet, level: 3, points: 0 })).toBe('celebrating')
+    expect(getPetEvent(pet, { ...pet, points: 0 })).toBe('sad')
+  })
+
+  it('keeps a level up going and ignores stale timers', () => {
+    let state = petAnimationReducer(initialAnimation, { type: 'event', state: 'celebrating' })
+    state = petAnimationReducer(state, { type: 'event', state: 'eating' })
+    expect(state.playing).toBe('celebrating')
+
+    const stale = petAnimationReducer(state, { type: 'done', eventId: state.eventId - 1 })
+    expect(stale.playing).toBe('celebrating')
+    expect(petAnimationReducer(state, { type: 'done', eventId: state.eventId }).playing).toBeNull()
+  })
+})
+
+describe('PetIcon Component', () => {
+  const needs = { hunger: 50, happiness: 50, energy: 50 }
+
+  beforeEach(() => {
+    jest.useFakeTimers()
+    global.fetch = jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve({ tasks: [] }) }))
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+    delete global.fetch
+  })
+
+  it('eats when it earns points, then settles back down', async () => {
+    const { container, rerender } = render(<PetIcon id="p1" name="Bruce" level={2} exp={10} needs={needs} />)
+    const pet = () => container.querySelector('.pet-container')
+    await act(async () => {})
+    expect(pet()).toHaveAttribute('data-state', 'idle')
+
+    rerender(<PetIcon id="p1" name="Bruce" level={2} exp={260} needs={needs} />)
+    await act(async () => {})
+    expect(pet()).toHaveAttribute('data-state', 'eating')
+
+    await act(async () => {
+      jest.advanceTimersByTime(2000)
+    })
+    expect(pet()).toHaveAttribute('data-state', 'idle')
+  })
+
+  it('is sad while tasks are overdue', async () => {
+    global.fetch = jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve({ tasks: [{ _id: 't1' }] }) }))
+    const { container } = render(<PetIcon id="p1" name="Bruce" level={2} exp={10} needs={needs} />)
+    await act(async () => {})
+    expect(container.querySelector('.pet-container')).toHaveAttribute('data-state', 'sad')
+  })
+
+  it('wears its accessories over the small view too', () => {
+    const { container } = render(<PetIcon id="p1" name="Bruce" level={2} exp={10} needs={needs} accessories={['crown', 'beach']} page="Folder" />)
+    expect(container.querySelector('.pet-container')).toHaveClass('pet-small')
+    expect(container.querySelector('.pet-figure .pet-accessory-crown')).toHaveTextContent('👑')
+    expect(container.querySelector('.pet-backdrop')).toHaveClass('pet-backdrop-beach')
+  })
+})
+
+describe('PetFactory', () => {
+  it('evolves at the evolution levels', () => {
+    expect(getStage(EVOLUTION_LEVELS[0] - 1)).toBe(0)
+    expect(getStage(EVOLUTION_LEVELS[0])).toBe(1)
+    expect(getStage(EVOLUTION_LEVELS[1])).toBe(2)
+  })
+
+  it('looks like the branch it took at its current stage', () => {
+    const evolutions = [{ tier: 1, branch: 'brawny' }, { tier: 2, branch: 'blazing' }]
+    expect(PetFactory('Sharkie', 3, evolutions)).toEqual(expect.objectContaining({ branch: 'classic', variantClass: '' }))
+    expect(PetFactory('Sharkie', 10, evolutions)).toEqual(expect.objectContaining({ branch: 'brawny', formName: 'Hammerhead' }))
+    expect(PetFactory('Kittie', 14, evolutions)).toEqual(expect.objectContaining({ branch: 'blazing', variantClass: 'pet-variant-blazing' }))
+  })
+
+  it('falls back to the classic look for an unknown branch or species', () => {
+    expect(PetFactory('Dragon', 10, [{ tier: 1, branch: 'mystery' }])).toEqual(expect.objectContaining({ branch: 'classic', formName: 'Sharkie' }))
+  })
+})
+
+describe('accessory layers', () => {
+  it('has an anchor for every slot on every species at every stage', () => {
+    for (const stages of Object.values(accessoryAnchors)) {
+      expect(stages).toHaveLength(EVOLUTION_LEVELS.length + 1)
+      for (const anchors of stages) {
+        expect(Object.keys(anchors).sort()).toEqual([...SLOT_ORDER].sort())
+      }
+    }
+  })
+
+  it('stacks hats over glasses and puts backgrounds behind the pet', () => {
+    const { backdrop, layers } = getAccessoryLayers('Froggie', EVOLUTION_LEVELS[1], ['crown', 'starry-night', 'sunglasses', 'bow-tie'])
+    expect(backdrop).toBe('starry-night')
+    expect(layers.map((layer) => layer.id)).toEqual(['bow-tie', 'sunglasses', 'crown'])
+  })
+
+  it('follows the art as the pet evolves', () => {
+    const egg = getAccessoryLayers('Kittie', 1, ['crown']).layers[0].style
+    const grown = getAccessoryLayers('Kittie', EVOLUTION_LEVELS[1], ['crown']).layers[0].style
+    expect(grown).not.toEqual(egg)
+    expect(grown.fontSize).toMatch(/^calc\(var\(--pet-width\) \* /)
+  })
+
+  it('ignores accessories it has no art for', () => {
+    expect(getAccessoryLayers('Dragon', 1, ['mystery-cape'])).toEqual({ backdrop: null, layers: [] })
+  })
+})
@@ -0,0 +1,48 @@
+import React from 'react'
+import { render, screen, fireEvent } from '@testing-library/react'
+import '@testing-library/jest-dom'
+import { MemoryRouter } from 'react-router-dom'
+import PetsPage from '../../screens/pets-page'
+import { ToastProvider } from '../toast'
+import { describeSlots } from '../../utils/pets'
+
+describe('PetsPage Screen', () => {
+  const pets = [
+    { _id: 'p1', name: 'Chomp', type: 'Sharkie', level: 6, points: 100 },
+    { _id: 'p2', name: 'Ribbit', type: 'Froggie', level: 1, points: 0 }
+  ]
+
+  beforeEach(() => {
+    global.fetch = jest.fn((url, options = {}) => {
+      if (options.method === 'PUT') {
+        return Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve(pets[1]) })
+      }
+      if (url.endsWith('/pets')) {
+        return Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve({ pets, activePet: 'p1', slots: 2, nextSlotLevel: 10 }) })
+      }
+      return Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve({ tasks: [], nextCursor: null }) })
+    })
+  })
+
+  afterEach(() => {
+    delete global.fetch
+  })
+
+  it('says what it takes to hatch another pet', () => {
+    expect(describeSlots({ pets, slots: 3, nextSlotLevel: 15 })).toBe('You can hatch another pet!')
+    expect(describeSlots({ pets, slots: 2, nextSlotLevel: 10 })).toBe('Reach level 10 to hatch another pet')
+    expect(describeSlots({ pets, slots: 2, nextSlotLevel: null })).toBe('Your collection is complete')
+  })
+
+  it('lists every pet and switches the active one', async () => {
+    render(<ToastProvider><MemoryRouter><PetsPage /></MemoryRouter></ToastProvider>)
+
+    expect(await screen.findByText('Ribbit')).toBeInTheDocument()
+    expect(screen.getByText('Active')).toBeInTheDocument()
+    expect(screen.queryByText('Hatch a pet')).not.toBeInTheDocument()
+
+    fireEvent.click(screen.getByText('Make active'))
+    expect(await screen.findByText('Ribbit is now your active pet')).toBeInTheDocument()
+    expect(global.fetch).toHaveBeenCalledWith(expect.stringMatching(/\/pets\/active$/), expect.objectContaining({ method: 'PUT' }))
+  })
+})
@@ -0,0 +1,53 @@
+import React from 'react'
+import { render, screen, fireEvent } from '@testing-library/react'
+import '@testing-library/jest-dom'
+import { moveItem, useDragReorder } from '../../utils/reorder'
+
+describe('drag-and-drop reordering', () => {
+  const items = [{ _id: 'a' }, { _id: 'b' }, { _id: 'c' }]
+
+  // a bare list wired up the same way the pages use the hook
+  const List = ({ type, onReorder }) => {
+    const { dragProps } = useDragReorder(type, items, onReorder)
+    return items.map((item) => (
+      <div key={item._id} {...dragProps(item._id)}>{item._id}</div>
+    ))
+  }
+
+  const makeDataTransfer = () => {
+    const data = {}
+    return {
+      get types () { return Object.keys(data) },
+      setData: (format, value) => { data[format] = value },
+      getData: (format) => data[format] || ''
+    }
+  }
+
+  it('moves an item to where it was dropped', () => {
+    expect(moveItem(items, 'a', 'c').map((item) => item._id)).toEqual(['b', 'c', 'a'])
+    expect(moveItem(items, 'c', 'a').map((item) => item._id)).toEqual(['c', 'a', 'b'])
+    expect(moveItem(items, 'b', 'b')).toBe(items)
+  })
+
+  it('hands the reordered list up after a drop', () => {
+    const onReorder = jest.fn()
+    render(<List type="task" onReorder={onReorder} />)
+
+    const dataTransfer = makeDataTransfer()
+    fireEvent.dragStart(screen.getByText('c'), { dataTransfer })
+    fireEvent.drop(screen.getByText('a'), { dataTransfer })
+
+    expect(onReorder).toHaveBeenCalledWith([{ _id: 'c' }, { _id: 'a' }, { _id: 'b' }])
+  })
+
+  it('ignores drops from a different kind of list', () => {
+    const onReorder = jest.fn()
+    render(<List type="note" onReorder={onReorder} />)
+
+    const dataTransfer = makeDataTransfer()
+    dataTransfer.setData('application/x-todogotchi-task', 'c')
+    fireEvent.drop(screen.getByText('a'), { dataTransfer })
+
+    expect(onReorder).not.toHaveBeenCalled()
+  })
+})
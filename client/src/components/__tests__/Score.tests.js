@@ -0,0 +1,13 @@
+import { describeScore } from '../../utils/tasks'
+
+describe('describeScore', () => {
+  it('explains an early bonus', () => {
+    const score = { points: 300, breakdown: [{ reason: 'easy task', points: 250 }, { reason: 'done before the due date', points: 50 }] }
+    expect(describeScore(score)).toBe('+300 XP (easy task 250, done before the due date +50)')
+  })
+
+  it('explains a late penalty', () => {
+    const score = { points: 200, breakdown: [{ reason: 'easy task', points: 250 }, { reason: '2 days late', points: -50 }] }
+    expect(describeScore(score)).toBe('+200 XP (easy task 250, 2 days late -50)')
+  })
+})
@@ -0,0 +1,54 @@
+import React from 'react'
+import { render, screen, fireEvent } from '@testing-library/react'
+import '@testing-library/jest-dom'
+import { MemoryRouter } from 'react-router-dom'
+import ShopPage from '../../screens/shop-page'
+import { ToastProvider } from '../toast'
+import { describeUse, describeEffect } from '../../utils/shop'
+
+describe('ShopPage Screen', () => {
+  const kibble = { id: 'kibble', name: 'Kibble', kind: 'food', icon: '🥣', price: 15, effect: { hunger: 20 } }
+  const crown = { id: 'crown', name: 'Crown', kind: 'accessory', icon: '👑', price: 500 }
+  const pet = { _id: 'p1', name: 'Chomp', type: 'Sharkie', level: 6, points: 100, accessories: [] }
+
+  beforeEach(() => {
+    global.fetch = jest.fn((url) => {
+      const reply = (body) => Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve(body) })
+
+      if (url.endsWith('/shop/buy')) return reply({ items: [{ ...kibble, quantity: 1 }], coins: 25 })
+      if (url.endsWith('/use')) return reply({ items: [], pet })
+      if (url.endsWith('/shop/inventory')) return reply({ items: [], coins: 40 })
+      if (url.endsWith('/shop')) return reply({ items: [kibble, crown], coins: 40 })
+      if (url.includes('/tasks')) return reply({ tasks: [], nextCursor: null })
+      return reply(pet)
+    })
+  })
+
+  afterEach(() => {
+    delete global.fetch
+  })
+
+  it('describes what items do', () => {
+    expect(describeEffect({ effect: { happiness: 20, energy: -5 } })).toBe('happiness +20, energy -5')
+    expect(describeEffect(crown)).toBe('Worn by your pet')
+    expect(describeEffect({ ...crown, slot: 'hat' })).toBe('Worn on the head')
+    expect(describeUse(kibble, pet)).toBe('Feed')
+    expect(describeUse(crown, pet)).toBe('Wear')
+    expect(describeUse(crown, { ...pet, accessories: ['crown'] })).toBe('Take off')
+  })
+
+  it('buys what the coins cover and feeds it to the pet', async () => {
+    render(<ToastProvider><MemoryRouter><ShopPage /></MemoryRouter></ToastProvider>)
+
+    expect(await screen.findByText('🪙 40 coins')).toBeInTheDocument()
+    expect(screen.getByText('🪙 500')).toBeDisabled()
+
+    fireEvent.click(screen.getByText('🪙 15'))
+    expect(await screen.findByText('Bought Kibble')).toBeInTheDocument()
+    expect(screen.getByText('🪙 25 coins')).toBeInTheDocument()
+
+    fireEvent.click(screen.getByText('Feed'))
+    expect(await screen.findByText('Feed: Kibble')).toBeInTheDocument()
+    expect(global.fetch).toHaveBeenCalledWith(expect.stringMatching(/\/shop\/inventory\/kibble\/use$/), expect.objectContaining({ method: 'POST' }))
+  })
+})
@@ -0,0 +1,25 @@
+import React from 'react'
+import { render, screen } from '@testing-library/react'
+import '@testing-library/jest-dom'
+import StreakFlame from '../streak'
+
+describe('StreakFlame Component', () => {
+  it('shows the current and best streak, lit once a task is done today', () => {
+    const { container } = render(<StreakFlame current={4} best={9} activeToday lost={0} />)
+    expect(screen.getByText('4 days')).toBeInTheDocument()
+    expect(screen.getByText('Best: 9 days')).toBeInTheDocument()
+    expect(container.firstChild).toHaveClass('streak-lit')
+  })
+
+  it('waits for today\'s task before lighting up', () => {
+    const { container } = render(<StreakFlame current={1} best={1} activeToday={false} lost={0} />)
+    expect(screen.getByText('1 day')).toBeInTheDocument()
+    expect(container.firstChild).toHaveClass('streak-waiting')
+  })
+
+  it('breaks when a day was missed', () => {
+    const { container } = render(<StreakFlame current={0} best={9} activeToday={false} lost={5} />)
+    expect(container.firstChild).toHaveClass('streak-broken')
+    expect(screen.getByText('5-day streak lost')).toBeInTheDocument()
+  })
+})
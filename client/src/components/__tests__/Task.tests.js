@@ -1,9 +1,19 @@
 import React from 'react'
-import { render, screen, fireEvent } from '@testing-library/react'
+import { render, screen, fireEvent, waitFor } from '@testing-library/react'
 import '@testing-library/jest-dom'
 import { Task } from '../task'
+import { setCategories } from '../../utils/categories'
 
 describe('Task Component', () => {
+  const categories = [
+    { _id: 'c1', name: 'easy', color: '#008000', points: 250, icon: '' },
+    { _id: 'c2', name: 'medium', color: '#ffa500', points: 500, icon: '' },
+    { _id: 'c3', name: 'chores', color: '#3366cc', points: 300, icon: '🧹' }
+  ]
+
+  beforeEach(() => setCategories(categories))
+  afterAll(() => setCategories([]))
+
   const mockOnCheckboxChange = jest.fn()
   const mockOnEditTask = jest.fn()
   const mockOnEditDate = jest.fn()
@@ -16,7 +26,7 @@ describe('Task Component', () => {
     status: 'pending',
     startDate: '2024-12-01T00:00:00Z',
     dueDate: '2024-12-10T00:00:00Z',
-    category: 'medium',
+    category: 'c2',
     editingTask: false,
     onEditTask: mockOnEditTask,
     editingDate: false,
@@ -37,6 +47,15 @@ describe('Task Component', () => {
     expect(mockOnCheckboxChange).toHaveBeenCalledWith(false, '12345')
   })
 
+  it('puts the checkbox back when the parent rejects the change', async () => {
+    const rejectChange = jest.fn().mockResolvedValue(false)
+    render(<Task {...mockProps} onCheckboxChange={rejectChange} />)
+    const checkbox = screen.getByRole('checkbox')
+    fireEvent.click(checkbox)
+    expect(rejectChange).toHaveBeenCalledWith(true, '12345')
+    await waitFor(() => expect(checkbox).not.toBeChecked())
+  })
+
   it('allows task name editing when `editingTask` is true', () => {
     render(<Task {...mockProps} editingTask={true} />)
     const input = screen.getByRole('textbox')
@@ -59,10 +78,33 @@ describe('Task Component', () => {
   it('allows category editing when `editingCategory` is true', () => {
     render(<Task {...mockProps} editingCategory={true} />)
     fireEvent.click(screen.getByText('easy'))
-    expect(mockOnEditCategory).toHaveBeenCalledWith('12345', 'easy')
+    expect(mockOnEditCategory).toHaveBeenCalledWith('12345', 'c1')
     fireEvent.click(screen.getByText('medium'))
-    expect(mockOnEditCategory).toHaveBeenCalledWith('12345', 'medium')
-    fireEvent.click(screen.getByText('hard'))
-    expect(mockOnEditCategory).toHaveBeenCalledWith('12345', 'hard')
+    expect(mockOnEditCategory).toHaveBeenCalledWith('12345', 'c2')
+    fireEvent.click(screen.getByText('🧹 chores'))
+    expect(mockOnEditCategory).toHaveBeenCalledWith('12345', 'c3')
+    expect(screen.queryByText('hard')).not.toBeInTheDocument()
+  })
+
+  it('marks the task with its category\'s color', () => {
+    const { container } = render(<Task {...mockProps} />)
+    const indicator = container.querySelector('.category-indicator')
+    expect(indicator).toHaveStyle('border: 5px solid #ffa500')
+    expect(indicator).toHaveAttribute('title', 'medium')
+  })
+
+  it('shows subtask progress and toggles a subtask from the expanded checklist', () => {
+    const mockOnSubtaskCheckboxChange = jest.fn()
+    const subtasks = [
+      { _id: 'a', name: 'outline', status: 'completed' },
+      { _id: 'b', name: 'draft', status: 'pending' }
+    ]
+    render(<Task {...mockProps} subtasks={subtasks} onSubtaskCheckboxChange={mockOnSubtaskCheckboxChange} />)
+    expect(screen.getByText('1/2')).toBeInTheDocument()
+    expect(screen.queryByText('draft')).not.toBeInTheDocument()
+
+    fireEvent.click(screen.getByText('1/2'))
+    fireEvent.click(screen.getByLabelText('draft'))
+    expect(mockOnSubtaskCheckboxChange).toHaveBeenCalledWith(true, '12345', 'b')
   })
 })
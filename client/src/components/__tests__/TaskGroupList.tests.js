@@ -0,0 +1,44 @@
+import React from 'react'
+import { render, screen } from '@testing-library/react'
+import '@testing-library/jest-dom'
+import TaskGroupList, { groupTasksByDay } from '../taskGroupList'
+
+describe('TaskGroupList Component', () => {
+  const now = new Date(2025, 0, 31, 12, 0)
+
+  const makeTask = (id, name, dueDate, status = 'pending') => ({
+    _id: id,
+    name,
+    status,
+    category: 'easy',
+    creationDate: new Date(2025, 0, 1).toISOString(),
+    dueDate: dueDate.toISOString(),
+    subtasks: []
+  })
+
+  const tasks = [
+    makeTask('3', 'Tomorrow Task', new Date(2025, 1, 1, 9, 0)),
+    makeTask('1', 'Late Task', new Date(2025, 0, 29, 9, 0)),
+    makeTask('2', 'Today Task', new Date(2025, 0, 31, 18, 0))
+  ]
+
+  it('pins overdue tasks to the top and groups the rest by day', () => {
+    const { overdue, days } = groupTasksByDay(tasks, now)
+    expect(overdue.map((task) => task._id)).toEqual(['1'])
+    expect(days.map((day) => day.label)).toEqual(['Today', 'Tomorrow'])
+    expect(days[0].tasks.map((task) => task._id)).toEqual(['2'])
+  })
+
+  it('renders each group with its tasks', () => {
+    render(<TaskGroupList tasks={tasks} now={now} emptyText="Nothing due" onCheckboxChange={jest.fn()} />)
+    const headings = screen.getAllByRole('heading', { level: 4 }).map((heading) => heading.textContent)
+    expect(headings).toEqual(['Overdue', 'Today', 'Tomorrow'])
+    expect(screen.getByText('Late Task')).toBeInTheDocument()
+    expect(screen.queryByText('Nothing due')).not.toBeInTheDocument()
+  })
+
+  it('shows the empty message when nothing is due', () => {
+    render(<TaskGroupList tasks={[]} now={now} emptyText="Nothing due" onCheckboxChange={jest.fn()} />)
+    expect(screen.getByText('Nothing due')).toBeInTheDocument()
+  })
+})
@@ -0,0 +1,75 @@
+import React from 'react'
+import { render, screen, fireEvent, act } from '@testing-library/react'
+import '@testing-library/jest-dom'
+import { ToastProvider, useToast } from '../toast'
+
+// pushes a change through delayWithUndo and reports how it ended
+const Toggle = ({ commit, onResult }) => {
+  const { delayWithUndo } = useToast()
+  return (
+    <button onClick={() => delayWithUndo('Task completed', commit, 'task-1').then(onResult)}>toggle</button>
+  )
+}
+
+describe('Toast', () => {
+  let commit
+  let onResult
+
+  beforeEach(() => {
+    jest.useFakeTimers()
+    commit = jest.fn(() => true)
+    onResult = jest.fn()
+    render(<ToastProvider><Toggle commit={commit} onResult={onResult} /></ToastProvider>)
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  it('sends the change once the undo window is over', async () => {
+    fireEvent.click(screen.getByText('toggle'))
+    expect(screen.getByText('Task completed')).toBeInTheDocument()
+    expect(commit).not.toHaveBeenCalled()
+
+    await act(async () => {
+      jest.advanceTimersByTime(4000)
+    })
+
+    expect(commit).toHaveBeenCalled()
+    expect(onResult).toHaveBeenCalledWith(true)
+    expect(screen.queryByText('Task completed')).not.toBeInTheDocument()
+  })
+
+  it('never sends the change when Undo is pressed', async () => {
+    fireEvent.click(screen.getByText('toggle'))
+
+    await act(async () => {
+      fireEvent.click(screen.getByText('Undo'))
+    })
+
+    expect(onResult).toHaveBeenCalledWith(false)
+    expect(screen.queryByText('Task completed')).not.toBeInTheDocument()
+
+    await act(async () => {
+      jest.advanceTimersByTime(4000)
+    })
+    expect(commit).not.toHaveBeenCalled()
+  })
+
+  it('cancels out a change made twice before it was sent', async () => {
+    fireEvent.click(screen.getByText('toggle'))
+
+    await act(async () => {
+      fireEvent.click(screen.getByText('toggle'))
+    })
+
+    // first change is put back, second one stands -- nothing to send either way
+    expect(onResult).toHaveBeenNthCalledWith(1, false)
+    expect(onResult).toHaveBeenNthCalledWith(2, true)
+
+    await act(async () => {
+      jest.advanceTimersByTime(4000)
+    })
+    expect(commit).not.toHaveBeenCalled()
+  })
+})
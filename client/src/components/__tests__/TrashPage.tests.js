@@ -0,0 +1,42 @@
+import React from 'react'
+import { render, screen, fireEvent } from '@testing-library/react'
+import '@testing-library/jest-dom'
+import { MemoryRouter } from 'react-router-dom'
+import TrashPage, { describeTrashAge } from '../../screens/trash-page'
+import { ToastProvider } from '../toast'
+
+describe('TrashPage Screen', () => {
+  const now = new Date(2025, 0, 31, 12, 0)
+  const items = [
+    { _id: 't1', kind: 'note', name: 'Groceries', parentName: 'Chores', deletedAt: new Date(2025, 0, 29, 12, 0).toISOString() }
+  ]
+
+  beforeEach(() => {
+    global.fetch = jest.fn((url, options = {}) => {
+      if (options.method === 'POST') {
+        return Promise.resolve({ ok: false, status: 409, json: () => Promise.resolve({ message: 'Restore the folder "Chores" first' }) })
+      }
+      return Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve({ items, retentionDays: 30 }) })
+    })
+  })
+
+  afterEach(() => {
+    delete global.fetch
+  })
+
+  it('says how long ago an item was deleted and how long it will stay', () => {
+    expect(describeTrashAge(items[0].deletedAt, 30, now)).toBe('deleted 2 days ago · 28 days left')
+    expect(describeTrashAge(now.toISOString(), 1, now)).toBe('deleted today · 1 day left')
+  })
+
+  it('lists trashed items and explains why one cannot be restored', async () => {
+    render(<ToastProvider><MemoryRouter><TrashPage /></MemoryRouter></ToastProvider>)
+
+    expect(await screen.findByText('Groceries')).toBeInTheDocument()
+    expect(screen.getByText(/from Chores/)).toBeInTheDocument()
+
+    fireEvent.click(screen.getByText('Restore'))
+    expect(await screen.findByText('Restore the folder "Chores" first')).toBeInTheDocument()
+    expect(screen.getByText('Groceries')).toBeInTheDocument()
+  })
+})
@@ -0,0 +1,87 @@
+import { getStage } from './petFactories'
+import { getGameConfig } from '../utils/gameConfig'
+
+// what each accessory looks like on the pet -- ids match the accessories in SHOP_ITEMS (server/utils/shop.js).
+// ones without a glyph are drawn in pet.css (.pet-accessory-* and .pet-backdrop-*)
+export const accessoryArt = {
+  'party-hat': { slot: 'hat', glyph: '' },
+  crown: { slot: 'hat', glyph: '👑' },
+  sunglasses: { slot: 'glasses', glyph: '🕶️' },
+  'bow-tie': { slot: 'neck', glyph: '🎀' },
+  beach: { slot: 'background' },
+  'starry-night': { slot: 'background' }
+}
+
+// layers are stacked in this order, so a hat sits over glasses and glasses over a bow tie
+export const SLOT_ORDER = ['neck', 'glasses', 'hat']
+
+// where each slot sits on the art: x and y are the layer's centre in % of the pet image,
+// size is its height as a share of the pet's width, rotate tilts it to follow the head
+const eggAnchors = {
+  hat: { x: 50, y: 8, size: 0.3, rotate: 0 },
+  glasses: { x: 50, y: 42, size: 0.32, rotate: 0 },
+  neck: { x: 50, y: 82, size: 0.22, rotate: 0 }
+}
+
+// one entry per stage (see getStage) -- the first two stages are eggs for every species
+export const accessoryAnchors = {
+  Sharkie: [
+    eggAnchors,
+    eggAnchors,
+    {
+      hat: { x: 28, y: 31, size: 0.24, rotate: -25 },
+      glasses: { x: 25, y: 57, size: 0.24, rotate: -8 },
+      neck: { x: 33, y: 76, size: 0.18, rotate: -10 }
+    }
+  ],
+  Froggie: [
+    eggAnchors,
+    eggAnchors,
+    {
+      // the lily pad covers the top of its head, so the hat tucks in underneath
+      hat: { x: 38, y: 32, size: 0.18, rotate: -8 },
+      glasses: { x: 40, y: 43, size: 0.4, rotate: 4 },
+      neck: { x: 40, y: 75, size: 0.2, rotate: 0 }
+    }
+  ],
+  Kittie: [
+    eggAnchors,
+    eggAnchors,
+    {
+      hat: { x: 47, y: 13, size: 0.28, rotate: 0 },
+      glasses: { x: 35, y: 50, size: 0.36, rotate: 0 },
+      neck: { x: 40, y: 75, size: 0.2, rotate: 0 }
+    }
+  ]
+}
+
+// how a pet's accessories are drawn at its level: a backdrop behind it, and layers positioned over it.
+// sizes are relative to --pet-width (see pet.css) so the same anchors work for pet-large and pet-small
+export const getAccessoryLayers = (variant, level, accessories = [], evolutionLevels = getGameConfig().evolutionLevels) => {
+  const stages = accessoryAnchors[variant] || accessoryAnchors['Sharkie']
+  const anchors = stages[Math.min(getStage(level, evolutionLevels), stages.length - 1)]
+  const worn = accessories.filter((id) => accessoryArt[id])
+
+  const backdrop = worn.find((id) => accessoryArt[id].slot === 'background') || null
+  const layers = worn
+    .filter((id) => anchors[accessoryArt[id].slot])
+    .sort((a, b) => SLOT_ORDER.indexOf(accessoryArt[a].slot) - SLOT_ORDER.indexOf(accessoryArt[b].slot))
+    .map((id) => {
+      const { slot, glyph } = accessoryArt[id]
+      const { x, y, size, rotate } = anchors[slot]
+
+      return {
+        id,
+        slot,
+        glyph,
+        style: {
+          left: `${x}%`,
+          top: `${y}%`,
+          fontSize: `calc(var(--pet-width) * ${size})`,
+          transform: `translate(-50%, -50%) rotate(${rotate}deg)`
+        }
+      }
+    })
+
+  return { backdrop, layers }
+}
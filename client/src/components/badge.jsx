@@ -0,0 +1,56 @@
+import React, { useCallback } from 'react'
+import PropTypes from 'prop-types'
+import { useNavigate } from 'react-router-dom'
+import { useToast } from './toast'
+import '../css/badge.css'
+
+// how long a newly unlocked badge stays on screen
+const POPUP_DURATION = 6000
+
+// one badge -- locked ones are greyed out and show how far along the user is
+const Badge = ({ name, description, icon, earnedAt, progress, goal }) => {
+  const locked = !earnedAt
+
+  return (
+    <div className={`badge ${locked ? 'badge-locked' : 'badge-earned'}`} title={description}>
+      <span className="badge-icon" aria-hidden="true">{icon}</span>
+      <div className="badge-text">
+        <span className="badge-name">{name}</span>
+        <span className="badge-description">{description}</span>
+        {locked ? (
+          <progress className="badge-progress" value={progress} max={goal} aria-label={`${name} progress`} />
+        ) : (
+          <span className="badge-earned-at">Earned {new Date(earnedAt).toLocaleDateString()}</span>
+        )}
+      </div>
+    </div>
+  )
+}
+
+Badge.propTypes = {
+  name: PropTypes.string.isRequired,
+  description: PropTypes.string.isRequired,
+  icon: PropTypes.string.isRequired,
+  earnedAt: PropTypes.string,
+  progress: PropTypes.number,
+  goal: PropTypes.number
+}
+
+// pops up each badge the server says was just unlocked, with a link to the rest
+export const useAchievementPopup = () => {
+  const { showToast } = useToast()
+  const navigate = useNavigate()
+
+  return useCallback((achievements = []) => {
+    for (const { icon, name } of achievements) {
+      showToast(`${icon} Badge unlocked: ${name}!`, {
+        actionLabel: 'See badges',
+        onAction: () => navigate('/achievements'),
+        variant: 'achievement',
+        duration: POPUP_DURATION
+      })
+    }
+  }, [showToast, navigate])
+}
+
+export default Badge
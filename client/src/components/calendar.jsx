@@ -0,0 +1,94 @@
+// Import native stuff
+import React, { useState } from 'react';
+
+// Import our Components
+import { useCategories, findCategory, categoryBorder } from '../utils/categories';
+
+// Import styling sheets
+import '../css/calendar.css';
+
+const weekdayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// same local calendar day?
+export const sameDay = (a, b) =>
+    a.getFullYear() === b.getFullYear() && a.getMonth() === b.getMonth() && a.getDate() === b.getDate();
+
+// days shown around anchor -- 'week' is the week it falls in, 'month' is the 6 weeks covering its month
+export const getCalendarDays = (anchor, layout) => {
+    const start = new Date(anchor.getFullYear(), anchor.getMonth(), layout === 'month' ? 1 : anchor.getDate());
+    start.setDate(start.getDate() - start.getDay()); // back up to sunday
+
+    const count = layout === 'month' ? 42 : 7;
+    return Array.from({ length: count }, (_, i) => new Date(start.getFullYear(), start.getMonth(), start.getDate() + i));
+};
+
+// move a due date to another day, keeping the time it was due at
+export const moveToDay = (dueDate, day) => {
+    const moved = new Date(dueDate);
+    moved.setFullYear(day.getFullYear(), day.getMonth(), day.getDate());
+    return moved;
+};
+
+function Calendar({ tasks, anchor, layout, today = new Date(), onReschedule }) {
+    const categories = useCategories();
+
+    // day currently being dragged over
+    const [dropTarget, setDropTarget] = useState(null);
+
+    const days = getCalendarDays(anchor, layout);
+
+    // when a task is dropped on a day, hand it up to be rescheduled
+    const handleDrop = (e, day) => {
+        e.preventDefault();
+        setDropTarget(null);
+        const taskId = e.dataTransfer.getData('text/plain');
+        if (taskId) {
+            onReschedule(taskId, day);
+        }
+    };
+
+    // return Calendar UI
+    return (
+        <div className={`calendar calendar-${layout}`}>
+            {weekdayNames.map((name) => (
+                <div className="calendar-weekday" key={name}>{name}</div>
+            ))}
+            {days.map((day) => (
+                <div
+                    key={day.toDateString()}
+                    className={[
+                        'calendar-day',
+                        day.getMonth() !== anchor.getMonth() && layout === 'month' && 'outside-month',
+                        sameDay(day, today) && 'today',
+                        dropTarget && sameDay(day, dropTarget) && 'drop-target'
+                    ].filter(Boolean).join(' ')}
+                    onDragOver={(e) => {
+                        e.preventDefault();
+                        setDropTarget(day);
+                    }}
+                    onDragLeave={() => setDropTarget(null)}
+                    onDrop={(e) => handleDrop(e, day)}
+                    data-testid={`day-${day.getDate()}`}
+                >
+                    <span className="calendar-date">{day.getDate()}</span>
+                    {tasks
+                        .filter((task) => task.dueDate && sameDay(new Date(task.dueDate), day))
+                        .map((task) => (
+                            <div
+                                key={task._id}
+                                className={task.status === 'completed' ? 'calendar-task completed' : 'calendar-task'}
+                                style={{ borderLeft: categoryBorder(findCategory(categories, task.category)) }}
+                                draggable
+                                onDragStart={(e) => e.dataTransfer.setData('text/plain', task._id)}
+                                title={task.name}
+                            >
+                                {task.name}
+                            </div>
+                        ))}
+                </div>
+            ))}
+        </div>
+    );
+}
+
+export default Calendar;
@@ -0,0 +1,86 @@
+import React, { useEffect, useState } from 'react'
+import PropTypes from 'prop-types'
+import { useToast } from './toast'
+import { CARE_BUTTONS, fetchCooldowns, doCareAction, formatCooldown } from '../utils/care'
+import '../css/care-actions.css'
+
+// feed, play with or put the pet to sleep -- each button waits out its cooldown (kept on the server)
+const CareActions = ({ petId, onCare }) => {
+  const { showToast } = useToast()
+
+  // when each action can be done again (ms timestamps), and the clock they're counted down on
+  const [readyAt, setReadyAt] = useState({})
+  const [now, setNow] = useState(Date.now())
+
+  const startCooldowns = (cooldowns) => {
+    const start = Date.now()
+    setNow(start)
+    setReadyAt((prevReadyAt) => ({
+      ...prevReadyAt,
+      ...Object.fromEntries(Object.entries(cooldowns).map(([action, left]) => [action, start + left]))
+    }))
+  }
+
+  // GET the cooldowns whenever it's a different pet
+  useEffect(() => {
+    if (!petId) return
+
+    fetchCooldowns(petId)
+      .then(startCooldowns)
+      .catch((error) => console.error('Failed to fetch care cooldowns:', error))
+  }, [petId])
+
+  // tick while anything is cooling down
+  const coolingDown = Object.values(readyAt).some((time) => time > now)
+  useEffect(() => {
+    if (!coolingDown) return
+
+    const timer = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(timer)
+  }, [coolingDown])
+
+  // POST the action -- the server says no if there's no food or the pet's too tired
+  const care = async (action) => {
+    try {
+      const result = await doCareAction(petId, action)
+      startCooldowns(result.cooldowns)
+      onCare(action, result)
+    } catch (error) {
+      if (error.retryAfter) {
+        startCooldowns({ [action]: error.retryAfter })
+      }
+      showToast(error.message)
+      console.error(`Failed to ${action} pet:`, error)
+    }
+  }
+
+  if (!petId) return null
+
+  return (
+    <div className="care-actions">
+      {CARE_BUTTONS.map(({ action, label, icon }) => {
+        const left = (readyAt[action] || 0) - now
+
+        return (
+          <button
+            key={action}
+            className={`care-button care-${action}`}
+            disabled={left > 0}
+            title={left > 0 ? `${label} again in ${formatCooldown(left)}` : label}
+            onClick={() => care(action)}
+          >
+            <span className="care-icon" aria-hidden="true">{icon}</span>
+            <span>{left > 0 ? formatCooldown(left) : label}</span>
+          </button>
+        )
+      })}
+    </div>
+  )
+}
+
+CareActions.propTypes = {
+  petId: PropTypes.string,
+  onCare: PropTypes.func.isRequired
+}
+
+export default CareActions
@@ -1,7 +1,10 @@
 // Import native stuff
 import React, { useState } from 'react';
+import { useToast } from './toast';
 
 function DateTimePicker({ top, left, defaultDate, defaultTime, title, onPress, actionOnInvalid }) {
+    const { showToast } = useToast();
+
     // format information before storing in local states
     const providedDate = defaultDate ? defaultDate : '';
     const providedTime = defaultTime ? defaultTime : '';
@@ -26,11 +29,11 @@ function DateTimePicker({ top, left, defaultDate, defaultTime, title, onPress, a
             onPress(date+"T"+time+":00");
         } else if (date) {
             console.log("no time");
-            alert("No time was set");
+            showToast("No time was set");
             actionOnInvalid();
         } else {
             console.log("no date")
-            alert("No date was set");
+            showToast("No date was set");
             actionOnInvalid();
         }
     };
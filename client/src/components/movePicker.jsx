@@ -0,0 +1,90 @@
+// Import native stuff
+import React, { useEffect, useState } from 'react';
+
+// Import our Components
+import { useToast } from './toast';
+import { authHeaders } from '../utils/auth';
+
+// Import styling sheets
+import '../css/repeat-picker.css';
+import '../css/dateTime.css';
+
+// pick where a note (any other folder) or a task (any note in any folder) should go
+function MovePicker({ top, left, kind, currentFolderId, onPress }) {
+    const { showToast } = useToast();
+
+    // Local States
+    const [folders, setFolders] = useState([]); // [{ _id, name, notes: [{ _id, name }] }]
+    const [destination, setDestination] = useState('');
+
+    // GET the user's folders (and their notes, when moving a task)
+    useEffect(() => {
+        const fetchDestinations = async () => {
+            try {
+                const userId = localStorage.getItem('user_id');
+                const resp = await fetch(`https://todogotchi-release-server.vercel.app/folders/${userId}`, { headers: authHeaders() });
+                if (!resp.ok) {
+                    throw new Error(`Error: ${resp.status} ${resp.statusText}`);
+                }
+                let data = await resp.json();
+
+                if (kind === 'note') {
+                    data = data.filter((folder) => folder._id !== currentFolderId);
+                } else {
+                    data = await Promise.all(data.map(async (folder) => {
+                        const notesResp = await fetch(`https://todogotchi-release-server.vercel.app/notes/${folder._id}`, { headers: authHeaders() });
+                        if (!notesResp.ok) {
+                            throw new Error(`Error: ${notesResp.status} ${notesResp.statusText}`);
+                        }
+                        return { ...folder, notes: await notesResp.json() };
+                    }));
+                }
+
+                setFolders(data);
+            } catch (error) {
+                showToast('Failed to load folders, please try again later');
+                console.error('Error loading folders:', error);
+            }
+        };
+
+        fetchDestinations();
+    }, [kind, currentFolderId]);
+
+    // when submit button is pressed, hand the chosen folder/note id to the parent
+    const handleSubmit = () => {
+        if (!destination) {
+            showToast(`Pick a ${kind === 'note' ? 'folder' : 'note'} to move to`);
+            return;
+        }
+        onPress(destination);
+    };
+
+    // return move picker UI
+    return (
+        <div className='repeat-menu' style={{ top: top, left: left }}>
+            <label>Move to</label>
+            <select
+                value={destination}
+                onChange={(e) => setDestination(e.target.value)}
+                className='repeat-select'
+                aria-label='Destination'
+            >
+                <option value='' disabled>{kind === 'note' ? 'choose a folder' : 'choose a note'}</option>
+                {kind === 'note'
+                    ? folders.map((folder) => (
+                        <option value={folder._id} key={folder._id}>{folder.name}</option>
+                    ))
+                    : folders.map((folder) => (
+                        <optgroup label={folder.name} key={folder._id}>
+                            {folder.notes.map((note) => (
+                                <option value={note._id} key={note._id}>{note.name}</option>
+                            ))}
+                        </optgroup>
+                    ))}
+            </select>
+            <button className='date-submit-button' onClick={handleSubmit}>Move</button>
+        </div>
+    );
+};
+
+export default MovePicker;
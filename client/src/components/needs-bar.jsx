@@ -0,0 +1,50 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import '../css/needs-bar.css'
+
+// needs in the order they're shown, with how the pet feels when one runs low
+export const needInfo = {
+  hunger: { label: 'Hunger', mood: 'hungry', icon: '🍖' },
+  happiness: { label: 'Happiness', mood: 'sad', icon: '💔' },
+  energy: { label: 'Energy', mood: 'tired', icon: '💤' }
+}
+
+// below this a need shows up as low
+export const LOW_NEED = 30
+
+// the pet's lowest need, or null if none of them are low yet
+export const getLowestNeed = (needs) => {
+  if (!needs) return null
+
+  const lowest = Object.keys(needInfo).reduce((low, need) => (needs[need] < needs[low] ? need : low))
+  return needs[lowest] < LOW_NEED ? lowest : null
+}
+
+// hunger, happiness and energy bars (the server drains them over time)
+const NeedsBar = ({ needs }) => {
+  return (
+    <div className="needs-bar-container">
+      {Object.entries(needInfo).map(([need, { label }]) => (
+        <div className="need-row" key={need}>
+          <span className="need-label">{label}</span>
+          <progress
+            value={needs[need]}
+            max={100}
+            aria-label={label}
+            className={needs[need] < LOW_NEED ? 'need-bar need-low' : 'need-bar'}
+          />
+        </div>
+      ))}
+    </div>
+  )
+}
+
+NeedsBar.propTypes = {
+  needs: PropTypes.shape({
+    hunger: PropTypes.number,
+    happiness: PropTypes.number,
+    energy: PropTypes.number
+  }).isRequired
+}
+
+export default NeedsBar
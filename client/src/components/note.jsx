@@ -3,6 +3,10 @@ import React, { useEffect, useState, useRef } from 'react';
 
 // Import our Components
 import { Task }  from './task';
+import { useToast } from './toast';
+import { authHeaders } from '../utils/auth';
+import { saveSubtaskStatus, removeSubtask } from '../utils/tasks';
+import { useDragReorder, saveOrder } from '../utils/reorder';
 
 // Import styling sheets
 import '../css/task.css';
@@ -13,7 +17,9 @@ import '../css/folder-grid.css';
 import add_icon from '../assets/add_icon.svg';
 import trash_icon from '../assets/trash_icon.svg';
 
-function Note({ id, name, noteId, onDelete, editingNote, editingTask, editingDate, deletingTask, editingCategory, onUpdateNoteName, endEditing, points, onClick, onCheckboxChange }) {
+function Note({ id, name, noteId, onDelete, editingNote, editingTask, editingDate, deletingTask, tasksVersion, editingCategory, editingRepeat, addingSubtask, onUpdateNoteName, endEditing, points, onClick, onCheckboxChange, onPetChange, onAchievements, selectedTasks = [], onSelectTasks }) {
+    const { showToast } = useToast();
+
     //console.log("note:", id)
     // Local States
     const [tasks, setTasks] = useState([]);
@@ -26,11 +32,53 @@ function Note({ id, name, noteId, onDelete, editingNote, editingTask, editingDat
     // button ref
     const buttonRef = useRef(null);
 
+    // last task ctrl/cmd-clicked, where a shift-click range starts from
+    const selectAnchor = useRef(null);
+
     // when a check box is clicked
-    const handleCheckedBox = (checked, id) => {
+    const handleCheckedBox = async (checked, id) => {
         // console.log('In note: checkbox state from child:', checked)
         setIsChecked(checked);
-        onCheckboxChange(checked, id);
+        const saved = await onCheckboxChange(checked, id);
+
+        // recurring tasks add (or take back) their next occurrence, so reload the list
+        const task = tasks.find((task) => task._id === id);
+        if (saved && task && task.recurrence) {
+            fetchTasks();
+        }
+
+        return saved;
+    };
+
+    // ctrl/cmd-click picks tasks one at a time, shift-click picks everything from the last pick.
+    // runs before the task itself sees the click, so picking a task doesn't tick its checkbox
+    const handleTaskClick = (e, taskId) => {
+        if (!onSelectTasks) {
+            return;
+        }
+
+        if (!e.ctrlKey && !e.metaKey && !e.shiftKey) {
+            if (selectedTasks.length > 0) {
+                onSelectTasks(noteId, []);
+            }
+            return;
+        }
+
+        e.preventDefault();
+        e.stopPropagation();
+
+        const taskIds = tasks.map((task) => task._id);
+        const from = taskIds.indexOf(selectAnchor.current);
+        if (e.shiftKey && from !== -1) {
+            const to = taskIds.indexOf(taskId);
+            onSelectTasks(noteId, taskIds.slice(Math.min(from, to), Math.max(from, to) + 1));
+            return;
+        }
+
+        selectAnchor.current = taskId;
+        onSelectTasks(noteId, selectedTasks.includes(taskId)
+            ? selectedTasks.filter((id) => id !== taskId)
+            : [...selectedTasks, taskId]);
     };
 
     // almost everything needs to be double clicked
@@ -47,7 +95,7 @@ function Note({ id, name, noteId, onDelete, editingNote, editingTask, editingDat
     // fetch tasks from server
     const fetchTasks = async () => {
         try {
-            const resp = await fetch(`https://todogotchi-release-server.vercel.app/tasks/${noteId}`)
+            const resp = await fetch(`https://todogotchi-release-server.vercel.app/tasks/${noteId}`, { headers: authHeaders() })
 
             if (!resp.ok) {
                 throw new Error(`Error: ${resp.status} ${resp.statusText}`);
@@ -56,7 +104,7 @@ function Note({ id, name, noteId, onDelete, editingNote, editingTask, editingDat
             const data = await resp.json();
             setTasks(data);
         } catch (error) {
-            alert('Failed to fetch tasks, please try again later');
+            showToast('Failed to fetch tasks, please try again later');
             console.error('Error fetching tasks:', error);
         }
     };
@@ -64,14 +112,14 @@ function Note({ id, name, noteId, onDelete, editingNote, editingTask, editingDat
     // POST new task to server
     const createTask = async () => {
         if (!taskInput.trim()) {
-            alert('Task cannot be empty.');
+            showToast('Task cannot be empty.');
             return;
         }
 
         try {
             const resp = await fetch(`https://todogotchi-release-server.vercel.app/tasks/${noteId}`, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers: authHeaders({ 'Content-Type': 'application/json' }),
                 body: JSON.stringify({ name: taskInput })
             });
 
@@ -84,7 +132,7 @@ function Note({ id, name, noteId, onDelete, editingNote, editingTask, editingDat
             // update Tasks
             setTasks((prevTasks) => [...prevTasks, newTask]);
         } catch (error) {
-            alert('Failed to create task. Please try again.');
+            showToast('Failed to create task. Please try again.');
             console.error('Error creating task:', error);
         }
     };
@@ -94,7 +142,7 @@ function Note({ id, name, noteId, onDelete, editingNote, editingTask, editingDat
         try {
             const resp = await fetch(`https://todogotchi-release-server.vercel.app/tasks/${taskId}`, {
                 method: 'PATCH',
-                headers: { 'Content-Type': 'application/json' },
+                headers: authHeaders({ 'Content-Type': 'application/json' }),
                 body: JSON.stringify({ name: taskName})
             });
 
@@ -102,7 +150,7 @@ function Note({ id, name, noteId, onDelete, editingNote, editingTask, editingDat
                 throw new Error(`Error: ${resp.status} ${resp.statusText}`);
             }
         } catch (error) {
-            alert('Failed to update task, please try again later');
+            showToast('Failed to update task, please try again later');
             console.error('Error updating task:', error);
         }
     };
@@ -112,7 +160,7 @@ function Note({ id, name, noteId, onDelete, editingNote, editingTask, editingDat
         try {
             const resp = await fetch(`https://todogotchi-release-server.vercel.app/tasks/${taskId}`, {
                 method: 'PATCH',
-                headers: { 'Content-Type': 'application/json' },
+                headers: authHeaders({ 'Content-Type': 'application/json' }),
                 body: JSON.stringify({ dueDate: dueDate})
             })
 
@@ -120,7 +168,7 @@ function Note({ id, name, noteId, onDelete, editingNote, editingTask, editingDat
                 throw new Error(`Error: ${resp.status} ${resp.statusText}`);
             }
         } catch (error) {
-            alert('Failed to update task, please try again later');
+            showToast('Failed to update task, please try again later');
             console.error('Error updating task:', error);
         }
     };
@@ -130,7 +178,7 @@ function Note({ id, name, noteId, onDelete, editingNote, editingTask, editingDat
         try {
             const resp = await fetch(`https://todogotchi-release-server.vercel.app/tasks/${taskId}`, {
                 method: 'PATCH',
-                headers: { 'Content-Type': 'application/json' },
+                headers: authHeaders({ 'Content-Type': 'application/json' }),
                 body: JSON.stringify({ category: category})
             });
 
@@ -140,11 +188,109 @@ function Note({ id, name, noteId, onDelete, editingNote, editingTask, editingDat
 
             endEditing();
         } catch (error) {
-            alert('Failed to update task, please try again later');
+            showToast('Failed to update task, please try again later');
             console.error('Error updating task:', error);
         }
     };
 
+    // UPDATE specific task's repeat rule on server (null stops it repeating)
+    const updateTaskRecurrence = async (taskId, recurrence) => {
+        try {
+            const resp = await fetch(`https://todogotchi-release-server.vercel.app/tasks/${taskId}`, {
+                method: 'PATCH',
+                headers: authHeaders({ 'Content-Type': 'application/json' }),
+                body: JSON.stringify({ recurrence: recurrence })
+            });
+
+            if (!resp.ok) {
+                throw new Error(`Error: ${resp.status} ${resp.statusText}`);
+            }
+
+            const { task: updatedTask } = await resp.json();
+
+            // update Tasks
+            setTasks((prevTasks) => prevTasks.map((task) => (task._id === taskId ? updatedTask : task)));
+        } catch (error) {
+            showToast('Failed to update task, please try again later');
+            console.error('Error updating task:', error);
+        }
+    };
+
+    // swap in a task the server sent back after changing it
+    const replaceTask = (updatedTask) => {
+        setTasks((prevTasks) => prevTasks.map((task) => (task._id === updatedTask._id ? updatedTask : task)));
+    };
+
+    // POST new subtask to the bottom of a task's checklist
+    const addSubtask = async (taskId, subtaskName) => {
+        try {
+            const resp = await fetch(`https://todogotchi-release-server.vercel.app/tasks/${taskId}/subtasks`, {
+                method: 'POST',
+                headers: authHeaders({ 'Content-Type': 'application/json' }),
+                body: JSON.stringify({ name: subtaskName })
+            });
+
+            if (!resp.ok) {
+                throw new Error(`Error: ${resp.status} ${resp.statusText}`);
+            }
+
+            replaceTask(await resp.json());
+        } catch (error) {
+            showToast('Failed to add subtask, please try again later');
+            console.error('Error adding subtask:', error);
+        }
+    };
+
+    // UPDATE subtask status on server -- the server pays out part of the task's points
+    const updateSubtaskStatus = async (checked, taskId, subtaskId) => {
+        try {
+            const { task, pet, achievements } = await saveSubtaskStatus(taskId, subtaskId, checked);
+            replaceTask(task);
+            if (pet) {
+                onPetChange(pet);
+            }
+
+            // levelling the pet up can unlock a badge
+            if (achievements && onAchievements) {
+                onAchievements(achievements);
+            }
+        } catch (error) {
+            showToast('Failed to update subtask, please try again later');
+            console.error('Error updating subtask:', error);
+        }
+    };
+
+    // DELETE subtask from server
+    const deleteSubtask = async (taskId, subtaskId) => {
+        try {
+            const { task, pet } = await removeSubtask(taskId, subtaskId);
+            replaceTask(task);
+            if (pet) {
+                onPetChange(pet);
+            }
+        } catch (error) {
+            showToast('Failed to delete subtask, please try again later');
+            console.error('Error deleting subtask:', error);
+        }
+    };
+
+    // PUT new task order to server -- shown right away, put back if the server says no
+    const reorderTasks = async (reordered) => {
+        const previous = tasks;
+        setTasks(reordered);
+
+        try {
+            await saveOrder(`https://todogotchi-release-server.vercel.app/tasks/${noteId}/order`, reordered);
+        } catch (error) {
+            setTasks(previous);
+            showToast('Failed to reorder tasks, please try again later');
+            console.error('Error reordering tasks:', error);
+        }
+    };
+
+    // drag a task onto another to move it there
+    const { dragProps, draggingId } = useDragReorder('task', tasks, reorderTasks);
+
     // when 'enter' is pressed while editing a task
     const handleTaskEnter = (e) => {
         if (e.key === 'Enter') {
@@ -166,7 +312,7 @@ function Note({ id, name, noteId, onDelete, editingNote, editingTask, editingDat
     // fetch tasks from server
     useEffect(() => {
         fetchTasks();
-    }, [deletingTask, editingCategory]); // TODO: may have to add stuff here?
+    }, [deletingTask, editingCategory, tasksVersion]); // TODO: may have to add stuff here?
 
     useEffect(() => {
         const handleOutsideClick = (event) => {
@@ -216,24 +362,39 @@ function Note({ id, name, noteId, onDelete, editingNote, editingTask, editingDat
             </div>
             {tasks.map((task) => {
                 return (
-                    <Task
+                    <div
                         key={task._id}
-                        id={task._id}
-                        status={task.status}
-                        taskText={task.name}
-                        startDate={task.creationDate}
-                        dueDate={task.dueDate}
-                        category={task.category}
-                        editingTask={editingTask && (task._id === id) ? true : false}
-                        onEditTask={updateTaskName}
-                        editingDate={editingDate && (task._id === id) ? true : false}
-                        onEditDate={updateTaskDueDate}
-                        editingCategory={editingCategory && (task._id === id) ? true : false}
-                        onEditCategory={updateTaskCategory}
-                        endEditing={endEditing}
-                        points={points}
-                        onCheckboxChange={handleCheckedBox}
-                    />
+                        className={[draggingId === task._id && 'dragging', selectedTasks.includes(task._id) && 'task-selected'].filter(Boolean).join(' ')}
+                        onClickCapture={(e) => handleTaskClick(e, task._id)}
+                        onMouseDown={(e) => e.shiftKey && e.preventDefault()} // no text selection on shift-click
+                        {...dragProps(task._id)}
+                    >
+                        <Task
+                            id={task._id}
+                            status={task.status}
+                            taskText={task.name}
+                            startDate={task.creationDate}
+                            dueDate={task.dueDate}
+                            category={task.category}
+                            recurrence={task.recurrence}
+                            subtasks={task.subtasks}
+                            editingTask={editingTask && (task._id === id) ? true : false}
+                            onEditTask={updateTaskName}
+                            editingDate={editingDate && (task._id === id) ? true : false}
+                            onEditDate={updateTaskDueDate}
+                            editingCategory={editingCategory && (task._id === id) ? true : false}
+                            onEditCategory={updateTaskCategory}
+                            editingRepeat={editingRepeat && (task._id === id) ? true : false}
+                            onEditRepeat={updateTaskRecurrence}
+                            addingSubtask={addingSubtask && (task._id === id) ? true : false}
+                            onAddSubtask={addSubtask}
+                            onSubtaskCheckboxChange={updateSubtaskStatus}
+                            onDeleteSubtask={deleteSubtask}
+                            endEditing={endEditing}
+                            points={points}
+                            onCheckboxChange={handleCheckedBox}
+                        />
+                    </div>
                 )
             })}
             {creatingTask && (
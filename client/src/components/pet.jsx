@@ -1,35 +1,102 @@
-import React, { useState } from 'react'
+import React, { useEffect, useReducer, useRef, useState } from 'react'
 import '../css/pet.css'
 import { PetFactory } from './petFactories'
+import { getAccessoryLayers } from './accessories'
+import { needInfo, getLowestNeed } from './needs-bar'
+import { hasOverdueTasks } from '../utils/tasks'
+import { useGameConfig } from '../utils/gameConfig'
+import {
+  EVENT_DURATIONS,
+  initialAnimation,
+  petAnimationReducer,
+  getAnimationState,
+  getRestingState,
+  getPetEvent,
+  CARE_EVENTS
+} from '../utils/petAnimation'
 
-import FroggieA from '../assets/FroggieA.png'
-import FroggieB from '../assets/FroggieB.png'
-import FroggieC from '../assets/FroggieC.png'
-import SharkieA from '../assets/SharkieA.png'
-import SharkieB from '../assets/SharkieB.png'
-import SharkieC from '../assets/SharkieC.png'
-import KittieA from '../assets/KittieA.png'
-import KittieB from '../assets/KittieB.png'
-import KittieC from '../assets/KittieC.png'
-
-const assetMap = {
-  Sharkie: [SharkieA, SharkieB, SharkieC],
-  Froggie: [FroggieA, FroggieB, FroggieC],
-  Kittie: [KittieA, KittieB, KittieC]
+// how every pet moves in each animation state -- species override some below (see pet.css)
+const defaultMoves = {
+  idle: 'bob',
+  happy: 'bounce',
+  sad: 'droop',
+  sleeping: 'sleep',
+  eating: 'chomp',
+  playing: 'play',
+  celebrating: 'spin'
 }
 
-const getLevelIndex = (level) => {
-  if (level <= 8) return 0
-  if (level <= 12) return 1
-  return 2
+// each species' own way of moving (what they look like comes from PetFactory)
+const speciesMoves = {
+  Sharkie: { idle: 'swim', happy: 'swim-fast' },
+  Froggie: { happy: 'hop', playing: 'hop', celebrating: 'hop-high' },
+  Kittie: { idle: 'breathe', happy: 'wiggle', playing: 'pounce' }
 }
 
-// Currently variants include Sharkie, Kittie, Froggie
-const PetIcon = ({ name, level, exp, page, variant = 'Sharkie' }) => {
+// little extra shown over the pet in some states
+const stateEffects = {
+  sleeping: '💤',
+  eating: '😋',
+  playing: '🎾',
+  celebrating: '🎉'
+}
+
+// Currently variants include Sharkie, Kittie, Froggie -- evolutions are the branches it took when it evolved,
+// accessories are the shop accessories it's wearing, careAction is the last care action done ({ action, id })
+const PetIcon = ({ id, name, level, exp, page, variant = 'Sharkie', needs, evolutions, accessories, careAction }) => {
   const [isJumping, setIsJumping] = useState(false)
+  const [hasOverdue, setHasOverdue] = useState(false)
+  const [animation, dispatch] = useReducer(petAnimationReducer, initialAnimation)
+
+  const moves = speciesMoves[variant] || speciesMoves['Sharkie']
+  const { evolutionLevels } = useGameConfig()
+  const { petImage, formName, variantClass } = PetFactory(variant, level, evolutions, evolutionLevels)
+  const { backdrop, layers } = getAccessoryLayers(variant, level, accessories, evolutionLevels)
+
+  // overdue tasks make the pet sad -- checked again whenever its points change
+  useEffect(() => {
+    if (!id) return
+
+    hasOverdueTasks()
+      .then(setHasOverdue)
+      .catch((error) => console.error('Failed to check overdue tasks:', error))
+  }, [id, exp])
+
+  // settle into whatever its needs and tasks say
+  useEffect(() => {
+    dispatch({ type: 'rest', state: getRestingState({ needs, hasOverdue }) })
+  }, [needs, hasOverdue])
+
+  // react to points earned or lost since the last render
+  const previous = useRef(null)
+  useEffect(() => {
+    const current = { id, level, points: exp }
+    const event = getPetEvent(previous.current, current)
+    previous.current = current
 
-  const levelIndex = getLevelIndex(level)
-  const petImage = assetMap[variant]?.[levelIndex] || assetMap['Sharkie'][0]
+    if (event) {
+      dispatch({ type: 'event', state: event })
+    }
+  }, [id, level, exp])
+
+  // being fed, played with or put to sleep -- a new id plays it again
+  useEffect(() => {
+    if (careAction && CARE_EVENTS[careAction.action]) {
+      dispatch({ type: 'event', state: CARE_EVENTS[careAction.action] })
+    }
+  }, [careAction])
+
+  // events only play for a moment
+  useEffect(() => {
+    if (!animation.playing) return
+
+    const eventId = animation.eventId
+    const timer = setTimeout(() => dispatch({ type: 'done', eventId }), EVENT_DURATIONS[animation.playing])
+    return () => clearTimeout(timer)
+  }, [animation.playing, animation.eventId])
+
+  const state = getAnimationState(animation)
+  const move = moves[state] || defaultMoves[state]
 
   //  jump when pet is clicked
   const handleJump = () => {
@@ -41,21 +108,36 @@ const PetIcon = ({ name, level, exp, page, variant = 'Sharkie' }) => {
 
   const sizeClass = page === 'Landing' ? 'pet-large' : 'pet-small'
 
+  // let the user know when the pet needs some attention (unless it's already showing it)
+  const lowestNeed = stateEffects[state] ? null : getLowestNeed(needs)
+
   return (
-    <div className={`pet-container ${sizeClass}`}>
+    <div className={`pet-container ${sizeClass} ${variantClass}`} data-state={state}>
       <div className="pet-image-container">
-        <img
-          src={petImage}
-          alt={`Pet - ${name}`}
-          className={`pet-image ${isJumping ? 'jump' : ''}`}
-          onClick={handleJump}
-        />
+        {backdrop && <div className={`pet-backdrop pet-backdrop-${backdrop}`}></div>}
+        {/* accessories move with the pet, so they share its animation */}
+        <div className={`pet-figure ${isJumping ? 'jump' : `pet-anim-${move}`}`} onClick={handleJump}>
+          <img src={petImage} alt={`Pet - ${name}`} className="pet-image" />
+          {layers.map(({ id: accessory, glyph, style }) => (
+            <span key={accessory} className={`pet-accessory pet-accessory-${accessory}`} style={style}>
+              {glyph}
+            </span>
+          ))}
+        </div>
         <div className="pet-shadow"></div>
+        {stateEffects[state] && (
+          <span className={`pet-state-effect pet-effect-${state}`}>{stateEffects[state]}</span>
+        )}
+        {lowestNeed && (
+          <span className="pet-need-badge" title={`${name} is ${needInfo[lowestNeed].mood}`}>
+            {needInfo[lowestNeed].icon}
+          </span>
+        )}
       </div>
       {page === 'Landing' && (
         <>
           <h2 className="pet-name">{name}</h2>
-          <h5 className="pet-level">Level: {level}</h5>
+          <h5 className="pet-level">Level: {level} · {formName}</h5>
         </>
       )}
     </div>
@@ -1,16 +1,66 @@
-export const PetFactory = (variant, level) => {
-    let petImage = '';
-    let isSpecial = false;
-  
-    if (level >= 0 && level <= 8) {
-      petImage = `../../public/${variant}A.png`;
-    } else if (level >= 9 && level <= 12) {
-      petImage = `../../public/${variant}B.png`;
-    } else if (level >= 13) {
-      petImage = `../../public/${variant}C.png`;
-      isSpecial = true; // special behavior tbd -- maybe powers? idk
-    }
-  
-    return { petImage, isSpecial };
-  };
-  
\ No newline at end of file
+import FroggieA from '../assets/FroggieA.png'
+import FroggieB from '../assets/FroggieB.png'
+import FroggieC from '../assets/FroggieC.png'
+import SharkieA from '../assets/SharkieA.png'
+import SharkieB from '../assets/SharkieB.png'
+import SharkieC from '../assets/SharkieC.png'
+import KittieA from '../assets/KittieA.png'
+import KittieB from '../assets/KittieB.png'
+import KittieC from '../assets/KittieC.png'
+import { getGameConfig } from '../utils/gameConfig'
+
+// every pet starts as an egg-fresh baby (stage 0) and evolves twice
+const stageArt = {
+  Sharkie: [SharkieA, SharkieB, SharkieC],
+  Froggie: [FroggieA, FroggieB, FroggieC],
+  Kittie: [KittieA, KittieB, KittieC]
+}
+
+// what each species is called on each branch (the server picks the branch from how the pet was raised).
+// there's no art per branch -- every branch is drawn with the stage art under its own tint (see .pet-variant-* in pet.css)
+export const branchForms = {
+  Sharkie: {
+    classic: { name: 'Sharkie' },
+    brawny: { name: 'Hammerhead' },
+    punctual: { name: 'Clockfin' },
+    blazing: { name: 'Firefin' }
+  },
+  Froggie: {
+    classic: { name: 'Froggie' },
+    brawny: { name: 'Bullfrog' },
+    punctual: { name: 'Tickfrog' },
+    blazing: { name: 'Emberfrog' }
+  },
+  Kittie: {
+    classic: { name: 'Kittie' },
+    brawny: { name: 'Lionheart' },
+    punctual: { name: 'Whiskerwatch' },
+    blazing: { name: 'Blazecat' }
+  }
+}
+
+// 0 before the first evolution, then 1 and 2 -- evolutionLevels come from the server's game config
+export const getStage = (level, evolutionLevels = getGameConfig().evolutionLevels) =>
+  evolutionLevels.filter((evolveLevel) => level >= evolveLevel).length
+
+// what a pet looks like at its level, given the branches it took at each evolution
+export const PetFactory = (variant, level, evolutions = [], evolutionLevels = getGameConfig().evolutionLevels) => {
+  const species = stageArt[variant] ? variant : 'Sharkie'
+  const stage = getStage(level, evolutionLevels)
+
+  // a stage added in the game config before its art keeps the last stage's look
+  const stageImage = stageArt[species][Math.min(stage, stageArt[species].length - 1)]
+
+  // babies haven't branched yet
+  const evolution = stage > 0 ? evolutions.find((evolved) => evolved.tier === stage) : null
+  const branch = evolution && branchForms[species][evolution.branch] ? evolution.branch : 'classic'
+
+  return {
+    petImage: stageImage,
+    stage,
+    branch,
+    formName: branchForms[species][branch].name,
+    variantClass: branch === 'classic' ? '' : `pet-variant-${branch}`,
+    isSpecial: stage === evolutionLevels.length // special behavior tbd -- maybe powers? idk
+  }
+}
@@ -2,18 +2,14 @@ import React from 'react'
 import PropTypes from 'prop-types'
 import '../css/progress-bar.css'
 import '../css/index.css'
-
-const BASE_EXP = 100
-const EXPONENT = 1.5
-
-const calculateRequiredExp = (level) => {
-  return BASE_EXP * Math.pow(level, EXPONENT)
-}
+import { useGameConfig, getRequiredExp } from '../utils/gameConfig'
 
 const ProgressBar = ({ currentExp, level, page }) => {
   // console.log('ProgressBar re-rendered with:', currentExp, level)
 
-  const maxExp = calculateRequiredExp(level)
+  // the curve comes from the server (GET /game/config)
+  const config = useGameConfig()
+  const maxExp = getRequiredExp(level, config)
 
   // Determine the class based on the page prop
   const className =
@@ -0,0 +1,103 @@
+// Import native stuff
+import React, { useState } from 'react';
+import { useToast } from './toast';
+
+// Import styling sheets
+import '../css/repeat-picker.css';
+
+// what each repeat frequency looks like in the dropdown
+const frequencyLabels = {
+    none: "Don't repeat",
+    daily: 'Every day',
+    weekdays: 'Every weekday',
+    weekly: 'Weekly on...',
+    interval: 'Every N days',
+    monthly: 'Every month'
+};
+
+const dayLabels = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+
+function RepeatPicker({ top, left, recurrence, onPress }) {
+    const { showToast } = useToast();
+
+    // Local States
+    const [frequency, setFrequency] = useState(recurrence ? recurrence.frequency : 'none');
+    const [repeatInterval, setRepeatInterval] = useState(recurrence ? recurrence.interval : 2);
+    const [daysOfWeek, setDaysOfWeek] = useState(
+        recurrence && recurrence.daysOfWeek.length > 0 ? recurrence.daysOfWeek : [new Date().getDay()]
+    );
+
+    // turn a day on/off for weekly repeats
+    const toggleDay = (day) => {
+        setDaysOfWeek((prevDays) =>
+            prevDays.includes(day) ? prevDays.filter((d) => d !== day) : [...prevDays, day].sort()
+        );
+    };
+
+    // when submit button is pressed, hand the rule (or null to stop repeating) to the parent
+    const handleSubmit = () => {
+        if (frequency === 'none') {
+            onPress(null);
+            return;
+        }
+
+        if (frequency === 'weekly' && daysOfWeek.length === 0) {
+            showToast('Pick at least one day to repeat on');
+            return;
+        }
+
+        onPress({
+            frequency,
+            interval: frequency === 'interval' ? Math.max(1, parseInt(repeatInterval, 10) || 1) : 1,
+            daysOfWeek: frequency === 'weekly' ? daysOfWeek : [],
+            timezoneOffset: new Date().getTimezoneOffset() // so the server knows what "monday" means for us
+        });
+    };
+
+    // return repeat picker UI
+    return (
+        <div className='repeat-menu' style={{ top: top, left: left }}>
+            <label>Repeat</label>
+            <select
+                value={frequency}
+                onChange={(e) => setFrequency(e.target.value)}
+                className='repeat-select'
+                aria-label='Repeat frequency'
+            >
+                {Object.entries(frequencyLabels).map(([value, label]) => (
+                    <option value={value} key={value}>{label}</option>
+                ))}
+            </select>
+            {frequency === 'interval' && (
+                <div className='repeat-interval-wrapper'>
+                    <span>every</span>
+                    <input
+                        type='number'
+                        min='1'
+                        value={repeatInterval}
+                        onChange={(e) => setRepeatInterval(e.target.value)}
+                        className='repeat-interval-box'
+                        aria-label='Days between repeats'
+                    />
+                    <span>days</span>
+                </div>
+            )}
+            {frequency === 'weekly' && (
+                <div className='repeat-days-wrapper'>
+                    {dayLabels.map((label, day) => (
+                        <div
+                            key={day}
+                            className={['repeat-day', daysOfWeek.includes(day) && 'selected'].filter(Boolean).join(' ')}
+                            onClick={() => toggleDay(day)}
+                        >
+                            {label}
+                        </div>
+                    ))}
+                </div>
+            )}
+            <button className='date-submit-button' onClick={handleSubmit}>Set Repeat</button>
+        </div>
+    );
+};
+
+export default RepeatPicker;
@@ -0,0 +1,35 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import '../css/streak.css'
+
+const plural = (days) => `${days} ${days === 1 ? 'day' : 'days'}`
+
+// current and best streak -- the flame is dim until a task is done today, and broken once a day is missed
+const StreakFlame = ({ current, best, activeToday, lost }) => {
+  const broken = current === 0 && lost > 0
+  const state = broken ? 'broken' : activeToday ? 'lit' : 'waiting'
+
+  const hint = {
+    lit: 'Streak kept today!',
+    waiting: current > 0 ? 'Finish a task today to keep your streak' : 'Finish a task to start a streak',
+    broken: `${lost}-day streak lost -- start a new one today`
+  }[state]
+
+  return (
+    <div className={`streak-container streak-${state}`} title={hint}>
+      <span className="streak-flame" aria-hidden="true">🔥</span>
+      <span className="streak-current">{plural(current)}</span>
+      <span className="streak-best">Best: {plural(best)}</span>
+      {broken && <span className="streak-lost">{lost}-day streak lost</span>}
+    </div>
+  )
+}
+
+StreakFlame.propTypes = {
+  current: PropTypes.number.isRequired,
+  best: PropTypes.number.isRequired,
+  activeToday: PropTypes.bool,
+  lost: PropTypes.number
+}
+
+export default StreakFlame
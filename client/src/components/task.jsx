@@ -4,12 +4,19 @@ import React, { useState, useEffect, useRef } from 'react';
 // import our components
 import { TaskProgressBar } from './taskProgressBar';
 import DateTimePicker from '../components/dateTime';
+import RepeatPicker from '../components/repeatPicker';
+import { useToast } from './toast';
+import { useCategories, findCategory, categoryBorder, categoryLabel } from '../utils/categories';
 
 // import styling sheets
 import '../css/task.css';
 import '../css/dateTime.css';
 
-export const Task = ({ taskText, id, status, startDate, dueDate, category, editingTask, onEditTask, editingDate, onEditDate, editingCategory, onEditCategory, endEditing, points, onCheckboxChange }) => {
+export const Task = ({ taskText, id, status, startDate, dueDate, category, recurrence, subtasks = [], editingTask, onEditTask, editingDate, onEditDate, editingCategory, onEditCategory, editingRepeat, onEditRepeat, addingSubtask, onAddSubtask, onSubtaskCheckboxChange, onDeleteSubtask, endEditing, points, onCheckboxChange }) => {
+    const { showToast } = useToast();
+    const categories = useCategories();
+    const taskCategory = findCategory(categories, category);
+
     //console.log("Task: ", taskText, id);
     //console.log("date: ", editingDate);
 
@@ -17,6 +24,8 @@ export const Task = ({ taskText, id, status, startDate, dueDate, category, editi
     const [checked, setChecked] = useState(false);
     const [taskName, setTaskName] = useState(taskText);
     const [dueDateCopy, setDueDateCopy] = useState(dueDate); //fixes issue of progress bar not loading when initially set
+    const [expanded, setExpanded] = useState(false); // whether the subtask checklist is open
+    const [subtaskInput, setSubtaskInput] = useState('');
 
     // currently unused but may readd later
     const [changeInPoints, setChangeInPoints] = useState(0);
@@ -29,16 +38,27 @@ export const Task = ({ taskText, id, status, startDate, dueDate, category, editi
         }
     }
 
+    // when 'enter' is pressed while adding a subtask, add it and stay open for the next one
+    const handleSubtaskEnter = (e) => {
+        if (e.key === 'Enter' && subtaskInput.trim()) {
+            onAddSubtask(id, subtaskInput);
+            setSubtaskInput('');
+        } else if (e.key === 'Escape') {
+            setSubtaskInput('');
+            endEditing();
+        }
+    };
+
     // when date change button is pushed, update the date
     const handleDateEnter = (enteredDate) => {
         console.log("running handleDateEnter");
         let localStart = new Date(startDate); //startDate is in UTC time zone
         endEditing();
         if (enteredDate == "T:00") {
-            alert("no date entered.");
+            showToast("no date entered.");
             console.log("no date");
         } else if (enteredDate < localStart) {
-            alert("Cannot set due date in the past.");
+            showToast("Cannot set due date in the past.");
             console.log("bad date");
             console.log("start: ", startDate);
             console.log("local start: ", localStart);
@@ -54,22 +74,34 @@ export const Task = ({ taskText, id, status, startDate, dueDate, category, editi
     const isFirstRender = useRef(true) ;
 
     // when the checkbox is clicked
-    const handleChange = (event) => {
+    const handleChange = async (event) => {
         const isChecked = event.target.checked;
         setChecked(isChecked); // directly use event's value
-        onCheckboxChange(isChecked, id); // notify parent
+        const saved = await onCheckboxChange(isChecked, id); // notify parent
+        if (saved === false) {
+            setChecked(!isChecked); // server rejected the change, put the box back
+        }
     };
 
-    // conversion of category to css styling
-    const catToColor = {
-        easy: '5px solid green',
-        medium: '5px solid orange',
-        hard: '5px solid red'
-    };
-    
+    // follow the status when it's changed from outside the checkbox (e.g. a bulk action)
     useEffect(() => {
         setChecked(status === 'pending' ? false : true)
-    }, []);
+    }, [status]);
+
+    useEffect(() => {
+        setDueDateCopy(dueDate);
+    }, [dueDate]);
+
+    // open the checklist when the user starts adding subtasks
+    useEffect(() => {
+        if (addingSubtask) {
+            setExpanded(true);
+        }
+    }, [addingSubtask]);
+
+    // how much of the checklist is done
+    const completedSubtasks = subtasks.filter((subtask) => subtask.status === 'completed').length;
+    const subtaskProgress = subtasks.length > 0 ? (completedSubtasks / subtasks.length) * 100 : 0;
 
     // return Task UI
     return (
@@ -94,7 +126,10 @@ export const Task = ({ taskText, id, status, startDate, dueDate, category, editi
                         className="task-input-edit" 
                   />
                 ) : (
-                    <p className={`${checked ? "task-text-completed" : "task-text"}`} id={id}>{taskName}</p>
+                    <p className={`${checked ? "task-text-completed" : "task-text"}`} id={id}>
+                        {taskName}
+                        {recurrence && <span className='repeat-indicator' title='Repeats' id={id}>↻</span>}
+                    </p>
                 )}
                 {dueDateCopy && (
                     <TaskProgressBar 
@@ -103,16 +138,72 @@ export const Task = ({ taskText, id, status, startDate, dueDate, category, editi
                         id={id}
                     />
                 )}
+                {(subtasks.length > 0 || addingSubtask) && (
+                    <div className='subtask-container' id={id}>
+                        <div className='subtask-summary' onClick={() => setExpanded(!expanded)} id={id}>
+                            <span className='subtask-toggle' id={id}>{expanded ? '▾' : '▸'}</span>
+                            <div className='subtask-progress-background' id={id}>
+                                <div className='subtask-progress' style={{ width: `${subtaskProgress}%` }} id={id}></div>
+                            </div>
+                            <span className='subtask-count' id={id}>{completedSubtasks}/{subtasks.length}</span>
+                        </div>
+                        {expanded && (
+                            <div className='subtask-list' id={id}>
+                                {subtasks.map((subtask) => (
+                                    <div className='subtask-row' key={subtask._id} id={id}>
+                                        <input
+                                            type="checkbox"
+                                            className='checkbox subtask-checkbox'
+                                            checked={subtask.status === 'completed'}
+                                            onChange={(e) => onSubtaskCheckboxChange(e.target.checked, id, subtask._id)}
+                                            aria-label={subtask.name}
+                                            id={id}
+                                        />
+                                        <p className={subtask.status === 'completed' ? 'task-text-completed' : 'task-text'} id={id}>
+                                            {subtask.name}
+                                        </p>
+                                        <span
+                                            className='subtask-delete'
+                                            onClick={() => onDeleteSubtask(id, subtask._id)}
+                                            title='Delete step'
+                                            id={id}
+                                        >
+                                            ×
+                                        </span>
+                                    </div>
+                                ))}
+                                {addingSubtask && (
+                                    <input
+                                        type="text"
+                                        placeholder="add a step"
+                                        className="task-input subtask-input"
+                                        value={subtaskInput}
+                                        onChange={(e) => setSubtaskInput(e.target.value)}
+                                        onKeyDown={handleSubtaskEnter}
+                                        autoFocus
+                                    />
+                                )}
+                            </div>
+                        )}
+                    </div>
+                )}
             </div>
             {editingCategory ? (
                 <div className='category-list'>
-                    <div className='category-button easy' onClick={() => {onEditCategory(id, "easy")}}>easy</div>
-                    <div className='category-button medium' onClick={() => {onEditCategory(id, "medium")}}>medium</div>
-                    <div className='category-button hard' onClick={() => {onEditCategory(id, "hard")}}>hard</div>
+                    {categories.map((option) => (
+                        <div
+                            key={option._id}
+                            className='category-button'
+                            style={{ backgroundColor: option.color }}
+                            onClick={() => {onEditCategory(id, option._id)}}
+                        >
+                            {categoryLabel(option)}
+                        </div>
+                    ))}
                 </div>
             ) : (
                 <div style={{alignItem: 'center'}}> 
-                    <div className='category-indicator' style={{ border: catToColor[category] }}></div>
+                    <div className='category-indicator' style={{ border: categoryBorder(taskCategory) }} title={taskCategory?.name}></div>
                 </div>
             )}
             {editingDate && (
@@ -125,6 +216,17 @@ export const Task = ({ taskText, id, status, startDate, dueDate, category, editi
                     actionOnInvalid={endEditing}
                 />
             )}
+            {editingRepeat && (
+                <RepeatPicker
+                    left={points.x}
+                    top={points.y}
+                    recurrence={recurrence}
+                    onPress={(rule) => {
+                        onEditRepeat(id, rule);
+                        endEditing();
+                    }}
+                />
+            )}
         </div>
     )
 }
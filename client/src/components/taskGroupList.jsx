@@ -0,0 +1,104 @@
+// Import native stuff
+import React from 'react';
+
+// Import our Components
+import { Task } from './task';
+
+// Import styling sheets
+import '../css/note.css';
+import '../css/task-group-list.css';
+
+// local calendar day of a date, e.g. 2025-01-31
+const dayKey = (date) => `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+
+// heading for a day -- "Today", "Tomorrow" or e.g. "Friday, Jan 31"
+const dayLabel = (date, now) => {
+    const tomorrow = new Date(now);
+    tomorrow.setDate(now.getDate() + 1);
+
+    if (dayKey(date) === dayKey(now)) {
+        return 'Today';
+    }
+    if (dayKey(date) === dayKey(tomorrow)) {
+        return 'Tomorrow';
+    }
+    return date.toLocaleDateString(undefined, { weekday: 'long', month: 'short', day: 'numeric' });
+};
+
+// split tasks into pending ones that are past due and the rest grouped by (local) due day, in date order
+export const groupTasksByDay = (tasks, now = new Date()) => {
+    const overdue = [];
+    const days = new Map();
+
+    const dated = tasks
+        .filter((task) => task.dueDate)
+        .sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
+
+    for (const task of dated) {
+        const due = new Date(task.dueDate);
+        if (task.status === 'pending' && due < now) {
+            overdue.push(task);
+            continue;
+        }
+
+        const key = dayKey(due);
+        if (!days.has(key)) {
+            days.set(key, { key, label: dayLabel(due, now), tasks: [] });
+        }
+        days.get(key).tasks.push(task);
+    }
+
+    return { overdue, days: [...days.values()] };
+};
+
+function TaskGroupList({ tasks, now, emptyText, onCheckboxChange, onSubtaskCheckboxChange, onDeleteSubtask }) {
+    const { overdue, days } = groupTasksByDay(tasks, now);
+
+    // same Task as on the note page, just without the right-click editing
+    const renderTask = (task) => (
+        <Task
+            key={task._id}
+            id={task._id}
+            status={task.status}
+            taskText={task.name}
+            startDate={task.creationDate}
+            dueDate={task.dueDate}
+            category={task.category}
+            recurrence={task.recurrence}
+            subtasks={task.subtasks}
+            editingTask={false}
+            editingDate={false}
+            editingCategory={false}
+            editingRepeat={false}
+            addingSubtask={false}
+            onSubtaskCheckboxChange={onSubtaskCheckboxChange}
+            onDeleteSubtask={onDeleteSubtask}
+            endEditing={() => {}}
+            points={{ x: 0, y: 0 }}
+            onCheckboxChange={onCheckboxChange}
+        />
+    );
+
+    // return list UI -- overdue always pinned to the top
+    return (
+        <div className="task-groups">
+            {overdue.length > 0 && (
+                <div className="note-container task-group overdue-group">
+                    <h4>Overdue</h4>
+                    {overdue.map(renderTask)}
+                </div>
+            )}
+            {days.map((day) => (
+                <div className="note-container task-group" key={day.key}>
+                    <h4>{day.label}</h4>
+                    {day.tasks.map(renderTask)}
+                </div>
+            ))}
+            {overdue.length === 0 && days.length === 0 && (
+                <p className="task-groups-empty">{emptyText}</p>
+            )}
+        </div>
+    );
+}
+
+export default TaskGroupList;
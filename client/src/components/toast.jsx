@@ -0,0 +1,127 @@
+// Import native stuff
+import React, { createContext, useCallback, useContext, useEffect, useRef, useState } from 'react';
+
+// Import styling sheets
+import '../css/toast.css';
+
+// how long a toast stays up (and how long Undo is offered for)
+const DEFAULT_DURATION = 4000;
+
+// outside a ToastProvider (e.g. a component rendered on its own) messages just go to the console
+const ToastContext = createContext({
+    showToast: (message) => console.warn(message),
+    delayWithUndo: (message, commit) => Promise.resolve(commit())
+});
+
+// showToast(message, options) and delayWithUndo(message, commit, key) for any component
+export const useToast = () => useContext(ToastContext);
+
+// app-wide toasts -- wrap the app in this once
+export function ToastProvider({ children }) {
+    // Local States
+    const [toasts, setToasts] = useState([]);
+
+    const nextId = useRef(0);
+    const timers = useRef(new Map()); // toast id -> timeout
+    const expiring = useRef(new Map()); // toast id -> onExpire still waiting to run
+    const undoable = useRef(new Map()); // delayWithUndo key -> { id, cancel }
+
+    const removeToast = useCallback((id) => {
+        clearTimeout(timers.current.get(id));
+        timers.current.delete(id);
+        setToasts((prevToasts) => prevToasts.filter((toast) => toast.id !== id));
+    }, []);
+
+    // toast timed out or was closed without pressing its action
+    const expireToast = useCallback((id) => {
+        const onExpire = expiring.current.get(id);
+        expiring.current.delete(id);
+        removeToast(id);
+        if (onExpire) {
+            onExpire();
+        }
+    }, [removeToast]);
+
+    // show a message, optionally with an action (e.g. Undo) -- onExpire runs if the action isn't pressed.
+    // variant styles it differently (e.g. 'achievement')
+    const showToast = useCallback((message, { actionLabel, onAction, onExpire, variant, duration = DEFAULT_DURATION } = {}) => {
+        const id = nextId.current++;
+        if (onExpire) {
+            expiring.current.set(id, onExpire);
+        }
+
+        setToasts((prevToasts) => [...prevToasts, { id, message, actionLabel, onAction, variant }]);
+        timers.current.set(id, setTimeout(() => expireToast(id), duration));
+        return id;
+    }, [expireToast]);
+
+    // hold off on commit until the Undo window closes. resolves to commit()'s result, or false if undone.
+    // a second change with the same key while the first is still waiting cancels them both out
+    const delayWithUndo = useCallback((message, commit, key) => {
+        if (key !== undefined && undoable.current.has(key)) {
+            const { id, cancel } = undoable.current.get(key);
+            undoable.current.delete(key);
+            expiring.current.delete(id);
+            removeToast(id);
+            cancel();
+            return Promise.resolve(true);
+        }
+
+        return new Promise((resolve) => {
+            const id = showToast(message, {
+                actionLabel: 'Undo',
+                onAction: () => {
+                    undoable.current.delete(key);
+                    resolve(false);
+                },
+                onExpire: () => {
+                    undoable.current.delete(key);
+                    resolve(commit());
+                }
+            });
+
+            if (key !== undefined) {
+                undoable.current.set(key, { id, cancel: () => resolve(false) });
+            }
+        });
+    }, [showToast, removeToast]);
+
+    // when the action is pressed, the toast goes away without expiring
+    const handleAction = (toast) => {
+        expiring.current.delete(toast.id);
+        removeToast(toast.id);
+        toast.onAction();
+    };
+
+    // don't lose changes still waiting on their Undo window if the app is closed
+    useEffect(() => {
+        const flush = () => {
+            for (const id of [...expiring.current.keys()]) {
+                expireToast(id);
+            }
+        };
+
+        window.addEventListener('beforeunload', flush);
+        return () => {
+            window.removeEventListener('beforeunload', flush);
+        };
+    }, [expireToast]);
+
+    // return toast UI
+    return (
+        <ToastContext.Provider value={{ showToast, delayWithUndo }}>
+            {children}
+            <div className="toast-stack" role="status">
+                {toasts.map((toast) => (
+                    <div className={toast.variant ? `toast toast-${toast.variant}` : 'toast'} key={toast.id}>
+                        <span className="toast-message">{toast.message}</span>
+                        {toast.actionLabel && (
+                            <span className="toast-action" onClick={() => handleAction(toast)}>{toast.actionLabel}</span>
+                        )}
+                        <span className="toast-close" onClick={() => expireToast(toast.id)} aria-label="Dismiss">×</span>
+                    </div>
+                ))}
+            </div>
+        </ToastContext.Provider>
+    );
+}
@@ -0,0 +1,123 @@
+// import native stuff
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import GridLayout from 'react-grid-layout';
+
+// import our components
+import Button from '../components/button';
+import PetIcon from '../components/pet';
+import ProgressBar from '../components/progress-bar';
+import Badge from '../components/badge';
+import { useToast } from '../components/toast';
+import { fetchAchievements } from '../utils/achievements';
+
+// import styling sheets
+import '../css/index.css';
+import '../css/folder.css';
+import '../css/folder-grid.css';
+import '../css/badge.css';
+
+// import custom icons
+import home_icon from '../assets/home_icon.svg';
+import folder_icon from '../assets/folder_icon.svg';
+
+// every badge -- the ones earned so far, then the ones still to go
+function AchievementsPage() {
+    const navigate = useNavigate();
+    const { showToast } = useToast();
+
+    // local states
+    const [earned, setEarned] = useState([]);
+    const [locked, setLocked] = useState([]);
+
+    // pet info
+    const [pet, setPet] = useState({
+        name: 'placeholder',
+        level: 0, // Example starting level
+        points: 0 // Example starting EXP
+    });
+
+    // layout for styling
+    const layoutFolder = [
+        { i: 'pet', x: 0, y: 0, w: 4, h: 2, static: true },
+        { i: 'title', x: 4, y: 0, w: 8, h: 1, static: true },
+        { i: 'buttons', x: 12, y: 0, w: 4, h: 1, static: true },
+        { i: 'progress', x: 4, y: 1, w: 12, h: 1, static: true }
+    ];
+    const gridProps = {
+        className: 'folder-grid',
+        layout: layoutFolder,
+        cols: 16,
+        rowHeight: 40,
+        width: 406
+    };
+
+    // pet comes from localStorage here -- nothing on this page changes it
+    useEffect(() => {
+        const pet = localStorage.getItem('pet');
+        if (pet) {
+            setPet(JSON.parse(pet));
+        }
+    }, [navigate]);
+
+    // GET badges from server
+    useEffect(() => {
+        fetchAchievements()
+            .then((data) => {
+                setEarned(data.earned);
+                setLocked(data.locked);
+            })
+            .catch((error) => {
+                showToast('Failed to fetch badges, please try again later');
+                console.error('Error fetching achievements:', error);
+            });
+    }, []);
+
+    // return page UI
+    return (
+        <div className="folder-page-container">
+            <GridLayout {...gridProps}>
+                <div key="pet" className="grid-item">
+                    <PetIcon id={pet._id} name={pet.name} level={pet.level} exp={pet.points} variant={pet.type} needs={pet.needs} evolutions={pet.evolutions} accessories={pet.accessories} page="Folder" />
+                </div>
+                <div key="title" className="grid-item">
+                    <h2>TODOGOTCHI</h2>
+                </div>
+                <div key="buttons" className="grid-item">
+                    <div className="button-container">
+                        <Button
+                            icon={
+                                <img src={folder_icon} alt="Folders Icon" style={{ width: '25px', height: '25px' }} />
+                            }
+                            onClick={() => navigate('/folder')}
+                            noOutline
+                            className="folder-button large-icon"
+                        />
+                        <Button
+                            icon={
+                                <img src={home_icon} alt="Home Icon" style={{ width: '25px', height: '25px' }} />
+                            }
+                            onClick={() => navigate('/landing')}
+                            noOutline
+                            className="folder-button large-icon"
+                        />
+                    </div>
+                </div>
+                <div key="progress" className="grid-item">
+                    <ProgressBar currentExp={pet.points} level={pet.level} page="Folder" />
+                </div>
+            </GridLayout>
+            <h3>Badges ({earned.length}/{earned.length + locked.length})</h3>
+            <div className="badge-list">
+                {earned.map((achievement) => (
+                    <Badge key={achievement.id} {...achievement} />
+                ))}
+                {locked.map((achievement) => (
+                    <Badge key={achievement.id} {...achievement} />
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default AchievementsPage;
@@ -0,0 +1,214 @@
+// import native stuff
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import GridLayout from 'react-grid-layout';
+
+// import our components
+import Button from '../components/button';
+import PetIcon from '../components/pet';
+import ProgressBar from '../components/progress-bar';
+import Calendar, { getCalendarDays, moveToDay } from '../components/calendar';
+import { useToast } from '../components/toast';
+import { authHeaders } from '../utils/auth';
+import { loadCategories } from '../utils/categories';
+import { queryTasks, saveTaskDueDate } from '../utils/tasks';
+
+// import styling sheets
+import '../css/index.css';
+import '../css/folder.css';
+import '../css/folder-grid.css';
+import '../css/task-group-list.css';
+import '../css/calendar.css';
+
+// import custom icons
+import home_icon from '../assets/home_icon.svg';
+import folder_icon from '../assets/folder_icon.svg';
+
+const layouts = { month: 'Month', week: 'Week' };
+
+// every task with a due date, laid out by day -- drag a task onto another day to reschedule it
+function CalendarPage() {
+    const navigate = useNavigate();
+    const { showToast } = useToast();
+
+    // local states
+    const [tasks, setTasks] = useState([]);
+    const [layout, setLayout] = useState('month');
+    const [anchor, setAnchor] = useState(new Date()); // any day inside the month/week being shown
+
+    // pet info
+    const [pet, setPet] = useState({
+        name: 'placeholder',
+        level: 0, // Example starting level
+        points: 0 // Example starting EXP
+    });
+
+    // layout for styling
+    const layoutFolder = [
+        { i: 'pet', x: 0, y: 0, w: 4, h: 2, static: true },
+        { i: 'title', x: 4, y: 0, w: 8, h: 1, static: true },
+        { i: 'buttons', x: 12, y: 0, w: 4, h: 1, static: true },
+        { i: 'progress', x: 4, y: 1, w: 12, h: 1, static: true }
+    ];
+    const gridProps = {
+        className: 'folder-grid',
+        layout: layoutFolder,
+        cols: 16,
+        rowHeight: 40,
+        width: 406
+    };
+
+    // FETCH PET FROM BACKEND -- TRIGGER AT PAGE LOAD
+    useEffect(() => {
+        const fetchPet = async () => {
+            try {
+                const response = await fetch('https://todogotchi-release-server.vercel.app/pets/active', { headers: authHeaders() });
+                if (!response.ok) {
+                    throw new Error(`Error: ${response.status} ${response.statusText}`);
+                }
+                const petData = await response.json();
+                localStorage.setItem('pet', JSON.stringify(petData));
+                setPet(petData);
+            } catch (error) {
+                console.error('Failed to fetch pet:', error);
+            }
+        };
+
+        fetchPet();
+    }, [navigate]);
+
+    // GET the user's categories -- tasks are colored and re-categorized with them
+    useEffect(() => {
+        loadCategories().catch((error) => console.error('Failed to load categories:', error));
+    }, []);
+
+    // GET every task due on one of the days on screen
+    useEffect(() => {
+        const fetchTasks = async () => {
+            try {
+                const days = getCalendarDays(anchor, layout);
+                const end = new Date(days[days.length - 1]);
+                end.setDate(end.getDate() + 1);
+
+                const data = await queryTasks({
+                    dueAfter: days[0].toISOString(),
+                    dueBefore: end.toISOString(),
+                    sortBy: 'dueDate',
+                    limit: 200
+                });
+                setTasks(data);
+            } catch (error) {
+                showToast('Failed to fetch tasks, please try again later');
+                console.error('Error fetching tasks:', error);
+            }
+        };
+
+        fetchTasks();
+    }, [anchor, layout]);
+
+    // step a month/week forward (1) or back (-1)
+    const step = (direction) => {
+        const next = new Date(anchor);
+        if (layout === 'month') {
+            next.setDate(1);
+            next.setMonth(next.getMonth() + direction);
+        } else {
+            next.setDate(next.getDate() + 7 * direction);
+        }
+        setAnchor(next);
+    };
+
+    // e.g. "January 2025" or "Jan 26 - Feb 1"
+    const getTitle = () => {
+        if (layout === 'month') {
+            return anchor.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+        }
+        const days = getCalendarDays(anchor, layout);
+        const format = (day) => day.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+        return `${format(days[0])} - ${format(days[6])}`;
+    };
+
+    // UPDATE a dropped task's due date on server -- moved right away, put back if the server says no
+    const rescheduleTask = async (taskId, day) => {
+        const task = tasks.find((task) => task._id === taskId);
+        if (!task) {
+            return;
+        }
+
+        const dueDate = moveToDay(task.dueDate, day);
+        if (dueDate < new Date(task.creationDate)) {
+            showToast('Cannot set due date in the past.');
+            return;
+        }
+
+        const setDueDate = (date) => {
+            setTasks((prevTasks) => prevTasks.map((t) => (t._id === taskId ? { ...t, dueDate: date } : t)));
+        };
+
+        setDueDate(dueDate.toISOString());
+        try {
+            await saveTaskDueDate(taskId, dueDate);
+        } catch (error) {
+            setDueDate(task.dueDate);
+            showToast('Failed to reschedule task, please try again later');
+            console.error('Error rescheduling task:', error);
+        }
+    };
+
+    // return page UI
+    return (
+        <div className="folder-page-container">
+            <GridLayout {...gridProps}>
+                <div key="pet" className="grid-item">
+                    <PetIcon id={pet._id} name={pet.name} level={pet.level} exp={pet.points} variant={pet.type} needs={pet.needs} evolutions={pet.evolutions} accessories={pet.accessories} page="Folder" />
+                </div>
+                <div key="title" className="grid-item">
+                    <h2>TODOGOTCHI</h2>
+                </div>
+                <div key="buttons" className="grid-item">
+                    <div className="button-container">
+                        <Button
+                            icon={
+                                <img src={folder_icon} alt="Folders Icon" style={{ width: '25px', height: '25px' }} />
+                            }
+                            onClick={() => navigate('/folder')}
+                            noOutline
+                            className="folder-button large-icon"
+                        />
+                        <Button
+                            icon={
+                                <img src={home_icon} alt="Home Icon" style={{ width: '25px', height: '25px' }} />
+                            }
+                            onClick={() => navigate('/landing')}
+                            noOutline
+                            className="folder-button large-icon"
+                        />
+                    </div>
+                </div>
+                <div key="progress" className="grid-item">
+                    <ProgressBar currentExp={pet.points} level={pet.level} page="Folder" />
+                </div>
+            </GridLayout>
+            <div className="view-tabs">
+                {Object.entries(layouts).map(([key, label]) => (
+                    <div
+                        key={key}
+                        className={`view-tab ${key === layout ? 'active' : ''}`}
+                        onClick={() => setLayout(key)}
+                    >
+                        {label}
+                    </div>
+                ))}
+                <div className="view-tab" onClick={() => setAnchor(new Date())}>Today</div>
+            </div>
+            <div className="calendar-controls">
+                <span className="calendar-nav" onClick={() => step(-1)}>‹</span>
+                <h3>{getTitle()}</h3>
+                <span className="calendar-nav" onClick={() => step(1)}>›</span>
+            </div>
+            <Calendar tasks={tasks} anchor={anchor} layout={layout} onReschedule={rescheduleTask} />
+        </div>
+    );
+};
+
+export default CalendarPage;
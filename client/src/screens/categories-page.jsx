@@ -0,0 +1,270 @@
+// import native stuff
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import GridLayout from 'react-grid-layout';
+import PropTypes from 'prop-types';
+
+// import our components
+import Button from '../components/button';
+import PetIcon from '../components/pet';
+import ProgressBar from '../components/progress-bar';
+import { useToast } from '../components/toast';
+import { authHeaders } from '../utils/auth';
+import { useGameConfig } from '../utils/gameConfig';
+import {
+    useCategories,
+    loadCategories,
+    createCategory,
+    updateCategory,
+    deleteCategory,
+    categoryLabel
+} from '../utils/categories';
+
+// import styling sheets
+import '../css/index.css';
+import '../css/folder.css';
+import '../css/folder-grid.css';
+import '../css/categories-page.css';
+
+// import custom icons
+import home_icon from '../assets/home_icon.svg';
+import folder_icon from '../assets/folder_icon.svg';
+
+// what the add form starts out with
+const emptyDraft = { name: '', color: '#4a90e2', points: 250, icon: '' };
+
+// the fields a category is edited by
+const pickFields = ({ name, color, points, icon }) => ({ name, color, points, icon });
+
+// the inputs for one category -- calls onChange with the whole edited draft
+function CategoryFields({ draft, range, onChange }) {
+    const change = (key) => (e) => onChange({ ...draft, [key]: key === 'points' ? Number(e.target.value) : e.target.value });
+
+    return (
+        <>
+            <input type="color" className="category-color" value={draft.color} onChange={change('color')} aria-label="Color" />
+            <input type="text" className="category-icon" value={draft.icon} onChange={change('icon')} placeholder="🙂" maxLength={8} aria-label="Icon" />
+            <input type="text" className="category-name" value={draft.name} onChange={change('name')} placeholder="name" maxLength={30} aria-label="Name" />
+            <input type="number" className="category-points" value={draft.points} onChange={change('points')} min={range.min} max={range.max} aria-label="XP" />
+            <span className="category-xp">XP</span>
+        </>
+    );
+}
+
+const categoryShape = PropTypes.shape({
+    _id: PropTypes.string,
+    name: PropTypes.string.isRequired,
+    color: PropTypes.string.isRequired,
+    points: PropTypes.number.isRequired,
+    icon: PropTypes.string
+});
+
+const rangeShape = PropTypes.shape({ min: PropTypes.number, max: PropTypes.number });
+
+CategoryFields.propTypes = {
+    draft: categoryShape.isRequired,
+    range: rangeShape.isRequired,
+    onChange: PropTypes.func.isRequired
+};
+
+// one of the user's categories, with its own save and delete
+function CategoryRow({ category, others, range, onSave, onDelete }) {
+    const [draft, setDraft] = useState(pickFields(category));
+    const [deleting, setDeleting] = useState(false);
+    const [replaceWith, setReplaceWith] = useState('');
+
+    // start over from what the server sent back after a save
+    useEffect(() => {
+        setDraft(pickFields(category));
+    }, [category]);
+
+    const changed = Object.keys(draft).some((key) => draft[key] !== category[key]);
+
+    // its tasks go to the category picked, or the first other one
+    const target = others.some((other) => other._id === replaceWith) ? replaceWith : others[0]?._id;
+
+    return (
+        <div className="category-row">
+            <div className="category-fields">
+                <CategoryFields draft={draft} range={range} onChange={setDraft} />
+                <button disabled={!changed} onClick={() => onSave(category, draft)}>Save</button>
+                <button disabled={others.length === 0} onClick={() => setDeleting(!deleting)}>Delete</button>
+            </div>
+            {deleting && (
+                <div className="category-delete">
+                    <span>Move its tasks to</span>
+                    <select value={target} onChange={(e) => setReplaceWith(e.target.value)} aria-label="Move tasks to">
+                        {others.map((other) => (
+                            <option key={other._id} value={other._id}>{categoryLabel(other)}</option>
+                        ))}
+                    </select>
+                    <button onClick={() => onDelete(category, target)}>Delete {category.name}</button>
+                </div>
+            )}
+        </div>
+    );
+}
+
+CategoryRow.propTypes = {
+    category: categoryShape.isRequired,
+    others: PropTypes.arrayOf(categoryShape).isRequired,
+    range: rangeShape.isRequired,
+    onSave: PropTypes.func.isRequired,
+    onDelete: PropTypes.func.isRequired
+};
+
+// add, rename, recolor and reprice the categories tasks are sorted into
+function CategoriesPage() {
+    const navigate = useNavigate();
+    const { showToast } = useToast();
+    const categories = useCategories();
+    const { categoryPointsRange } = useGameConfig();
+
+    // local states
+    const [draft, setDraft] = useState(emptyDraft);
+
+    // pet info
+    const [pet, setPet] = useState({
+        name: 'placeholder',
+        level: 0, // Example starting level
+        points: 0 // Example starting EXP
+    });
+
+    // layout for styling
+    const layoutFolder = [
+        { i: 'pet', x: 0, y: 0, w: 4, h: 2, static: true },
+        { i: 'title', x: 4, y: 0, w: 8, h: 1, static: true },
+        { i: 'buttons', x: 12, y: 0, w: 4, h: 1, static: true },
+        { i: 'progress', x: 4, y: 1, w: 12, h: 1, static: true }
+    ];
+    const gridProps = {
+        className: 'folder-grid',
+        layout: layoutFolder,
+        cols: 16,
+        rowHeight: 40,
+        width: 406
+    };
+
+    // FETCH PET FROM BACKEND -- TRIGGER AT PAGE LOAD
+    useEffect(() => {
+        const fetchPet = async () => {
+            try {
+                const response = await fetch('https://todogotchi-release-server.vercel.app/pets/active', { headers: authHeaders() });
+                if (!response.ok) {
+                    throw new Error(`Error: ${response.status} ${response.statusText}`);
+                }
+                const petData = await response.json();
+                localStorage.setItem('pet', JSON.stringify(petData));
+                setPet(petData);
+            } catch (error) {
+                console.error('Failed to fetch pet:', error);
+            }
+        };
+
+        fetchPet();
+    }, [navigate]);
+
+    // GET the user's categories
+    useEffect(() => {
+        loadCategories().catch((error) => {
+            showToast('Failed to load categories, please try again later');
+            console.error('Error fetching categories:', error);
+        });
+    }, []);
+
+    // PATCH a category -- the server checks the fields, so show its reason when it says no
+    const onSave = async (category, fields) => {
+        try {
+            const { category: saved, tasksUpdated } = await updateCategory(category._id, pickFields(fields));
+            showToast(tasksUpdated > 0
+                ? `Saved ${saved.name} -- ${tasksUpdated} open tasks are now worth ${saved.points} XP`
+                : `Saved ${saved.name}`);
+        } catch (error) {
+            showToast(error.message);
+            console.error('Error updating category:', error);
+        }
+    };
+
+    // DELETE a category, moving its tasks into another one
+    const onDelete = async (category, replaceWith) => {
+        try {
+            const { tasksMoved } = await deleteCategory(category._id, replaceWith);
+            showToast(tasksMoved > 0 ? `Deleted ${category.name} and moved ${tasksMoved} tasks` : `Deleted ${category.name}`);
+        } catch (error) {
+            showToast(error.message);
+            console.error('Error deleting category:', error);
+        }
+    };
+
+    // POST the add form
+    const onAdd = async () => {
+        try {
+            const category = await createCategory(draft);
+            setDraft(emptyDraft);
+            showToast(`Added ${category.name}`);
+        } catch (error) {
+            showToast(error.message);
+            console.error('Error creating category:', error);
+        }
+    };
+
+    // return page UI
+    return (
+        <div className="folder-page-container">
+            <GridLayout {...gridProps}>
+                <div key="pet" className="grid-item">
+                    <PetIcon id={pet._id} name={pet.name} level={pet.level} exp={pet.points} variant={pet.type} needs={pet.needs} evolutions={pet.evolutions} accessories={pet.accessories} page="Folder" />
+                </div>
+                <div key="title" className="grid-item">
+                    <h2>TODOGOTCHI</h2>
+                </div>
+                <div key="buttons" className="grid-item">
+                    <div className="button-container">
+                        <Button
+                            icon={
+                                <img src={folder_icon} alt="Folders Icon" style={{ width: '25px', height: '25px' }} />
+                            }
+                            onClick={() => navigate('/folder')}
+                            noOutline
+                            className="folder-button large-icon"
+                        />
+                        <Button
+                            icon={
+                                <img src={home_icon} alt="Home Icon" style={{ width: '25px', height: '25px' }} />
+                            }
+                            onClick={() => navigate('/landing')}
+                            noOutline
+                            className="folder-button large-icon"
+                        />
+                    </div>
+                </div>
+                <div key="progress" className="grid-item">
+                    <ProgressBar currentExp={pet.points} level={pet.level} page="Folder" />
+                </div>
+            </GridLayout>
+            <h3>Categories</h3>
+            <p className="categories-hint">
+                Tasks earn the XP of their category. Changing it changes what its open tasks are worth.
+            </p>
+            {categories.map((category) => (
+                <CategoryRow
+                    key={category._id}
+                    category={category}
+                    others={categories.filter((other) => other._id !== category._id)}
+                    range={categoryPointsRange}
+                    onSave={onSave}
+                    onDelete={onDelete}
+                />
+            ))}
+            <h4>New category</h4>
+            <div className="category-row">
+                <div className="category-fields">
+                    <CategoryFields draft={draft} range={categoryPointsRange} onChange={setDraft} />
+                    <button disabled={!draft.name.trim()} onClick={onAdd}>Add</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default CategoriesPage;
@@ -9,6 +9,10 @@ import Folder from '../components/folder';
 import PetIcon from '../components/pet';
 import ContextMenu from '../components/contextMenu';
 import ProgressBar from '../components/progress-bar';
+import { useToast } from '../components/toast';
+import { authHeaders } from '../utils/auth';
+import { useDragReorder, saveOrder } from '../utils/reorder';
+import { restoreFromTrash } from '../utils/trash';
 
 // Import styling sheets
 import '../css/index.css';
@@ -39,6 +43,9 @@ function FolderPage() {
     // Navigation functionality
     const navigate = useNavigate();
 
+    // app-wide toasts
+    const { showToast } = useToast();
+
     // Options for right click context menu
     const options = [
         {
@@ -82,9 +89,9 @@ function FolderPage() {
 
     // FETCH PET FROM BACKEND (note: on this page, we do not need to update the pet)
     useEffect(() => {
-        const fetchPet = async (petId) => {
+        const fetchPet = async () => {
             try {
-                const response = await fetch(`https://todogotchi-release-server.vercel.app/pets/${petId}`);
+                const response = await fetch('https://todogotchi-release-server.vercel.app/pets/active', { headers: authHeaders() });
                 if (!response.ok) {
                     throw new Error(`Error: ${response.status} ${response.statusText}`);
                 }
@@ -103,9 +110,8 @@ function FolderPage() {
         console.log('Fetching pet from backend: ', pet);
 
         if (!pet) {
-            const pet_id = localStorage.getItem('pet_id');
             // Fetch pet from backend if not in localStorage
-            fetchPet(pet_id);
+            fetchPet();
         } else {
             console.log('Pet found in localStorage:', JSON.parse(pet));
             setPet(JSON.parse(pet));
@@ -116,7 +122,7 @@ function FolderPage() {
     const fetchFolders = async () => {
         try {
             const userId = getUserId();
-            const resp = await fetch(`https://todogotchi-release-server.vercel.app/folders/${userId}`)
+            const resp = await fetch(`https://todogotchi-release-server.vercel.app/folders/${userId}`, { headers: authHeaders() })
 
             if (!resp.ok) {
                 throw new Error(`Error: ${resp.status} ${resp.statusText}`);
@@ -125,7 +131,7 @@ function FolderPage() {
             const data = await resp.json();
             setFolders(data);
         } catch (error) {
-            alert('Failed to fetch folders, please try again later');
+            showToast('Failed to fetch folders, please try again later');
             console.error('Error fetching folders:', error);
         }
     }
@@ -133,7 +139,7 @@ function FolderPage() {
     // POST new folder to server
     const createFolder = async () => {
         if (!folderInput.trim()) {
-            alert('Folder name cannot be empty.');
+            showToast('Folder name cannot be empty.');
             return;
         }
 
@@ -141,7 +147,7 @@ function FolderPage() {
             const userId = getUserId();
             const resp = await fetch(`https://todogotchi-release-server.vercel.app/folders/${userId}`, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers: authHeaders({ 'Content-Type': 'application/json' }),
                 body: JSON.stringify({ name: folderInput })
             });
 
@@ -155,7 +161,7 @@ function FolderPage() {
             // update folders
             setFolders((prevFolders) => [...prevFolders, newFolder]);
         } catch (error) {
-            alert('Failed to create folder. Please try again.');
+            showToast('Failed to create folder. Please try again.');
             console.error('Error creating folder:', error);
         }
     }
@@ -164,32 +170,52 @@ function FolderPage() {
     const deleteFolder = async (folderId) => {
         try {
             const resp = await fetch(`https://todogotchi-release-server.vercel.app/folders/${folderId}`, {
-                method: 'DELETE'
+                method: 'DELETE',
+                headers: authHeaders()
             });
 
             if (!resp.ok) {
                 throw new Error(`Error: ${resp.status} ${resp.statusText}`);
             }
 
+            const entry = await resp.json();
+
             // remove folder from local state
             setFolders((prevFolders) => prevFolders.filter((folder) => folder._id !== folderId));
+
+            // it's only in the trash, so it can be put back for a few seconds
+            showToast('Folder deleted', {
+                actionLabel: 'Undo',
+                onAction: () => undoDelete(entry._id)
+            });
         } catch (error) {
-            alert('Failed to delete folder, please try again.');
+            showToast('Failed to delete folder, please try again.');
             console.error('Error deleting folder:', error);
         }
     };
 
+    // restore a just-deleted folder from the trash
+    const undoDelete = async (trashId) => {
+        try {
+            await restoreFromTrash(trashId);
+            fetchFolders();
+        } catch (error) {
+            showToast(error.message);
+            console.error('Error restoring folder:', error);
+        }
+    };
+
     // UPDATE Folder to server
     const updateFolder = async (folderId, folderName) => {
         if (!folderName.trim()) {
-            alert('Folder name cannot be empty.');
+            showToast('Folder name cannot be empty.');
             return;
         }
 
         try {
             const resp = await fetch(`https://todogotchi-release-server.vercel.app/folders/${folderId}`, {
                 method: 'PATCH',
-                headers: { 'Content-Type': 'application/json' },
+                headers: authHeaders({ 'Content-Type': 'application/json' }),
                 body: JSON.stringify({ name: folderName })
             });
 
@@ -204,11 +230,28 @@ function FolderPage() {
                 prevFolders.map((folder) => (folder._id === updatedFolder._id ? updatedFolder : folder))
             );
         } catch (error) {
-            alert('Failed to update folder. Please try again.');
+            showToast('Failed to update folder. Please try again.');
             console.error('Error updating folder:', error);
         }
     };
 
+    // PUT new folder order to server -- shown right away, put back if the server says no
+    const reorderFolders = async (reordered) => {
+        const previous = folders;
+        setFolders(reordered);
+
+        try {
+            await saveOrder(`https://todogotchi-release-server.vercel.app/folders/${getUserId()}/order`, reordered);
+        } catch (error) {
+            setFolders(previous);
+            showToast('Failed to reorder folders, please try again.');
+            console.error('Error reordering folders:', error);
+        }
+    };
+
+    // drag a folder onto another to move it there
+    const { dragProps, draggingId } = useDragReorder('folder', folders, reorderFolders);
+
     // when done editing, reset editing statuses
     const endEditing = () => {
         setEditFolder(false);
@@ -259,7 +302,7 @@ function FolderPage() {
         <div className="folder-page-container">
             <GridLayout {...gridProps}>
                 <div key="pet" className="grid-item">
-                    <PetIcon name={pet.name} level={pet.level} exp={pet.exp} page="Folder" />
+                    <PetIcon id={pet._id} name={pet.name} level={pet.level} exp={pet.points} variant={pet.type} needs={pet.needs} evolutions={pet.evolutions} accessories={pet.accessories} page="Folder" />
                 </div>
                 <div key="title" className="grid-item">
                     <h2>TODOGOTCHI</h2>
@@ -304,7 +347,12 @@ function FolderPage() {
                     />
                 )}
                 {folders.map((folder) => (
-                    <div onContextMenu={(e) => handleRightClick(e)} key={folder._id}>
+                    <div
+                        onContextMenu={(e) => handleRightClick(e)}
+                        key={folder._id}
+                        className={draggingId === folder._id ? 'dragging' : ''}
+                        {...dragProps(folder._id)}
+                    >
                         <Folder
                             key={folder._id}
                             name={folder.name}
@@ -3,9 +3,14 @@ import { useNavigate } from 'react-router-dom'
 import '../css/index.css'
 import InfoGrid from '../components/row-grid'
 import ProgressBar from '../components/progress-bar'
+import NeedsBar from '../components/needs-bar'
+import StreakFlame from '../components/streak'
 import PetIcon from '../components/pet'
+import CareActions from '../components/care-actions'
 import Button from '../components/button'
 import MotivationalMessage from '../components/motivation'
+import { authHeaders } from '../utils/auth'
+import { fetchStreak } from '../utils/streaks'
 
 import BackButton from '../components/backButton'
 
@@ -20,6 +25,11 @@ function Landing() {
     points: 0 // Example starting EXP
   })
 
+  const [streak, setStreak] = useState(null)
+
+  // the last care action done, so the pet plays along -- id changes every time
+  const [careAction, setCareAction] = useState(null)
+
   const navigate = useNavigate() // For navigation
 
   const handleNavigateToFolder = () => {
@@ -27,9 +37,9 @@ function Landing() {
   }
 
   useEffect(() => {
-    const fetchPet = async (petId) => {
+    const fetchPet = async () => {
       try {
-        const response = await fetch(`https://todogotchi-release-server.vercel.app/pets/${petId}`)
+        const response = await fetch('https://todogotchi-release-server.vercel.app/pets/active', { headers: authHeaders() })
         if (!response.ok) {
           throw new Error(`Error: ${response.status} ${response.statusText}`)
         }
@@ -52,16 +62,24 @@ function Landing() {
     const pet = localStorage.getItem('pet')
 
     // if (!pet) {
-    const pet_id = localStorage.getItem('pet_id')
-
     // Fetch pet from backend if not in localStorage
-    fetchPet(pet_id)
+    fetchPet()
+
+    fetchStreak()
+      .then(setStreak)
+      .catch((error) => console.error('Failed to fetch streak:', error))
     // } else {
     //   console.log('Pet found in localStorage:', JSON.parse(pet))
     //   setPet(JSON.parse(pet))
     // }
   }, [navigate])
 
+  // the server sends back the pet after feeding, playing or sleeping
+  const onCare = (action, result) => {
+    setPet(result.pet)
+    setCareAction((prevCareAction) => ({ action, id: (prevCareAction?.id || 0) + 1 }))
+  }
+
   const logout = () => {
     console.log('bye logging out')
     localStorage.clear()
@@ -76,13 +94,21 @@ function Landing() {
       <div className="landing-container">
         <InfoGrid />
         <ProgressBar currentExp={pet.points} level={pet.level} page="Landing" />
+        {pet.needs && <NeedsBar needs={pet.needs} />}
+        {streak && <StreakFlame {...streak} />}
         <PetIcon
+          id={pet._id}
           name={pet.name}
           level={pet.level}
-          exp={pet.exp}
+          exp={pet.points}
           variant={pet.type}
+          needs={pet.needs}
+          evolutions={pet.evolutions}
+          accessories={pet.accessories}
+          careAction={careAction}
           page="Landing"
         />
+        <CareActions petId={pet._id} onCare={onCare} />
         <div className="button-row">
           <Button
             text="Logout"
@@ -94,6 +120,38 @@ function Landing() {
             onClick={handleNavigateToFolder}
             icon={<img src={todo} alt="icon" style={{ width: '20px', height: '20px' }} />}
           />
+          <Button
+            text="Today"
+            onClick={() => navigate('/today')}
+          />
+          <Button
+            text="Upcoming"
+            onClick={() => navigate('/upcoming')}
+          />
+          <Button
+            text="Calendar"
+            onClick={() => navigate('/calendar')}
+          />
+          <Button
+            text="Trash"
+            onClick={() => navigate('/trash')}
+          />
+          <Button
+            text="Badges"
+            onClick={() => navigate('/achievements')}
+          />
+          <Button
+            text="My Pets"
+            onClick={() => navigate('/pets')}
+          />
+          <Button
+            text="Shop"
+            onClick={() => navigate('/shop')}
+          />
+          <Button
+            text="Categories"
+            onClick={() => navigate('/categories')}
+          />
         </div>
 
         <MotivationalMessage />
@@ -5,6 +5,7 @@ import '../css/index.css'
 import '../css/login-page.css'
 
 import BackButton from '../components/backButton'
+import { getTimeZone } from '../utils/streaks'
 
 function LoginPage() {
   const [email, setEmail] = useState('')
@@ -41,7 +42,7 @@ function LoginPage() {
     const loggedInResponse = await fetch('https://todogotchi-release-server.vercel.app/auth/login', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ email, password })
+      body: JSON.stringify({ email, password, timeZone: getTimeZone() })
     })
     const loggedIn = await loggedInResponse.json()
     console.log(loggedIn)
@@ -50,17 +51,11 @@ function LoginPage() {
       localStorage.setItem('jwt', loggedIn.token)
       localStorage.setItem('user_id', loggedIn.user._id)
 
-      console.log(loggedIn.user.pets)
+      // the active pet lives on the server -- drop whatever pet another login left cached
+      localStorage.removeItem('pet')
 
-      if (loggedIn.user.pets.length > 0) {
-        // console.log(
-        //   "saving this pet into ur localstorage ",
-        //   JSON.stringify(loggedIn.user.pets[0])
-        // );
-        localStorage.setItem('pet_id', loggedIn.user.pets[0])
-      }
-
-      navigate('/landing')
+      // nothing hatched yet -- pick a first pet
+      navigate(loggedIn.user.pets.length > 0 ? '/landing' : '/')
     }
     // no email found in db
     else if (loggedIn.msg === 'User does not exist. ') {
@@ -78,7 +73,7 @@ function LoginPage() {
     const registerResponse = await fetch('https://todogotchi-release-server.vercel.app/auth/register', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ email, password })
+      body: JSON.stringify({ email, password, timeZone: getTimeZone() })
     })
     const registered = await registerResponse.json()
     console.log(registered)
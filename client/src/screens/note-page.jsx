@@ -9,7 +9,16 @@ import Button from '../components/button';
 import Folder from '../components/folder';
 import PetIcon from '../components/pet';
 import ContextMenu from '../components/contextMenu';
+import MovePicker from '../components/movePicker';
+import DateTimePicker from '../components/dateTime';
 import ProgressBar from '../components/progress-bar';
+import { useToast } from '../components/toast';
+import { useAchievementPopup } from '../components/badge';
+import { authHeaders } from '../utils/auth';
+import { saveTaskStatus, bulkUpdateTasks, describeScore } from '../utils/tasks';
+import { useDragReorder, saveOrder } from '../utils/reorder';
+import { restoreFromTrash } from '../utils/trash';
+import { useCategories, loadCategories, categoryLabel } from '../utils/categories';
 
 // import styling sheets
 import '../css/index.css';
@@ -25,32 +34,46 @@ function NotePage() {
     const navigate = useNavigate();
     const location = useLocation(); // to get folder name
     const folder = location.state;
+    const { showToast, delayWithUndo } = useToast();
+    const categories = useCategories();
+    const announceAchievements = useAchievementPopup();
     // local states
     const [creatingNote, setCreatingNote] = useState(false);
     const [editingNote, setEditingNote] = useState(false);
     const [noteInput, setNoteInput] = useState('');
     const [notes, setNotes] = useState([]);
     const [clicked, setClicked] = useState(false);
-    const [taskUpdate, setTaskUpdate] = useState(false);
-    const [currentTask, setCurrentTask] = useState('');
 
     // local states to pass into Note component
     const [editingTask, setEditingTask] = useState(false);
     const [editingDate, setEditingDate] = useState(false);
     const [editingCategory, setEditingCategory] = useState(false);
+    const [editingRepeat, setEditingRepeat] = useState(false);
+    const [addingSubtask, setAddingSubtask] = useState(false);
     const [deletingTask, setDeletingTask] = useState(false);
+    const [moving, setMoving] = useState(null); // 'note', 'task' or 'tasks' (the selection) while the move picker is open
+    const [bulkDate, setBulkDate] = useState(false); // picking a due date for the selection
+    const [selection, setSelection] = useState({ noteId: null, ids: [] }); // tasks picked in one note for bulk actions
+    const [tasksVersion, setTasksVersion] = useState(0); // bumped when tasks move, so every note reloads
     const [points, setPoints] = useState({ x: 0, y: 0 });
     const [elementId, setElementId] = useState('');
+    const [contextNoteId, setContextNoteId] = useState(''); // note that was right-clicked in (a task's note)
 
     // currently unused (may readd later)
     const [changeInPoints, setChangeInPoints] = useState(0);
 
     // need to handle the actions for each option of the right-click context menu
-    const options = [
+    const noteOptions = [
         {
             label: 'Edit Note Name',
             action: () => setEditingNote(true)
         },
+        {
+            label: 'Move to…',
+            action: () => setMoving('note')
+        }
+    ];
+    const taskOptions = [
         {
             label: 'Edit Task Name',
             action: () => setEditingTask(true)
@@ -63,6 +86,18 @@ function NotePage() {
             label: 'Edit Category',
             action: () => setEditingCategory(true)
         },
+        {
+            label: 'Set Repeat',
+            action: () => setEditingRepeat(true)
+        },
+        {
+            label: 'Add Subtasks',
+            action: () => setAddingSubtask(true)
+        },
+        {
+            label: 'Move to…',
+            action: () => setMoving('task')
+        },
         {
             label: 'Delete Task',
             action: () => {
@@ -72,6 +107,35 @@ function NotePage() {
         }
     ];
 
+    // same menu for a ctrl/shift-picked group of tasks, applied to all of them at once
+    const selectedCount = selection.ids.length;
+    const bulkOptions = [
+        {
+            label: `Complete ${selectedCount} Tasks`,
+            action: () => runBulk('complete')
+        },
+        {
+            label: `Reopen ${selectedCount} Tasks`,
+            action: () => runBulk('reopen')
+        },
+        ...categories.map((category) => ({
+            label: `Set Category: ${categoryLabel(category)} (${category.points} XP)`,
+            action: () => runBulk('setCategory', category._id)
+        })),
+        {
+            label: 'Set Due Date',
+            action: () => setBulkDate(true)
+        },
+        {
+            label: 'Move to…',
+            action: () => setMoving('tasks')
+        },
+        {
+            label: `Delete ${selectedCount} Tasks`,
+            action: () => runBulk('delete')
+        }
+    ];
+
     // pet info
     const [pet, setPet] = useState({
         name: 'placeholder',
@@ -94,12 +158,11 @@ function NotePage() {
         width: 406
     };
 
-    // FETCH PET FROM BACKEND -- TRIGGER AT PAGE LOAD + ANYTIME A TASK IS CHECKED OFF
+    // FETCH PET FROM BACKEND -- TRIGGER AT PAGE LOAD (task updates send back the pet themselves)
     useEffect(() => {
-        console.log('updating the stupid progress bar because of taskupdate: ', taskUpdate, currentTask)
-        const fetchPet = async (petId) => {
+        const fetchPet = async () => {
             try {
-                const response = await fetch(`https://todogotchi-release-server.vercel.app/pets/${petId}`);
+                const response = await fetch('https://todogotchi-release-server.vercel.app/pets/active', { headers: authHeaders() });
                 if (!response.ok) {
                     throw new Error(`Error: ${response.status} ${response.statusText}`);
                 }
@@ -118,20 +181,24 @@ function NotePage() {
         // console.log('Fetching pet from backend: ', pet)
 
         // if (!pet) {
-        const pet_id = localStorage.getItem('pet_id');
         // Fetch pet from backend if not in localStorage
-        fetchPet(pet_id);
+        fetchPet();
         // } else {
         //   console.log('Pet found in localStorage:', JSON.parse(pet))
         //   setPet(JSON.parse(pet))
         // }
-    }, [navigate, taskUpdate]);
+    }, [navigate]);
+
+    // GET the user's categories -- tasks are colored and re-categorized with them
+    useEffect(() => {
+        loadCategories().catch((error) => console.error('Failed to load categories:', error));
+    }, []);
 
     // GET all notes from server
     const fetchNotes = async () => {
         try {
             const folderId = folder._id;
-            const resp = await fetch(`https://todogotchi-release-server.vercel.app/notes/${folderId}`)
+            const resp = await fetch(`https://todogotchi-release-server.vercel.app/notes/${folderId}`, { headers: authHeaders() })
             if (!resp.ok) {
                 throw new Error(`Error: ${resp.status} ${resp.statusText}`);
             }
@@ -139,7 +206,7 @@ function NotePage() {
             const data = await resp.json();
             setNotes(data);
         } catch (error) {
-            alert('Failed to fetch notes, please try again.');
+            showToast('Failed to fetch notes, please try again.');
             console.error('Error fetching notes:', error);
         }
     };
@@ -147,7 +214,7 @@ function NotePage() {
     // POST a note to the server
     const createNote = async () => {
         if (!noteInput.trim()) {
-            alert('Note name cannot be empty.');
+            showToast('Note name cannot be empty.');
             return;
         }
 
@@ -155,7 +222,7 @@ function NotePage() {
             const folderId = folder._id;
             const resp = await fetch(`https://todogotchi-release-server.vercel.app/notes/${folderId}`, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers: authHeaders({ 'Content-Type': 'application/json' }),
                 body: JSON.stringify({ name: noteInput })
             });
 
@@ -169,7 +236,7 @@ function NotePage() {
             // update notes
             setNotes((prevNotes) => [...prevNotes, newNote]);
         } catch (error) {
-            alert('Failed to create note. Please try again.');
+            showToast('Failed to create note. Please try again.');
             console.error('Error creating note:', error);
         }
     };
@@ -178,17 +245,25 @@ function NotePage() {
     const deleteNote = async (noteId) => {
         try {
             const resp = await fetch(`https://todogotchi-release-server.vercel.app/notes/${noteId}`, {
-                method: 'DELETE'
+                method: 'DELETE',
+                headers: authHeaders()
             });
 
             if (!resp.ok) {
                 throw new Error(`Error: ${resp.status} ${resp.statusText}`);
             }
 
+            const entry = await resp.json();
+
             // remove note from local state
             setNotes((prevNotes) => prevNotes.filter((note) => note._id !== noteId));
+
+            showToast('Note deleted', {
+                actionLabel: 'Undo',
+                onAction: () => undoDelete(entry._id, 'note')
+            });
         } catch (error) {
-            alert('Failed to delete note, please try again.');
+            showToast('Failed to delete note, please try again.');
             console.error('Failed to delete note:', error);
         }
     };
@@ -198,7 +273,7 @@ function NotePage() {
         try {
             const resp = await fetch(`https://todogotchi-release-server.vercel.app/notes/${noteId}`, {
                 method: 'PATCH',
-                headers: { 'Content-Type': 'application/json' },
+                headers: authHeaders({ 'Content-Type': 'application/json' }),
                 body: JSON.stringify({ name: noteName })
             });
 
@@ -206,7 +281,7 @@ function NotePage() {
                 throw new Error(`Error: ${resp.status} ${resp.statusText}`);
             }
         } catch (error) {
-            alert('Failed to update note, please try again.');
+            showToast('Failed to update note, please try again.');
             console.error('Faild to update note:', error);
         }
     };
@@ -215,23 +290,184 @@ function NotePage() {
     const deleteTask = async (taskId) => {
         try {
             const resp = await fetch(`https://todogotchi-release-server.vercel.app/tasks/${taskId}`, {
-                method: 'DELETE'
+                method: 'DELETE',
+                headers: authHeaders()
             });
 
             if (!resp.ok) {
                 throw new Error(`Error: ${resp.status} ${resp.statusText}`);
             }
 
+            const entry = await resp.json();
+
             // remove task from local state
             // setTasks((prevTasks) => prevTasks.filter((task) => task._id !== taskId));
 
             setDeletingTask(false);
+
+            showToast('Task deleted', {
+                actionLabel: 'Undo',
+                onAction: () => undoDelete(entry._id, 'task')
+            });
         } catch (error) {
-            alert('Failed to delete task, please try again later');
+            showToast('Failed to delete task, please try again later');
             console.error('Error deleting task:', error);
         }
     };
 
+    // restore just-deleted notes or tasks from the trash -- last deleted goes back first, so positions line up
+    const undoDelete = async (trashIds, kind) => {
+        try {
+            for (const trashId of [].concat(trashIds).reverse()) {
+                await restoreFromTrash(trashId);
+            }
+
+            if (kind === 'note') {
+                fetchNotes();
+            } else {
+                setTasksVersion((version) => version + 1);
+            }
+        } catch (error) {
+            showToast(error.message);
+            console.error(`Error restoring ${kind}:`, error);
+        }
+    };
+
+    // PUT new note order to server -- shown right away, put back if the server says no
+    const reorderNotes = async (reordered) => {
+        const previous = notes;
+        setNotes(reordered);
+
+        try {
+            await saveOrder(`https://todogotchi-release-server.vercel.app/notes/${folder._id}/order`, reordered);
+        } catch (error) {
+            setNotes(previous);
+            showToast('Failed to reorder notes, please try again.');
+            console.error('Error reordering notes:', error);
+        }
+    };
+
+    // drag a note onto another to move it there
+    const { dragProps, draggingId } = useDragReorder('note', notes, reorderNotes);
+
+    // PATCH a note into a folder, or a task into a note, and reload whatever changed here
+    const sendMove = async (isNote, itemId, destinationId) => {
+        try {
+            const resp = await fetch(`https://todogotchi-release-server.vercel.app/${isNote ? 'notes' : 'tasks'}/${itemId}/move`, {
+                method: 'PATCH',
+                headers: authHeaders({ 'Content-Type': 'application/json' }),
+                body: JSON.stringify(isNote ? { folderId: destinationId } : { noteId: destinationId })
+            });
+
+            if (!resp.ok) {
+                throw new Error(`Error: ${resp.status} ${resp.statusText}`);
+            }
+
+            if (isNote) {
+                // note left this folder (or came back to it)
+                fetchNotes();
+            } else {
+                // task may have landed in another note on this page
+                setTasksVersion((version) => version + 1);
+            }
+            return true;
+        } catch (error) {
+            showToast(`Failed to move ${isNote ? 'note' : 'task'}, please try again.`);
+            console.error('Error moving item:', error);
+            return false;
+        }
+    };
+
+    // POST one action for a group of tasks and reload every note's tasks
+    const sendBulk = async (ids, action, value) => {
+        try {
+            const result = await bulkUpdateTasks(ids, action, value);
+
+            // one of them was toggled too quickly -- the server changed none of them
+            if (!result) {
+                showToast('Slow down! Wait a moment before changing these tasks again.');
+                return null;
+            }
+
+            if (result.pet) {
+                updatePetState(result.pet);
+            }
+            setTasksVersion((version) => version + 1);
+
+            // one line for the whole batch -- each task is scored on its own due date
+            if (result.scores.length > 0) {
+                const points = result.scores.reduce((sum, score) => sum + score.points, 0);
+                showToast(`+${points} XP from ${result.scores.length} tasks`);
+            }
+            announceAchievements(result.achievements);
+            return result;
+        } catch (error) {
+            showToast('Failed to update tasks, please try again.');
+            console.error('Error updating tasks:', error);
+            return null;
+        }
+    };
+
+    // apply an action to every selected task -- toggles, deletes and moves can be undone for a few seconds
+    const runBulk = async (action, value) => {
+        const { noteId, ids } = selection;
+        const label = `${ids.length} tasks`;
+        setSelection({ noteId: null, ids: [] });
+        endEditing();
+
+        if (action === 'complete' || action === 'reopen') {
+            await delayWithUndo(`${label} ${action === 'complete' ? 'completed' : 'reopened'}`, () => sendBulk(ids, action));
+            return;
+        }
+
+        const result = await sendBulk(ids, action, value);
+        if (!result) {
+            return;
+        }
+
+        if (action === 'delete') {
+            showToast(`${label} deleted`, {
+                actionLabel: 'Undo',
+                onAction: () => undoDelete(result.entries.map((entry) => entry._id), 'task')
+            });
+        } else if (action === 'move') {
+            showToast(`${label} moved`, {
+                actionLabel: 'Undo',
+                onAction: () => sendBulk(ids, 'move', noteId)
+            });
+        }
+    };
+
+    // due date for every selected task, from the date picker
+    const setBulkDueDate = (enteredDate) => {
+        if (new Date(enteredDate) < new Date()) {
+            endEditing();
+            showToast('Cannot set due date in the past.');
+            return;
+        }
+        runBulk('setDueDate', new Date(enteredDate).toISOString());
+    };
+
+    // MOVE a note to another folder, or a task to another note -- undo moves it back
+    const moveItem = async (destinationId) => {
+        if (moving === 'tasks') {
+            runBulk('move', destinationId);
+            return;
+        }
+
+        const isNote = moving === 'note';
+        const itemId = elementId;
+        const sourceId = isNote ? folder._id : contextNoteId;
+        endEditing();
+
+        if (await sendMove(isNote, itemId, destinationId)) {
+            showToast(`${isNote ? 'Note' : 'Task'} moved`, {
+                actionLabel: 'Undo',
+                onAction: () => sendMove(isNote, itemId, sourceId)
+            });
+        }
+    };
+
     // when user presses "enter", create the note
     const handleEnter = (e) => {
         if (e.key === 'Enter') {
@@ -242,11 +478,12 @@ function NotePage() {
     };
 
     // when user right clicks on note, open up context menu
-    const handleRightClick = (e) => {
+    const handleRightClick = (e, noteId) => {
         endEditing();
         e.preventDefault();
         setPoints({ x: e.pageX, y: e.pageY });
         setClicked(true);
+        setContextNoteId(noteId);
         //console.log('right click: ', document.elementFromPoint(e.pageX, e.pageY).id)
         setElementId(document.elementFromPoint(e.pageX, e.pageY).id);
     };
@@ -257,6 +494,10 @@ function NotePage() {
         setEditingTask(false);
         setEditingDate(false);
         setEditingCategory(false);
+        setEditingRepeat(false);
+        setAddingSubtask(false);
+        setMoving(null);
+        setBulkDate(false);
     };
 
     // close the context menu
@@ -280,90 +521,65 @@ function NotePage() {
         }
     }, []);
 
-    // mark tasks as complete and update xp bar
-    const onCheckboxChange = (checked, id) => {
-        // console.log('In note-page: checkbox state from child:', checked)
-        setCurrentTask(id);
-        setTaskUpdate(!taskUpdate);
-
-        const updateTask = async () => {
-            let changeInPoints = 0;
-            try {
-                const resp = await fetch(`https://todogotchi-release-server.vercel.app/tasks/${id}`, {
-                    method: 'PATCH',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ status: checked ? 'completed' : 'pending' }) // Use `checked`
-                });
-
-                const task = await resp.json();
-
-                // positive or negative points based on checked status
-                changeInPoints = checked === true ? task.points : -task.points
-
-                // Update pet points using the calculated change
-                await updatePet(changeInPoints);
-            } catch (error) {
-                console.error('Failed to update task:', error);
+    // escape drops the task selection
+    useEffect(() => {
+        const handleEscape = (event) => {
+            if (event.key === 'Escape') {
+                setSelection({ noteId: null, ids: [] });
             }
-        }
-
-        updateTask();
-
-        // STEP 2: UPDATE PET -> pet.points
-        const updatePet = async (pointsToAdd) => {
-            try {
-                // FIRST GET THE PET
-                const pet_id = localStorage.getItem('pet_id');
-
-                // UPDATE POINTS ON BACKEND
-                const updateResp = await fetch(`https://todogotchi-release-server.vercel.app/pets/${pet_id}`, {
-                    method: 'PATCH',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ points: pointsToAdd })
-                });
-
-                if (!updateResp.ok) {
-                    throw new Error(`Error updating pet: ${updateResp.status} ${updateResp.statusText}`);
-                }
+        };
 
-                // NOW WE WANT TO UPDATE THE PET IN ORDER TO RE-RENDER THE PROGRESS BAR
+        document.addEventListener('keydown', handleEscape);
+        return () => {
+            document.removeEventListener('keydown', handleEscape);
+        }
+    }, []);
 
-                // GET THE UPDATED PET WITH THE UPDATED CALCULATIONS OF POINTS AND LEVEL
-                const fetchPetResp = await fetch(`https://todogotchi-release-server.vercel.app/pets/${pet_id}`);
+    // keep the pet the server sent back (re-renders the progress bar)
+    const updatePetState = (updatedPet) => {
+        localStorage.setItem('pet', JSON.stringify(updatedPet));
+        setPet(updatedPet);
+    };
 
-                if (!fetchPetResp.ok) {
-                    throw new Error(
-                        `Error fetching updated pet: ${fetchPetResp.status} ${fetchPetResp.statusText}`
-                    );
-                }
+    // mark tasks as complete and update xp bar -- the server awards the points and sends back the pet
+    const saveCheckbox = async (checked, id) => {
+        // console.log('In note-page: checkbox state from child:', checked)
+        try {
+            const result = await saveTaskStatus(id, checked);
 
-                const updatedPetData = await fetchPetResp.json();
+            // toggled too quickly -- the server keeps the old status
+            if (!result) {
+                showToast('Slow down! Wait a moment before changing this task again.');
+                return false;
+            }
 
-                // UPDATE PET STATE WITH UPDATED POINTS AND LEVEL -> THIS WILL TRIGGER RE-RENDER OF PROGRESS BAR
-                setPet((prevPet) => ({
-                    ...prevPet,
-                    points: updatedPetData.points,
-                    level: updatedPetData.level
-                }));
+            // UPDATE PET STATE WITH UPDATED POINTS AND LEVEL -> THIS WILL TRIGGER RE-RENDER OF PROGRESS BAR
+            if (result.pet) {
+                updatePetState(result.pet);
+            }
 
-                if (!updateResp.ok) {
-                    throw new Error(`Error: ${updateResp.status} ${updateResp.statusText}`);
-                } else {
-                    // console.log('yay update the pet status after task completion')
-                }
-            } catch (error) {
-                // alert('Failed to update pet, please try again.')
-                console.error('Faild to update pet:', error);
+            // explain the points (early bonus, late penalty)
+            if (result.score) {
+                showToast(describeScore(result.score));
             }
-        };
+            announceAchievements(result.achievements);
+            return true;
+        } catch (error) {
+            console.error('Failed to update task:', error);
+            return false;
+        }
     };
 
+    // checking a task off is only sent once its undo window is over
+    const onCheckboxChange = (checked, id) =>
+        delayWithUndo(checked ? 'Task completed' : 'Task unchecked', () => saveCheckbox(checked, id), id);
+
     // return page UI
     return (
         <div className="folder-page-container">
             <GridLayout {...gridProps}>
                 <div key="pet" className="grid-item">
-                    <PetIcon name={pet.name} level={pet.level} exp={pet.points} page="Folder" />
+                    <PetIcon id={pet._id} name={pet.name} level={pet.level} exp={pet.points} variant={pet.type} needs={pet.needs} evolutions={pet.evolutions} accessories={pet.accessories} page="Folder" />
                 </div>
                 <div key="title" className="grid-item">
                     <h2>TODOGOTCHI</h2>
@@ -402,7 +618,7 @@ function NotePage() {
                     <ContextMenu
                         left={points.x}
                         top={points.y}
-                        options={[options[0]]}
+                        options={noteOptions}
                         onClose={closeContextMenu}
                     />
                     )
@@ -411,13 +627,35 @@ function NotePage() {
                     <ContextMenu
                         left={points.x}
                         top={points.y}
-                        options={options.slice(1, options.length)}
+                        options={selectedCount > 1 && selection.ids.includes(elementId) ? bulkOptions : taskOptions}
                         onClose={closeContextMenu}
                     />
                     )
                 }
+                {moving && (
+                    <MovePicker
+                        left={points.x}
+                        top={points.y}
+                        kind={moving === 'note' ? 'note' : 'task'}
+                        currentFolderId={folder._id}
+                        onPress={moveItem}
+                    />
+                )}
+                {bulkDate && (
+                    <DateTimePicker
+                        left={points.x}
+                        top={points.y}
+                        onPress={setBulkDueDate}
+                        actionOnInvalid={endEditing}
+                    />
+                )}
                 {notes.map((note) => (
-                    <div onContextMenu={(e) => handleRightClick(e, 'task')} key={note._id}>
+                    <div
+                        onContextMenu={(e) => handleRightClick(e, note._id)}
+                        key={note._id}
+                        className={draggingId === note._id ? 'dragging' : ''}
+                        {...dragProps(note._id)}
+                    >
                         <Note
                             key={note._id}
                             id={elementId}
@@ -429,11 +667,18 @@ function NotePage() {
                             editingTask={editingTask}
                             editingDate={editingDate}
                             deletingTask={deletingTask}
+                            tasksVersion={tasksVersion}
                             editingCategory={editingCategory}
+                            editingRepeat={editingRepeat}
+                            addingSubtask={addingSubtask}
                             endEditing={endEditing}
                             points={points}
                             onClick={deleteNote}
                             onCheckboxChange={onCheckboxChange}
+                            onPetChange={updatePetState}
+                            onAchievements={announceAchievements}
+                            selectedTasks={selection.noteId === note._id ? selection.ids : []}
+                            onSelectTasks={(noteId, ids) => setSelection({ noteId, ids })}
                         />
                     </div>
                 ))}
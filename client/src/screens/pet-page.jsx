@@ -3,6 +3,8 @@ import { useNavigate } from 'react-router-dom'
 import '../css/index.css'
 import '../css/pet-page.css'
 import Button from '../components/button'
+import { useToast } from '../components/toast'
+import { authHeaders } from '../utils/auth'
 import '../css/pet.css'
 
 import Froggie from '../assets/FroggieA.png'
@@ -15,6 +17,7 @@ import BackButton from '../components/backButton'
 
 function PetPage() {
   const navigate = useNavigate()
+  const { showToast } = useToast()
   const [petName, setPetName] = useState('')
   const [missingName, setMissingName] = useState(false)
   const [positionIndex, setPositionIndex] = useState(0)
@@ -95,24 +98,33 @@ function PetPage() {
 
       const resp = await fetch(`https://todogotchi-release-server.vercel.app/pets/${userId}`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
         body: JSON.stringify({ name: petName, type: petType })
       })
 
+      // every pet slot is taken -- the server says what unlocks the next one
+      if (resp.status === 409) {
+        const { message } = await resp.json()
+        showToast(message)
+        return false
+      }
+
       if (!resp.ok) {
         console.log(resp)
-        throw new Error(`Error: ${response.status} ${response.statusText}`)
+        throw new Error(`Error: ${resp.status} ${resp.statusText}`)
       }
 
+      // the new pet is the active one now (the server keeps track of that)
       const newPet = await resp.json()
       console.log(newPet)
 
       localStorage.setItem('pet', JSON.stringify(newPet))
-      localStorage.setItem('pet_id', newPet._id)
       // alert("Pet created successfully!");
+      return true
     } catch (error) {
       // alert("Failed to create pet. Please try again.");
       console.error('Error creating pet:', error)
+      return true // carry on anyway, the landing page fetches whatever pet the server has
     }
   }
 
@@ -122,7 +134,8 @@ function PetPage() {
 
       try {
         console.log('creating pet')
-        await createPet() // wait for pet creation to complete
+        const created = await createPet() // wait for pet creation to complete
+        if (!created) return
         console.log("pet made, let's go")
 
         navigate('/landing') //
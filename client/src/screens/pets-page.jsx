@@ -0,0 +1,141 @@
+// import native stuff
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import GridLayout from 'react-grid-layout';
+
+// import our components
+import Button from '../components/button';
+import PetIcon from '../components/pet';
+import ProgressBar from '../components/progress-bar';
+import { useToast } from '../components/toast';
+import { fetchPets, setActivePet, describeSlots } from '../utils/pets';
+
+// import styling sheets
+import '../css/index.css';
+import '../css/folder.css';
+import '../css/folder-grid.css';
+import '../css/pets-page.css';
+
+// import custom icons
+import home_icon from '../assets/home_icon.svg';
+import folder_icon from '../assets/folder_icon.svg';
+import Egg_Icon from '../assets/Egg_Icon.svg';
+
+// every pet the user hatched -- pick which one tasks' XP goes to, or hatch another
+function PetsPage() {
+    const navigate = useNavigate();
+    const { showToast } = useToast();
+
+    // local states
+    const [collection, setCollection] = useState({ pets: [], activePet: null, slots: 1, nextSlotLevel: null });
+
+    // the active pet, shown in the header
+    const activePet = collection.pets.find((pet) => pet._id === collection.activePet) || {
+        name: 'placeholder',
+        level: 0, // Example starting level
+        points: 0 // Example starting EXP
+    };
+
+    // layout for styling
+    const layoutFolder = [
+        { i: 'pet', x: 0, y: 0, w: 4, h: 2, static: true },
+        { i: 'title', x: 4, y: 0, w: 8, h: 1, static: true },
+        { i: 'buttons', x: 12, y: 0, w: 4, h: 1, static: true },
+        { i: 'progress', x: 4, y: 1, w: 12, h: 1, static: true }
+    ];
+    const gridProps = {
+        className: 'folder-grid',
+        layout: layoutFolder,
+        cols: 16,
+        rowHeight: 40,
+        width: 406
+    };
+
+    // GET pets from server
+    useEffect(() => {
+        fetchPets()
+            .then(setCollection)
+            .catch((error) => {
+                showToast('Failed to fetch pets, please try again later');
+                console.error('Error fetching pets:', error);
+            });
+    }, []);
+
+    // PUT the active pet -- XP from tasks goes to it from now on
+    const choosePet = async (pet) => {
+        try {
+            await setActivePet(pet._id);
+            setCollection((prevCollection) => ({ ...prevCollection, activePet: pet._id }));
+            showToast(`${pet.name} is now your active pet`);
+        } catch (error) {
+            showToast('Failed to switch pets, please try again later');
+            console.error('Error switching pets:', error);
+        }
+    };
+
+    const canHatch = collection.pets.length < collection.slots;
+
+    // return page UI
+    return (
+        <div className="folder-page-container">
+            <GridLayout {...gridProps}>
+                <div key="pet" className="grid-item">
+                    <PetIcon id={activePet._id} name={activePet.name} level={activePet.level} exp={activePet.points} variant={activePet.type} needs={activePet.needs} evolutions={activePet.evolutions} accessories={activePet.accessories} page="Folder" />
+                </div>
+                <div key="title" className="grid-item">
+                    <h2>TODOGOTCHI</h2>
+                </div>
+                <div key="buttons" className="grid-item">
+                    <div className="button-container">
+                        <Button
+                            icon={
+                                <img src={folder_icon} alt="Folders Icon" style={{ width: '25px', height: '25px' }} />
+                            }
+                            onClick={() => navigate('/folder')}
+                            noOutline
+                            className="folder-button large-icon"
+                        />
+                        <Button
+                            icon={
+                                <img src={home_icon} alt="Home Icon" style={{ width: '25px', height: '25px' }} />
+                            }
+                            onClick={() => navigate('/landing')}
+                            noOutline
+                            className="folder-button large-icon"
+                        />
+                    </div>
+                </div>
+                <div key="progress" className="grid-item">
+                    <ProgressBar currentExp={activePet.points} level={activePet.level} page="Folder" />
+                </div>
+            </GridLayout>
+            <h3>My Pets ({collection.pets.length}/{collection.slots})</h3>
+            <div className="pet-collection">
+                {collection.pets.map((pet) => (
+                    <div className={`pet-card ${pet._id === collection.activePet ? 'pet-card-active' : ''}`} key={pet._id}>
+                        <PetIcon id={pet._id} name={pet.name} level={pet.level} exp={pet.points} variant={pet.type} needs={pet.needs} evolutions={pet.evolutions} accessories={pet.accessories} page="Folder" />
+                        <h4>{pet.name}</h4>
+                        <p className="pet-card-level">Level {pet.level}</p>
+                        {pet._id === collection.activePet ? (
+                            <span className="pet-card-badge">Active</span>
+                        ) : (
+                            <span className="pet-card-action" onClick={() => choosePet(pet)}>Make active</span>
+                        )}
+                    </div>
+                ))}
+            </div>
+            <div className="pet-collection-footer">
+                <p>{describeSlots(collection)}</p>
+                {canHatch && (
+                    <Button
+                        text="Hatch a pet"
+                        onClick={() => navigate('/')}
+                        icon={<img src={Egg_Icon} alt="egg" style={{ width: '20px', height: '20px' }} />}
+                    />
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default PetsPage;
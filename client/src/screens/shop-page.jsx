@@ -0,0 +1,197 @@
+// import native stuff
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import GridLayout from 'react-grid-layout';
+
+// import our components
+import Button from '../components/button';
+import PetIcon from '../components/pet';
+import ProgressBar from '../components/progress-bar';
+import { useToast } from '../components/toast';
+import { authHeaders } from '../utils/auth';
+import { ITEM_KINDS, fetchShop, fetchInventory, buyItem, applyItem, describeUse, describeEffect } from '../utils/shop';
+
+// import styling sheets
+import '../css/index.css';
+import '../css/folder.css';
+import '../css/folder-grid.css';
+import '../css/shop-page.css';
+
+// import custom icons
+import home_icon from '../assets/home_icon.svg';
+import folder_icon from '../assets/folder_icon.svg';
+
+// spend coins earned from tasks on food, toys and accessories, and use them on the active pet
+function ShopPage() {
+    const navigate = useNavigate();
+    const { showToast } = useToast();
+
+    // local states
+    const [catalog, setCatalog] = useState([]);
+    const [inventory, setInventory] = useState([]);
+    const [coins, setCoins] = useState(0);
+
+    // pet info
+    const [pet, setPet] = useState({
+        name: 'placeholder',
+        level: 0, // Example starting level
+        points: 0 // Example starting EXP
+    });
+
+    // layout for styling
+    const layoutFolder = [
+        { i: 'pet', x: 0, y: 0, w: 4, h: 2, static: true },
+        { i: 'title', x: 4, y: 0, w: 8, h: 1, static: true },
+        { i: 'buttons', x: 12, y: 0, w: 4, h: 1, static: true },
+        { i: 'progress', x: 4, y: 1, w: 12, h: 1, static: true }
+    ];
+    const gridProps = {
+        className: 'folder-grid',
+        layout: layoutFolder,
+        cols: 16,
+        rowHeight: 40,
+        width: 406
+    };
+
+    // FETCH PET FROM BACKEND -- TRIGGER AT PAGE LOAD (using an item sends back the pet itself)
+    useEffect(() => {
+        const fetchPet = async () => {
+            try {
+                const response = await fetch('https://todogotchi-release-server.vercel.app/pets/active', { headers: authHeaders() });
+                if (!response.ok) {
+                    throw new Error(`Error: ${response.status} ${response.statusText}`);
+                }
+                const petData = await response.json();
+                localStorage.setItem('pet', JSON.stringify(petData));
+                setPet(petData);
+            } catch (error) {
+                console.error('Failed to fetch pet:', error);
+            }
+        };
+
+        fetchPet();
+    }, [navigate]);
+
+    // GET the catalog and what the user already owns
+    useEffect(() => {
+        Promise.all([fetchShop(), fetchInventory()])
+            .then(([shop, owned]) => {
+                setCatalog(shop.items);
+                setInventory(owned.items);
+                setCoins(shop.coins);
+            })
+            .catch((error) => {
+                showToast('Failed to load the shop, please try again later');
+                console.error('Error fetching shop:', error);
+            });
+    }, []);
+
+    // POST a purchase -- the server checks the coins, so show its reason when it says no
+    const onBuy = async (item) => {
+        try {
+            const result = await buyItem(item.id);
+            setInventory(result.items);
+            setCoins(result.coins);
+            showToast(`Bought ${item.name}`);
+        } catch (error) {
+            showToast(error.message);
+            console.error('Error buying item:', error);
+        }
+    };
+
+    // POST using an item -- food and toys get used up, accessories go on or come off
+    const onUse = async (item) => {
+        try {
+            const result = await applyItem(item.id);
+            setInventory(result.items);
+            setPet(result.pet);
+            showToast(`${describeUse(item, pet)}: ${item.name}`);
+        } catch (error) {
+            showToast(error.message);
+            console.error('Error using item:', error);
+        }
+    };
+
+    const owns = (item) => inventory.some((owned) => owned.id === item.id);
+
+    // return page UI
+    return (
+        <div className="folder-page-container">
+            <GridLayout {...gridProps}>
+                <div key="pet" className="grid-item">
+                    <PetIcon id={pet._id} name={pet.name} level={pet.level} exp={pet.points} variant={pet.type} needs={pet.needs} evolutions={pet.evolutions} accessories={pet.accessories} page="Folder" />
+                </div>
+                <div key="title" className="grid-item">
+                    <h2>TODOGOTCHI</h2>
+                </div>
+                <div key="buttons" className="grid-item">
+                    <div className="button-container">
+                        <Button
+                            icon={
+                                <img src={folder_icon} alt="Folders Icon" style={{ width: '25px', height: '25px' }} />
+                            }
+                            onClick={() => navigate('/folder')}
+                            noOutline
+                            className="folder-button large-icon"
+                        />
+                        <Button
+                            icon={
+                                <img src={home_icon} alt="Home Icon" style={{ width: '25px', height: '25px' }} />
+                            }
+                            onClick={() => navigate('/landing')}
+                            noOutline
+                            className="folder-button large-icon"
+                        />
+                    </div>
+                </div>
+                <div key="progress" className="grid-item">
+                    <ProgressBar currentExp={pet.points} level={pet.level} page="Folder" />
+                </div>
+            </GridLayout>
+            <div className="shop-header">
+                <h3>Shop</h3>
+                <span className="shop-coins">🪙 {coins} coins</span>
+            </div>
+            {ITEM_KINDS.map(({ kind, title }) => (
+                <div className="shop-shelf" key={kind}>
+                    <h4>{title}</h4>
+                    {catalog.filter((item) => item.kind === kind).map((item) => (
+                        <div className="shop-item" key={item.id}>
+                            <span className="shop-item-icon">{item.icon}</span>
+                            <div className="shop-item-details">
+                                <span className="shop-item-name">{item.name}</span>
+                                <span className="shop-item-effect">{describeEffect(item)}</span>
+                            </div>
+                            {kind === 'accessory' && owns(item) ? (
+                                <span className="shop-item-owned">Owned</span>
+                            ) : (
+                                <button className="shop-item-buy" disabled={item.price > coins} onClick={() => onBuy(item)}>
+                                    🪙 {item.price}
+                                </button>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            ))}
+            <h3>Inventory</h3>
+            {inventory.length === 0 ? (
+                <p className="shop-empty">Nothing here yet -- finish tasks to earn coins!</p>
+            ) : (
+                inventory.map((item) => (
+                    <div className="shop-item" key={item.id}>
+                        <span className="shop-item-icon">{item.icon}</span>
+                        <div className="shop-item-details">
+                            <span className="shop-item-name">{item.name}</span>
+                            {item.kind !== 'accessory' && <span className="shop-item-effect">×{item.quantity}</span>}
+                        </div>
+                        <button className="shop-item-use" onClick={() => onUse(item)}>
+                            {describeUse(item, pet)}
+                        </button>
+                    </div>
+                ))
+            )}
+        </div>
+    );
+};
+
+export default ShopPage;
@@ -0,0 +1,241 @@
+// import native stuff
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import GridLayout from 'react-grid-layout';
+
+// import our components
+import Button from '../components/button';
+import PetIcon from '../components/pet';
+import ProgressBar from '../components/progress-bar';
+import TaskGroupList from '../components/taskGroupList';
+import { useToast } from '../components/toast';
+import { useAchievementPopup } from '../components/badge';
+import { authHeaders } from '../utils/auth';
+import { loadCategories } from '../utils/categories';
+import { queryTasks, saveTaskStatus, saveSubtaskStatus, removeSubtask, describeScore } from '../utils/tasks';
+
+// import styling sheets
+import '../css/index.css';
+import '../css/folder.css';
+import '../css/folder-grid.css';
+import '../css/task-group-list.css';
+
+// import custom icons
+import home_icon from '../assets/home_icon.svg';
+import folder_icon from '../assets/folder_icon.svg';
+
+// how far ahead each view looks, in days after today
+const views = {
+    today: { title: 'Today', days: 0, emptyText: 'Nothing due today!' },
+    upcoming: { title: 'Upcoming', days: 7, emptyText: 'Nothing due this week!' }
+};
+
+// tasks due across every folder and note -- view is 'today' or 'upcoming'
+function TaskViewPage({ view }) {
+    const navigate = useNavigate();
+    const { title, days, emptyText } = views[view];
+    const { showToast, delayWithUndo } = useToast();
+    const announceAchievements = useAchievementPopup();
+
+    // local states
+    const [tasks, setTasks] = useState([]);
+
+    // pet info
+    const [pet, setPet] = useState({
+        name: 'placeholder',
+        level: 0, // Example starting level
+        points: 0 // Example starting EXP
+    });
+
+    // layout for styling
+    const layoutFolder = [
+        { i: 'pet', x: 0, y: 0, w: 4, h: 2, static: true },
+        { i: 'title', x: 4, y: 0, w: 8, h: 1, static: true },
+        { i: 'buttons', x: 12, y: 0, w: 4, h: 1, static: true },
+        { i: 'progress', x: 4, y: 1, w: 12, h: 1, static: true }
+    ];
+    const gridProps = {
+        className: 'folder-grid',
+        layout: layoutFolder,
+        cols: 16,
+        rowHeight: 40,
+        width: 406
+    };
+
+    // FETCH PET FROM BACKEND -- TRIGGER AT PAGE LOAD (task updates send back the pet themselves)
+    useEffect(() => {
+        const fetchPet = async () => {
+            try {
+                const response = await fetch('https://todogotchi-release-server.vercel.app/pets/active', { headers: authHeaders() });
+                if (!response.ok) {
+                    throw new Error(`Error: ${response.status} ${response.statusText}`);
+                }
+                const petData = await response.json();
+                localStorage.setItem('pet', JSON.stringify(petData));
+                setPet(petData);
+            } catch (error) {
+                console.error('Failed to fetch pet:', error);
+            }
+        };
+
+        fetchPet();
+    }, [navigate]);
+
+    // GET the user's categories -- tasks are colored and re-categorized with them
+    useEffect(() => {
+        loadCategories().catch((error) => console.error('Failed to load categories:', error));
+    }, []);
+
+    // GET pending tasks due before the end of the last day in the view (overdue ones included)
+    const fetchTasks = async () => {
+        try {
+            const end = new Date();
+            end.setHours(0, 0, 0, 0);
+            end.setDate(end.getDate() + days + 1);
+
+            const data = await queryTasks({ status: 'pending', dueBefore: end.toISOString(), sortBy: 'dueDate', limit: 200 });
+            setTasks(data);
+        } catch (error) {
+            showToast('Failed to fetch tasks, please try again later');
+            console.error('Error fetching tasks:', error);
+        }
+    };
+
+    useEffect(() => {
+        fetchTasks();
+    }, [view]);
+
+    // keep the pet the server sent back (re-renders the progress bar)
+    const updatePetState = (updatedPet) => {
+        localStorage.setItem('pet', JSON.stringify(updatedPet));
+        setPet(updatedPet);
+    };
+
+    // swap in a task the server sent back after changing it
+    const replaceTask = (updatedTask) => {
+        setTasks((prevTasks) => prevTasks.map((task) => (task._id === updatedTask._id ? updatedTask : task)));
+    };
+
+    // mark tasks as complete -- same request as the note page, so the pet gets the same XP
+    const saveCheckbox = async (checked, id) => {
+        try {
+            const result = await saveTaskStatus(id, checked);
+
+            // toggled too quickly -- the server keeps the old status
+            if (!result) {
+                showToast('Slow down! Wait a moment before changing this task again.');
+                return false;
+            }
+
+            if (result.pet) {
+                updatePetState(result.pet);
+            }
+
+            // explain the points (early bonus, late penalty)
+            if (result.score) {
+                showToast(describeScore(result.score));
+            }
+            announceAchievements(result.achievements);
+
+            // recurring tasks add (or take back) their next occurrence, so reload the list
+            if (result.task.recurrence) {
+                fetchTasks();
+            }
+            return true;
+        } catch (error) {
+            console.error('Failed to update task:', error);
+            return false;
+        }
+    };
+
+    // checking a task off is only sent once its undo window is over
+    const onCheckboxChange = (checked, id) =>
+        delayWithUndo(checked ? 'Task completed' : 'Task unchecked', () => saveCheckbox(checked, id), id);
+
+    // UPDATE subtask status on server -- the server pays out part of the task's points
+    const onSubtaskCheckboxChange = async (checked, taskId, subtaskId) => {
+        try {
+            const { task, pet, achievements } = await saveSubtaskStatus(taskId, subtaskId, checked);
+            replaceTask(task);
+            if (pet) {
+                updatePetState(pet);
+            }
+            announceAchievements(achievements);
+        } catch (error) {
+            showToast('Failed to update subtask, please try again later');
+            console.error('Error updating subtask:', error);
+        }
+    };
+
+    // DELETE subtask from server
+    const onDeleteSubtask = async (taskId, subtaskId) => {
+        try {
+            const { task, pet } = await removeSubtask(taskId, subtaskId);
+            replaceTask(task);
+            if (pet) {
+                updatePetState(pet);
+            }
+        } catch (error) {
+            showToast('Failed to delete subtask, please try again later');
+            console.error('Error deleting subtask:', error);
+        }
+    };
+
+    // return page UI
+    return (
+        <div className="folder-page-container">
+            <GridLayout {...gridProps}>
+                <div key="pet" className="grid-item">
+                    <PetIcon id={pet._id} name={pet.name} level={pet.level} exp={pet.points} variant={pet.type} needs={pet.needs} evolutions={pet.evolutions} accessories={pet.accessories} page="Folder" />
+                </div>
+                <div key="title" className="grid-item">
+                    <h2>TODOGOTCHI</h2>
+                </div>
+                <div key="buttons" className="grid-item">
+                    <div className="button-container">
+                        <Button
+                            icon={
+                                <img src={folder_icon} alt="Folders Icon" style={{ width: '25px', height: '25px' }} />
+                            }
+                            onClick={() => navigate('/folder')}
+                            noOutline
+                            className="folder-button large-icon"
+                        />
+                        <Button
+                            icon={
+                                <img src={home_icon} alt="Home Icon" style={{ width: '25px', height: '25px' }} />
+                            }
+                            onClick={() => navigate('/landing')}
+                            noOutline
+                            className="folder-button large-icon"
+                        />
+                    </div>
+                </div>
+                <div key="progress" className="grid-item">
+                    <ProgressBar currentExp={pet.points} level={pet.level} page="Folder" />
+                </div>
+            </GridLayout>
+            <div className="view-tabs">
+                {Object.entries(views).map(([key, { title }]) => (
+                    <div
+                        key={key}
+                        className={`view-tab ${key === view ? 'active' : ''}`}
+                        onClick={() => navigate(`/${key}`)}
+                    >
+                        {title}
+                    </div>
+                ))}
+            </div>
+            <h3>{title}</h3>
+            <TaskGroupList
+                tasks={tasks}
+                emptyText={emptyText}
+                onCheckboxChange={onCheckboxChange}
+                onSubtaskCheckboxChange={onSubtaskCheckboxChange}
+                onDeleteSubtask={onDeleteSubtask}
+            />
+        </div>
+    );
+};
+
+export default TaskViewPage;
@@ -0,0 +1,233 @@
+// import native stuff
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import GridLayout from 'react-grid-layout';
+
+// import our components
+import Button from '../components/button';
+import PetIcon from '../components/pet';
+import ProgressBar from '../components/progress-bar';
+import { useToast } from '../components/toast';
+import { authHeaders } from '../utils/auth';
+
+// import styling sheets
+import '../css/index.css';
+import '../css/folder.css';
+import '../css/folder-grid.css';
+import '../css/trash.css';
+
+// import custom icons
+import home_icon from '../assets/home_icon.svg';
+import trash_icon from '../assets/trash_icon.svg';
+import folder_icon from '../assets/folder_icon.svg';
+import add_notes_icon from '../assets/add_notes_icon.svg';
+import todo from '../assets/todo.svg';
+
+const kindIcons = { folder: folder_icon, note: add_notes_icon, task: todo };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// e.g. "deleted today · 30 days left"
+export const describeTrashAge = (deletedAt, retentionDays, now = new Date()) => {
+    const age = Math.floor((now - new Date(deletedAt)) / DAY_MS);
+    const left = Math.max(0, Math.ceil(retentionDays - (now - new Date(deletedAt)) / DAY_MS));
+    const deleted = age === 0 ? 'deleted today' : age === 1 ? 'deleted yesterday' : `deleted ${age} days ago`;
+    return `${deleted} · ${left} ${left === 1 ? 'day' : 'days'} left`;
+};
+
+// everything the user deleted, until it's restored or purged
+function TrashPage() {
+    const navigate = useNavigate();
+    const { showToast } = useToast();
+
+    // local states
+    const [items, setItems] = useState([]);
+    const [retentionDays, setRetentionDays] = useState(30);
+
+    // pet info
+    const [pet, setPet] = useState({
+        name: 'placeholder',
+        level: 0, // Example starting level
+        points: 0 // Example starting EXP
+    });
+
+    // layout for styling
+    const layoutFolder = [
+        { i: 'pet', x: 0, y: 0, w: 4, h: 2, static: true },
+        { i: 'title', x: 4, y: 0, w: 8, h: 1, static: true },
+        { i: 'buttons', x: 12, y: 0, w: 4, h: 1, static: true },
+        { i: 'progress', x: 4, y: 1, w: 12, h: 1, static: true }
+    ];
+    const gridProps = {
+        className: 'folder-grid',
+        layout: layoutFolder,
+        cols: 16,
+        rowHeight: 40,
+        width: 406
+    };
+
+    // pet comes from localStorage here -- nothing on this page changes it
+    useEffect(() => {
+        const pet = localStorage.getItem('pet');
+        if (pet) {
+            setPet(JSON.parse(pet));
+        }
+    }, [navigate]);
+
+    // GET trash from server
+    const fetchTrash = async () => {
+        try {
+            const resp = await fetch('https://todogotchi-release-server.vercel.app/trash', { headers: authHeaders() });
+            if (!resp.ok) {
+                throw new Error(`Error: ${resp.status} ${resp.statusText}`);
+            }
+
+            const data = await resp.json();
+            setItems(data.items);
+            setRetentionDays(data.retentionDays);
+        } catch (error) {
+            showToast('Failed to fetch trash, please try again later');
+            console.error('Error fetching trash:', error);
+        }
+    };
+
+    // RESTORE an item to where it was deleted from
+    const restoreItem = async (trashId) => {
+        try {
+            const resp = await fetch(`https://todogotchi-release-server.vercel.app/trash/${trashId}/restore`, {
+                method: 'POST',
+                headers: authHeaders()
+            });
+
+            // its folder/note is gone or in the trash too -- the server says which
+            if (resp.status === 409) {
+                const { message } = await resp.json();
+                showToast(message);
+                return;
+            }
+
+            if (!resp.ok) {
+                throw new Error(`Error: ${resp.status} ${resp.statusText}`);
+            }
+
+            setItems((prevItems) => prevItems.filter((item) => item._id !== trashId));
+        } catch (error) {
+            showToast('Failed to restore item, please try again later');
+            console.error('Error restoring item:', error);
+        }
+    };
+
+    // DELETE an item for good
+    const purgeItem = async (trashId) => {
+        try {
+            const resp = await fetch(`https://todogotchi-release-server.vercel.app/trash/${trashId}`, {
+                method: 'DELETE',
+                headers: authHeaders()
+            });
+
+            if (!resp.ok) {
+                throw new Error(`Error: ${resp.status} ${resp.statusText}`);
+            }
+
+            setItems((prevItems) => prevItems.filter((item) => item._id !== trashId));
+        } catch (error) {
+            showToast('Failed to delete item, please try again later');
+            console.error('Error deleting item:', error);
+        }
+    };
+
+    // DELETE everything in the trash for good
+    const emptyTrash = async () => {
+        try {
+            const resp = await fetch('https://todogotchi-release-server.vercel.app/trash', {
+                method: 'DELETE',
+                headers: authHeaders()
+            });
+
+            if (!resp.ok) {
+                throw new Error(`Error: ${resp.status} ${resp.statusText}`);
+            }
+
+            setItems([]);
+        } catch (error) {
+            showToast('Failed to empty trash, please try again later');
+            console.error('Error emptying trash:', error);
+        }
+    };
+
+    useEffect(() => {
+        fetchTrash();
+    }, []);
+
+    // return page UI
+    return (
+        <div className="folder-page-container">
+            <GridLayout {...gridProps}>
+                <div key="pet" className="grid-item">
+                    <PetIcon id={pet._id} name={pet.name} level={pet.level} exp={pet.points} variant={pet.type} needs={pet.needs} evolutions={pet.evolutions} accessories={pet.accessories} page="Folder" />
+                </div>
+                <div key="title" className="grid-item">
+                    <h2>TODOGOTCHI</h2>
+                </div>
+                <div key="buttons" className="grid-item">
+                    <div className="button-container">
+                        <Button
+                            icon={
+                                <img src={folder_icon} alt="Folders Icon" style={{ width: '25px', height: '25px' }} />
+                            }
+                            onClick={() => navigate('/folder')}
+                            noOutline
+                            className="folder-button large-icon"
+                        />
+                        <Button
+                            icon={
+                                <img src={home_icon} alt="Home Icon" style={{ width: '25px', height: '25px' }} />
+                            }
+                            onClick={() => navigate('/landing')}
+                            noOutline
+                            className="folder-button large-icon"
+                        />
+                    </div>
+                </div>
+                <div key="progress" className="grid-item">
+                    <ProgressBar currentExp={pet.points} level={pet.level} page="Folder" />
+                </div>
+            </GridLayout>
+            <div className="trash-header">
+                <h3>Trash</h3>
+                {items.length > 0 && (
+                    <Button
+                        text="Empty Trash"
+                        onClick={emptyTrash}
+                        icon={<img src={trash_icon} alt="trash" style={{ width: '20px', height: '20px' }} />}
+                    />
+                )}
+            </div>
+            <div className="trash-list">
+                {items.map((item) => (
+                    <div className="folder-container trash-item" key={item._id}>
+                        <div className="left-half">
+                            <img src={kindIcons[item.kind]} className="folder-icon" />
+                            <div className="trash-item-text">
+                                <h4>{item.name}</h4>
+                                <p className="trash-item-details">
+                                    {item.parentName ? `from ${item.parentName} · ` : ''}
+                                    {describeTrashAge(item.deletedAt, retentionDays)}
+                                </p>
+                            </div>
+                        </div>
+                        <div className="trash-actions">
+                            <span className="trash-action" onClick={() => restoreItem(item._id)}>Restore</span>
+                            <span className="trash-action" onClick={() => purgeItem(item._id)}>Delete</span>
+                        </div>
+                    </div>
+                ))}
+                {items.length === 0 && (
+                    <p className="trash-empty">Trash is empty. Items stay here for {retentionDays} days.</p>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default TrashPage;
@@ -0,0 +1,12 @@
+import { authHeaders } from './auth'
+
+// GET every badge -- { earned: [...], locked: [...] }
+export const fetchAchievements = async () => {
+  const resp = await fetch('https://todogotchi-release-server.vercel.app/achievements', { headers: authHeaders() })
+
+  if (!resp.ok) {
+    throw new Error(`Error: ${resp.status} ${resp.statusText}`)
+  }
+
+  return resp.json()
+}
@@ -0,0 +1,5 @@
+// Every request to our server needs the jwt we got back when logging in
+export const authHeaders = (headers = {}) => ({
+  ...headers,
+  Authorization: `Bearer ${localStorage.getItem('jwt')}`
+})
@@ -0,0 +1,52 @@
+import { authHeaders } from './auth'
+
+const PETS_URL = 'https://todogotchi-release-server.vercel.app/pets'
+
+// the care buttons next to the pet, in order -- actions match CARE_ACTIONS in server/utils/care.js
+export const CARE_BUTTONS = [
+  { action: 'feed', label: 'Feed', icon: '🍖' },
+  { action: 'play', label: 'Play', icon: '🎾' },
+  { action: 'sleep', label: 'Sleep', icon: '🌙' }
+]
+
+// GET how long until each action can be done again -- { feed, play, sleep } in ms
+export const fetchCooldowns = async (petId) => {
+  const resp = await fetch(`${PETS_URL}/${petId}/actions`, { headers: authHeaders() })
+
+  if (!resp.ok) {
+    throw new Error(`Error: ${resp.status} ${resp.statusText}`)
+  }
+
+  const { cooldowns } = await resp.json()
+  return cooldowns
+}
+
+// POST a care action -- resolves to { pet, items, cooldowns, used }. rejects with the server's
+// reason (no food, too tired), plus retryAfter (ms) when the action is still cooling down
+export const doCareAction = async (petId, action) => {
+  const resp = await fetch(`${PETS_URL}/${petId}/actions/${action}`, {
+    method: 'POST',
+    headers: authHeaders()
+  })
+
+  if (!resp.ok) {
+    const body = await resp.json().catch(() => ({}))
+    const error = new Error(body.message || `Error: ${resp.status} ${resp.statusText}`)
+    error.retryAfter = body.retryAfter
+    throw error
+  }
+
+  const result = await resp.json()
+  localStorage.setItem('pet', JSON.stringify(result.pet))
+  return result
+}
+
+// time left on a cooldown, e.g. '45s', '12m' or '1h 30m'
+export const formatCooldown = (ms) => {
+  const seconds = Math.ceil(ms / 1000)
+  if (seconds < 60) return `${seconds}s`
+
+  const minutes = Math.ceil(seconds / 60)
+  if (minutes < 60) return `${minutes}m`
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`
+}
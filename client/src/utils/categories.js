@@ -0,0 +1,89 @@
+import { useSyncExternalStore } from 'react'
+import { authHeaders } from './auth'
+
+const CATEGORIES_URL = 'https://todogotchi-release-server.vercel.app/categories'
+
+// the user's task categories, oldest first (see server/utils/categories.js) -- screens that show
+// tasks call loadCategories when they open, and everything inside them reads them with useCategories
+let current = []
+const listeners = new Set()
+
+const subscribe = (listener) => {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+// swap in a new list and re-render everything showing categories
+export const setCategories = (categories) => {
+  current = categories
+  listeners.forEach((listener) => listener())
+}
+
+// the categories as of now, for code outside components
+export const getCategories = () => current
+
+// the categories in a component -- re-renders when they change
+export const useCategories = () => useSyncExternalStore(subscribe, getCategories)
+
+// a task's category (tasks hold its id), or null if it isn't loaded
+export const findCategory = (categories, id) => categories.find((category) => category._id === id) || null
+
+// the stripe a task is drawn with -- undefined leaves the default
+export const categoryBorder = (category) => (category ? `5px solid ${category.color}` : undefined)
+
+// how a category is named in menus and pickers
+export const categoryLabel = (category) => (category.icon ? `${category.icon} ${category.name}` : category.name)
+
+// reject with the server's own message (e.g. 'You already have a category with that name') when it sent one
+const readResponse = async (resp) => {
+  if (!resp.ok) {
+    const body = await resp.json().catch(() => ({}))
+    throw new Error(body.message || `Error: ${resp.status} ${resp.statusText}`)
+  }
+
+  return resp.json()
+}
+
+// GET the user's categories (the server gives new users the defaults)
+export const loadCategories = async () => {
+  setCategories(await readResponse(await fetch(CATEGORIES_URL, { headers: authHeaders() })))
+  return current
+}
+
+// POST a new category -- { name, color, points, icon }
+export const createCategory = async (fields) => {
+  const resp = await fetch(CATEGORIES_URL, {
+    method: 'POST',
+    headers: authHeaders({ 'Content-Type': 'application/json' }),
+    body: JSON.stringify(fields)
+  })
+
+  const category = await readResponse(resp)
+  setCategories([...current, category])
+  return category
+}
+
+// PATCH a category -- resolves to { category, tasksUpdated } (pending tasks take on new points)
+export const updateCategory = async (id, fields) => {
+  const resp = await fetch(`${CATEGORIES_URL}/${id}`, {
+    method: 'PATCH',
+    headers: authHeaders({ 'Content-Type': 'application/json' }),
+    body: JSON.stringify(fields)
+  })
+
+  const result = await readResponse(resp)
+  setCategories(current.map((category) => (category._id === id ? result.category : category)))
+  return result
+}
+
+// DELETE a category, moving its tasks into replaceWith -- resolves to { category, tasksMoved }
+export const deleteCategory = async (id, replaceWith) => {
+  const resp = await fetch(`${CATEGORIES_URL}/${id}?replaceWith=${replaceWith}`, {
+    method: 'DELETE',
+    headers: authHeaders()
+  })
+
+  const result = await readResponse(resp)
+  setCategories(current.filter((category) => category._id !== id))
+  return result
+}
@@ -0,0 +1,46 @@
+import { useSyncExternalStore } from 'react'
+
+const CONFIG_URL = 'https://todogotchi-release-server.vercel.app/game/config'
+
+const readCachedConfig = () => {
+  try {
+    return JSON.parse(localStorage.getItem('gameConfig'))
+  } catch {
+    return null
+  }
+}
+
+// the last config fetched from GET /game/config (server/utils/gameConfig.js), kept in localStorage --
+// null until there's been one, and the app shows a loading screen until then (see App.jsx) rather
+// than keeping its own copy of the numbers
+let current = readCachedConfig()
+const listeners = new Set()
+
+const subscribe = (listener) => {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+// the config as of now, for code outside components (null before the first fetch)
+export const getGameConfig = () => current
+
+// the config in a component -- re-renders when a newer one arrives
+export const useGameConfig = () => useSyncExternalStore(subscribe, getGameConfig)
+
+// GET the server's config and switch everything over to it
+export const loadGameConfig = async () => {
+  const resp = await fetch(CONFIG_URL)
+
+  if (!resp.ok) {
+    throw new Error(`Error: ${resp.status} ${resp.statusText}`)
+  }
+
+  current = await resp.json()
+  localStorage.setItem('gameConfig', JSON.stringify(current))
+  listeners.forEach((listener) => listener())
+  return current
+}
+
+// points a pet needs to get past its level -- same curve as calculateRequiredExp in server/utils/leveling.js
+export const getRequiredExp = (level, { leveling } = getGameConfig()) =>
+  leveling.baseExp * Math.pow(Math.max(level, leveling.minCurveLevel), leveling.exponent)
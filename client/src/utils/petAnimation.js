@@ -0,0 +1,55 @@
+// Animation state machine behind PetIcon.
+// The pet rests in a state that follows its needs and whether any tasks are overdue, and
+// changes to its points/level (a task done, a level up, points taken back) and care actions
+// (feeding, playing, a nap) play a short animation on top before it settles back down.
+
+export const PET_STATES = ['idle', 'happy', 'sad', 'sleeping', 'eating', 'playing', 'celebrating']
+
+// how long each event plays before the pet goes back to resting (ms)
+export const EVENT_DURATIONS = { eating: 2000, playing: 2000, sleeping: 3000, celebrating: 3000, sad: 2000 }
+
+// the event each care action plays (see components/care-actions.jsx)
+export const CARE_EVENTS = { feed: 'eating', play: 'playing', sleep: 'sleeping' }
+
+// needs (0-100) below LOW or above HIGH change how the pet rests
+const LOW = 30
+const HIGH = 70
+
+// what the pet does when nothing just happened
+export const getRestingState = ({ needs, hasOverdue = false }) => {
+  if (needs && needs.energy < LOW) return 'sleeping'
+  if (hasOverdue || (needs && (needs.hunger < LOW || needs.happiness < LOW))) return 'sad'
+  if (needs && needs.happiness >= HIGH) return 'happy'
+  return 'idle'
+}
+
+// what a change to the same pet's level/points means for it, or null if nothing to show
+export const getPetEvent = (prev, next) => {
+  if (!prev || !prev.id || prev.id !== next.id) return null
+  if (next.level > prev.level) return 'celebrating'
+  if (next.level < prev.level || next.points < prev.points) return 'sad'
+  if (next.points > prev.points) return 'eating'
+  return null
+}
+
+export const initialAnimation = { resting: 'idle', playing: null, eventId: 0 }
+
+// rest: settle into a new resting state. event: play one on top. done: an event finished
+export const petAnimationReducer = (state, action) => {
+  switch (action.type) {
+    case 'rest':
+      return { ...state, resting: action.state }
+    case 'event':
+      // a level up isn't cut short by the points that came with it
+      if (state.playing === 'celebrating' && action.state !== 'celebrating') return state
+      return { ...state, playing: action.state, eventId: state.eventId + 1 }
+    case 'done':
+      // an older event's timer running out doesn't end a newer one
+      return action.eventId === state.eventId ? { ...state, playing: null } : state
+    default:
+      return state
+  }
+}
+
+// the state to show right now
+export const getAnimationState = (state) => state.playing || state.resting
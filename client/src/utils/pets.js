@@ -0,0 +1,38 @@
+import { authHeaders } from './auth'
+
+const PETS_URL = 'https://todogotchi-release-server.vercel.app/pets'
+
+// GET every pet the user hatched -- { pets, activePet, slots, nextSlotLevel }
+export const fetchPets = async () => {
+  const resp = await fetch(PETS_URL, { headers: authHeaders() })
+
+  if (!resp.ok) {
+    throw new Error(`Error: ${resp.status} ${resp.statusText}`)
+  }
+
+  return resp.json()
+}
+
+// PUT the pet that tasks' XP should go to -- resolves to that pet
+export const setActivePet = async (petId) => {
+  const resp = await fetch(`${PETS_URL}/active`, {
+    method: 'PUT',
+    headers: authHeaders({ 'Content-Type': 'application/json' }),
+    body: JSON.stringify({ petId })
+  })
+
+  if (!resp.ok) {
+    throw new Error(`Error: ${resp.status} ${resp.statusText}`)
+  }
+
+  const pet = await resp.json()
+  localStorage.setItem('pet', JSON.stringify(pet))
+  return pet
+}
+
+// how a pet slot gets unlocked, for the collection screen
+export const describeSlots = ({ pets, slots, nextSlotLevel }) => {
+  if (pets.length < slots) return 'You can hatch another pet!'
+  if (nextSlotLevel) return `Reach level ${nextSlotLevel} to hatch another pet`
+  return 'Your collection is complete'
+}
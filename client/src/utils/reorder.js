@@ -0,0 +1,71 @@
+import { useState } from 'react'
+import { authHeaders } from './auth'
+
+// move the item with id fromId to where the item with id toId is
+export const moveItem = (items, fromId, toId) => {
+  const from = items.findIndex((item) => item._id === fromId)
+  const to = items.findIndex((item) => item._id === toId)
+  if (from === -1 || to === -1 || from === to) {
+    return items
+  }
+
+  const reordered = [...items]
+  const [moved] = reordered.splice(from, 1)
+  reordered.splice(to, 0, moved)
+  return reordered
+}
+
+// drag-and-drop reordering for one list -- type keeps lists apart, so dragging a task
+// around inside a note doesn't also move the note. onReorder gets the list after a drop
+export const useDragReorder = (type, items, onReorder) => {
+  const [draggingId, setDraggingId] = useState(null)
+  const format = `application/x-todogotchi-${type}`
+
+  // spread onto each item's element
+  const dragProps = (id) => ({
+    draggable: true,
+    onDragStart: (e) => {
+      e.stopPropagation()
+      e.dataTransfer.setData(format, id)
+      setDraggingId(id)
+    },
+    onDragOver: (e) => {
+      if (Array.from(e.dataTransfer.types || []).includes(format)) {
+        e.preventDefault() // allows the drop
+        e.stopPropagation()
+      }
+    },
+    onDrop: (e) => {
+      const fromId = e.dataTransfer.getData(format)
+      if (!fromId) {
+        return
+      }
+      e.preventDefault()
+      e.stopPropagation()
+      setDraggingId(null)
+
+      const reordered = moveItem(items, fromId, id)
+      if (reordered !== items) {
+        onReorder(reordered)
+      }
+    },
+    onDragEnd: () => setDraggingId(null)
+  })
+
+  return { dragProps, draggingId }
+}
+
+// PUT the new order of a list to the server, e.g. /tasks/:noteId/order
+export const saveOrder = async (url, items) => {
+  const resp = await fetch(url, {
+    method: 'PUT',
+    headers: authHeaders({ 'Content-Type': 'application/json' }),
+    body: JSON.stringify({ order: items.map((item) => item._id) })
+  })
+
+  if (!resp.ok) {
+    throw new Error(`Error: ${resp.status} ${resp.statusText}`)
+  }
+
+  return resp.json()
+}
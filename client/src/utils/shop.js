@@ -0,0 +1,71 @@
+import { authHeaders } from './auth'
+
+const SHOP_URL = 'https://todogotchi-release-server.vercel.app/shop'
+
+// the order the shop shelves are shown in
+export const ITEM_KINDS = [
+  { kind: 'food', title: 'Food' },
+  { kind: 'toy', title: 'Toys' },
+  { kind: 'accessory', title: 'Accessories' }
+]
+
+// reject with the server's own message (e.g. 'Not enough coins') when it sent one
+const readResponse = async (resp) => {
+  if (!resp.ok) {
+    const body = await resp.json().catch(() => ({}))
+    throw new Error(body.message || `Error: ${resp.status} ${resp.statusText}`)
+  }
+
+  return resp.json()
+}
+
+// GET the catalog -- { items, coins }
+export const fetchShop = async () => readResponse(await fetch(SHOP_URL, { headers: authHeaders() }))
+
+// GET what the user owns -- { items (with quantity), coins }
+export const fetchInventory = async () => readResponse(await fetch(`${SHOP_URL}/inventory`, { headers: authHeaders() }))
+
+// POST a purchase -- resolves to the inventory and coins left afterwards
+export const buyItem = async (itemId, quantity = 1) => {
+  const resp = await fetch(`${SHOP_URL}/buy`, {
+    method: 'POST',
+    headers: authHeaders({ 'Content-Type': 'application/json' }),
+    body: JSON.stringify({ itemId, quantity })
+  })
+
+  return readResponse(resp)
+}
+
+// POST using an item on the active pet -- resolves to the inventory and the pet afterwards
+export const applyItem = async (itemId) => {
+  const resp = await fetch(`${SHOP_URL}/inventory/${itemId}/use`, {
+    method: 'POST',
+    headers: authHeaders()
+  })
+
+  const result = await readResponse(resp)
+  localStorage.setItem('pet', JSON.stringify(result.pet))
+  return result
+}
+
+// what using an item does, for its button
+export const describeUse = (item, pet) => {
+  if (item.kind !== 'accessory') return item.kind === 'food' ? 'Feed' : 'Play'
+  return pet.accessories?.includes(item.id) ? 'Take off' : 'Wear'
+}
+
+// where each accessory slot goes (see components/accessories.js)
+const slotDescriptions = {
+  hat: 'Worn on the head',
+  glasses: 'Worn over the eyes',
+  neck: 'Worn around the neck',
+  background: 'Shown behind your pet'
+}
+
+// what an item does for the pet, e.g. 'hunger +20, energy -5'
+export const describeEffect = (item) => {
+  if (!item.effect) return slotDescriptions[item.slot] || 'Worn by your pet'
+  return Object.entries(item.effect)
+    .map(([need, change]) => `${need} ${change > 0 ? '+' : ''}${change}`)
+    .join(', ')
+}
@@ -0,0 +1,18 @@
+import { authHeaders } from './auth'
+
+// the browser's time zone, so the server counts streak days the way the user does
+export const getTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone
+
+// GET the user's streak -- { current, best, activeToday, lost }
+export const fetchStreak = async () => {
+  const userId = localStorage.getItem('user_id')
+  const resp = await fetch(`https://todogotchi-release-server.vercel.app/users/${userId}/streak`, {
+    headers: authHeaders()
+  })
+
+  if (!resp.ok) {
+    throw new Error(`Error: ${resp.status} ${resp.statusText}`)
+  }
+
+  return resp.json()
+}
@@ -0,0 +1,135 @@
+import { authHeaders } from './auth'
+
+// Task requests shared by every screen that shows tasks, so checking one off
+// behaves the same no matter where it happens
+
+const TASKS_URL = 'https://todogotchi-release-server.vercel.app/tasks'
+
+// PATCH a task's status -- the server awards (or takes back) the points and sends back the pet.
+// resolves to the response body, or null if the task was toggled too quickly
+export const saveTaskStatus = async (taskId, checked) => {
+  const resp = await fetch(`${TASKS_URL}/${taskId}`, {
+    method: 'PATCH',
+    headers: authHeaders({ 'Content-Type': 'application/json' }),
+    body: JSON.stringify({ status: checked ? 'completed' : 'pending' })
+  })
+
+  // toggled too quickly -- the server keeps the old status
+  if (resp.status === 429) {
+    return null
+  }
+
+  if (!resp.ok) {
+    throw new Error(`Error: ${resp.status} ${resp.statusText}`)
+  }
+
+  return resp.json()
+}
+
+// PATCH a subtask's status -- the server pays out part of the task's points
+export const saveSubtaskStatus = async (taskId, subtaskId, checked) => {
+  const resp = await fetch(`${TASKS_URL}/${taskId}/subtasks/${subtaskId}`, {
+    method: 'PATCH',
+    headers: authHeaders({ 'Content-Type': 'application/json' }),
+    body: JSON.stringify({ status: checked ? 'completed' : 'pending' })
+  })
+
+  if (!resp.ok) {
+    throw new Error(`Error: ${resp.status} ${resp.statusText}`)
+  }
+
+  return resp.json()
+}
+
+// DELETE a subtask -- takes back any points it paid out
+export const removeSubtask = async (taskId, subtaskId) => {
+  const resp = await fetch(`${TASKS_URL}/${taskId}/subtasks/${subtaskId}`, {
+    method: 'DELETE',
+    headers: authHeaders()
+  })
+
+  if (!resp.ok) {
+    throw new Error(`Error: ${resp.status} ${resp.statusText}`)
+  }
+
+  return resp.json()
+}
+
+// GET every task matching the query from GET /tasks, following the cursor across pages
+export const queryTasks = async (query) => {
+  const tasks = []
+  let cursor = null
+
+  do {
+    const params = new URLSearchParams(cursor ? { ...query, cursor } : query)
+    const resp = await fetch(`${TASKS_URL}?${params}`, { headers: authHeaders() })
+
+    if (!resp.ok) {
+      throw new Error(`Error: ${resp.status} ${resp.statusText}`)
+    }
+
+    const page = await resp.json()
+    tasks.push(...page.tasks)
+    cursor = page.nextCursor
+  } while (cursor)
+
+  return tasks
+}
+
+// PATCH a task's due date
+export const saveTaskDueDate = async (taskId, dueDate) => {
+  const resp = await fetch(`${TASKS_URL}/${taskId}`, {
+    method: 'PATCH',
+    headers: authHeaders({ 'Content-Type': 'application/json' }),
+    body: JSON.stringify({ dueDate })
+  })
+
+  if (!resp.ok) {
+    throw new Error(`Error: ${resp.status} ${resp.statusText}`)
+  }
+
+  return resp.json()
+}
+
+// POST one action (complete, reopen, delete, setCategory, setDueDate or move) for many tasks at once.
+// resolves to the response body, or null if one of them was toggled too quickly
+export const bulkUpdateTasks = async (ids, action, value) => {
+  const resp = await fetch(`${TASKS_URL}/bulk`, {
+    method: 'POST',
+    headers: authHeaders({ 'Content-Type': 'application/json' }),
+    body: JSON.stringify({ ids, action, value })
+  })
+
+  if (resp.status === 429) {
+    return null
+  }
+
+  if (!resp.ok) {
+    throw new Error(`Error: ${resp.status} ${resp.statusText}`)
+  }
+
+  return resp.json()
+}
+
+// GET whether any of the user's pending tasks are past their due date
+export const hasOverdueTasks = async () => {
+  const params = new URLSearchParams({ status: 'pending', overdue: 'true', limit: 1 })
+  const resp = await fetch(`${TASKS_URL}?${params}`, { headers: authHeaders() })
+
+  if (!resp.ok) {
+    throw new Error(`Error: ${resp.status} ${resp.statusText}`)
+  }
+
+  const page = await resp.json()
+  return page.tasks.length > 0
+}
+
+// how the server worked out a completion's points, e.g. "+200 XP (easy task 250, 2 days late -50)"
+export const describeScore = ({ points, breakdown }) => {
+  const parts = breakdown.map((part, index) => {
+    const sign = index > 0 && part.points > 0 ? '+' : ''
+    return `${part.reason} ${sign}${part.points}`
+  })
+
+  return `+${points} XP (${parts.join(', ')})`
+}
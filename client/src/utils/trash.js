@@ -0,0 +1,21 @@
+import { authHeaders } from './auth'
+
+// POST a trash entry back to where it was deleted from.
+// throws with the server's reason if it can't be restored (e.g. its folder is in the trash too)
+export const restoreFromTrash = async (trashId) => {
+  const resp = await fetch(`https://todogotchi-release-server.vercel.app/trash/${trashId}/restore`, {
+    method: 'POST',
+    headers: authHeaders()
+  })
+
+  if (resp.status === 409) {
+    const { message } = await resp.json()
+    throw new Error(message)
+  }
+
+  if (!resp.ok) {
+    throw new Error(`Error: ${resp.status} ${resp.statusText}`)
+  }
+
+  return resp.json()
+}
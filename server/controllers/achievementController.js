@@ -0,0 +1,33 @@
+import User from "../models/User.js";
+import { getAchievementStats, unlockAchievements } from "../utils/rewards.js";
+import { listAchievements } from "../utils/achievements.js";
+
+/**
+ * List every badge for the authenticated user, earned and still locked.
+ * Anything the user has already reached (e.g. before badges existed) is unlocked on the way.
+ *
+ * @async
+ * @function getAchievements
+ * @param {Object} req - The request object.
+ * @param {Object} req.user - The authenticated user, set by verifyToken.
+ * @param {string} req.user.id - The authenticated user's ID.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the earned badges (and when they were earned) and the
+ * locked ones (and how far along the user is).
+ * @throws {Object} Sends a JSON response with appropriate error messages.
+ */
+export const getAchievements = async (req, res) => {
+  try {
+    await unlockAchievements(req.user.id);
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const stats = await getAchievementStats(user);
+    res.status(200).json(listAchievements(user.achievements, stats));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
@@ -1,11 +1,13 @@
 import bcrypt from "bcrypt";
 import jwt from "jsonwebtoken";
 import User from "../models/User.js";
+import { isValidTimeZone } from "../utils/streaks.js";
+import { ensureDefaultCategories } from "../utils/categories.js";
 
 /**
  * Register a new user in the system.
- * Hashes the user's password, creates a new user in the database,
- * and returns a JWT token along with the created user.
+ * Hashes the user's password, creates a new user in the database with the default task
+ * categories, and returns a JWT token along with the created user.
  *
  * @async
  * @function register
@@ -13,21 +15,18 @@ import User from "../models/User.js";
  * @param {Object} req.body - The body of the request containing user data.
  * @param {string} req.body.email - The user's email address.
  * @param {string} req.body.password - The user's password.
+ * @param {string} [req.body.timeZone] - The user's IANA time zone, used to count their streak days.
  * @param {Object} res - The response object.
  * @returns {Promise<void>} Sends a JSON response with a status of 201 and the user data if successful.
  * @throws {Object} Sends a JSON response with a status of 500 if an error occurs.
  */
 export const register = async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { email, password, timeZone } = req.body;
 
     const salt = await bcrypt.genSalt(); // used to encrypt password
-    console.log("Generated salt:", salt);
-    console.log(email);
-    console.log("Password", password);
 
     const passwordHash = await bcrypt.hash(password, salt);
-    console.log("Password hash:", passwordHash);
 
     const newUser = new User({
       // set values from req body
@@ -37,13 +36,15 @@ export const register = async (req, res) => {
       // default values:
       folders: [], // array -> empty
       pets: [], // array -> empty
+      timeZone: isValidTimeZone(timeZone) ? timeZone : "UTC",
       createdAt: Date.now(),
     });
 
-    console.log("New user to be saved:", newUser);
-
     const savedUser = await newUser.save();
 
+    // every user starts with the easy, medium and hard categories
+    await ensureDefaultCategories(savedUser._id);
+
     // send the new user back with status 201 (Created)
 
     const token = jwt.sign({ id: savedUser._id }, process.env.JWT_SECRET);
@@ -65,13 +66,14 @@ export const register = async (req, res) => {
  * @param {Object} req.body - The body of the request containing login credentials.
  * @param {string} req.body.email - The user's email address.
  * @param {string} req.body.password - The user's password.
+ * @param {string} [req.body.timeZone] - The user's IANA time zone -- updated if they've moved.
  * @param {Object} res - The response object.
  * @returns {Promise<void>} Sends a JSON response with a status of 200 and the user data if authentication is successful.
  * @throws {Object} Sends a JSON response with a status of 400 for invalid credentials or 500 for server errors.
  */
 export const login = async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { email, password, timeZone } = req.body;
 
     // we are using mongoose to try to find the user with this specified user
     const user = await User.findOne({ email: email });
@@ -87,6 +89,12 @@ export const login = async (req, res) => {
       return res.status(400).json({ msg: "Invalid credentials. " });
     }
 
+    // count streak days wherever the user is now
+    if (isValidTimeZone(timeZone) && timeZone !== user.timeZone) {
+      user.timeZone = timeZone;
+      await user.save();
+    }
+
     // JWT token setup
     const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET);
     delete user.password; // delete so it doesnt get sent to the frontend
@@ -0,0 +1,241 @@
+import mongoose from "mongoose";
+import Category from "../models/Category.js";
+import Task from "../models/Task.js";
+import { ensureDefaultCategories, getCategoryError, pickCategoryFields, MAX_CATEGORIES } from "../utils/categories.js";
+import { ownsCategory, sameId } from "../utils/ownership.js";
+
+/**
+ * Find one of the user's categories for the routes under /categories/:categoryId.
+ *
+ * @async
+ * @function findOwnCategory
+ * @param {string} categoryId - The category's ID.
+ * @param {string} userId - The authenticated user's ID.
+ * @returns {Promise<{category: Object|null, status: number|null, message: string|null}>} The category, or the
+ * status and message to send back if it can't be used.
+ */
+const findOwnCategory = async (categoryId, userId) => {
+  const category = mongoose.isValidObjectId(categoryId) ? await Category.findById(categoryId).exec() : null;
+  if (!category) {
+    return { category: null, status: 404, message: "Category not found" };
+  }
+  if (!ownsCategory(category, userId)) {
+    return { category: null, status: 403, message: "Access denied" };
+  }
+  return { category, status: null, message: null };
+};
+
+/**
+ * Retrieve the user's task categories, oldest first.
+ * Users who don't have any yet get the default easy, medium and hard ones.
+ *
+ * @async
+ * @function getCategories
+ * @param {Object} req - The request object.
+ * @param {Object} req.user - The authenticated user, set by verifyToken.
+ * @param {string} req.user.id - The authenticated user's ID.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the user's categories.
+ * @throws {Object} Sends a JSON response with appropriate error messages.
+ */
+export const getCategories = async (req, res) => {
+  try {
+    res.status(200).json(await ensureDefaultCategories(req.user.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Create a new task category for the user.
+ *
+ * @async
+ * @function createCategory
+ * @param {Object} req - The request object.
+ * @param {Object} req.user - The authenticated user, set by verifyToken.
+ * @param {string} req.user.id - The authenticated user's ID.
+ * @param {Object} req.body - The body of the request.
+ * @param {string} req.body.name - The category's name, unique among the user's categories.
+ * @param {string} req.body.color - Its color, as #rrggbb.
+ * @param {number} req.body.points - The base points its tasks are worth.
+ * @param {string} [req.body.icon] - An emoji to show with it (optional).
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the new category.
+ * @throws {Object} Sends a JSON response with appropriate error messages.
+ */
+export const createCategory = async (req, res) => {
+  try {
+    const fields = pickCategoryFields(req.body);
+    const categories = await ensureDefaultCategories(req.user.id);
+
+    if (categories.length >= MAX_CATEGORIES) {
+      return res.status(400).json({ message: `You can have at most ${MAX_CATEGORIES} categories` });
+    }
+
+    const fieldError = getCategoryError(fields, categories);
+    if (fieldError) {
+      return res.status(400).json({ message: fieldError });
+    }
+
+    const category = await new Category({ ...fields, user: req.user.id, createdAt: Date.now() }).save();
+
+    res.status(201).json(category);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Update one of the user's task categories.
+ * Changing its points changes what its pending tasks are worth; completed tasks keep
+ * the points they were worth when they were completed.
+ *
+ * @async
+ * @function updateCategory
+ * @param {Object} req - The request object.
+ * @param {Object} req.user - The authenticated user, set by verifyToken.
+ * @param {string} req.user.id - The authenticated user's ID.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.categoryId - The category's ID.
+ * @param {Object} req.body - The body of the request, with any of the fields below.
+ * @param {string} [req.body.name] - The new name.
+ * @param {string} [req.body.color] - The new color, as #rrggbb.
+ * @param {number} [req.body.points] - The new base points.
+ * @param {string|null} [req.body.icon] - The new icon (null or an empty string to clear it).
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the updated category and how many pending tasks were
+ * repriced.
+ * @throws {Object} Sends a JSON response with appropriate error messages.
+ */
+export const updateCategory = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const { category, status, message } = await findOwnCategory(req.params.categoryId, req.user.id);
+    if (!category) {
+      return res.status(status).json({ message });
+    }
+
+    const fields = pickCategoryFields(req.body);
+    const categories = await Category.find({ user: req.user.id }).exec();
+    const fieldError = getCategoryError(fields, categories, category._id);
+    if (fieldError) {
+      return res.status(400).json({ message: fieldError });
+    }
+
+    const repricing = fields.points !== undefined && fields.points !== category.points;
+    let tasksUpdated = 0;
+
+    await session.withTransaction(async () => {
+      tasksUpdated = 0;
+
+      category.set(fields);
+      await category.save({ session });
+
+      if (repricing) {
+        const result = await Task.updateMany(
+          { category: category._id, status: "pending" },
+          { points: category.points }
+        ).session(session).exec();
+        tasksUpdated = result.modifiedCount;
+      }
+    });
+
+    res.status(200).json({ category, tasksUpdated });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Delete one of the user's task categories.
+ * Tasks still in the category (trashed ones included) have to be moved into another of
+ * the user's categories, given as replaceWith; pending ones take on its points. A user
+ * always keeps at least one category.
+ *
+ * @async
+ * @function deleteCategory
+ * @param {Object} req - The request object.
+ * @param {Object} req.user - The authenticated user, set by verifyToken.
+ * @param {string} req.user.id - The authenticated user's ID.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.categoryId - The category's ID.
+ * @param {Object} req.query - The query string.
+ * @param {string} [req.query.replaceWith] - The category to move its tasks into (needed if it has any).
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the deleted category and how many tasks were moved.
+ * @throws {Object} Sends a JSON response with appropriate error messages (409 with the number of tasks if the
+ * category still has tasks and no replacement was given).
+ */
+export const deleteCategory = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const { category, status, message } = await findOwnCategory(req.params.categoryId, req.user.id);
+    if (!category) {
+      return res.status(status).json({ message });
+    }
+
+    const { replaceWith } = req.query;
+    if (replaceWith && sameId(replaceWith, category._id)) {
+      return res.status(400).json({ message: "Pick another category to move its tasks into" });
+    }
+
+    const count = await Category.countDocuments({ user: req.user.id }).exec();
+    if (count <= 1) {
+      return res.status(400).json({ message: "You need at least one category" });
+    }
+
+    let replacement = null;
+    if (replaceWith) {
+      const found = await findOwnCategory(replaceWith, req.user.id);
+      if (!found.category) {
+        return res.status(found.status).json({ message: found.message });
+      }
+      replacement = found.category;
+    }
+
+    let tasksMoved = 0;
+    let inUse = 0;
+
+    await session.withTransaction(async () => {
+      tasksMoved = 0;
+      inUse = 0;
+
+      // re-count inside the transaction so a task added meanwhile isn't left pointing nowhere
+      const tasks = await Task.countDocuments({ category: category._id }).session(session).exec();
+      if (tasks > 0 && !replacement) {
+        inUse = tasks;
+        return;
+      }
+
+      if (replacement) {
+        await Task.updateMany(
+          { category: category._id, status: "pending" },
+          { points: replacement.points }
+        ).session(session).exec();
+        const result = await Task.updateMany(
+          { category: category._id },
+          { category: replacement._id }
+        ).session(session).exec();
+        tasksMoved = result.modifiedCount;
+      }
+
+      await Category.deleteOne({ _id: category._id }).session(session).exec();
+    });
+
+    if (inUse > 0) {
+      return res
+        .status(409)
+        .json({ message: "This category still has tasks -- pick a category to move them into", tasks: inUse });
+    }
+
+    res.status(200).json({ category, tasksMoved });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  } finally {
+    session.endSession();
+  }
+};
@@ -1,5 +1,9 @@
+import mongoose from "mongoose";
 import Folder from "../models/Folder.js";
 import User from "../models/User.js";
+import { sameId, ownsFolder } from "../utils/ownership.js";
+import { validateOrder, saveOrder } from "../utils/ordering.js";
+import { trashItem } from "../utils/trash.js";
 
 /**
  * Create a new folder for a user.
@@ -9,6 +13,8 @@ import User from "../models/User.js";
  * @async
  * @function createFolder
  * @param {Object} req - The request object.
+ * @param {Object} req.user - The authenticated user, set by verifyToken.
+ * @param {string} req.user.id - The authenticated user's ID.
  * @param {Object} req.params - The request parameters.
  * @param {string} req.params.userId - The user's ID.
  * @param {Object} req.body - The body of the request containing folder data.
@@ -27,6 +33,11 @@ export const createFolder = async (req, res) => {
       return res.status(400).json({ message: "Required fields missing" });
     }
 
+    // users can only create folders for themselves
+    if (!sameId(userId, req.user.id)) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
     // check if user exists
     const user = await User.findById(userId).exec();
     if (!user) {
@@ -61,6 +72,8 @@ export const createFolder = async (req, res) => {
  * @async
  * @function getFolders
  * @param {Object} req - The request object.
+ * @param {Object} req.user - The authenticated user, set by verifyToken.
+ * @param {string} req.user.id - The authenticated user's ID.
  * @param {Object} req.params - The request parameters.
  * @param {string} req.params.userId - The user's ID.
  * @param {Object} res - The response object.
@@ -76,6 +89,11 @@ export const getFolders = async (req, res) => {
       return res.status(400).json({ message: "User ID required" });
     }
 
+    // users can only list their own folders
+    if (!sameId(userId, req.user.id)) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
     // get list of folders from user
     const user = await User.findById(userId).populate("folders").exec();
 
@@ -90,6 +108,57 @@ export const getFolders = async (req, res) => {
   }
 };
 
+/**
+ * Reorder a user's folders.
+ * The new order has to list every one of the user's folders exactly once.
+ *
+ * @async
+ * @function reorderFolders
+ * @param {Object} req - The request object.
+ * @param {Object} req.user - The authenticated user, set by verifyToken.
+ * @param {string} req.user.id - The authenticated user's ID.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.userId - The user's ID.
+ * @param {Object} req.body - The body of the request.
+ * @param {string[]} req.body.order - The user's folder IDs in their new order.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the list of folders in their new order.
+ * @throws {Object} Sends a JSON response with appropriate error messages (409 if folders were added or removed meanwhile).
+ */
+export const reorderFolders = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { order } = req.body;
+
+    // users can only reorder their own folders
+    if (!sameId(userId, req.user.id)) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
+    // check if user exists
+    const user = await User.findById(userId).exec();
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    // new order has to be the same folders, just moved around
+    const orderError = validateOrder(user.folders, order);
+    if (orderError) {
+      return res.status(400).json({ message: orderError });
+    }
+
+    if (!(await saveOrder(User, userId, "folders", order))) {
+      return res.status(409).json({ message: "Folders changed while reordering, please reload" });
+    }
+
+    // send back folders in their new order
+    const updatedUser = await User.findById(userId).populate("folders").exec();
+    res.status(200).json(updatedUser.folders);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
 /**
  * Update the details of a folder.
  * Validates the folder ID and name, updates the folder, and returns the updated folder.
@@ -97,6 +166,8 @@ export const getFolders = async (req, res) => {
  * @async
  * @function updateFolder
  * @param {Object} req - The request object.
+ * @param {Object} req.user - The authenticated user, set by verifyToken.
+ * @param {string} req.user.id - The authenticated user's ID.
  * @param {Object} req.params - The request parameters.
  * @param {string} req.params.folderId - The folder's ID.
  * @param {Object} req.body - The body of the request containing updated data.
@@ -121,6 +192,11 @@ export const updateFolder = async (req, res) => {
       return res.status(404).json({ message: "Folder not found" });
     }
 
+    // check that folder belongs to the user
+    if (!ownsFolder(folder, req.user.id)) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
     // update folder
     folder.name = name;
     await folder.save();
@@ -134,18 +210,22 @@ export const updateFolder = async (req, res) => {
 
 /**
  * Delete a folder.
- * Validates the folder ID, deletes the folder, and sends a success response.
+ * Validates the folder ID and moves the folder, with its notes and tasks, to the user's trash.
  *
  * @async
  * @function deleteFolder
  * @param {Object} req - The request object.
+ * @param {Object} req.user - The authenticated user, set by verifyToken.
+ * @param {string} req.user.id - The authenticated user's ID.
  * @param {Object} req.params - The request parameters.
  * @param {string} req.params.folderId - The folder's ID.
  * @param {Object} res - The response object.
- * @returns {Promise<void>} Sends a JSON response with a success status.
+ * @returns {Promise<void>} Sends a JSON response with the trash entry.
  * @throws {Object} Sends a JSON response with appropriate error messages.
  */
 export const deleteFolder = async (req, res) => {
+  const session = await mongoose.startSession();
+
   try {
     const { folderId } = req.params;
 
@@ -156,15 +236,25 @@ export const deleteFolder = async (req, res) => {
 
     // check if folder exists
     const folder = await Folder.findById(folderId).exec();
-    if (!folder) {
+    if (!folder || folder.deletedAt) {
       return res.status(404).json({ message: "Folder not found" });
     }
 
-    // delete folder -- triggers pre-delete hook
-    await folder.deleteOne();
+    // check that folder belongs to the user
+    if (!ownsFolder(folder, req.user.id)) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
+    // move folder to the trash -- its notes and tasks go with it
+    let entry;
+    await session.withTransaction(async () => {
+      entry = await trashItem("folder", folder, req.user.id, session);
+    });
 
-    res.status(200).json();
+    res.status(200).json(entry);
   } catch (error) {
     res.status(500).json({ error: error.message });
+  } finally {
+    session.endSession();
   }
 };
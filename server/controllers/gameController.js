@@ -0,0 +1,22 @@
+import { getGameConfig as buildGameConfig } from "../utils/gameConfig.js";
+
+/**
+ * Retrieve the game's tuning (leveling curve, default category points, evolution levels) so the
+ * client works things out the same way the server does.
+ * It's the same for everyone and not secret, so it needs no login and may be cached briefly.
+ *
+ * @async
+ * @function getGameConfig
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the game config.
+ * @throws {Object} Sends a JSON response with appropriate error messages.
+ */
+export const getGameConfig = async (req, res) => {
+  try {
+    res.set("Cache-Control", "public, max-age=300");
+    res.status(200).json(buildGameConfig());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
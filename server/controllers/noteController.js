@@ -1,5 +1,9 @@
+import mongoose from "mongoose";
 import Note from "../models/Note.js";
 import Folder from "../models/Folder.js";
+import { ownsFolder, ownsNote } from "../utils/ownership.js";
+import { validateOrder, saveOrder } from "../utils/ordering.js";
+import { trashItem } from "../utils/trash.js";
 
 /**
  * Create a new note within a specified folder.
@@ -9,6 +13,8 @@ import Folder from "../models/Folder.js";
  * @async
  * @function createNote
  * @param {Object} req - The request object.
+ * @param {Object} req.user - The authenticated user, set by verifyToken.
+ * @param {string} req.user.id - The authenticated user's ID.
  * @param {Object} req.params - The request parameters.
  * @param {string} req.params.folderId - The folder's ID.
  * @param {Object} req.body - The body of the request containing note data.
@@ -24,13 +30,18 @@ export const createNote = async (req, res) => {
 
     // confirm data
     if (!folderId || !name) {
-      res.status(400).json({ message: "Required fields missing" });
+      return res.status(400).json({ message: "Required fields missing" });
     }
 
     // check if folder exists
     const folder = await Folder.findById(folderId).exec();
-    if (!folder) {
-      res.status(404).json({ message: "Folder not found" });
+    if (!folder || folder.deletedAt) {
+      return res.status(404).json({ message: "Folder not found" });
+    }
+
+    // check that folder belongs to the user
+    if (!ownsFolder(folder, req.user.id)) {
+      return res.status(403).json({ message: "Access denied" });
     }
 
     // create new note
@@ -60,6 +71,8 @@ export const createNote = async (req, res) => {
  * @async
  * @function getNotes
  * @param {Object} req - The request object.
+ * @param {Object} req.user - The authenticated user, set by verifyToken.
+ * @param {string} req.user.id - The authenticated user's ID.
  * @param {Object} req.params - The request parameters.
  * @param {string} req.params.folderId - The folder's ID.
  * @param {Object} res - The response object.
@@ -81,6 +94,11 @@ export const getNotes = async (req, res) => {
       return res.status(404).json({ message: "Folder not found" });
     }
 
+    // check that folder belongs to the user
+    if (!ownsFolder(folder, req.user.id)) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
     // send back list of notes
     res.status(200).json(folder.notes);
   } catch (error) {
@@ -88,6 +106,57 @@ export const getNotes = async (req, res) => {
   }
 };
 
+/**
+ * Reorder the notes in a folder.
+ * The new order has to list every note in the folder exactly once.
+ *
+ * @async
+ * @function reorderNotes
+ * @param {Object} req - The request object.
+ * @param {Object} req.user - The authenticated user, set by verifyToken.
+ * @param {string} req.user.id - The authenticated user's ID.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.folderId - The folder's ID.
+ * @param {Object} req.body - The body of the request.
+ * @param {string[]} req.body.order - The folder's note IDs in their new order.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the list of notes in their new order.
+ * @throws {Object} Sends a JSON response with appropriate error messages (409 if notes were added or removed meanwhile).
+ */
+export const reorderNotes = async (req, res) => {
+  try {
+    const { folderId } = req.params;
+    const { order } = req.body;
+
+    // check if folder exists
+    const folder = await Folder.findById(folderId).exec();
+    if (!folder) {
+      return res.status(404).json({ message: "Folder not found" });
+    }
+
+    // check that folder belongs to the user
+    if (!ownsFolder(folder, req.user.id)) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
+    // new order has to be the same notes, just moved around
+    const orderError = validateOrder(folder.notes, order);
+    if (orderError) {
+      return res.status(400).json({ message: orderError });
+    }
+
+    if (!(await saveOrder(Folder, folderId, "notes", order))) {
+      return res.status(409).json({ message: "Notes changed while reordering, please reload" });
+    }
+
+    // send back notes in their new order
+    const updatedFolder = await Folder.findById(folderId).populate("notes").exec();
+    res.status(200).json(updatedFolder.notes);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
 /**
  * Update the details of a specific note.
  * Validates the note ID and name, updates the note, and returns the updated note.
@@ -95,6 +164,8 @@ export const getNotes = async (req, res) => {
  * @async
  * @function updateNote
  * @param {Object} req - The request object.
+ * @param {Object} req.user - The authenticated user, set by verifyToken.
+ * @param {string} req.user.id - The authenticated user's ID.
  * @param {Object} req.params - The request parameters.
  * @param {string} req.params.noteId - The note's ID.
  * @param {Object} req.body - The body of the request containing updated data.
@@ -119,6 +190,11 @@ export const updateNote = async (req, res) => {
       return res.status(404).json({ message: "Note not found" });
     }
 
+    // check that note belongs to the user
+    if (!(await ownsNote(note, req.user.id))) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
     // update note
     note.name = name;
     await note.save();
@@ -130,20 +206,96 @@ export const updateNote = async (req, res) => {
   }
 };
 
+/**
+ * Move a note (and its tasks) into another folder.
+ * Both folders have to belong to the user. The note's id is pulled from the old folder, pushed
+ * onto the end of the new one and the note pointed at its new folder in one transaction.
+ *
+ * @async
+ * @function moveNote
+ * @param {Object} req - The request object.
+ * @param {Object} req.user - The authenticated user, set by verifyToken.
+ * @param {string} req.user.id - The authenticated user's ID.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.noteId - The note's ID.
+ * @param {Object} req.body - The body of the request.
+ * @param {string} req.body.folderId - The ID of the folder to move the note into.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the moved note.
+ * @throws {Object} Sends a JSON response with appropriate error messages.
+ */
+export const moveNote = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const { noteId } = req.params;
+    const { folderId } = req.body;
+
+    // confirm required data
+    if (!folderId) {
+      return res.status(400).json({ message: "Folder ID required" });
+    }
+
+    // check if note exists
+    const note = await Note.findById(noteId).exec();
+    if (!note || note.deletedAt) {
+      return res.status(404).json({ message: "Note not found" });
+    }
+
+    // check that note belongs to the user
+    if (!(await ownsNote(note, req.user.id))) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
+    // check if the new folder exists
+    const folder = await Folder.findById(folderId).exec();
+    if (!folder || folder.deletedAt) {
+      return res.status(404).json({ message: "Folder not found" });
+    }
+
+    // check that the new folder belongs to the user too
+    if (!ownsFolder(folder, req.user.id)) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
+    // already there
+    if (String(note.folder) === String(folder._id)) {
+      return res.status(200).json(note);
+    }
+
+    let movedNote;
+    await session.withTransaction(async () => {
+      await Folder.updateOne({ _id: note.folder }, { $pull: { notes: note._id } }).session(session).exec();
+      await Folder.updateOne({ _id: folder._id }, { $push: { notes: note._id } }).session(session).exec();
+      movedNote = await Note.findByIdAndUpdate(noteId, { folder: folder._id }, { new: true, session }).exec();
+    });
+
+    res.status(200).json(movedNote);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  } finally {
+    session.endSession();
+  }
+};
+
 /**
  * Delete a specific note.
- * Validates the note ID, deletes the note, and sends a success response.
+ * Validates the note ID and moves the note, with its tasks, to the user's trash.
  *
  * @async
  * @function deleteNote
  * @param {Object} req - The request object.
+ * @param {Object} req.user - The authenticated user, set by verifyToken.
+ * @param {string} req.user.id - The authenticated user's ID.
  * @param {Object} req.params - The request parameters.
  * @param {string} req.params.noteId - The note's ID.
  * @param {Object} res - The response object.
- * @returns {Promise<void>} Sends a JSON response with a success status.
+ * @returns {Promise<void>} Sends a JSON response with the trash entry.
  * @throws {Object} Sends a JSON response with appropriate error messages.
  */
 export const deleteNote = async (req, res) => {
+  const session = await mongoose.startSession();
+
   try {
     const { noteId } = req.params;
 
@@ -154,15 +306,25 @@ export const deleteNote = async (req, res) => {
 
     // check if note exists
     const note = await Note.findById(noteId).exec();
-    if (!note) {
-      res.status(404).json({ message: "Note not found" });
+    if (!note || note.deletedAt) {
+      return res.status(404).json({ message: "Note not found" });
     }
 
-    // delete note -- triggers pre-delete hook
-    await note.deleteOne();
+    // check that note belongs to the user
+    if (!(await ownsNote(note, req.user.id))) {
+      return res.status(403).json({ message: "Access denied" });
+    }
 
-    res.status(200).json();
+    // move note to the trash -- its tasks go with it
+    let entry;
+    await session.withTransaction(async () => {
+      entry = await trashItem("note", note, req.user.id, session);
+    });
+
+    res.status(200).json(entry);
   } catch (error) {
-    res.status(500).json({ error: error.messge });
+    res.status(500).json({ error: error.message });
+  } finally {
+    session.endSession();
   }
 };
@@ -1,13 +1,27 @@
+import mongoose from "mongoose";
 import Pet from "../models/Pet.js";
 import User from "../models/User.js";
+import Inventory from "../models/Inventory.js";
+import { sameId, ownsPet } from "../utils/ownership.js";
+import { updateNeeds } from "../utils/rewards.js";
+import { decayNeeds } from "../utils/needs.js";
+import { getPetSlots, getActivePetId } from "../utils/petSlots.js";
+import { changeQuantity, listInventory } from "../utils/shop.js";
+import { getCooldownLeft, getCooldowns, chooseItem, getCareError, careFor } from "../utils/care.js";
+
+// fields a client is allowed to change on its pet
+const UPDATABLE_FIELDS = ["name", "type"];
 
 /**
- * Create a new pet for a specified user.
- * This action should only occur once per account.
+ * Create (hatch) a new pet for a specified user.
+ * Every account starts with room for one pet and unlocks more as its pets level up
+ * (see ../utils/petSlots.js). The new pet becomes the active one.
  *
  * @async
  * @function createPet
  * @param {Object} req - The request object.
+ * @param {Object} req.user - The authenticated user, set by verifyToken.
+ * @param {string} req.user.id - The authenticated user's ID.
  * @param {Object} req.params - The request parameters.
  * @param {string} req.params.userId - The ID of the user creating the pet.
  * @param {Object} req.body - The body of the request containing pet data.
@@ -15,9 +29,11 @@ import User from "../models/User.js";
  * @param {string} req.body.type - The type of the pet.
  * @param {Object} res - The response object.
  * @returns {Promise<void>} Sends a JSON response with the newly created pet.
- * @throws {Object} Sends a JSON response with appropriate error messages.
+ * @throws {Object} Sends a JSON response with appropriate error messages (409 if every pet slot is taken).
  */
 export const createPet = async (req, res) => {
+  const session = await mongoose.startSession();
+
   try {
     const { userId } = req.params;
     const { name, type } = req.body;
@@ -27,43 +43,208 @@ export const createPet = async (req, res) => {
       return res.status(400).json({ message: "Required fields missing" });
     }
 
-    // check if user exists
-    const user = await User.findById(userId);
-    if (!user) {
-      return res.status(404).json({ message: "User not found" });
+    // users can only create pets for themselves
+    if (!sameId(userId, req.user.id)) {
+      return res.status(403).json({ message: "Access denied" });
     }
 
-    // create new pet
-    const pet = new Pet({
-      user: userId,
-      name,
-      type,
+    let savedPet = null;
+    let full = null;
+    let missing = false;
+
+    // count, hatch and add the pet in one transaction -- two hatches at once both write the user,
+    // so one of them is retried and sees the other's pet when it counts the slots
+    await session.withTransaction(async () => {
+      savedPet = null;
+      full = null;
+      missing = false;
+
+      // check if user exists
+      const user = await User.findById(userId).session(session).exec();
+      if (!user) {
+        missing = true;
+        return;
+      }
+
+      // more pets have to be earned
+      const pets = await Pet.find({ user: userId }).select("level").session(session).exec();
+      const { slots, nextSlotLevel } = getPetSlots(pets.map((pet) => pet.level));
+      if (pets.length >= slots) {
+        full = nextSlotLevel ? `Reach level ${nextSlotLevel} to hatch another pet` : "You can't hatch any more pets";
+        return;
+      }
+
+      // create + store new pet
+      const pet = new Pet({
+        user: userId,
+        name,
+        type,
+      });
+      savedPet = await pet.save({ session });
+
+      // add pet to user's pet arr, and start raising it
+      user.pets.push(pet._id);
+      user.activePet = pet._id;
+      await user.save({ session });
     });
 
-    // store new pet
-    const savedPet = await pet.save();
+    if (missing) {
+      return res.status(404).json({ message: "User not found" });
+    }
 
-    // add pet to user's pet arr
-    user.pets.push(pet._id);
-    await user.save();
+    if (full) {
+      return res.status(409).json({ message: full });
+    }
 
     // send back new pet
     res.status(201).json(savedPet);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * List every pet the authenticated user has hatched, which one is active, and how many
+ * more they may hatch.
+ *
+ * @async
+ * @function getPets
+ * @param {Object} req - The request object.
+ * @param {Object} req.user - The authenticated user, set by verifyToken.
+ * @param {string} req.user.id - The authenticated user's ID.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the pets (needs brought up to date -- only the active pet's are
+ * saved, the rest are worked out for the response), the active pet's ID,
+ * the number of pet slots and the level that unlocks the next one (null if none is left).
+ * @throws {Object} Sends a JSON response with appropriate error messages.
+ */
+export const getPets = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    // in the order they were hatched
+    const pets = await Pet.find({ _id: { $in: user.pets } }).exec();
+    pets.sort((a, b) => user.pets.findIndex((id) => sameId(id, a._id)) - user.pets.findIndex((id) => sameId(id, b._id)));
+
+    // needs keep draining while nobody is looking -- the active pet's (which overdue tasks drain too)
+    // are stored, the others only drain with time so they can be worked out again on the next read
+    const activePet = getActivePetId(user);
+    for (const pet of pets) {
+      if (sameId(pet._id, activePet)) {
+        await updateNeeds(pet);
+        await pet.save();
+      } else {
+        decayNeeds(pet);
+      }
+    }
+
+    const { slots, nextSlotLevel } = getPetSlots(pets.map((pet) => pet.level));
+    res.status(200).json({ pets, activePet: getActivePetId(user), slots, nextSlotLevel });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
 
-    console.log("success");
+/**
+ * Retrieve the authenticated user's active pet -- the one tasks' XP goes to.
+ *
+ * @async
+ * @function getActivePet
+ * @param {Object} req - The request object.
+ * @param {Object} req.user - The authenticated user, set by verifyToken.
+ * @param {string} req.user.id - The authenticated user's ID.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the active pet's details.
+ * @throws {Object} Sends a JSON response with appropriate error messages (404 if no pet was hatched yet).
+ */
+export const getActivePet = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const pet = await Pet.findById(getActivePetId(user)).exec();
+    if (!pet) {
+      return res.status(404).json({ message: "Pet not found" });
+    }
+
+    // needs keep draining while nobody is looking
+    await updateNeeds(pet);
+    await pet.save();
+
+    res.status(200).json(pet);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Choose which of the authenticated user's pets is active and receives tasks' XP.
+ *
+ * @async
+ * @function setActivePet
+ * @param {Object} req - The request object.
+ * @param {Object} req.user - The authenticated user, set by verifyToken.
+ * @param {string} req.user.id - The authenticated user's ID.
+ * @param {Object} req.body - The body of the request.
+ * @param {string} req.body.petId - The ID of the pet to make active.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the newly active pet.
+ * @throws {Object} Sends a JSON response with appropriate error messages.
+ */
+export const setActivePet = async (req, res) => {
+  try {
+    const { petId } = req.body;
+
+    if (!petId) {
+      return res.status(400).json({ message: "Pet ID required" });
+    }
+
+    const pet = await Pet.findById(petId).exec();
+    if (!pet) {
+      return res.status(404).json({ message: "Pet not found" });
+    }
+
+    // check that pet belongs to the user
+    if (!ownsPet(pet, req.user.id)) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
+    // settle both pets' needs under the old choice first, so the overdue drain only counts for
+    // the time each one was active
+    const user = await User.findById(req.user.id).exec();
+    const previous = user ? await Pet.findById(getActivePetId(user)).exec() : null;
+    if (previous && !sameId(previous._id, pet._id)) {
+      await updateNeeds(previous);
+      await previous.save();
+    }
+    await updateNeeds(pet);
+    await pet.save();
+
+    await User.updateOne({ _id: req.user.id }, { activePet: pet._id }).exec();
+
+    res.status(200).json(pet);
   } catch (error) {
-    // console.log("error");
     res.status(500).json({ error: error.message });
   }
 };
 
 /**
  * Retrieve a specific pet by its ID.
- * Validates the pet ID and returns the pet's details.
+ * Validates the pet ID and returns the pet's details, with its needs drained for the time
+ * since they were last worked out (and for any tasks left overdue meanwhile).
  *
  * @async
  * @function getPet
  * @param {Object} req - The request object.
+ * @param {Object} req.user - The authenticated user, set by verifyToken.
+ * @param {string} req.user.id - The authenticated user's ID.
  * @param {Object} req.params - The request parameters.
  * @param {string} req.params.petId - The ID of the pet to retrieve.
  * @param {Object} res - The response object.
@@ -85,6 +266,15 @@ export const getPet = async (req, res) => {
       return res.status(404).json({ message: "Pet not found" });
     }
 
+    // check that pet belongs to the user
+    if (!ownsPet(pet, req.user.id)) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
+    // needs keep draining while nobody is looking
+    await updateNeeds(pet);
+    await pet.save();
+
     // send back pet
     res.status(200).json(pet);
   } catch (error) {
@@ -94,15 +284,17 @@ export const getPet = async (req, res) => {
 
 /**
  * Update the details of a specific pet.
- * This method handles general updates as well as specific updates for the pet's points and level.
+ * Only cosmetic fields can be changed here -- points and level are awarded by the server
+ * when tasks are completed (see updateTask in taskController.js).
  *
  * @async
  * @function updatePet
  * @param {Object} req - The request object.
+ * @param {Object} req.user - The authenticated user, set by verifyToken.
+ * @param {string} req.user.id - The authenticated user's ID.
  * @param {Object} req.params - The request parameters.
  * @param {string} req.params.petId - The ID of the pet to update.
  * @param {Object} req.body - The body of the request containing updates.
- * @param {number} [req.body.points] - The points to add or subtract, triggering potential level changes.
  * @param {string} [req.body.name] - The updated name of the pet (optional).
  * @param {string} [req.body.type] - The updated type of the pet (optional).
  * @param {Object} res - The response object.
@@ -112,57 +304,38 @@ export const getPet = async (req, res) => {
 export const updatePet = async (req, res) => {
   try {
     const { petId } = req.params;
-    const updates = req.body; // Allow any fields to be passed for updating
+    const updates = req.body;
 
     // Confirm required data
     if (!petId) {
       return res.status(400).json({ message: "Pet ID required" });
     }
 
+    // points and level are server-authoritative
+    if (updates.points !== undefined || updates.level !== undefined) {
+      return res.status(400).json({ message: "Points cannot be updated directly" });
+    }
+
     // Fetch the pet
     const pet = await Pet.findById(petId);
     if (!pet) {
       return res.status(404).json({ message: "Pet not found" });
     }
 
-    // If points are included in the update, calculate new level and experience
-    if (updates.points !== undefined) {
-      const BASE_EXP = 100;
-      const EXPONENT = 1.5;
-      const calculateRequiredExp = (level) =>
-        BASE_EXP * Math.pow(level, EXPONENT);
-
-      let totalExp = pet.points + updates.points; // Add or subtract points
-      let newLevel = pet.level;
-      let maxExp = calculateRequiredExp(newLevel);
-
-      // Handle level-up
-      while (totalExp >= maxExp) {
-        totalExp -= maxExp;
-        newLevel += 1;
-        maxExp = calculateRequiredExp(newLevel);
-      }
-
-      // Handle level-down
-      while (totalExp < 0 && newLevel > 1) {
-        newLevel -= 1;
-        maxExp = calculateRequiredExp(newLevel);
-        totalExp += maxExp;
-      }
-
-      // Update points and level
-      pet.points = totalExp;
-      pet.level = newLevel;
+    // check that pet belongs to the user
+    if (!ownsPet(pet, req.user.id)) {
+      return res.status(403).json({ message: "Access denied" });
     }
 
-    // Apply other updates (e.g., name, type)
-    for (const key in updates) {
-      if (key !== "points") {
+    // Apply allowed updates (name, type)
+    for (const key of UPDATABLE_FIELDS) {
+      if (updates[key] !== undefined) {
         pet[key] = updates[key];
       }
     }
 
-    // Save updated pet
+    // Save updated pet (needs brought up to date on the way)
+    await updateNeeds(pet);
     const updatedPet = await pet.save();
 
     // Send back updated pet
@@ -171,3 +344,126 @@ export const updatePet = async (req, res) => {
     res.status(500).json({ error: error.message });
   }
 };
+
+/**
+ * How long until each care action (feed, play, sleep) can be done for a pet again.
+ *
+ * @async
+ * @function getCareActions
+ * @param {Object} req - The request object.
+ * @param {Object} req.user - The authenticated user, set by verifyToken.
+ * @param {string} req.user.id - The authenticated user's ID.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.petId - The ID of the pet.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the milliseconds left on each action's cooldown.
+ * @throws {Object} Sends a JSON response with appropriate error messages.
+ */
+export const getCareActions = async (req, res) => {
+  try {
+    const pet = await Pet.findById(req.params.petId).exec();
+    if (!pet) {
+      return res.status(404).json({ message: "Pet not found" });
+    }
+
+    // check that pet belongs to the user
+    if (!ownsPet(pet, req.user.id)) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
+    res.status(200).json({ cooldowns: getCooldowns(pet) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Feed, play with or put a pet to sleep (see ../utils/care.js). Feeding uses up food from
+ * the user's inventory, and playing a toy if they have one. Each action has a cooldown.
+ *
+ * @async
+ * @function doCareAction
+ * @param {Object} req - The request object.
+ * @param {Object} req.user - The authenticated user, set by verifyToken.
+ * @param {string} req.user.id - The authenticated user's ID.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.petId - The ID of the pet.
+ * @param {string} req.params.action - "feed", "play" or "sleep".
+ * @param {Object} req.body - The body of the request.
+ * @param {string} [req.body.itemId] - The food or toy to use (defaults to the first one in the inventory).
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the pet, the user's inventory, the action's cooldowns
+ * and the item used up (null if none).
+ * @throws {Object} Sends a JSON response with appropriate error messages (400 if the action can't be done,
+ * 429 if it's still cooling down).
+ */
+export const doCareAction = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const { petId, action } = req.params;
+
+    let error = null;
+    let pet;
+    let inventory;
+    let item;
+
+    await session.withTransaction(async () => {
+      error = null;
+
+      pet = await Pet.findById(petId).session(session).exec();
+      if (!pet) {
+        error = { status: 404, message: "Pet not found" };
+        return;
+      }
+
+      // check that pet belongs to the user
+      if (!ownsPet(pet, req.user.id)) {
+        error = { status: 403, message: "Access denied" };
+        return;
+      }
+
+      inventory = await Inventory.findOne({ user: req.user.id }).session(session).exec();
+      item = chooseItem(action, inventory, req.body?.itemId);
+
+      // needs drain up to now before the action tops them up
+      await updateNeeds(pet, session);
+
+      const careError = getCareError(pet, action, item);
+      if (careError) {
+        error = { status: 400, message: careError };
+        return;
+      }
+
+      const cooldownLeft = getCooldownLeft(pet, action);
+      if (cooldownLeft > 0) {
+        error = { status: 429, message: `${pet.name} isn't ready for that yet`, retryAfter: cooldownLeft };
+        return;
+      }
+
+      careFor(pet, action, item);
+      await pet.save({ session });
+
+      if (item) {
+        changeQuantity(inventory, item.id, -1);
+        await inventory.save({ session });
+      }
+    });
+
+    if (error) {
+      const { status, ...body } = error;
+      return res.status(status).json(body);
+    }
+
+    res.status(200).json({
+      pet,
+      items: listInventory(inventory),
+      cooldowns: getCooldowns(pet),
+      used: item ? item.id : null,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  } finally {
+    session.endSession();
+  }
+};
@@ -0,0 +1,213 @@
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import Pet from "../models/Pet.js";
+import Inventory from "../models/Inventory.js";
+import { updateNeeds } from "../utils/rewards.js";
+import { getActivePetId } from "../utils/petSlots.js";
+import {
+  SHOP_ITEMS,
+  getItem,
+  getPurchaseError,
+  getQuantity,
+  changeQuantity,
+  listInventory,
+  useItemOnPet,
+} from "../utils/shop.js";
+import { getItemAction, getCooldownLeft } from "../utils/care.js";
+
+/**
+ * List everything the shop sells, along with the coins the user has to spend.
+ *
+ * @async
+ * @function getShop
+ * @param {Object} req - The request object.
+ * @param {Object} req.user - The authenticated user, set by verifyToken.
+ * @param {string} req.user.id - The authenticated user's ID.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the catalog and the user's coins.
+ * @throws {Object} Sends a JSON response with appropriate error messages.
+ */
+export const getShop = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    res.status(200).json({ items: SHOP_ITEMS, coins: user.coins });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Buy an item from the shop. The coins come off and the item goes into the user's
+ * inventory in one transaction. Accessories are kept forever, so only one of each can be owned.
+ *
+ * @async
+ * @function buyItem
+ * @param {Object} req - The request object.
+ * @param {Object} req.user - The authenticated user, set by verifyToken.
+ * @param {string} req.user.id - The authenticated user's ID.
+ * @param {Object} req.body - The body of the request.
+ * @param {string} req.body.itemId - The ID of the catalog item to buy.
+ * @param {number} [req.body.quantity=1] - How many to buy.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the user's inventory and coins after the purchase.
+ * @throws {Object} Sends a JSON response with appropriate error messages (400 if the purchase can't go through,
+ * 409 if the accessory is already owned).
+ */
+export const buyItem = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const { itemId, quantity = 1 } = req.body;
+    const item = getItem(itemId);
+
+    let error = null;
+    let inventory;
+    let coins;
+
+    await session.withTransaction(async () => {
+      error = null;
+
+      // read the balance inside the transaction so two purchases can't both spend it
+      const user = await User.findById(req.user.id).session(session).exec();
+      inventory =
+        (await Inventory.findOne({ user: req.user.id }).session(session).exec()) ??
+        new Inventory({ user: req.user.id, items: [] });
+
+      if (item?.kind === "accessory" && getQuantity(inventory, item.id) > 0) {
+        error = { status: 409, message: "You already own this" };
+        return;
+      }
+
+      const purchaseError = getPurchaseError(item, quantity, user.coins);
+      if (purchaseError) {
+        error = { status: purchaseError === "Item not found" ? 404 : 400, message: purchaseError };
+        return;
+      }
+
+      user.coins -= item.price * quantity;
+      await user.save({ session });
+
+      changeQuantity(inventory, item.id, quantity);
+      await inventory.save({ session });
+      coins = user.coins;
+    });
+
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    res.status(200).json({ items: listInventory(inventory), coins });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * List what the user owns, along with their coins.
+ *
+ * @async
+ * @function getInventory
+ * @param {Object} req - The request object.
+ * @param {Object} req.user - The authenticated user, set by verifyToken.
+ * @param {string} req.user.id - The authenticated user's ID.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the items owned (catalog details and quantity) and the user's coins.
+ * @throws {Object} Sends a JSON response with appropriate error messages.
+ */
+export const getInventory = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const inventory = await Inventory.findOne({ user: req.user.id }).exec();
+    res.status(200).json({ items: listInventory(inventory), coins: user.coins });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Use an item from the inventory on the user's active pet. Food and toys refill its needs
+ * and are used up, counting as feeding and playing; accessories are put on (or taken off again) and kept.
+ *
+ * @async
+ * @function useItem
+ * @param {Object} req - The request object.
+ * @param {Object} req.user - The authenticated user, set by verifyToken.
+ * @param {string} req.user.id - The authenticated user's ID.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.itemId - The ID of the item to use.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the user's inventory and the active pet afterwards.
+ * @throws {Object} Sends a JSON response with appropriate error messages (400 if the user has none of the item,
+ * 429 if the pet was fed or played with too recently -- see ../utils/care.js).
+ */
+export const useItem = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const item = getItem(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ message: "Item not found" });
+    }
+
+    let error = null;
+    let inventory;
+    let pet;
+
+    await session.withTransaction(async () => {
+      error = null;
+
+      inventory = await Inventory.findOne({ user: req.user.id }).session(session).exec();
+      if (!inventory || getQuantity(inventory, item.id) === 0) {
+        error = { status: 400, message: "You don't have any of that" };
+        return;
+      }
+
+      const user = await User.findById(req.user.id).session(session).exec();
+      pet = await Pet.findById(getActivePetId(user)).session(session).exec();
+      if (!pet) {
+        error = { status: 404, message: "Pet not found" };
+        return;
+      }
+
+      // food and toys count as feeding and playing, so they wait out the same cooldowns
+      const action = getItemAction(item);
+      const cooldownLeft = action ? getCooldownLeft(pet, action) : 0;
+      if (cooldownLeft > 0) {
+        error = { status: 429, message: `${pet.name} isn't ready for that yet`, retryAfter: cooldownLeft };
+        return;
+      }
+
+      // needs drain up to now before the item tops them up
+      await updateNeeds(pet, session);
+      if (action) {
+        pet.lastCaredAt[action] = new Date();
+      }
+      if (useItemOnPet(pet, item)) {
+        changeQuantity(inventory, item.id, -1);
+        await inventory.save({ session });
+      }
+      await pet.save({ session });
+    });
+
+    if (error) {
+      const { status, ...body } = error;
+      return res.status(status).json(body);
+    }
+
+    res.status(200).json({ items: listInventory(inventory), pet });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  } finally {
+    session.endSession();
+  }
+};
@@ -0,0 +1,311 @@
+import mongoose from "mongoose";
+import Task from "../models/Task.js";
+import { ownsTask } from "../utils/ownership.js";
+import { awardPoints, awardCoins, getCurrentStreak, getSubtaskPayout, unlockAchievements } from "../utils/rewards.js";
+import { getCoins } from "../utils/shop.js";
+
+/**
+ * Look up a task and make sure the authenticated user owns it. Tasks in the trash count
+ * as missing, so their checklists can't be changed until they're restored.
+ * Sends the error response itself and returns null if anything is wrong.
+ *
+ * @async
+ * @function findOwnedTask
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Promise<Object|null>} The task, or null if a response was already sent.
+ */
+const findOwnedTask = async (req, res) => {
+  const task = await Task.findById(req.params.taskId).exec();
+  if (!task || task.deletedAt) {
+    res.status(404).json({ message: "Task not found" });
+    return null;
+  }
+
+  // check that task belongs to the user
+  if (!(await ownsTask(task, req.user.id))) {
+    res.status(403).json({ message: "Access denied" });
+    return null;
+  }
+
+  return task;
+};
+
+/**
+ * Find a subtask again inside a transaction -- the task or the subtask may have been
+ * deleted (or the task trashed) since the request checked them.
+ *
+ * @function findSubtask
+ * @param {Object|null} task - The parent task, re-read inside the transaction.
+ * @param {string} subtaskId - The ID of the subtask.
+ * @returns {{subtask: Object|null, missing: string|null}} The subtask, or why it can't be found.
+ */
+const findSubtask = (task, subtaskId) => {
+  if (!task || task.deletedAt) {
+    return { subtask: null, missing: "Task not found" };
+  }
+
+  const subtask = task.subtasks.id(subtaskId);
+  return subtask ? { subtask, missing: null } : { subtask: null, missing: "Subtask not found" };
+};
+
+/**
+ * Pay a subtask's points to the user's active pet (or take them back), with the coins
+ * they're worth -- the same way tasks pay out.
+ *
+ * @async
+ * @function paySubtask
+ * @param {string} userId - The ID of the user.
+ * @param {number} points - The points to pay (negative to take back).
+ * @param {Object} session - The mongoose session of the surrounding transaction.
+ * @returns {Promise<{pet: Object|null, coins: number|null}>} The updated pet (null if the user has no pet,
+ * in which case nothing was paid) and the user's coins afterwards.
+ */
+const paySubtask = async (userId, points, session) => {
+  const pet = await awardPoints(userId, points, session);
+  const coins = pet ? await awardCoins(userId, getCoins(points), session) : null;
+  return { pet, coins };
+};
+
+/**
+ * Get a task's checklist.
+ *
+ * @async
+ * @function getSubtasks
+ * @param {Object} req - The request object.
+ * @param {Object} req.user - The authenticated user, set by verifyToken.
+ * @param {string} req.user.id - The authenticated user's ID.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.taskId - The ID of the parent task.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the task's subtasks, in order.
+ * @throws {Object} Sends a JSON response with appropriate error messages.
+ */
+export const getSubtasks = async (req, res) => {
+  try {
+    const task = await findOwnedTask(req, res);
+    if (!task) {
+      return;
+    }
+
+    res.status(200).json(task.subtasks);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Add a subtask to the end of a task's checklist.
+ *
+ * @async
+ * @function createSubtask
+ * @param {Object} req - The request object.
+ * @param {Object} req.user - The authenticated user, set by verifyToken.
+ * @param {string} req.user.id - The authenticated user's ID.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.taskId - The ID of the parent task.
+ * @param {Object} req.body - The body of the request containing subtask data.
+ * @param {string} req.body.name - The name of the subtask.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the updated parent task.
+ * @throws {Object} Sends a JSON response with appropriate error messages.
+ */
+export const createSubtask = async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    // confirm required data
+    if (!name) {
+      return res.status(400).json({ message: "Required fields missing" });
+    }
+
+    const task = await findOwnedTask(req, res);
+    if (!task) {
+      return;
+    }
+
+    // new subtasks go to the bottom of the list
+    task.subtasks.push({ name });
+    const savedTask = await task.save();
+
+    // send back the parent task
+    res.status(201).json(savedTask);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Update a subtask's name or status.
+ * Completing a subtask pays out part of the parent's points early -- to the user's active
+ * pet, multiplied by their streak and with coins, like a task -- and the parent pays that
+ * much less when it's completed. Un-completing it takes back exactly what it paid.
+ *
+ * @async
+ * @function updateSubtask
+ * @param {Object} req - The request object.
+ * @param {Object} req.user - The authenticated user, set by verifyToken.
+ * @param {string} req.user.id - The authenticated user's ID.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.taskId - The ID of the parent task.
+ * @param {string} req.params.subtaskId - The ID of the subtask to update.
+ * @param {Object} req.body - The body of the request containing updates.
+ * @param {string} [req.body.name] - The updated name of the subtask (optional).
+ * @param {string} [req.body.status] - The updated status of the subtask (optional).
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the updated parent task, the pet (null if its points did not change),
+ * any badges unlocked by the pet levelling up and the user's coins (null if they did not change).
+ * @throws {Object} Sends a JSON response with appropriate error messages.
+ */
+export const updateSubtask = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const { taskId, subtaskId } = req.params;
+    const { name, status } = req.body;
+
+    // status can only be pending or completed
+    if (status && !["pending", "completed"].includes(status)) {
+      return res.status(400).json({ message: "Invalid status" });
+    }
+
+    const existingTask = await findOwnedTask(req, res);
+    if (!existingTask) {
+      return;
+    }
+
+    if (!existingTask.subtasks.id(subtaskId)) {
+      return res.status(404).json({ message: "Subtask not found" });
+    }
+
+    let task;
+    let pet = null;
+    let achievements = [];
+    let coins = null;
+    let missing = null;
+
+    await session.withTransaction(async () => {
+      pet = null;
+      achievements = [];
+      coins = null;
+
+      // re-read inside the transaction so two requests can't both flip the same status
+      task = await Task.findById(taskId).session(session).exec();
+      const found = findSubtask(task, subtaskId);
+      missing = found.missing;
+      if (missing) {
+        return;
+      }
+      const { subtask } = found;
+
+      if (name) {
+        subtask.name = name;
+      }
+
+      if (status && status !== subtask.status) {
+        if (status === "completed") {
+          const points = getSubtaskPayout(task, await getCurrentStreak(req.user.id, session));
+          subtask.completedDate = Date.now();
+          if (points > 0) {
+            ({ pet, coins } = await paySubtask(req.user.id, points, session));
+            subtask.pointsAwarded = pet ? points : 0;
+
+            // the points may have levelled the pet up into a badge
+            if (pet) {
+              achievements = await unlockAchievements(req.user.id, session);
+            }
+          }
+        } else {
+          subtask.completedDate = null;
+          if (subtask.pointsAwarded > 0) {
+            ({ pet, coins } = await paySubtask(req.user.id, -subtask.pointsAwarded, session));
+            subtask.pointsAwarded = 0;
+          }
+        }
+        subtask.status = status;
+      }
+
+      await task.save({ session });
+    });
+
+    if (missing) {
+      return res.status(404).json({ message: missing });
+    }
+
+    // send back the parent task + pet (+ any badges unlocked and the coins paid)
+    res.status(200).json({ task, pet, achievements, coins });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Delete a subtask from a task's checklist.
+ * Points a completed subtask paid out are taken back so subtasks can't be recycled for XP.
+ *
+ * @async
+ * @function deleteSubtask
+ * @param {Object} req - The request object.
+ * @param {Object} req.user - The authenticated user, set by verifyToken.
+ * @param {string} req.user.id - The authenticated user's ID.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.taskId - The ID of the parent task.
+ * @param {string} req.params.subtaskId - The ID of the subtask to delete.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the updated parent task, the pet (null if its points did not change)
+ * and the user's coins (null if they did not change).
+ * @throws {Object} Sends a JSON response with appropriate error messages.
+ */
+export const deleteSubtask = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const { taskId, subtaskId } = req.params;
+
+    const existingTask = await findOwnedTask(req, res);
+    if (!existingTask) {
+      return;
+    }
+
+    if (!existingTask.subtasks.id(subtaskId)) {
+      return res.status(404).json({ message: "Subtask not found" });
+    }
+
+    let task;
+    let pet = null;
+    let coins = null;
+    let missing = null;
+
+    await session.withTransaction(async () => {
+      pet = null;
+      coins = null;
+
+      task = await Task.findById(taskId).session(session).exec();
+      const found = findSubtask(task, subtaskId);
+      missing = found.missing;
+      if (missing) {
+        return;
+      }
+      const { subtask } = found;
+
+      if (subtask.pointsAwarded > 0) {
+        ({ pet, coins } = await paySubtask(req.user.id, -subtask.pointsAwarded, session));
+      }
+
+      subtask.deleteOne();
+      await task.save({ session });
+    });
+
+    if (missing) {
+      return res.status(404).json({ message: missing });
+    }
+
+    res.status(200).json({ task, pet, coins });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  } finally {
+    session.endSession();
+  }
+};
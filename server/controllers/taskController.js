@@ -1,11 +1,167 @@
+import mongoose from "mongoose";
 import Task from "../models/Task.js";
 import Note from "../models/Note.js";
+import Category from "../models/Category.js";
+import { sameId, ownsNote, ownsTask, ownsCategory } from "../utils/ownership.js";
+import { awardPoints, awardCoins, recordStreak, unrecordStreak, unlockAchievements, getSubtasksPaid } from "../utils/rewards.js";
+import { anchorRecurrence, releaseAnchor, getUpcomingDueDate, validateRecurrence } from "../utils/recurrence.js";
+import { buildTaskQuery, encodeCursor } from "../utils/taskQuery.js";
+import { validateOrder, saveOrder } from "../utils/ordering.js";
+import { trashItem } from "../utils/trash.js";
+import { validateBulkRequest } from "../utils/bulkTasks.js";
+import { scoreCompletion } from "../utils/scoring.js";
+import { getRaisingChange, isHardTask } from "../utils/evolution.js";
+import { getCoins } from "../utils/shop.js";
+import { ensureDefaultCategories } from "../utils/categories.js";
 
-// points mapping -- refactor/change later
-let pointsMapping = {
-  easy: 250,
-  medium: 500,
-  hard: 1000,
+// fields a client is allowed to change on a task
+const UPDATABLE_FIELDS = ["name", "status", "category", "dueDate", "recurrence"];
+
+// minimum time between two status flips of the same task, override with TASK_TOGGLE_COOLDOWN_MS
+const DEFAULT_TOGGLE_COOLDOWN_MS = 3000;
+
+const getToggleCooldownMs = () => {
+  const cooldown = parseInt(process.env.TASK_TOGGLE_COOLDOWN_MS, 10);
+  return Number.isNaN(cooldown) ? DEFAULT_TOGGLE_COOLDOWN_MS : cooldown;
+};
+
+// whether a task's status was flipped too recently to flip it again
+const toggledTooRecently = (task) => {
+  const lastToggled = task.lastToggledAt ? task.lastToggledAt.getTime() : 0;
+  return Date.now() - lastToggled < getToggleCooldownMs();
+};
+
+/**
+ * Work out what flipping a task's status changes, leaving the pet to the caller.
+ * Completing pays out what the scoring policy says the task is worth right now (see
+ * ../utils/scoring.js) unless it's already credited; reopening only claws back what the
+ * task actually paid out (the caller also takes back the streak day with unrecordStreak). The
+ * user's daily streak multiplies what completing pays, and whatever its subtasks already paid
+ * comes off it.
+ *
+ * @function getStatusChange
+ * @param {Object} oldTask - The task before the change.
+ * @param {string} status - The new status, pending or completed.
+ * @param {Object} scored - What the task is scored as.
+ * @param {number} scored.points - Its base points (after any category change).
+ * @param {string} [scored.category] - Its category's name, to describe the base points.
+ * @param {Date|null} scored.dueDate - The due date it had until now -- a new one sent along with the
+ * completion only applies afterwards, so it can't be moved to earn the early bonus.
+ * @param {number} [streak=0] - The user's daily streak, counting this completion.
+ * @returns {{changes: Object, pointsDelta: number, score: Object|null, raised: Object|null}} The fields to set on
+ * the task, the points to add to the pet, how they were worked out when points are paid out, and how the task
+ * changes the way the pet was raised (null if it doesn't).
+ */
+const getStatusChange = (oldTask, status, scored, streak = 0) => {
+  const changes = { status, lastToggledAt: Date.now() };
+  let pointsDelta = 0;
+  let score = null;
+  let raised = null;
+
+  if (status === "completed") {
+    changes.completedDate = Date.now();
+    if (oldTask.pointsAwarded === 0) {
+      score = scoreCompletion(scored, new Date(changes.completedDate), streak);
+
+      // subtasks pay part of the task early, not on top of it
+      const paidBySubtasks = Math.min(getSubtasksPaid(oldTask), score.points);
+      if (paidBySubtasks > 0) {
+        score.breakdown.push({ reason: "already paid by its subtasks", points: -paidBySubtasks });
+        score.points -= paidBySubtasks;
+      }
+
+      pointsDelta = score.points;
+      changes.pointsAwarded = score.points;
+      changes.completedHard = isHardTask(scored);
+      raised = getRaisingChange({ ...scored, hard: changes.completedHard }, new Date(changes.completedDate));
+    }
+  } else {
+    changes.completedDate = null;
+    changes.completedHard = null;
+    if (oldTask.pointsAwarded > 0) {
+      pointsDelta = -oldTask.pointsAwarded;
+      changes.pointsAwarded = 0;
+
+      // take back what it counted as when completed, whatever its category is worth now
+      const completed = { points: oldTask.points, hard: oldTask.completedHard, dueDate: oldTask.dueDate };
+      raised = getRaisingChange(completed, oldTask.completedDate ?? new Date(), -1);
+    }
+  }
+
+  return { changes, pointsDelta, score, raised };
+};
+
+/**
+ * Create the next occurrence of a recurring task that was just completed.
+ * The copy lands in the same note, due on the first date the repeat rule picks that
+ * hasn't passed yet, and is worth what its category is worth now.
+ *
+ * @async
+ * @function createNextOccurrence
+ * @param {Object} task - The completed recurring task.
+ * @param {Object} session - The mongoose session of the surrounding transaction.
+ * @returns {Promise<Object>} The newly created task.
+ */
+const createNextOccurrence = async (task, session) => {
+  const category = await Category.findById(task.category).session(session).exec();
+  const from = task.dueDate || new Date();
+  const recurrence = anchorRecurrence(task.recurrence.toObject(), from);
+
+  const next = new Task({
+    note: task.note,
+    user: task.user,
+    name: task.name,
+    creationDate: Date.now(),
+    dueDate: getUpcomingDueDate(recurrence, from),
+    status: "pending",
+    category: task.category,
+    points: category ? category.points : task.points,
+    recurrence,
+    subtasks: task.subtasks.map(({ name }) => ({ name })), // same checklist, unchecked
+  });
+  await next.save({ session });
+
+  // add it to the note right after the other tasks
+  await Note.updateOne({ _id: task.note }, { $push: { tasks: next._id } }).session(session).exec();
+
+  return next;
+};
+
+/**
+ * Look up the name of a task's category, for the score breakdown.
+ *
+ * @async
+ * @function getCategoryName
+ * @param {Object|string} categoryId - The task's category.
+ * @param {Object} [session=null] - The mongoose session of the surrounding transaction, if any.
+ * @returns {Promise<string|undefined>} The category's name, or undefined if it's gone.
+ */
+const getCategoryName = async (categoryId, session = null) =>
+  (await Category.findById(categoryId).select("name").session(session).exec())?.name;
+
+/**
+ * Remove the next occurrence of a recurring task when its completion is undone,
+ * as long as nobody has completed that occurrence yet.
+ *
+ * @async
+ * @function removeNextOccurrence
+ * @param {Object} task - The recurring task being un-completed.
+ * @param {Object} session - The mongoose session of the surrounding transaction.
+ * @returns {Promise<boolean>} True if the occurrence was removed (or no longer exists).
+ */
+const removeNextOccurrence = async (task, session) => {
+  const next = await Task.findById(task.nextOccurrence).session(session).exec();
+  if (!next) {
+    return true;
+  }
+  if (next.status !== "pending") {
+    return false;
+  }
+
+  await Task.deleteOne({ _id: next._id }).session(session).exec();
+  await Note.updateOne({ _id: next.note }, { $pull: { tasks: next._id } }).session(session).exec();
+
+  return true;
 };
 
 /**
@@ -14,6 +170,8 @@ let pointsMapping = {
  * @async
  * @function createTask
  * @param {Object} req - The request object.
+ * @param {Object} req.user - The authenticated user, set by verifyToken.
+ * @param {string} req.user.id - The authenticated user's ID.
  * @param {Object} req.params - The request parameters.
  * @param {string} req.params.noteId - The ID of the note associated with the task.
  * @param {Object} req.body - The body of the request containing task data.
@@ -34,27 +192,32 @@ export const createTask = async (req, res) => {
 
     // check if note exists
     const note = await Note.findById(noteId).exec();
-    if (!note) {
+    if (!note || note.deletedAt) {
       return res.status(404).json({ message: "Note not found" });
     }
 
+    // check that note belongs to the user
+    if (!(await ownsNote(note, req.user.id))) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
+    // new tasks go in the user's first category
+    const [category] = await ensureDefaultCategories(req.user.id);
+
     // create new task
     const task = new Task({
       note: noteId,
+      user: req.user.id,
       name,
       creationDate: Date.now(),
       status: "pending", // new tasks will always be pending
-      category: "easy",
-      points: pointsMapping["easy"],
+      category: category._id,
+      points: category.points,
     });
 
-    console.log("created");
-
     // store the new task
     const savedTask = await task.save();
 
-    console.log("saved");
-
     // add task to note's tasks arr
     note.tasks.push(task._id);
     await note.save();
@@ -66,12 +229,51 @@ export const createTask = async (req, res) => {
   }
 };
 
+/**
+ * Search all of the user's tasks, across every folder and note.
+ * Results come back one page at a time -- pass nextCursor back as cursor to get the next page.
+ *
+ * @async
+ * @function queryTasks
+ * @param {Object} req - The request object.
+ * @param {Object} req.user - The authenticated user, set by verifyToken.
+ * @param {string} req.user.id - The authenticated user's ID.
+ * @param {Object} req.query - Filters, sorting and paging -- see buildTaskQuery in ../utils/taskQuery.js.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the page of tasks and the cursor for the next page (null on the last page).
+ * @throws {Object} Sends a JSON response with appropriate error messages.
+ */
+export const queryTasks = async (req, res) => {
+  try {
+    const { filter, sort, limit, sortBy, error } = buildTaskQuery(req.user.id, req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    // grab one extra to know whether there's another page
+    const tasks = await Task.find(filter).sort(sort).limit(limit + 1).exec();
+    const hasMore = tasks.length > limit;
+    if (hasMore) {
+      tasks.pop();
+    }
+
+    res.status(200).json({
+      tasks,
+      nextCursor: hasMore ? encodeCursor(tasks[tasks.length - 1], sortBy) : null,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
 /**
  * Retrieve all tasks associated with a specified note.
  *
  * @async
  * @function getTasks
  * @param {Object} req - The request object.
+ * @param {Object} req.user - The authenticated user, set by verifyToken.
+ * @param {string} req.user.id - The authenticated user's ID.
  * @param {Object} req.params - The request parameters.
  * @param {string} req.params.noteId - The ID of the note to retrieve tasks from.
  * @param {Object} res - The response object.
@@ -90,10 +292,16 @@ export const getTasks = async (req, res) => {
     // get list of tasks from note
     const note = await Note.findById(noteId).populate("tasks").exec();
 
-    if (!note) {
+    // notes in the trash keep their tasks hidden until they're restored
+    if (!note || note.deletedAt) {
       return res.status(404).json({ message: "Note not found" });
     }
 
+    // check that note belongs to the user
+    if (!(await ownsNote(note, req.user.id))) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
     // send back list of tasks
     res.status(200).json(note.tasks);
   } catch (error) {
@@ -101,72 +309,552 @@ export const getTasks = async (req, res) => {
   }
 };
 
+/**
+ * Reorder the tasks in a note.
+ * The new order has to list every task in the note exactly once.
+ *
+ * @async
+ * @function reorderTasks
+ * @param {Object} req - The request object.
+ * @param {Object} req.user - The authenticated user, set by verifyToken.
+ * @param {string} req.user.id - The authenticated user's ID.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.noteId - The note's ID.
+ * @param {Object} req.body - The body of the request.
+ * @param {string[]} req.body.order - The note's task IDs in their new order.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the list of tasks in their new order.
+ * @throws {Object} Sends a JSON response with appropriate error messages (409 if tasks were added or removed meanwhile).
+ */
+export const reorderTasks = async (req, res) => {
+  try {
+    const { noteId } = req.params;
+    const { order } = req.body;
+
+    // check if note exists
+    const note = await Note.findById(noteId).exec();
+    if (!note) {
+      return res.status(404).json({ message: "Note not found" });
+    }
+
+    // check that note belongs to the user
+    if (!(await ownsNote(note, req.user.id))) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
+    // new order has to be the same tasks, just moved around
+    const orderError = validateOrder(note.tasks, order);
+    if (orderError) {
+      return res.status(400).json({ message: orderError });
+    }
+
+    if (!(await saveOrder(Note, noteId, "tasks", order))) {
+      return res.status(409).json({ message: "Tasks changed while reordering, please reload" });
+    }
+
+    // send back tasks in their new order
+    const updatedNote = await Note.findById(noteId).populate("tasks").exec();
+    res.status(200).json(updatedNote.tasks);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
 /**
  * Update a specific task's details.
- * Handles changes to category and updates points accordingly.
+ * Handles changes to category (one of the user's own) and updates points accordingly.
+ * When the status flips between pending and completed, the task's points are awarded to
+ * (or taken back from) the user's active pet in the same transaction as the task update.
+ * A task only pays out while it isn't already credited (pointsAwarded), un-completing only
+ * claws back what was actually paid, and status flips are rate limited by a cooldown.
+ * Completing a recurring task creates its next occurrence; un-completing it removes that
+ * occurrence again if it hasn't been completed yet.
  *
  * @async
  * @function updateTask
  * @param {Object} req - The request object.
+ * @param {Object} req.user - The authenticated user, set by verifyToken.
+ * @param {string} req.user.id - The authenticated user's ID.
  * @param {Object} req.params - The request parameters.
  * @param {string} req.params.taskId - The ID of the task to update.
  * @param {Object} req.body - The body of the request containing updates.
  * @param {string} [req.body.name] - The updated name of the task (optional).
  * @param {string} [req.body.status] - The updated status of the task (optional).
- * @param {string} [req.body.category] - The updated category of the task (optional).
+ * @param {string} [req.body.category] - The ID of the task's new category (optional).
+ * @param {string} [req.body.dueDate] - The updated due date of the task (optional).
+ * @param {Object|null} [req.body.recurrence] - The task's repeat rule, null to stop repeating (optional).
  * @param {Object} res - The response object.
- * @returns {Promise<void>} Sends a JSON response with the updated task's details.
- * @throws {Object} Sends a JSON response with appropriate error messages.
+ * @returns {Promise<void>} Sends a JSON response with the updated task, the pet (null if its points did not change),
+ * the next occurrence of a recurring task (null if none was created), the score breakdown of a completion
+ * (null unless points were paid out), any badges the completion unlocked and the user's coins (null if they did
+ * not change).
+ * @throws {Object} Sends a JSON response with appropriate error messages (429 if toggled during the cooldown).
  */
 export const updateTask = async (req, res) => {
+  const session = await mongoose.startSession();
+
   try {
     const { taskId } = req.params;
-    const taskData = req.body;
 
     // confirm required data
     if (!taskId) {
       return res.status(400).json({ message: "Task ID required" });
     }
 
-    // TODO: need to check that update data is valid
+    // only copy over fields clients are allowed to change -- points are set by the server
+    const taskData = {};
+    for (const key of UPDATABLE_FIELDS) {
+      if (req.body[key] !== undefined) {
+        taskData[key] = req.body[key];
+      }
+    }
+
+    // check if task exists (tasks in the trash can't be changed until they're restored)
+    const existingTask = await Task.findById(taskId).exec();
+    if (!existingTask || existingTask.deletedAt) {
+      return res.status(404).json({ message: "Task not found" });
+    }
+
+    // check that task belongs to the user
+    if (!(await ownsTask(existingTask, req.user.id))) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
+    // status can only be pending or completed
+    if (taskData.status && !["pending", "completed"].includes(taskData.status)) {
+      return res.status(400).json({ message: "Invalid status" });
+    }
+
+    // repeat rule has to make sense before we store it
+    if (taskData.recurrence !== undefined) {
+      const recurrenceError = validateRecurrence(taskData.recurrence);
+      if (recurrenceError) {
+        return res.status(400).json({ message: recurrenceError });
+      }
+    }
+
+    // the new category has to be one of the user's
+    let category = null;
+    if (taskData.category !== undefined) {
+      category = mongoose.isValidObjectId(taskData.category) ? await Category.findById(taskData.category).exec() : null;
+      if (!category || !ownsCategory(category, req.user.id)) {
+        return res.status(400).json({ message: "Invalid category" });
+      }
+    }
+
+    let task;
+    let pet = null;
+    let nextTask = null;
+    let score = null;
+    let achievements = [];
+    let coins = null;
+    let tooSoon = false;
+    let trashed = false;
+
+    await session.withTransaction(async () => {
+      pet = null;
+      nextTask = null;
+      score = null;
+      achievements = [];
+      coins = null;
+      tooSoon = false;
+      trashed = false;
+
+      // re-read inside the transaction so two requests can't both flip the same status
+      const oldTask = await Task.findById(taskId).session(session).exec();
+      if (!oldTask || oldTask.deletedAt) {
+        trashed = true;
+        return;
+      }
+
+      // if category changes, update points
+      if (category && !sameId(category._id, oldTask.category)) {
+        taskData.points = category.points;
+      }
+
+      // moving the due date moves the day a monthly repeat is pinned to
+      if (taskData.dueDate !== undefined && taskData.recurrence === undefined && oldTask.recurrence) {
+        taskData.recurrence = releaseAnchor(oldTask.recurrence.toObject());
+      }
+
+      // completing an already completed task (or vice versa) is a no-op for points
+      const statusChanged = taskData.status && taskData.status !== oldTask.status;
+      if (statusChanged) {
+        // don't let a task be flipped back and forth faster than the cooldown
+        if (toggledTooRecently(oldTask)) {
+          tooSoon = true;
+          return;
+        }
+
+        // completing keeps the daily streak going, and the streak multiplies the payout
+        const streak = taskData.status === "completed" ? await recordStreak(req.user.id, session) : 0;
+
+        const statusChange = getStatusChange(oldTask, taskData.status, {
+          points: taskData.points ?? oldTask.points,
+          category: category ? category.name : await getCategoryName(oldTask.category, session),
+          dueDate: oldTask.dueDate,
+        }, streak);
+        const { changes, pointsDelta, raised } = statusChange;
+        score = statusChange.score;
+        Object.assign(taskData, changes);
+
+        if (pointsDelta !== 0) {
+          pet = await awardPoints(req.user.id, pointsDelta, session, raised ? [raised] : []);
+
+          // no pet to credit, so nothing was paid out
+          if (!pet && taskData.status === "completed") {
+            taskData.pointsAwarded = 0;
+            score = null;
+          }
+
+          // coins come with the XP (and go back with it)
+          if (pet) {
+            coins = await awardCoins(req.user.id, getCoins(pointsDelta), session);
+          }
+        }
+
+        // undo the occurrence this completion generated
+        if (taskData.status === "pending" && oldTask.nextOccurrence && (await removeNextOccurrence(oldTask, session))) {
+          taskData.nextOccurrence = null;
+        }
+      }
+
+      // find task + update it
+      task = await Task.findByIdAndUpdate(taskId, taskData, {
+        new: true,
+        runValidators: true,
+        session,
+      }).exec();
+
+      // reopening the day's only completion takes the streak day back too
+      if (statusChanged && task.status === "pending") {
+        await unrecordStreak(req.user.id, session);
+      }
+
+      // completing a recurring task queues up the next one (once)
+      if (statusChanged && task.status === "completed" && task.recurrence && !task.nextOccurrence) {
+        nextTask = await createNextOccurrence(task, session);
+        task.nextOccurrence = nextTask._id;
+        await task.save({ session });
+      }
+
+      // completing may have earned a badge (directly, or by levelling the pet up)
+      if (statusChanged && task.status === "completed") {
+        achievements = await unlockAchievements(req.user.id, session);
+      }
+    });
+
+    if (trashed) {
+      return res.status(404).json({ message: "Task not found" });
+    }
+
+    if (tooSoon) {
+      return res.status(429).json({ message: "Task was updated too recently, try again in a moment" });
+    }
+
+    // send back updated task + pet (+ the next occurrence if one was created, how its points were worked out,
+    // any badges it unlocked and the coins it paid)
+    res.status(200).json({ task, pet, nextTask, score, achievements, coins });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Apply one action to many of the user's tasks at once, all in one transaction.
+ * complete/reopen pay out (or claw back) the net points of every task whose status
+ * actually changes in a single award to the pet, and follow the same cooldown and
+ * recurrence rules as updating one task. setCategory, setDueDate and move take the ID of
+ * one of the user's categories, the new due date (null to clear) or note ID as the value; delete moves every task
+ * to the trash.
+ *
+ * @async
+ * @function bulkUpdateTasks
+ * @param {Object} req - The request object.
+ * @param {Object} req.user - The authenticated user, set by verifyToken.
+ * @param {string} req.user.id - The authenticated user's ID.
+ * @param {Object} req.body - The body of the request.
+ * @param {string[]} req.body.ids - The IDs of the tasks to change.
+ * @param {string} req.body.action - complete, reopen, delete, setCategory, setDueDate or move.
+ * @param {*} [req.body.value] - The category ID, due date or note ID the action needs.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the updated tasks, the pet (null if its points did not change),
+ * any next occurrences created, the score breakdown of each task that paid out, any badges unlocked, the user's coins
+ * (null if they did not change) and, for delete, the trash entries.
+ * @throws {Object} Sends a JSON response with appropriate error messages (429 if any task was toggled during the cooldown).
+ */
+export const bulkUpdateTasks = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const { ids, action, value } = req.body;
+
+    // confirm required data
+    const categories = await ensureDefaultCategories(req.user.id);
+    const requestError = validateBulkRequest(req.body, categories.map((category) => String(category._id)));
+    if (requestError) {
+      return res.status(400).json({ message: requestError });
+    }
+
+    // every task has to exist and belong to the user
+    const tasks = await Task.find({ _id: { $in: ids }, deletedAt: null }).exec();
+    if (tasks.length !== ids.length) {
+      return res.status(404).json({ message: "Task not found" });
+    }
+
+    const owned = await Promise.all(tasks.map((task) => ownsTask(task, req.user.id)));
+    if (owned.includes(false)) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
+    // moving needs one of the user's notes to move into
+    let note = null;
+    if (action === "move") {
+      note = await Note.findById(value).exec();
+      if (!note || note.deletedAt) {
+        return res.status(404).json({ message: "Note not found" });
+      }
+
+      if (!(await ownsNote(note, req.user.id))) {
+        return res.status(403).json({ message: "Access denied" });
+      }
+    }
+
+    let updatedTasks = [];
+    let nextTasks = [];
+    let entries = [];
+    let scores = [];
+    let achievements = [];
+    let coins = null;
+    let pet = null;
+    let tooSoon = false;
+
+    await session.withTransaction(async () => {
+      updatedTasks = [];
+      nextTasks = [];
+      entries = [];
+      scores = [];
+      achievements = [];
+      coins = null;
+      pet = null;
+      tooSoon = false;
+
+      // re-read inside the transaction, in the order they were asked for (skipping any trashed meanwhile)
+      const current = await Task.find({ _id: { $in: ids }, deletedAt: null }).session(session).exec();
+      current.sort((a, b) => ids.indexOf(String(a._id)) - ids.indexOf(String(b._id)));
+
+      if (action === "complete" || action === "reopen") {
+        const status = action === "complete" ? "completed" : "pending";
+
+        // tasks already in that status are left alone
+        const changing = current.filter((task) => task.status !== status);
+        if (changing.some(toggledTooRecently)) {
+          tooSoon = true;
+          return;
+        }
+
+        // the whole batch counts as one day of the streak
+        const streak = status === "completed" && changing.length > 0 ? await recordStreak(req.user.id, session) : 0;
+
+        // one award for the whole batch
+        const statusChanges = changing.map((task) => {
+          const category = categories.find((category) => sameId(category._id, task.category));
+          const scored = { points: task.points, category: category?.name, dueDate: task.dueDate };
+          return { task, ...getStatusChange(task, status, scored, streak) };
+        });
+        const netPoints = statusChanges.reduce((sum, { pointsDelta }) => sum + pointsDelta, 0);
+        const raised = statusChanges.map((change) => change.raised).filter(Boolean);
+        if (netPoints !== 0) {
+          pet = await awardPoints(req.user.id, netPoints, session, raised);
+        }
+
+        // coins come with the XP, worked out per task so reopening one takes back exactly what it paid
+        if (pet) {
+          const netCoins = statusChanges.reduce((sum, { pointsDelta }) => sum + getCoins(pointsDelta), 0);
+          coins = await awardCoins(req.user.id, netCoins, session);
+        }
+
+        for (const { task, changes, score } of statusChanges) {
+          // no pet to credit, so nothing was paid out
+          if (status === "completed" && netPoints !== 0 && !pet) {
+            changes.pointsAwarded = 0;
+          } else if (score) {
+            scores.push({ task: task._id, ...score });
+          }
+
+          // undo the occurrence this completion generated
+          if (status === "pending" && task.nextOccurrence && (await removeNextOccurrence(task, session))) {
+            changes.nextOccurrence = null;
+          }
+
+          task.set(changes);
+          await task.save({ session });
+
+          // completing a recurring task queues up the next one (once)
+          if (status === "completed" && task.recurrence && !task.nextOccurrence) {
+            const nextTask = await createNextOccurrence(task, session);
+            task.nextOccurrence = nextTask._id;
+            await task.save({ session });
+            nextTasks.push(nextTask);
+          }
+        }
+
+        if (status === "completed" && changing.length > 0) {
+          achievements = await unlockAchievements(req.user.id, session);
+        }
+
+        // reopening the day's only completions takes the streak day back too
+        if (status === "pending" && changing.length > 0) {
+          await unrecordStreak(req.user.id, session);
+        }
+
+        updatedTasks = current;
+      } else if (action === "setCategory") {
+        const category = categories.find((category) => sameId(category._id, value));
+        for (const task of current) {
+          task.category = category._id;
+          task.points = category.points;
+          await task.save({ session });
+        }
+
+        updatedTasks = current;
+      } else if (action === "setDueDate") {
+        for (const task of current) {
+          task.dueDate = value === null ? null : new Date(value);
+
+          // same as updating one task -- a monthly repeat follows the new date
+          if (task.recurrence) {
+            task.recurrence = releaseAnchor(task.recurrence.toObject());
+          }
+          await task.save({ session });
+        }
+
+        updatedTasks = current;
+      } else if (action === "move") {
+        // tasks already in the note stay where they are
+        const moving = current.filter((task) => !sameId(task.note, note._id));
+        const movingIds = moving.map((task) => task._id);
+
+        await Note.updateMany(
+          { _id: { $in: moving.map((task) => task.note) } },
+          { $pull: { tasks: { $in: movingIds } } }
+        ).session(session).exec();
+        await Note.updateOne({ _id: note._id }, { $push: { tasks: { $each: movingIds } } }).session(session).exec();
+        await Task.updateMany({ _id: { $in: movingIds } }, { note: note._id }).session(session).exec();
+
+        updatedTasks = await Task.find({ _id: { $in: ids } }).session(session).exec();
+      } else if (action === "delete") {
+        for (const task of current) {
+          entries.push(await trashItem("task", task, req.user.id, session));
+        }
+      }
+    });
+
+    if (tooSoon) {
+      return res.status(429).json({ message: "Some tasks were updated too recently, try again in a moment" });
+    }
+
+    // send back what changed
+    res.status(200).json({ tasks: updatedTasks, pet, nextTasks, entries, scores, achievements, coins });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Move a task into another note.
+ * Both notes have to belong to the user. The task's id is pulled from the old note, pushed
+ * onto the end of the new one and the task pointed at its new note in one transaction.
+ *
+ * @async
+ * @function moveTask
+ * @param {Object} req - The request object.
+ * @param {Object} req.user - The authenticated user, set by verifyToken.
+ * @param {string} req.user.id - The authenticated user's ID.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.taskId - The ID of the task to move.
+ * @param {Object} req.body - The body of the request.
+ * @param {string} req.body.noteId - The ID of the note to move the task into.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the moved task.
+ * @throws {Object} Sends a JSON response with appropriate error messages.
+ */
+export const moveTask = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const { taskId } = req.params;
+    const { noteId } = req.body;
+
+    // confirm required data
+    if (!noteId) {
+      return res.status(400).json({ message: "Note ID required" });
+    }
 
     // check if task exists
-    const oldTask = await Task.findById(taskId).exec();
-    if (!oldTask) {
-      res.status(404).json({ message: "Task not found" });
+    const task = await Task.findById(taskId).exec();
+    if (!task || task.deletedAt) {
+      return res.status(404).json({ message: "Task not found" });
     }
 
-    // if category changes, update points
-    if (taskData.category && taskData.category !== oldTask.category) {
-      taskData.points = pointsMapping[taskData.category];
+    // check that task belongs to the user
+    if (!(await ownsTask(task, req.user.id))) {
+      return res.status(403).json({ message: "Access denied" });
     }
 
-    // find task + update it
-    const task = await Task.findByIdAndUpdate(taskId, taskData, {
-      new: true,
-    }).exec();
+    // check if the new note exists
+    const note = await Note.findById(noteId).exec();
+    if (!note || note.deletedAt) {
+      return res.status(404).json({ message: "Note not found" });
+    }
+
+    // check that the new note belongs to the user too
+    if (!(await ownsNote(note, req.user.id))) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
+    // already there
+    if (String(task.note) === String(note._id)) {
+      return res.status(200).json(task);
+    }
 
-    // send back updated task
-    res.status(200).json(task);
+    let movedTask;
+    await session.withTransaction(async () => {
+      await Note.updateOne({ _id: task.note }, { $pull: { tasks: task._id } }).session(session).exec();
+      await Note.updateOne({ _id: note._id }, { $push: { tasks: task._id } }).session(session).exec();
+      movedTask = await Task.findByIdAndUpdate(taskId, { note: note._id }, { new: true, session }).exec();
+    });
+
+    res.status(200).json(movedTask);
   } catch (error) {
     res.status(500).json({ error: error.message });
+  } finally {
+    session.endSession();
   }
 };
 
 /**
  * Delete a specific task by its ID.
- * Ensures the task exists and triggers pre-delete hooks if applicable.
+ * Ensures the task exists and moves it to the user's trash.
  *
  * @async
  * @function deleteTask
  * @param {Object} req - The request object.
+ * @param {Object} req.user - The authenticated user, set by verifyToken.
+ * @param {string} req.user.id - The authenticated user's ID.
  * @param {Object} req.params - The request parameters.
  * @param {string} req.params.taskId - The ID of the task to delete.
  * @param {Object} res - The response object.
- * @returns {Promise<void>} Sends a JSON response indicating success.
+ * @returns {Promise<void>} Sends a JSON response with the trash entry.
  * @throws {Object} Sends a JSON response with appropriate error messages.
  */
 export const deleteTask = async (req, res) => {
+  const session = await mongoose.startSession();
+
   try {
     const { taskId } = req.params;
 
@@ -177,15 +865,25 @@ export const deleteTask = async (req, res) => {
 
     // check if task exists
     const task = await Task.findById(taskId).exec();
-    if (!task) {
+    if (!task || task.deletedAt) {
       return res.status(404).json({ message: "Task not found" });
     }
 
-    // delete task -- triggers pre-delete hook
-    await task.deleteOne();
+    // check that task belongs to the user
+    if (!(await ownsTask(task, req.user.id))) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
+    // move task to the trash
+    let entry;
+    await session.withTransaction(async () => {
+      entry = await trashItem("task", task, req.user.id, session);
+    });
 
-    res.status(200).json();
+    res.status(200).json(entry);
   } catch (error) {
     res.status(500).json({ error: error.message });
+  } finally {
+    session.endSession();
   }
 };
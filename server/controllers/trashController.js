@@ -0,0 +1,150 @@
+import mongoose from "mongoose";
+import TrashItem from "../models/TrashItem.js";
+import { sameId } from "../utils/ownership.js";
+import { getExpiryCutoff, getRetentionDays, purgeItem, restoreItem } from "../utils/trash.js";
+
+/**
+ * Look up a trash entry for the request, sending the 404/403 response if it can't be used.
+ * Entries past the retention period count as gone, even before the purge script deletes them.
+ *
+ * @async
+ * @function findOwnedEntry
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Promise<Object|null>} The trash entry, or null if a response was already sent.
+ */
+const findOwnedEntry = async (req, res) => {
+  const entry = await TrashItem.findById(req.params.trashId).exec();
+  if (!entry || entry.deletedAt < getExpiryCutoff()) {
+    res.status(404).json({ message: "Item not found in trash" });
+    return null;
+  }
+
+  // check that the entry belongs to the user
+  if (!sameId(entry.user, req.user.id)) {
+    res.status(403).json({ message: "Access denied" });
+    return null;
+  }
+
+  return entry;
+};
+
+/**
+ * List everything in the user's trash, newest first.
+ * Anything past the retention period is left out -- it's deleted for good by the purge
+ * script (npm run purge:trash), not by reading the trash.
+ *
+ * @async
+ * @function getTrash
+ * @param {Object} req - The request object.
+ * @param {Object} req.user - The authenticated user, set by verifyToken.
+ * @param {string} req.user.id - The authenticated user's ID.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the trash entries and how many days they are kept.
+ * @throws {Object} Sends a JSON response with appropriate error messages.
+ */
+export const getTrash = async (req, res) => {
+  try {
+    const items = await TrashItem.find({ user: req.user.id, deletedAt: { $gte: getExpiryCutoff() } })
+      .sort({ deletedAt: -1 })
+      .exec();
+
+    res.status(200).json({ items, retentionDays: getRetentionDays() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Restore an item from the trash into the folder/note it was deleted from.
+ *
+ * @async
+ * @function restoreTrashItem
+ * @param {Object} req - The request object.
+ * @param {Object} req.user - The authenticated user, set by verifyToken.
+ * @param {string} req.user.id - The authenticated user's ID.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.trashId - The ID of the trash entry.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the kind of item and the restored item.
+ * @throws {Object} Sends a JSON response with appropriate error messages (409 if its parent is gone or in the trash).
+ */
+export const restoreTrashItem = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const entry = await findOwnedEntry(req, res);
+    if (!entry) {
+      return;
+    }
+
+    let result;
+    await session.withTransaction(async () => {
+      result = await restoreItem(entry, session);
+    });
+
+    if (result.error) {
+      return res.status(409).json({ message: result.error });
+    }
+
+    res.status(200).json({ kind: entry.kind, item: result.item });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Delete an item in the trash for good.
+ *
+ * @async
+ * @function deleteTrashItem
+ * @param {Object} req - The request object.
+ * @param {Object} req.user - The authenticated user, set by verifyToken.
+ * @param {string} req.user.id - The authenticated user's ID.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.trashId - The ID of the trash entry.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with a success status.
+ * @throws {Object} Sends a JSON response with appropriate error messages.
+ */
+export const deleteTrashItem = async (req, res) => {
+  try {
+    const entry = await findOwnedEntry(req, res);
+    if (!entry) {
+      return;
+    }
+
+    await purgeItem(entry);
+
+    res.status(200).json();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Empty the user's trash, deleting everything in it for good.
+ *
+ * @async
+ * @function emptyTrash
+ * @param {Object} req - The request object.
+ * @param {Object} req.user - The authenticated user, set by verifyToken.
+ * @param {string} req.user.id - The authenticated user's ID.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with a success status.
+ * @throws {Object} Sends a JSON response with appropriate error messages.
+ */
+export const emptyTrash = async (req, res) => {
+  try {
+    const entries = await TrashItem.find({ user: req.user.id }).exec();
+    for (const entry of entries) {
+      await purgeItem(entry);
+    }
+
+    res.status(200).json();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
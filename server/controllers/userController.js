@@ -0,0 +1,39 @@
+import User from "../models/User.js";
+import { sameId } from "../utils/ownership.js";
+import { getStreakStatus } from "../utils/streaks.js";
+
+/**
+ * Get where a user's daily completion streak stands, in their own time zone.
+ * A streak that went a whole day without a completed task comes back as lost.
+ *
+ * @async
+ * @function getStreak
+ * @param {Object} req - The request object.
+ * @param {Object} req.user - The authenticated user, set by verifyToken.
+ * @param {string} req.user.id - The authenticated user's ID.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.userId - The ID of the user whose streak to get.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the current and best streak, whether a task was done
+ * today, and the length of a streak that was just lost.
+ * @throws {Object} Sends a JSON response with appropriate error messages.
+ */
+export const getStreak = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    // users can only see their own streak
+    if (!sameId(userId, req.user.id)) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    res.status(200).json(getStreakStatus(user.streak, new Date(), user.timeZone));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
@@ -12,7 +12,14 @@ import authRoutes from "./routes/auth.js";
 import folderRoutes from "./routes/folderRoutes.js";
 import noteRoutes from "./routes/noteRoutes.js";
 import taskRoutes from "./routes/taskRoutes.js";
+import subtaskRoutes from "./routes/subtaskRoutes.js";
 import petRoutes from "./routes/petRoutes.js";
+import trashRoutes from "./routes/trashRoutes.js";
+import userRoutes from "./routes/userRoutes.js";
+import achievementRoutes from "./routes/achievementRoutes.js";
+import shopRoutes from "./routes/shopRoutes.js";
+import gameRoutes from "./routes/gameRoutes.js";
+import categoryRoutes from "./routes/categoryRoutes.js";
 import { register } from "./controllers/auth.js";
 
 // import { verifyToken } from "./middleware/auth.js";
@@ -36,10 +43,8 @@ app.use(cors());
 // for reading http errors - https://expressjs.com/en/resources/middleware/morgan.html
 app.use(morgan("common")); // 'common' outputs method, URL, status, and response time of request
 
-/* Debugging Middleware */
+/* CORS header for every response -- headers and bodies aren't logged, they carry tokens and passwords */
 app.use((req, res, next) => {
-  console.log("Request Headers:", req.headers);
-  console.log("Request Body:", req.body);
   res.header("Access-Control-Allow-Origin", "*")
   next();
 });
@@ -55,8 +60,15 @@ app.use("/auth", authRoutes);
 app.use("/login", authRoutes);
 app.use("/folders", folderRoutes);
 app.use("/notes", noteRoutes);
+app.use("/tasks/:taskId/subtasks", subtaskRoutes);
 app.use("/tasks", taskRoutes);
 app.use("/pets", petRoutes);
+app.use("/trash", trashRoutes);
+app.use("/users", userRoutes);
+app.use("/achievements", achievementRoutes);
+app.use("/shop", shopRoutes);
+app.use("/game", gameRoutes);
+app.use("/categories", categoryRoutes);
 
 const PORT = process.env.PORT || 6001;
 // app.listen(PORT, () => console.log(`Server Port: ${PORT}`));
@@ -1,7 +1,6 @@
 import jwt from "jsonwebtoken";
 
 export const verifyToken = async (req, res, next) => {
-  console.log(req.body);
   try {
     let token = req.header("Authorization");
 
@@ -20,6 +19,7 @@ export const verifyToken = async (req, res, next) => {
 
     next(); // proceed to the actual controller
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    // bad signature, malformed or expired token
+    res.status(401).json({ error: error.message });
   }
 };
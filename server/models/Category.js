@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+import { MIN_CATEGORY_POINTS, MAX_CATEGORY_POINTS } from "../utils/gameConfig.js";
+
+/**
+ * user is custom – view ./User.js
+ * tasks point at one of their user's categories – view ./Task.js and ../utils/categories.js
+ */
+
+const CategorySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+
+  name: { type: String, required: true, trim: true },
+
+  // #rrggbb -- the stripe next to the task
+  color: { type: String, required: true, match: /^#[0-9a-f]{6}$/i },
+
+  // base points for completing a task in this category
+  points: { type: Number, required: true, min: MIN_CATEGORY_POINTS, max: MAX_CATEGORY_POINTS },
+
+  // optional emoji shown with the name
+  icon: { type: String, default: "" },
+
+  createdAt: { type: Date, default: Date.now },
+});
+
+// a user can't have two categories with the same name
+CategorySchema.index({ user: 1, name: 1 }, { unique: true });
+
+const Category = mongoose.model("Category", CategorySchema);
+
+export default Category;
@@ -19,6 +19,9 @@ const FolderSchema = new mongoose.Schema({
       ref: "Note",
     },
   ],
+
+  // set while the folder is in the trash -- see ../utils/trash.js
+  deletedAt: { type: Date, default: null },
 });
 
 // pre-delete hook - triggers before deleteOne on Note docs
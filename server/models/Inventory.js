@@ -0,0 +1,28 @@
+import mongoose from "mongoose";
+
+/**
+ * user is custom – view ./User.js
+ * item ids come from the shop catalog – view ../utils/shop.js
+ */
+
+const InventorySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    unique: true,
+  },
+
+  // what the user owns -- an item is dropped once none are left
+  items: [
+    {
+      _id: false,
+      item: { type: String, required: true },
+      quantity: { type: Number, required: true, min: 1 },
+    },
+  ],
+});
+
+const Inventory = mongoose.model("Inventory", InventorySchema);
+
+export default Inventory;
@@ -19,6 +19,9 @@ const NoteSchema = new mongoose.Schema({
       ref: "Task",
     },
   ],
+
+  // set while the note (or its folder) is in the trash -- see ../utils/trash.js
+  deletedAt: { type: Date, default: null },
 });
 
 
@@ -15,6 +15,45 @@ const PetSchema = new mongoose.Schema({
 
   points: { type: Number, default: 0 }, // current xp
   level: { type: Number, default: 0 }, // pet's current level based on points
+
+  // 0-100, drain over time and come back as tasks get done -- see ../utils/needs.js
+  needs: {
+    hunger: { type: Number, min: 0, max: 100, default: 100 },
+    happiness: { type: Number, min: 0, max: 100, default: 100 },
+    energy: { type: Number, min: 0, max: 100, default: 100 },
+  },
+
+  // when needs were last brought up to date
+  needsUpdatedAt: { type: Date, default: Date.now },
+
+  // when each care action was last done, for its cooldown -- see ../utils/care.js
+  lastCaredAt: {
+    feed: { type: Date, default: null },
+    play: { type: Date, default: null },
+    sleep: { type: Date, default: null },
+  },
+
+  // shop accessories the pet is wearing, in the order they were put on -- see ../utils/shop.js
+  accessories: [{ type: String }],
+
+  // how the pet was raised, tallied from tasks completed while it was active -- see ../utils/evolution.js
+  raising: {
+    tasks: { type: Number, default: 0 },
+    hard: { type: Number, default: 0 },
+    due: { type: Number, default: 0 }, // tasks that had a due date
+    onTime: { type: Number, default: 0 }, // ...and were done by it
+    bestStreak: { type: Number, default: 0 },
+  },
+
+  // the branch taken at each evolution tier, recorded the first time the pet crosses it
+  evolutions: [
+    {
+      _id: false,
+      tier: { type: Number, required: true },
+      branch: { type: String, required: true },
+      evolvedAt: { type: Date, default: Date.now },
+    },
+  ],
 });
 
 const Pet = mongoose.model("Pet", PetSchema);
@@ -5,6 +5,43 @@ import Note from '../models/Note.js'
  * user is custom - view ./User.js
  */
 
+// repeat rule for recurring tasks -- see ../utils/recurrence.js
+const RecurrenceSchema = new mongoose.Schema({
+  frequency: {
+    type: String,
+    enum: ['daily', 'weekdays', 'weekly', 'interval', 'monthly'],
+    required: true
+  },
+
+  // every N days, only used by 'interval'
+  interval: { type: Number, min: 1, default: 1 },
+
+  // 0 = sunday ... 6 = saturday, only used by 'weekly'
+  daysOfWeek: [{ type: Number, min: 0, max: 6 }],
+
+  // user's offset from UTC in minutes, so weekdays/months line up with their local time
+  timezoneOffset: { type: Number, default: 0 },
+
+  // day of the month 'monthly' repeats on -- set from the first due date, so a short month doesn't stick
+  dayOfMonth: { type: Number, min: 1, max: 31, default: null }
+}, { _id: false })
+
+// a step in a task's checklist -- kept in order inside the task
+const SubtaskSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+
+  status: {
+    type: String,
+    enum: ['pending', 'completed'],
+    default: 'pending'
+  },
+
+  completedDate: { type: Date },
+
+  // share of the parent's points paid out for this step (0 if none)
+  pointsAwarded: { type: Number, default: 0 }
+})
+
 const TaskSchema = new mongoose.Schema({
   note: {
     type: mongoose.Schema.Types.ObjectId,
@@ -12,6 +49,12 @@ const TaskSchema = new mongoose.Schema({
     required: true
   },
 
+  // owner of the note's folder -- copied here so tasks can be queried across folders
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
   name: { type: String, required: true },
 
   creationDate: { type: Date, default: Date.now },
@@ -25,19 +68,57 @@ const TaskSchema = new mongoose.Schema({
     default: 'pending'
   },
 
+  // one of the user's categories -- view ./Category.js
   category: {
-    type: String,
-    enum: ['easy', 'medium', 'hard'],
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
     required: true
   },
 
   // make sure this is optional in controller
   completedDate: { type: Date },
 
-  // mapping from category to points will be in controller
-  points: { type: Number, default: 10 }
+  // base points, copied from the category (kept in step while the task is pending)
+  points: { type: Number, default: 10 },
+
+  // points currently paid out to the pet for completing this task (0 if none)
+  pointsAwarded: { type: Number, default: 0 },
+
+  // whether it counted as hard when it was completed (null while pending, or if completed before this was kept)
+  // -- repricing its category afterwards doesn't change it, see ../utils/evolution.js
+  completedHard: { type: Boolean, default: null },
+
+  // last time status flipped between pending and completed -- used for the cooldown
+  lastToggledAt: { type: Date },
+
+  // optional repeat rule -- completing the task creates the next occurrence
+  recurrence: { type: RecurrenceSchema, default: null },
+
+  // the occurrence created when this one was completed
+  nextOccurrence: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  },
+
+  // ordered checklist of steps
+  subtasks: [SubtaskSchema],
+
+  // set while the task (or its note/folder) is in the trash -- see ../utils/trash.js
+  deletedAt: { type: Date, default: null }
 })
 
+// indexes for GET /tasks -- every query is scoped to a user, then filtered/sorted on one of these
+// (one per sortBy in ../utils/taskQuery.js), with _id last since it breaks ties between pages
+TaskSchema.index({ user: 1, status: 1, dueDate: 1, _id: 1 })
+TaskSchema.index({ user: 1, dueDate: 1, _id: 1 })
+TaskSchema.index({ user: 1, creationDate: 1, _id: 1 })
+TaskSchema.index({ user: 1, completedDate: 1, _id: 1 })
+TaskSchema.index({ user: 1, name: 1, _id: 1 })
+TaskSchema.index({ user: 1, points: 1, _id: 1 })
+
+// for repricing or moving a category's tasks when it's changed or deleted
+TaskSchema.index({ category: 1 })
+
 // pre-delete hook - removes task ref from note's tasks arr
 TaskSchema.pre('deleteOne', { document: true, query: false }, async function (next) {
   try {
@@ -0,0 +1,38 @@
+import mongoose from "mongoose";
+
+/**
+ * One entry in a user's trash -- a folder, note or task that was deleted.
+ * The item itself stays in its own collection (with deletedAt set) until it's restored or purged.
+ * Whatever was inside it (a folder's notes, a note's tasks) goes with it and has no entry of its own.
+ */
+
+const TrashItemSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  kind: {
+    type: String,
+    enum: ["folder", "note", "task"],
+    required: true,
+  },
+  item: { type: mongoose.Schema.Types.ObjectId, required: true },
+
+  // copied at delete time so the trash can be listed without loading every item
+  name: { type: String },
+  parentName: { type: String },
+
+  // where the item sat in its parent's array (user.folders / folder.notes / note.tasks)
+  parent: { type: mongoose.Schema.Types.ObjectId, required: true },
+  position: { type: Number, default: 0 },
+
+  deletedAt: { type: Date, default: Date.now },
+});
+
+TrashItemSchema.index({ user: 1, deletedAt: -1 });
+TrashItemSchema.index({ deletedAt: 1 });
+
+const TrashItem = mongoose.model("TrashItem", TrashItemSchema);
+
+export default TrashItem;
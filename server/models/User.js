@@ -24,6 +24,43 @@ const UserSchema = new mongoose.Schema(
       },
     ],
 
+    // the pet tasks' XP goes to -- null means the first one (see ../utils/petSlots.js)
+    activePet: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Pet",
+      default: null,
+    },
+
+    // earned alongside XP and spent in the shop -- can dip below 0 if a task that paid for
+    // something is reopened (see ../utils/shop.js)
+    coins: { type: Number, default: 0 },
+
+    // IANA time zone the user's days are counted in (for streaks)
+    timeZone: { type: String, default: "UTC" },
+
+    // days in a row with at least one completed task -- lastDay is the user's local YYYY-MM-DD
+    streak: {
+      current: { type: Number, default: 0, min: 0 },
+      best: { type: Number, default: 0, min: 0 },
+      lastDay: { type: String, default: null },
+
+      // the streak as it was before lastDay's first completion, so reopening it can undo the day
+      previous: {
+        current: { type: Number, default: null },
+        best: { type: Number, default: null },
+        lastDay: { type: String, default: null },
+      },
+    },
+
+    // badges unlocked so far -- ids from the catalog in ../utils/achievements.js
+    achievements: [
+      {
+        _id: false,
+        id: { type: String, required: true },
+        earnedAt: { type: Date, default: Date.now },
+      },
+    ],
+
     createdAt: { type: Date, default: Date.now },
   },
   { timestamps: true }
@@ -0,0 +1,10 @@
+import express from "express";
+import { getAchievements } from "../controllers/achievementController.js";
+import { verifyToken } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// these routes are actually /achievements/...
+router.get("/", verifyToken, getAchievements);
+
+export default router;
@@ -0,0 +1,13 @@
+import express from "express";
+import { getCategories, createCategory, updateCategory, deleteCategory } from "../controllers/categoryController.js";
+import { verifyToken } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// these routes are actually /categories/...
+router.get("/", verifyToken, getCategories);
+router.post("/", verifyToken, createCategory);
+router.patch("/:categoryId", verifyToken, updateCategory);
+router.delete("/:categoryId", verifyToken, deleteCategory);
+
+export default router;
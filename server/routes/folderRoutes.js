@@ -1,12 +1,14 @@
 import express from "express";
-import { createFolder, getFolders, updateFolder, deleteFolder } from "../controllers/folderController.js";
+import { createFolder, getFolders, reorderFolders, updateFolder, deleteFolder } from "../controllers/folderController.js";
+import { verifyToken } from "../middleware/auth.js";
 
 const router = express.Router();
 
 // these routes are actually /folders/...
-router.post("/:userId", createFolder);
-router.get("/:userId", getFolders);
-router.patch("/:folderId", updateFolder);
-router.delete("/:folderId", deleteFolder);
+router.post("/:userId", verifyToken, createFolder);
+router.get("/:userId", verifyToken, getFolders);
+router.put("/:userId/order", verifyToken, reorderFolders);
+router.patch("/:folderId", verifyToken, updateFolder);
+router.delete("/:folderId", verifyToken, deleteFolder);
 
 export default router;
\ No newline at end of file
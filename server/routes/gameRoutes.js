@@ -0,0 +1,9 @@
+import express from "express";
+import { getGameConfig } from "../controllers/gameController.js";
+
+const router = express.Router();
+
+// these routes are actually /game/...
+router.get("/config", getGameConfig);
+
+export default router;
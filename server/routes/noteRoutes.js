@@ -1,12 +1,15 @@
 import express from "express";
-import { createNote, getNotes, updateNote, deleteNote } from "../controllers/noteController.js";
+import { createNote, getNotes, reorderNotes, updateNote, moveNote, deleteNote } from "../controllers/noteController.js";
+import { verifyToken } from "../middleware/auth.js";
 
 const router = express.Router();
 
 // these routes are actually /notes/...
-router.post("/:folderId", createNote); 
-router.get("/:folderId", getNotes);
-router.patch("/:noteId", updateNote);
-router.delete("/:noteId", deleteNote);
+router.post("/:folderId", verifyToken, createNote); 
+router.get("/:folderId", verifyToken, getNotes);
+router.put("/:folderId/order", verifyToken, reorderNotes);
+router.patch("/:noteId", verifyToken, updateNote);
+router.patch("/:noteId/move", verifyToken, moveNote);
+router.delete("/:noteId", verifyToken, deleteNote);
 
 export default router;
\ No newline at end of file
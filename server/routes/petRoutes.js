@@ -1,10 +1,29 @@
 import express from "express";
-import { createPet, getPet, updatePet } from "../controllers/petController.js";
+import {
+  createPet,
+  getPets,
+  getActivePet,
+  setActivePet,
+  getPet,
+  updatePet,
+  getCareActions,
+  doCareAction,
+} from "../controllers/petController.js";
+import { verifyToken } from "../middleware/auth.js";
 
 const router = express.Router();
 
-router.post("/:userId", createPet);
-router.get("/:petId", getPet);
-router.patch("/:petId", updatePet);
+// the active pet is stored on the user, so these come before /:petId
+router.get("/", verifyToken, getPets);
+router.get("/active", verifyToken, getActivePet);
+router.put("/active", verifyToken, setActivePet);
+
+router.post("/:userId", verifyToken, createPet);
+router.get("/:petId", verifyToken, getPet);
+router.patch("/:petId", verifyToken, updatePet);
+
+// feeding, playing and sleeping
+router.get("/:petId/actions", verifyToken, getCareActions);
+router.post("/:petId/actions/:action", verifyToken, doCareAction);
 
 export default router;
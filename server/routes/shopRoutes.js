@@ -0,0 +1,15 @@
+import express from "express";
+import { getShop, buyItem, getInventory, useItem } from "../controllers/shopController.js";
+import { verifyToken } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// these routes are actually /shop/...
+router.get("/", verifyToken, getShop);
+router.post("/buy", verifyToken, buyItem);
+
+// ...and /shop/inventory/...
+router.get("/inventory", verifyToken, getInventory);
+router.post("/inventory/:itemId/use", verifyToken, useItem);
+
+export default router;
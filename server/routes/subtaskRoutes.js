@@ -0,0 +1,14 @@
+import express from "express";
+import { getSubtasks, createSubtask, updateSubtask, deleteSubtask } from "../controllers/subtaskController.js";
+import { verifyToken } from "../middleware/auth.js";
+
+// mergeParams so we can read :taskId from the parent path
+const router = express.Router({ mergeParams: true });
+
+// these routes are actually /tasks/:taskId/subtasks/...
+router.get("/", verifyToken, getSubtasks);
+router.post("/", verifyToken, createSubtask);
+router.patch("/:subtaskId", verifyToken, updateSubtask);
+router.delete("/:subtaskId", verifyToken, deleteSubtask);
+
+export default router;
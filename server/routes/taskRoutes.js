@@ -1,12 +1,17 @@
 import express from "express";
-import { createTask, getTasks, updateTask, deleteTask } from "../controllers/taskController.js";
+import { createTask, queryTasks, bulkUpdateTasks, getTasks, reorderTasks, updateTask, moveTask, deleteTask } from "../controllers/taskController.js";
+import { verifyToken } from "../middleware/auth.js";
 
 const router = express.Router();
 
 // these routes are actually /tasks/...
-router.post("/:noteId", createTask);
-router.get("/:noteId", getTasks);
-router.patch("/:taskId", updateTask);
-router.delete("/:taskId", deleteTask);
+router.get("/", verifyToken, queryTasks);
+router.post("/bulk", verifyToken, bulkUpdateTasks);
+router.post("/:noteId", verifyToken, createTask);
+router.get("/:noteId", verifyToken, getTasks);
+router.put("/:noteId/order", verifyToken, reorderTasks);
+router.patch("/:taskId", verifyToken, updateTask);
+router.patch("/:taskId/move", verifyToken, moveTask);
+router.delete("/:taskId", verifyToken, deleteTask);
 
 export default router;
\ No newline at end of file
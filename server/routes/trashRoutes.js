@@ -0,0 +1,13 @@
+import express from "express";
+import { getTrash, restoreTrashItem, deleteTrashItem, emptyTrash } from "../controllers/trashController.js";
+import { verifyToken } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// these routes are actually /trash/...
+router.get("/", verifyToken, getTrash);
+router.post("/:trashId/restore", verifyToken, restoreTrashItem);
+router.delete("/:trashId", verifyToken, deleteTrashItem);
+router.delete("/", verifyToken, emptyTrash);
+
+export default router;
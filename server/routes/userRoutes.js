@@ -0,0 +1,10 @@
+import express from "express";
+import { getStreak } from "../controllers/userController.js";
+import { verifyToken } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// these routes are actually /users/...
+router.get("/:userId/streak", verifyToken, getStreak);
+
+export default router;
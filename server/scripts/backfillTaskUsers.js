@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import Task from "../models/Task.js";
+import Note from "../models/Note.js";
+import Folder from "../models/Folder.js";
+
+/**
+ * One-off migration: fills in Task.user (task -> note -> folder -> user) for tasks created
+ * before the field existed, so they show up in GET /tasks. Safe to run more than once.
+ *
+ * usage: npm run migrate:task-users
+ */
+
+dotenv.config();
+
+const backfillTaskUsers = async () => {
+  await mongoose.connect(process.env.MONGO_URL);
+
+  // build note -> user lookup in one pass over folders + notes
+  const folderUsers = new Map();
+  for (const folder of await Folder.find({}, "user").lean()) {
+    folderUsers.set(String(folder._id), folder.user);
+  }
+
+  let updated = 0;
+  for (const note of await Note.find({}, "folder").lean()) {
+    const user = folderUsers.get(String(note.folder));
+    if (!user) {
+      continue;
+    }
+
+    const result = await Task.updateMany({ note: note._id, user: { $exists: false } }, { $set: { user } });
+    updated += result.modifiedCount;
+  }
+
+  // make sure the query indexes exist
+  await Task.syncIndexes();
+
+  console.log(`Backfilled user on ${updated} tasks`);
+};
+
+backfillTaskUsers()
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
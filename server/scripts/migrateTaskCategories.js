@@ -0,0 +1,55 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import Task from "../models/Task.js";
+import Category from "../models/Category.js";
+import { ensureDefaultCategories } from "../utils/categories.js";
+
+/**
+ * One-off migration: tasks used to store their category as "easy", "medium" or "hard".
+ * Gives every user with such tasks the default categories and points each task at the
+ * user's category of the same name instead. Safe to run more than once.
+ * Tasks without a user have to be backfilled first (npm run migrate:task-users).
+ *
+ * usage: npm run migrate:task-categories
+ */
+
+dotenv.config();
+
+// straight on the collection -- the model would try to cast the old names to category ids
+const LEGACY_TASKS = { category: { $type: "string" } };
+
+const migrateTaskCategories = async () => {
+  await mongoose.connect(process.env.MONGO_URL);
+
+  let updated = 0;
+  for (const user of await Task.collection.distinct("user", LEGACY_TASKS)) {
+    if (!user) {
+      continue;
+    }
+
+    for (const category of await ensureDefaultCategories(user)) {
+      const result = await Task.collection.updateMany(
+        { ...LEGACY_TASKS, user, category: category.name },
+        { $set: { category: category._id } }
+      );
+      updated += result.modifiedCount;
+    }
+  }
+
+  // make sure the unique name and category lookup indexes exist
+  await Category.syncIndexes();
+  await Task.syncIndexes();
+
+  const left = await Task.collection.countDocuments(LEGACY_TASKS);
+  console.log(`Moved ${updated} tasks onto their user's categories`);
+  if (left > 0) {
+    console.log(`${left} tasks still have an old category -- run migrate:task-users first, then this again`);
+  }
+};
+
+migrateTaskCategories()
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,27 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import { getRetentionDays, purgeExpired } from "../utils/trash.js";
+
+/**
+ * Deletes for good everything that has sat in any user's trash longer than TRASH_RETENTION_DAYS.
+ * Expired items are hidden from users straight away, but only this deletes them -- run it on a
+ * schedule (e.g. daily cron) so they don't pile up.
+ *
+ * usage: npm run purge:trash
+ */
+
+dotenv.config();
+
+const purgeTrash = async () => {
+  await mongoose.connect(process.env.MONGO_URL);
+
+  const purged = await purgeExpired();
+  console.log(`Purged ${purged} trash items older than ${getRetentionDays()} days`);
+};
+
+purgeTrash()
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,35 @@
+import { getNewAchievements, listAchievements, ACHIEVEMENTS, EVOLVE_LEVEL } from "../utils/achievements.js";
+
+const noStats = { completedTasks: 0, hardTasks: 0, bestStreak: 0, level: 1, emptiedFolders: 0 };
+
+describe('getNewAchievements', () => {
+    it('should unlock nothing for a brand new user', () => {
+        expect(getNewAchievements([], noStats)).toEqual([]);
+    });
+
+    it('should unlock every badge whose goal was reached', () => {
+        const stats = { ...noStats, completedTasks: 12, hardTasks: 10, level: EVOLVE_LEVEL };
+        expect(getNewAchievements([], stats).map((achievement) => achievement.id)).toEqual(['first-task', 'hard-worker', 'evolved']);
+    });
+
+    it('should not unlock a badge twice', () => {
+        const stats = { ...noStats, completedTasks: 3, bestStreak: 7 };
+        expect(getNewAchievements([{ id: 'first-task' }], stats).map((achievement) => achievement.id)).toEqual(['week-streak']);
+    });
+});
+
+describe('listAchievements', () => {
+    it('should split the catalog into earned and locked badges', () => {
+        const earnedAt = new Date("2025-01-31T17:00:00Z");
+        const { earned, locked } = listAchievements([{ id: 'first-task', earnedAt }], { ...noStats, hardTasks: 4 });
+
+        expect(earned).toEqual([expect.objectContaining({ id: 'first-task', earnedAt })]);
+        expect(locked).toHaveLength(ACHIEVEMENTS.length - 1);
+        expect(locked.find((achievement) => achievement.id === 'hard-worker')).toEqual(expect.objectContaining({ progress: 4, goal: 10 }));
+    });
+
+    it('should keep a badge earned even after its stat drops', () => {
+        const { earned } = listAchievements([{ id: 'week-streak', earnedAt: new Date() }], noStats);
+        expect(earned.map((achievement) => achievement.id)).toEqual(['week-streak']);
+    });
+});
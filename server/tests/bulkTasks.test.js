@@ -0,0 +1,30 @@
+import { validateBulkRequest, MAX_BULK_TASKS } from "../utils/bulkTasks.js";
+
+const categories = ["easy", "medium", "hard"];
+
+describe("validateBulkRequest", () => {
+  it("accepts each action with the value it needs", () => {
+    expect(validateBulkRequest({ ids: ["a", "b"], action: "complete" }, categories)).toBeNull();
+    expect(validateBulkRequest({ ids: ["a"], action: "setCategory", value: "hard" }, categories)).toBeNull();
+    expect(validateBulkRequest({ ids: ["a"], action: "setDueDate", value: "2025-01-31T12:00:00.000Z" }, categories)).toBeNull();
+    expect(validateBulkRequest({ ids: ["a"], action: "setDueDate", value: null }, categories)).toBeNull();
+    expect(validateBulkRequest({ ids: ["a"], action: "move", value: "note" }, categories)).toBeNull();
+  });
+
+  it("needs a list of distinct task ids", () => {
+    expect(validateBulkRequest({ action: "complete" }, categories)).toBe("Task IDs required");
+    expect(validateBulkRequest({ ids: [], action: "complete" }, categories)).toBe("Task IDs required");
+    expect(validateBulkRequest({ ids: ["a", "a"], action: "complete" }, categories)).toMatch(/distinct/);
+
+    const tooMany = Array.from({ length: MAX_BULK_TASKS + 1 }, (_, i) => String(i));
+    expect(validateBulkRequest({ ids: tooMany, action: "complete" }, categories)).toMatch(/At most/);
+  });
+
+  it("rejects unknown actions and bad values", () => {
+    expect(validateBulkRequest({ ids: ["a"], action: "explode" }, categories)).toMatch(/Action must be one of/);
+    expect(validateBulkRequest({ ids: ["a"], action: "setCategory", value: "epic" }, categories)).toBe("Invalid category");
+    expect(validateBulkRequest({ ids: ["a"], action: "setDueDate", value: "someday" }, categories)).toBe("Invalid due date");
+    expect(validateBulkRequest({ ids: ["a"], action: "setDueDate" }, categories)).toBe("Invalid due date");
+    expect(validateBulkRequest({ ids: ["a"], action: "move" }, categories)).toBe("Note ID required");
+  });
+});
@@ -0,0 +1,75 @@
+import {
+    CARE_COOLDOWNS_MS,
+    PLAY_WITHOUT_TOY,
+    SLEEP_EFFECT,
+    getItemAction,
+    getCooldownLeft,
+    getCooldowns,
+    chooseItem,
+    getCareError,
+    careFor,
+} from "../utils/care.js";
+import { getItem } from "../utils/shop.js";
+import { now, minutesAgo, makePet } from "./fixtures.js";
+
+describe('getItemAction', () => {
+    it('should count food as feeding and toys as playing', () => {
+        expect(getItemAction(getItem('fish'))).toBe('feed');
+        expect(getItemAction(getItem('yarn'))).toBe('play');
+        expect(getItemAction(getItem('crown'))).toBeNull();
+    });
+});
+
+describe('cooldowns', () => {
+    it('should be ready until an action is done, then wait out its cooldown', () => {
+        const pet = makePet({ lastCaredAt: { feed: minutesAgo(10), sleep: minutesAgo(500) } });
+        expect(getCooldownLeft(pet, 'feed', now)).toBe(CARE_COOLDOWNS_MS.feed - 10 * 60 * 1000);
+        expect(getCooldowns(pet, now)).toEqual({ feed: CARE_COOLDOWNS_MS.feed - 10 * 60 * 1000, play: 0, sleep: 0 });
+    });
+});
+
+describe('chooseItem', () => {
+    const inventory = { items: [{ item: 'cake', quantity: 1 }, { item: 'fish', quantity: 2 }, { item: 'crown', quantity: 1 }] };
+
+    it('should pick the first food or toy at hand, in catalog order', () => {
+        expect(chooseItem('feed', inventory).id).toBe('fish');
+        expect(chooseItem('play', inventory)).toBeNull();
+        expect(chooseItem('sleep', inventory)).toBeNull();
+        expect(chooseItem('feed', null)).toBeNull();
+    });
+
+    it('should only use the item asked for if it fits the action and is owned', () => {
+        expect(chooseItem('feed', inventory, 'cake').id).toBe('cake');
+        expect(chooseItem('feed', inventory, 'kibble')).toBeNull();
+        expect(chooseItem('feed', inventory, 'crown')).toBeNull();
+    });
+});
+
+describe('getCareError', () => {
+    it('should need food to feed, and energy to play without a toy', () => {
+        expect(getCareError(makePet(), 'feed', null)).toMatch(/food/);
+        expect(getCareError(makePet(), 'feed', getItem('kibble'))).toBeNull();
+        expect(getCareError(makePet({ needs: { energy: 5 } }), 'play', null)).toBe('Too tired to play');
+        expect(getCareError(makePet({ needs: { energy: 5 } }), 'play', getItem('ball'))).toBeNull();
+        expect(getCareError(makePet(), 'dance', null)).toBe('Unknown action');
+    });
+});
+
+describe('careFor', () => {
+    it('should use the item given, or play and sleep on the pet\'s own energy', () => {
+        expect(careFor(makePet(), 'feed', getItem('kibble'), now).needs.hunger).toBe(50 + getItem('kibble').effect.hunger);
+
+        const played = careFor(makePet(), 'play', null, now);
+        expect(played.needs).toEqual({ hunger: 50, happiness: 50 + PLAY_WITHOUT_TOY.happiness, energy: 50 + PLAY_WITHOUT_TOY.energy });
+
+        const slept = careFor(makePet(), 'sleep', null, now);
+        expect(slept.needs).toEqual({ hunger: 50 + SLEEP_EFFECT.hunger, happiness: 50, energy: 50 + SLEEP_EFFECT.energy });
+    });
+
+    it('should start the action\'s cooldown', () => {
+        const pet = careFor(makePet(), 'sleep', null, now);
+        expect(pet.lastCaredAt.sleep).toBe(now);
+        expect(getCooldownLeft(pet, 'sleep', now)).toBe(CARE_COOLDOWNS_MS.sleep);
+        expect(getCooldownLeft(pet, 'feed', now)).toBe(0);
+    });
+});
@@ -0,0 +1,155 @@
+const request = require('supertest');
+import app from "../index.js"
+import jwt from "jsonwebtoken";
+import { getCategoryError, pickCategoryFields, DEFAULT_CATEGORIES, MAX_NAME_LENGTH } from "../utils/categories.js";
+import { CATEGORY_POINTS, MAX_CATEGORY_POINTS } from "../utils/gameConfig.js";
+
+const test_user = "674d8bc2f443dedf4529ec55";
+const test_note = "674dddfafeda77b61390aea9";
+const auth = { Authorization: `Bearer ${jwt.sign({ id: test_user }, process.env.JWT_SECRET)}` };
+const other = { Authorization: `Bearer ${jwt.sign({ id: '674d8bc2f443dedf4529ec54' }, process.env.JWT_SECRET)}` };
+
+const errands = { name: 'errands', color: '#3366cc', points: 300, icon: '🛒' };
+
+describe('DEFAULT_CATEGORIES', () => {
+    it('should be the categories tasks always had', () => {
+        expect(Object.fromEntries(DEFAULT_CATEGORIES.map(({ name, points }) => [name, points]))).toEqual(CATEGORY_POINTS);
+    });
+});
+
+describe('pickCategoryFields', () => {
+    it('should only keep what a client may set', () => {
+        expect(pickCategoryFields({ ...errands, name: '  errands ', user: 'someone' })).toEqual(errands);
+        expect(pickCategoryFields({ icon: null })).toEqual({ icon: '' });
+    });
+});
+
+describe('getCategoryError', () => {
+    const categories = [{ _id: 'a', name: 'Easy' }, { _id: 'b', name: 'hard' }];
+
+    it('should need a name, color and points to create one', () => {
+        expect(getCategoryError(errands, categories)).toBeNull();
+        expect(getCategoryError({ ...errands, name: '' }, categories)).toBe('Name required');
+        expect(getCategoryError({ name: 'errands', points: 300 }, categories)).toMatch(/Color/);
+        expect(getCategoryError({ name: 'errands', color: '#3366cc' }, categories)).toMatch(/Points/);
+    });
+
+    it('should only check what is given when updating', () => {
+        expect(getCategoryError({ color: '#000000' }, categories, 'a')).toBeNull();
+        expect(getCategoryError({ icon: '' }, categories, 'a')).toBeNull();
+    });
+
+    it('should keep names unique regardless of case, except for the category itself', () => {
+        expect(getCategoryError({ ...errands, name: 'easy' }, categories)).toMatch(/already have/);
+        expect(getCategoryError({ name: 'EASY' }, categories, 'a')).toBeNull();
+        expect(getCategoryError({ name: 'Hard' }, categories, 'a')).toMatch(/already have/);
+    });
+
+    it('should reject bad values', () => {
+        expect(getCategoryError({ name: 'x'.repeat(MAX_NAME_LENGTH + 1) }, categories, 'a')).toMatch(/at most/);
+        expect(getCategoryError({ color: 'blue' }, categories, 'a')).toMatch(/Color/);
+        expect(getCategoryError({ points: MAX_CATEGORY_POINTS + 1 }, categories, 'a')).toMatch(/Points/);
+        expect(getCategoryError({ points: 12.5 }, categories, 'a')).toMatch(/Points/);
+        expect(getCategoryError({ icon: 'a very long icon' }, categories, 'a')).toMatch(/Icon/);
+    });
+});
+
+describe('/categories', () => {
+    let category_id;
+    let task_id;
+
+    afterAll(async () => {
+        await request(app).delete(`/tasks/${task_id}`).set(auth);
+        if (category_id) {
+            await request(app).delete(`/categories/${category_id}`).set(auth);
+        }
+    });
+
+    it('should list the user\'s categories, starting with the defaults', async () => {
+        const response = await request(app).get('/categories').set(auth);
+        expect(response.status).toBe(200);
+        expect(response.body.map((category) => category.name)).toEqual(expect.arrayContaining(['easy', 'medium', 'hard']));
+    });
+
+    it('should create a category', async () => {
+        const response = await request(app).post('/categories').set(auth).send(errands);
+        expect(response.status).toBe(201);
+        expect(response.body).toEqual(expect.objectContaining(errands));
+
+        category_id = response.body._id;
+    });
+
+    it('should return 400 for a name the user already has', async () => {
+        const response = await request(app).post('/categories').set(auth).send({ ...errands, name: 'Errands' });
+        expect(response.status).toBe(400);
+    });
+
+    it('should reprice pending tasks when the points change', async () => {
+        task_id = (await request(app).post(`/tasks/${test_note}`).set(auth).send({ name: "errand" })).body._id;
+        await request(app).patch(`/tasks/${task_id}`).set(auth).send({ category: category_id });
+
+        const response = await request(app).patch(`/categories/${category_id}`).set(auth).send({ points: 400 });
+        expect(response.status).toBe(200);
+        expect(response.body.category.points).toBe(400);
+        expect(response.body.tasksUpdated).toBe(1);
+
+        const tasks = (await request(app).get(`/tasks/${test_note}`).set(auth)).body;
+        expect(tasks.find((task) => task._id === task_id).points).toBe(400);
+    });
+
+    it('should not let another user change or delete it', async () => {
+        expect((await request(app).patch(`/categories/${category_id}`).set(other).send({ points: 50 })).status).toBe(403);
+        expect((await request(app).delete(`/categories/${category_id}`).set(other)).status).toBe(403);
+    });
+
+    it('should not delete a category that still has tasks without somewhere to move them', async () => {
+        const response = await request(app).delete(`/categories/${category_id}`).set(auth);
+        expect(response.status).toBe(409);
+        expect(response.body.tasks).toBe(1);
+    });
+
+    it('should move its tasks into the replacement when deleted', async () => {
+        const categories = (await request(app).get('/categories').set(auth)).body;
+        const easy = categories.find((category) => category.name === 'easy');
+
+        const response = await request(app).delete(`/categories/${category_id}?replaceWith=${easy._id}`).set(auth);
+        expect(response.status).toBe(200);
+        expect(response.body.tasksMoved).toBe(1);
+        category_id = null;
+
+        const tasks = (await request(app).get(`/tasks/${test_note}`).set(auth)).body;
+        const task = tasks.find((task) => task._id === task_id);
+        expect(task.category).toBe(easy._id);
+        expect(task.points).toBe(easy.points);
+    });
+
+    it('should return 404 for a category that does not exist', async () => {
+        const response = await request(app).patch('/categories/674d8bc2f443dedf4529ec99').set(auth).send({ points: 100 });
+        expect(response.status).toBe(404);
+    });
+});
+
+describe('hard tasks and repricing', () => {
+    let category_id;
+    let task_id;
+
+    afterAll(async () => {
+        await request(app).delete(`/tasks/${task_id}`).set(auth);
+        const easy = (await request(app).get('/categories').set(auth)).body.find((category) => category.name === 'easy');
+        await request(app).delete(`/categories/${category_id}?replaceWith=${easy._id}`).set(auth);
+    });
+
+    it('should record a task as hard when it is completed and keep it that way', async () => {
+        category_id = (await request(app).post('/categories').set(auth).send({ ...errands, name: 'grind', points: 1000 })).body._id;
+        task_id = (await request(app).post(`/tasks/${test_note}`).set(auth).send({ name: "grind" })).body._id;
+        await request(app).patch(`/tasks/${task_id}`).set(auth).send({ category: category_id });
+
+        const completed = await request(app).patch(`/tasks/${task_id}`).set(auth).send({ status: 'completed' });
+        expect(completed.status).toBe(200);
+        expect(completed.body.task.completedHard).toBe(true);
+
+        await request(app).patch(`/categories/${category_id}`).set(auth).send({ points: 50 });
+        const tasks = (await request(app).get(`/tasks/${test_note}`).set(auth)).body;
+        expect(tasks.find((task) => task._id === task_id).completedHard).toBe(true);
+    });
+});
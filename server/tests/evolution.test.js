@@ -0,0 +1,86 @@
+import {
+    getRaisingChange,
+    isHardTask,
+    addRaising,
+    chooseBranch,
+    evolve,
+    EVOLUTION_LEVELS,
+    DEFAULT_BRANCH,
+} from "../utils/evolution.js";
+import { now, makePet, makeRaising } from "./fixtures.js";
+
+describe('getRaisingChange', () => {
+    it('should count hard and on-time completions', () => {
+        expect(getRaisingChange({ points: 1000, dueDate: "2025-02-01T00:00:00Z" }, now)).toEqual({ tasks: 1, hard: 1, due: 1, onTime: 1 });
+        expect(getRaisingChange({ points: 250, dueDate: "2025-01-30T00:00:00Z" }, now)).toEqual({ tasks: 1, hard: 0, due: 1, onTime: 0 });
+        expect(getRaisingChange({ points: 250 }, now)).toEqual({ tasks: 1, hard: 0, due: 0, onTime: 0 });
+    });
+
+    it('should count any task worth as much as a hard one as hard', () => {
+        expect(getRaisingChange({ points: 1500 }, now).hard).toBe(1);
+        expect(getRaisingChange({ points: 999 }, now).hard).toBe(0);
+    });
+
+    it('should take a completion back when reopening', () => {
+        expect(getRaisingChange({ points: 1000, dueDate: "2025-02-01T00:00:00Z" }, now, -1)).toEqual({ tasks: -1, hard: -1, due: -1, onTime: -1 });
+    });
+
+    it('should go by how hard the task was when completed, not what it is worth now', () => {
+        // completed as a hard task, then its category was repriced
+        expect(getRaisingChange({ points: 250, hard: true }, now, -1).hard).toBe(-1);
+        expect(getRaisingChange({ points: 2000, hard: false }, now).hard).toBe(0);
+        expect(getRaisingChange({ points: 1000, hard: null }, now).hard).toBe(1);
+    });
+});
+
+describe('isHardTask', () => {
+    it('should count anything worth as much as the hard category as hard', () => {
+        expect(isHardTask({ points: 1000 })).toBe(true);
+        expect(isHardTask({ points: 999 })).toBe(false);
+    });
+});
+
+describe('addRaising', () => {
+    it('should add up changes and remember the best streak', () => {
+        const pet = makePet({ raising: { bestStreak: 3 } });
+        addRaising(pet, [getRaisingChange({ points: 1000 }, now), getRaisingChange({ points: 250 }, now)], 5);
+        expect(pet.raising).toEqual(makeRaising({ tasks: 2, hard: 1, bestStreak: 5 }));
+    });
+
+    it('should never go below zero', () => {
+        const pet = makePet();
+        addRaising(pet, [getRaisingChange({ points: 1000 }, now, -1)]);
+        expect(pet.raising.hard).toBe(0);
+    });
+});
+
+describe('chooseBranch', () => {
+    it('should follow how the pet was raised', () => {
+        expect(chooseBranch(makeRaising({ tasks: 20, hard: 2, bestStreak: 7 }))).toBe('blazing');
+        expect(chooseBranch(makeRaising({ tasks: 10, hard: 6 }))).toBe('brawny');
+        expect(chooseBranch(makeRaising({ tasks: 10, hard: 1, due: 10, onTime: 9 }))).toBe('punctual');
+        expect(chooseBranch(makeRaising({ tasks: 10, hard: 1, due: 10, onTime: 5 }))).toBe(DEFAULT_BRANCH);
+    });
+
+    it('should not pick a branch from a handful of tasks', () => {
+        expect(chooseBranch(makeRaising({ tasks: 2, hard: 2, due: 2, onTime: 2 }))).toBe(DEFAULT_BRANCH);
+    });
+});
+
+describe('evolve', () => {
+    it('should record each tier once, when it is first crossed', () => {
+        const pet = makePet({ level: EVOLUTION_LEVELS[0], raising: { tasks: 10, hard: 6 } });
+        expect(evolve(pet, now)).toEqual([{ tier: 1, branch: 'brawny', evolvedAt: now }]);
+        expect(evolve(pet, now)).toEqual([]);
+    });
+
+    it('should keep the branch it took even if it was raised differently since', () => {
+        const pet = makePet({ level: EVOLUTION_LEVELS[1], raising: { bestStreak: 10 }, evolutions: [{ tier: 1, branch: 'brawny' }] });
+        evolve(pet, now);
+        expect(pet.evolutions.map((evolution) => evolution.branch)).toEqual(['brawny', 'blazing']);
+    });
+
+    it('should not evolve before the first tier', () => {
+        expect(evolve(makePet({ level: EVOLUTION_LEVELS[0] - 1, raising: { tasks: 10, hard: 6 } }), now)).toEqual([]);
+    });
+});
@@ -0,0 +1,26 @@
+// shared fixtures for the unit tests -- a fixed moment to run them at, and plain objects
+// standing in for pet documents
+
+// a friday afternoon in UTC
+export const now = new Date("2025-01-31T17:00:00Z");
+
+const MINUTE_MS = 60 * 1000;
+
+export const minutesAgo = (minutes) => new Date(now.getTime() - minutes * MINUTE_MS);
+export const hoursAgo = (hours) => minutesAgo(hours * 60);
+export const hoursFromNow = (hours) => minutesAgo(-hours * 60);
+
+// how a pet was raised (see ../utils/evolution.js), nothing counted unless given
+export const makeRaising = (raising = {}) => ({ tasks: 0, hard: 0, due: 0, onTime: 0, bestStreak: 0, ...raising });
+
+// a level 1 pet with every need at 50 -- pass only the fields a test is about
+export const makePet = ({ needs, lastCaredAt, raising, ...fields } = {}) => ({
+    level: 1,
+    needs: { hunger: 50, happiness: 50, energy: 50, ...needs },
+    needsUpdatedAt: null,
+    lastCaredAt: { feed: null, play: null, sleep: null, ...lastCaredAt },
+    accessories: [],
+    raising: makeRaising(raising),
+    evolutions: [],
+    ...fields,
+});
@@ -1,12 +1,14 @@
 const request = require('supertest');
 import app from "../index.js"
 import mongoose from "mongoose";
+import jwt from "jsonwebtoken";
 
 const test_user = "674d8bc2f443dedf4529ec55";
+const auth = { Authorization: `Bearer ${jwt.sign({ id: test_user }, process.env.JWT_SECRET)}` };
 
 describe(`GET /folders/${test_user}`, () => {
     it('should return a list of folders', async () => {
-        const response = await request(app).get(`/folders/${test_user}`);
+        const response = await request(app).get(`/folders/${test_user}`).set(auth);
         expect(response.status).toBe(200);
         expect(response.body.length).toEqual(2);
     });
@@ -16,7 +18,7 @@ describe(`POST, PATCH, and DELETE /folders/${test_user}`, () => {
     let folder_id;
 
     it('should create a new folder', async () => {
-        const response = await request(app).post(`/folders/${test_user}`).send({ name: 'folder #1' });
+        const response = await request(app).post(`/folders/${test_user}`).set(auth).send({ name: 'folder #1' });
         expect(response.status).toBe(201);
         expect(response.body).toHaveProperty('_id');
         expect(response.body.name).toBe('folder #1');
@@ -25,26 +27,67 @@ describe(`POST, PATCH, and DELETE /folders/${test_user}`, () => {
     });
 
     it('should return 400 if name is missing', async () => {
-        const response = await request(app).post(`/folders/${test_user}`).send({});
+        const response = await request(app).post(`/folders/${test_user}`).set(auth).send({});
         expect(response.status).toBe(400);
     });
 
     it('should update the created folder', async () => {
-        const response = await request(app).patch(`/folders/${folder_id}`).send({ name: 'updated folder #1' });
+        const response = await request(app).patch(`/folders/${folder_id}`).set(auth).send({ name: 'updated folder #1' });
         expect(response.status).toBe(200);
         expect(response.body._id).toBe(folder_id);
         expect(response.body.name).toBe('updated folder #1');
     });
 
     it('should delete the created folder', async () => {
-        const response = await request(app).delete(`/folders/${folder_id}`);
+        const response = await request(app).delete(`/folders/${folder_id}`).set(auth);
         expect(response.status).toBe(200); 
     });
 
     it('should return 404 for a non-existent item', async () => {
-        const response = await request(app).delete(`/folders/674d8bc2f443dedf4529ec54`);
+        const response = await request(app).delete(`/folders/674d8bc2f443dedf4529ec54`).set(auth);
         expect(response.status).toBe(404); 
     }); 
 });
 
+describe(`PUT /folders/${test_user}/order`, () => {
+    it('should save the new order and keep it', async () => {
+        const ids = (await request(app).get(`/folders/${test_user}`).set(auth)).body.map((folder) => folder._id);
+        const reversed = [...ids].reverse();
+
+        const response = await request(app).put(`/folders/${test_user}/order`).set(auth).send({ order: reversed });
+        expect(response.status).toBe(200);
+        expect(response.body.map((folder) => folder._id)).toEqual(reversed);
+
+        const reloaded = (await request(app).get(`/folders/${test_user}`).set(auth)).body.map((folder) => folder._id);
+        expect(reloaded).toEqual(reversed);
+
+        // put things back for the other tests
+        await request(app).put(`/folders/${test_user}/order`).set(auth).send({ order: ids });
+    });
+
+    it('should return 400 if a folder is missing from the order', async () => {
+        const ids = (await request(app).get(`/folders/${test_user}`).set(auth)).body.map((folder) => folder._id);
+        const response = await request(app).put(`/folders/${test_user}/order`).set(auth).send({ order: ids.slice(1) });
+        expect(response.status).toBe(400);
+    });
+});
+
+describe(`auth on /folders/${test_user}`, () => {
+    it('should return 403 without a token', async () => {
+        const response = await request(app).get(`/folders/${test_user}`);
+        expect(response.status).toBe(403);
+    });
+
+    it('should return 401 for a bad token', async () => {
+        const response = await request(app).get(`/folders/${test_user}`).set({ Authorization: 'Bearer not-a-token' });
+        expect(response.status).toBe(401);
+    });
+
+    it("should return 403 for another user's folders", async () => {
+        const other = { Authorization: `Bearer ${jwt.sign({ id: '674d8bc2f443dedf4529ec54' }, process.env.JWT_SECRET)}` };
+        const response = await request(app).get(`/folders/${test_user}`).set(other);
+        expect(response.status).toBe(403);
+    });
+});
+
 afterAll(() => mongoose.connection.close())
\ No newline at end of file
@@ -0,0 +1,42 @@
+const request = require('supertest');
+import app from "../index.js"
+import { getGameConfig, BASE_EXP, CATEGORY_POINTS, EVOLUTION_LEVELS } from "../utils/gameConfig.js";
+import { calculateRequiredExp, applyPoints } from "../utils/leveling.js";
+
+describe('leveling curve', () => {
+    it('should never make a level free, even for a freshly hatched pet', () => {
+        expect(calculateRequiredExp(0)).toBe(BASE_EXP);
+        expect(calculateRequiredExp(1)).toBe(BASE_EXP);
+        expect(calculateRequiredExp(4)).toBe(BASE_EXP * 8);
+    });
+
+    it('should level a new pet up once it earns the first level\'s points', () => {
+        expect(applyPoints({ points: 0, level: 0 }, BASE_EXP - 1)).toEqual({ points: BASE_EXP - 1, level: 0 });
+        expect(applyPoints({ points: 0, level: 0 }, BASE_EXP)).toEqual({ points: 0, level: 1 });
+    });
+
+    it('should never leave a pet with negative points when points are taken back', () => {
+        expect(applyPoints({ points: 30, level: 1 }, -500)).toEqual({ points: 0, level: 1 });
+        expect(applyPoints({ points: 0, level: 0 }, -10)).toEqual({ points: 0, level: 0 });
+        expect(applyPoints({ points: 10, level: 2 }, -BASE_EXP - 500)).toEqual({ points: 0, level: 1 });
+    });
+});
+
+describe('getGameConfig', () => {
+    it('should hand out copies of the tuning the server uses', () => {
+        const config = getGameConfig();
+        expect(config.categoryPoints).toEqual(CATEGORY_POINTS);
+        expect(config.evolutionLevels).toEqual(EVOLUTION_LEVELS);
+
+        config.evolutionLevels.push(99);
+        expect(EVOLUTION_LEVELS).not.toContain(99);
+    });
+});
+
+describe('GET /game/config', () => {
+    it('should not need a login', async () => {
+        const response = await request(app).get('/game/config');
+        expect(response.status).toBe(200);
+        expect(response.body).toEqual(getGameConfig());
+    });
+});
@@ -0,0 +1,52 @@
+import { decayNeeds, restoreNeeds, changeNeeds, DECAY_PER_HOUR, MAX_NEED } from "../utils/needs.js";
+import { now, hoursAgo, makePet } from "./fixtures.js";
+
+describe('decayNeeds', () => {
+    it('should drain each need by its hourly rate', () => {
+        const pet = decayNeeds(makePet({ needs: { hunger: 100, happiness: 100, energy: 100 }, needsUpdatedAt: hoursAgo(10) }), now);
+        expect(pet.needs.hunger).toBeCloseTo(100 - DECAY_PER_HOUR.hunger * 10);
+        expect(pet.needs.happiness).toBeCloseTo(100 - DECAY_PER_HOUR.happiness * 10);
+        expect(pet.needs.energy).toBeCloseTo(100 - DECAY_PER_HOUR.energy * 10);
+        expect(pet.needsUpdatedAt).toBe(now);
+    });
+
+    it('should not drain twice for the same stretch of time', () => {
+        const pet = decayNeeds(makePet({ needs: { hunger: 50, happiness: 50, energy: 50 }, needsUpdatedAt: hoursAgo(5) }), now);
+        const hunger = pet.needs.hunger;
+        decayNeeds(pet, now);
+        expect(pet.needs.hunger).toBe(hunger);
+    });
+
+    it('should take overdue drain off happiness only', () => {
+        const pet = decayNeeds(makePet({ needs: { hunger: 50, happiness: 50, energy: 50 }, needsUpdatedAt: now }), now, 12);
+        expect(pet.needs).toEqual({ hunger: 50, happiness: 38, energy: 50 });
+    });
+
+    it('should bottom out at zero after a long time away', () => {
+        const pet = decayNeeds(makePet({ needs: { hunger: 100, happiness: 100, energy: 100 }, needsUpdatedAt: hoursAgo(24 * 30) }), now);
+        expect(pet.needs).toEqual({ hunger: 0, happiness: 0, energy: 0 });
+    });
+});
+
+describe('restoreNeeds', () => {
+    it('should top needs up for points earned, up to the max', () => {
+        const pet = restoreNeeds(makePet({ needs: { hunger: 10, happiness: 95, energy: 50 } }), 500);
+        expect(pet.needs.hunger).toBeCloseTo(25);
+        expect(pet.needs.happiness).toBe(MAX_NEED);
+        expect(pet.needs.energy).toBeCloseTo(55);
+    });
+
+    it('should take back what points taken back gave', () => {
+        const pet = restoreNeeds(restoreNeeds(makePet({ needs: { hunger: 10, happiness: 10, energy: 10 } }), 500), -500);
+        expect(pet.needs.hunger).toBeCloseTo(10);
+        expect(pet.needs.happiness).toBeCloseTo(10);
+        expect(pet.needs.energy).toBeCloseTo(10);
+    });
+});
+
+describe('changeNeeds', () => {
+    it('should only change the needs given, keeping them between 0 and the max', () => {
+        const pet = changeNeeds(makePet({ needs: { hunger: 95, happiness: 50, energy: 5 } }), { hunger: 20, energy: -10 });
+        expect(pet.needs).toEqual({ hunger: MAX_NEED, happiness: 50, energy: 0 });
+    });
+});
@@ -1,22 +1,45 @@
 const request = require('supertest');
 import app from "../index.js"
 import mongoose from "mongoose";
+import jwt from "jsonwebtoken";
 
+const test_user = "674d8bc2f443dedf4529ec55";
 const test_folder = "674ddb19b8f13e0d30a5919d";
+const auth = { Authorization: `Bearer ${jwt.sign({ id: test_user }, process.env.JWT_SECRET)}` };
 
 describe(`GET /notes/${test_folder}`, () => {
     it('should return a list of notes', async () => {
-        const response = await request(app).get(`/notes/${test_folder}`);
+        const response = await request(app).get(`/notes/${test_folder}`).set(auth);
         expect(response.status).toBe(200);
         expect(response.body.length).toEqual(2);
     });
 });
 
+describe(`PUT /notes/${test_folder}/order`, () => {
+    it('should save the new order and keep it', async () => {
+        const ids = (await request(app).get(`/notes/${test_folder}`).set(auth)).body.map((note) => note._id);
+        const reversed = [...ids].reverse();
+
+        const response = await request(app).put(`/notes/${test_folder}/order`).set(auth).send({ order: reversed });
+        expect(response.status).toBe(200);
+        expect(response.body.map((note) => note._id)).toEqual(reversed);
+
+        // put things back for the other tests
+        await request(app).put(`/notes/${test_folder}/order`).set(auth).send({ order: ids });
+    });
+
+    it('should return 400 if a note is listed twice', async () => {
+        const ids = (await request(app).get(`/notes/${test_folder}`).set(auth)).body.map((note) => note._id);
+        const response = await request(app).put(`/notes/${test_folder}/order`).set(auth).send({ order: [ids[0], ids[0]] });
+        expect(response.status).toBe(400);
+    });
+});
+
 describe(`POST, PATCH, and DELETE /notes/${test_folder}`, () => {
     let note_id;
 
     it('should create a new note', async () => {
-        const response = await request(app).post(`/notes/${test_folder}`).send({ name: "new note" });
+        const response = await request(app).post(`/notes/${test_folder}`).set(auth).send({ name: "new note" });
         expect(response.status).toBe(201);
         expect(response.body).toHaveProperty('_id');
         expect(response.body.name).toBe('new note');
@@ -25,14 +48,46 @@ describe(`POST, PATCH, and DELETE /notes/${test_folder}`, () => {
     });
 
     it('should update the created note', async () => {
-        const response = await request(app).patch(`/notes/${note_id}`).send({ name: 'updated note' });
+        const response = await request(app).patch(`/notes/${note_id}`).set(auth).send({ name: 'updated note' });
         expect(response.status).toBe(200);
         expect(response.body._id).toBe(note_id);
         expect(response.body.name).toBe('updated note');
     });
 
     it('should delete the created task', async () => {
-        const response = await request(app).delete(`/notes/${note_id}`);
+        const response = await request(app).delete(`/notes/${note_id}`).set(auth);
         expect(response.status).toBe(200); 
     });
 });
+
+describe('PATCH /notes/:noteId/move', () => {
+    let folder_id;
+    let note_id;
+
+    beforeAll(async () => {
+        folder_id = (await request(app).post(`/folders/${test_user}`).set(auth).send({ name: 'move target' })).body._id;
+        note_id = (await request(app).post(`/notes/${test_folder}`).set(auth).send({ name: 'moving note' })).body._id;
+    });
+
+    afterAll(async () => {
+        await request(app).delete(`/folders/${folder_id}`).set(auth); // takes the moved note with it
+    });
+
+    it('should move the note into the other folder', async () => {
+        const response = await request(app).patch(`/notes/${note_id}/move`).set(auth).send({ folderId: folder_id });
+        expect(response.status).toBe(200);
+        expect(response.body.folder).toBe(folder_id);
+
+        const oldNotes = (await request(app).get(`/notes/${test_folder}`).set(auth)).body;
+        expect(oldNotes.some((note) => note._id === note_id)).toBe(false);
+
+        const newNotes = (await request(app).get(`/notes/${folder_id}`).set(auth)).body;
+        expect(newNotes.map((note) => note._id)).toEqual([note_id]);
+    });
+
+    it("should return 403 when moving someone else's note", async () => {
+        const other = { Authorization: `Bearer ${jwt.sign({ id: '674d8bc2f443dedf4529ec54' }, process.env.JWT_SECRET)}` };
+        const response = await request(app).patch(`/notes/${note_id}/move`).set(other).send({ folderId: test_folder });
+        expect(response.status).toBe(403);
+    });
+});
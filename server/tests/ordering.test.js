@@ -0,0 +1,21 @@
+import { validateOrder } from "../utils/ordering.js";
+
+describe('validateOrder', () => {
+    const current = ['a', 'b', 'c'];
+
+    it('should accept the same ids in any order', () => {
+        expect(validateOrder(current, ['c', 'a', 'b'])).toBeNull();
+        expect(validateOrder([], [])).toBeNull();
+    });
+
+    it('should reject anything that is not a list', () => {
+        expect(validateOrder(current, 'a,b,c')).toBeTruthy();
+    });
+
+    it('should reject missing, extra or repeated ids', () => {
+        expect(validateOrder(current, ['a', 'b'])).toBeTruthy();
+        expect(validateOrder(current, ['a', 'b', 'c', 'd'])).toBeTruthy();
+        expect(validateOrder(current, ['a', 'b', 'b'])).toBeTruthy();
+        expect(validateOrder(current, ['a', 'b', 'd'])).toBeTruthy();
+    });
+});
@@ -0,0 +1,25 @@
+import { getPetSlots, getActivePetId, PET_SLOT_LEVELS } from "../utils/petSlots.js";
+
+describe('getPetSlots', () => {
+    it('should give a new user room for one pet', () => {
+        expect(getPetSlots([])).toEqual({ slots: 1, nextSlotLevel: PET_SLOT_LEVELS[0] });
+        expect(getPetSlots([1])).toEqual({ slots: 1, nextSlotLevel: PET_SLOT_LEVELS[0] });
+    });
+
+    it('should unlock a slot for every milestone the highest pet reached', () => {
+        expect(getPetSlots([3, PET_SLOT_LEVELS[0]])).toEqual({ slots: 2, nextSlotLevel: PET_SLOT_LEVELS[1] });
+        expect(getPetSlots([PET_SLOT_LEVELS[1] + 1])).toEqual({ slots: 3, nextSlotLevel: PET_SLOT_LEVELS[2] });
+    });
+
+    it('should stop once every slot is unlocked', () => {
+        expect(getPetSlots([99])).toEqual({ slots: 1 + PET_SLOT_LEVELS.length, nextSlotLevel: null });
+    });
+});
+
+describe('getActivePetId', () => {
+    it('should fall back to the first pet', () => {
+        expect(getActivePetId({ activePet: 'b', pets: ['a', 'b'] })).toBe('b');
+        expect(getActivePetId({ activePet: null, pets: ['a', 'b'] })).toBe('a');
+        expect(getActivePetId({ pets: [] })).toBeNull();
+    });
+});
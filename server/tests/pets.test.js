@@ -1,14 +1,197 @@
 const request = require('supertest');
 import app from "../index.js"
 import mongoose from "mongoose";
+import jwt from "jsonwebtoken";
+import User from "../models/User.js";
+import Pet from "../models/Pet.js";
+import Inventory from "../models/Inventory.js";
+import { getItem } from "../utils/shop.js";
 
+const test_user = "674d8bc2f443dedf4529ec55";
 const test_pet = "674e019ad9f88e637f644c7f";
+const auth = { Authorization: `Bearer ${jwt.sign({ id: test_user }, process.env.JWT_SECRET)}` };
 
 describe(`GET /pets/${test_pet}`, () => {
     it('should return your pet', async () => {
-        const response = await request(app).get(`/pets/${test_pet}`);
+        const response = await request(app).get(`/pets/${test_pet}`).set(auth);
         expect(response.status).toBe(200);
         expect(response.body.name).toBe('awesome pet');
         expect(response.body.type).toBe('Sharkie');
     });
 });
+
+describe(`auth on /pets/${test_pet}`, () => {
+    it("should return 403 for another user's pet", async () => {
+        const other = { Authorization: `Bearer ${jwt.sign({ id: '674d8bc2f443dedf4529ec54' }, process.env.JWT_SECRET)}` };
+        const response = await request(app).get(`/pets/${test_pet}`).set(other);
+        expect(response.status).toBe(403);
+    });
+});
+
+describe(`PATCH /pets/${test_pet}`, () => {
+    it('should not accept points from the client', async () => {
+        const response = await request(app).patch(`/pets/${test_pet}`).set(auth).send({ points: 100000 });
+        expect(response.status).toBe(400);
+    });
+});
+
+describe(`needs on /pets/${test_pet}`, () => {
+    it('should come back between 0 and 100', async () => {
+        const response = await request(app).get(`/pets/${test_pet}`).set(auth);
+        expect(response.status).toBe(200);
+        for (const need of ['hunger', 'happiness', 'energy']) {
+            expect(response.body.needs[need]).toBeGreaterThanOrEqual(0);
+            expect(response.body.needs[need]).toBeLessThanOrEqual(100);
+        }
+    });
+
+    it('should only drain as time passes between reads', async () => {
+        const first = (await request(app).get(`/pets/${test_pet}`).set(auth)).body;
+        const second = (await request(app).get(`/pets/${test_pet}`).set(auth)).body;
+        expect(second.needs.hunger).toBeLessThanOrEqual(first.needs.hunger);
+        expect(first.needs.hunger - second.needs.hunger).toBeLessThan(0.01);
+    });
+});
+
+describe('/pets collection', () => {
+    it('should list your pets with the active one and your pet slots', async () => {
+        const response = await request(app).get('/pets').set(auth);
+        expect(response.status).toBe(200);
+        expect(response.body.pets.map((pet) => pet._id)).toContain(test_pet);
+        expect(response.body.activePet).toBe(test_pet);
+        expect(response.body.slots).toBeGreaterThanOrEqual(response.body.pets.length);
+    });
+
+    it('should return the active pet', async () => {
+        const response = await request(app).get('/pets/active').set(auth);
+        expect(response.status).toBe(200);
+        expect(response.body._id).toBe(test_pet);
+    });
+
+    it('should not hatch past the slots earned when hatching twice at once', async () => {
+        const before = (await request(app).get('/pets').set(auth)).body;
+        const hatch = () => request(app).post(`/pets/${test_user}`).set(auth).send({ name: 'Twin', type: 'Froggie' });
+        const responses = await Promise.all([hatch(), hatch()]);
+        const hatched = responses.filter((response) => response.status === 201).map((response) => response.body._id);
+
+        try {
+            expect(responses.map((response) => response.status).every((status) => [201, 409].includes(status))).toBe(true);
+            expect(before.pets.length + hatched.length).toBeLessThanOrEqual(before.slots);
+        } finally {
+            await Pet.deleteMany({ _id: { $in: hatched } });
+            await User.updateOne({ _id: test_user }, { $pull: { pets: { $in: hatched } }, activePet: test_pet });
+        }
+    });
+
+    it('should only make your own pets active', async () => {
+        const missing = await request(app).put('/pets/active').set(auth).send({ petId: new mongoose.Types.ObjectId().toString() });
+        expect(missing.status).toBe(404);
+
+        const response = await request(app).put('/pets/active').set(auth).send({ petId: test_pet });
+        expect(response.status).toBe(200);
+        expect(response.body._id).toBe(test_pet);
+    });
+});
+
+describe('/shop', () => {
+    beforeEach(async () => {
+        await User.updateOne({ _id: test_user }, { coins: 200 });
+        await Inventory.deleteOne({ user: test_user });
+        await Pet.updateOne({ _id: test_pet }, { lastCaredAt: { feed: null, play: null, sleep: null } });
+    });
+
+    it('should list the catalog with your coins', async () => {
+        const response = await request(app).get('/shop').set(auth);
+        expect(response.status).toBe(200);
+        expect(response.body.coins).toBe(200);
+        expect(response.body.items.map((item) => item.id)).toContain('kibble');
+    });
+
+    it('should take the coins and add the item to your inventory', async () => {
+        const response = await request(app).post('/shop/buy').set(auth).send({ itemId: 'kibble', quantity: 2 });
+        expect(response.status).toBe(200);
+        expect(response.body.coins).toBe(200 - 2 * getItem('kibble').price);
+        expect(response.body.items).toEqual([expect.objectContaining({ id: 'kibble', quantity: 2 })]);
+    });
+
+    it("should refuse what you can't afford or already own", async () => {
+        const poor = await request(app).post('/shop/buy').set(auth).send({ itemId: 'crown', quantity: 1 });
+        expect(poor.status).toBe(400);
+        expect(poor.body.message).toBe('Not enough coins');
+
+        await request(app).post('/shop/buy').set(auth).send({ itemId: 'bow-tie' });
+        const again = await request(app).post('/shop/buy').set(auth).send({ itemId: 'bow-tie' });
+        expect(again.status).toBe(409);
+    });
+
+    it('should feed the active pet and use the item up', async () => {
+        await request(app).post('/shop/buy').set(auth).send({ itemId: 'kibble' });
+
+        const response = await request(app).post('/shop/inventory/kibble/use').set(auth);
+        expect(response.status).toBe(200);
+        expect(response.body.pet._id).toBe(test_pet);
+        expect(response.body.items).toEqual([]);
+
+        const empty = await request(app).post('/shop/inventory/kibble/use').set(auth);
+        expect(empty.status).toBe(400);
+    });
+
+    it('should put an accessory on and take it off again, keeping it', async () => {
+        await request(app).post('/shop/buy').set(auth).send({ itemId: 'bow-tie' });
+
+        const on = await request(app).post('/shop/inventory/bow-tie/use').set(auth);
+        expect(on.body.pet.accessories).toContain('bow-tie');
+        expect(on.body.items).toEqual([expect.objectContaining({ id: 'bow-tie', quantity: 1 })]);
+
+        const off = await request(app).post('/shop/inventory/bow-tie/use').set(auth);
+        expect(off.body.pet.accessories).not.toContain('bow-tie');
+    });
+});
+
+describe(`/pets/${test_pet}/actions`, () => {
+    beforeEach(async () => {
+        await Inventory.deleteOne({ user: test_user });
+        await Pet.updateOne({ _id: test_pet }, { lastCaredAt: { feed: null, play: null, sleep: null }, "needs.energy": 50 });
+    });
+
+    it('should start with every action ready', async () => {
+        const response = await request(app).get(`/pets/${test_pet}/actions`).set(auth);
+        expect(response.status).toBe(200);
+        expect(response.body.cooldowns).toEqual({ feed: 0, play: 0, sleep: 0 });
+    });
+
+    it('should need food from the inventory to feed', async () => {
+        const hungry = await request(app).post(`/pets/${test_pet}/actions/feed`).set(auth);
+        expect(hungry.status).toBe(400);
+
+        await Inventory.create({ user: test_user, items: [{ item: 'fish', quantity: 1 }] });
+        const response = await request(app).post(`/pets/${test_pet}/actions/feed`).set(auth);
+        expect(response.status).toBe(200);
+        expect(response.body.used).toBe('fish');
+        expect(response.body.items).toEqual([]);
+    });
+
+    it('should put the pet to sleep, then make it wait out the cooldown', async () => {
+        const response = await request(app).post(`/pets/${test_pet}/actions/sleep`).set(auth);
+        expect(response.status).toBe(200);
+        expect(response.body.pet.needs.energy).toBeGreaterThan(50);
+        expect(response.body.cooldowns.sleep).toBeGreaterThan(0);
+
+        const again = await request(app).post(`/pets/${test_pet}/actions/sleep`).set(auth);
+        expect(again.status).toBe(429);
+        expect(again.body.retryAfter).toBeGreaterThan(0);
+    });
+
+    it('should play on the pet\'s own energy without a toy', async () => {
+        const response = await request(app).post(`/pets/${test_pet}/actions/play`).set(auth);
+        expect(response.status).toBe(200);
+        expect(response.body.used).toBeNull();
+        expect(response.body.pet.needs.energy).toBeLessThan(50);
+    });
+
+    it("should not care for another user's pet", async () => {
+        const other = { Authorization: `Bearer ${jwt.sign({ id: '674d8bc2f443dedf4529ec54' }, process.env.JWT_SECRET)}` };
+        const response = await request(app).post(`/pets/${test_pet}/actions/sleep`).set(other);
+        expect(response.status).toBe(403);
+    });
+});
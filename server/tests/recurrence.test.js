@@ -0,0 +1,112 @@
+import { anchorRecurrence, releaseAnchor, getNextDueDate, getUpcomingDueDate, validateRecurrence } from "../utils/recurrence.js";
+
+// friday, jan 31 2025 at 5pm UTC
+const friday = new Date("2025-01-31T17:00:00Z");
+
+describe('getNextDueDate', () => {
+    it('should repeat daily', () => {
+        expect(getNextDueDate({ frequency: 'daily' }, friday).toISOString()).toBe('2025-02-01T17:00:00.000Z');
+    });
+
+    it('should skip the weekend for weekdays', () => {
+        expect(getNextDueDate({ frequency: 'weekdays' }, friday).toISOString()).toBe('2025-02-03T17:00:00.000Z');
+    });
+
+    it('should pick the next chosen day for weekly', () => {
+        const rule = { frequency: 'weekly', daysOfWeek: [2, 5] };
+        expect(getNextDueDate(rule, friday).toISOString()).toBe('2025-02-04T17:00:00.000Z');
+    });
+
+    it('should wrap around to the same day next week', () => {
+        const rule = { frequency: 'weekly', daysOfWeek: [5] };
+        expect(getNextDueDate(rule, friday).toISOString()).toBe('2025-02-07T17:00:00.000Z');
+    });
+
+    it('should repeat every N days', () => {
+        const rule = { frequency: 'interval', interval: 3 };
+        expect(getNextDueDate(rule, friday).toISOString()).toBe('2025-02-03T17:00:00.000Z');
+    });
+
+    it('should clamp monthly repeats to the end of shorter months', () => {
+        expect(getNextDueDate({ frequency: 'monthly' }, friday).toISOString()).toBe('2025-02-28T17:00:00.000Z');
+    });
+
+    it('should go back to the anchor day after a short month', () => {
+        const rule = anchorRecurrence({ frequency: 'monthly' }, friday);
+        expect(rule.dayOfMonth).toBe(31);
+
+        const february = getNextDueDate(rule, friday);
+        expect(february.toISOString()).toBe('2025-02-28T17:00:00.000Z');
+        expect(getNextDueDate(rule, february).toISOString()).toBe('2025-03-31T17:00:00.000Z');
+    });
+
+    it("should use the user's local day, not UTC", () => {
+        // 9pm on friday in UTC-8 is already saturday in UTC
+        const rule = { frequency: 'weekdays', timezoneOffset: 480 };
+        const due = new Date("2025-02-01T05:00:00Z");
+        expect(getNextDueDate(rule, due).toISOString()).toBe('2025-02-04T05:00:00.000Z');
+    });
+});
+
+describe('anchorRecurrence', () => {
+    it('should only pin monthly rules that are not pinned yet', () => {
+        const weekly = { frequency: 'weekly', daysOfWeek: [1] };
+        expect(anchorRecurrence(weekly, friday)).toBe(weekly);
+
+        const pinned = { frequency: 'monthly', dayOfMonth: 15 };
+        expect(anchorRecurrence(pinned, friday)).toBe(pinned);
+    });
+});
+
+describe('releaseAnchor', () => {
+    it('should unpin a monthly rule so it follows a new due date', () => {
+        const pinned = { frequency: 'monthly', dayOfMonth: 31 };
+        expect(releaseAnchor(pinned)).toEqual({ frequency: 'monthly', dayOfMonth: null });
+        expect(anchorRecurrence(releaseAnchor(pinned), new Date("2025-03-15T17:00:00Z")).dayOfMonth).toBe(15);
+    });
+
+    it('should leave other rules alone', () => {
+        const daily = { frequency: 'daily' };
+        expect(releaseAnchor(daily)).toBe(daily);
+        expect(releaseAnchor(null)).toBeNull();
+    });
+});
+
+describe('getUpcomingDueDate', () => {
+    const now = new Date("2025-02-04T12:00:00Z");
+
+    it('should skip the occurrences that are already overdue', () => {
+        // completed four days late -- the next one is tomorrow's, not one that's three days overdue
+        expect(getUpcomingDueDate({ frequency: 'daily' }, friday, now).toISOString()).toBe('2025-02-04T17:00:00.000Z');
+        expect(getUpcomingDueDate({ frequency: 'weekdays' }, friday, now).toISOString()).toBe('2025-02-04T17:00:00.000Z');
+    });
+
+    it('should take the next step when the task was on time', () => {
+        const early = new Date("2025-01-30T12:00:00Z");
+        expect(getUpcomingDueDate({ frequency: 'daily' }, friday, early).toISOString()).toBe('2025-02-01T17:00:00.000Z');
+    });
+});
+
+describe('validateRecurrence', () => {
+    it('should accept null to clear the rule', () => {
+        expect(validateRecurrence(null)).toBeNull();
+    });
+
+    it('should reject unknown frequencies', () => {
+        expect(validateRecurrence({ frequency: 'hourly' })).not.toBeNull();
+    });
+
+    it('should require days for weekly repeats', () => {
+        expect(validateRecurrence({ frequency: 'weekly', daysOfWeek: [] })).not.toBeNull();
+        expect(validateRecurrence({ frequency: 'weekly', daysOfWeek: [1, 3] })).toBeNull();
+    });
+
+    it('should reject a bad interval', () => {
+        expect(validateRecurrence({ frequency: 'interval', interval: 0 })).not.toBeNull();
+    });
+
+    it('should reject a day of the month that does not exist', () => {
+        expect(validateRecurrence({ frequency: 'monthly', dayOfMonth: 32 })).not.toBeNull();
+        expect(validateRecurrence({ frequency: 'monthly', dayOfMonth: 31 })).toBeNull();
+    });
+});
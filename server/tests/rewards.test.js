@@ -0,0 +1,39 @@
+import { getSubtaskPayout, getSubtasksPaid, SUBTASK_SHARE } from "../utils/rewards.js";
+
+const makeTask = (points, paid, status = 'pending') => ({
+    points,
+    status,
+    subtasks: paid.map((pointsAwarded) => ({ pointsAwarded })),
+});
+
+describe('getSubtaskPayout', () => {
+    it('should split the share evenly across subtasks', () => {
+        expect(getSubtaskPayout(makeTask(1000, [0, 0, 0, 0]))).toBe(1000 * SUBTASK_SHARE / 4);
+    });
+
+    it('should pay nothing for a task without subtasks', () => {
+        expect(getSubtaskPayout(makeTask(1000, []))).toBe(0);
+    });
+
+    it('should never pay out more than the share in total', () => {
+        // one subtask already took the whole share before more were added
+        expect(getSubtaskPayout(makeTask(1000, [500, 0]))).toBe(0);
+        expect(getSubtaskPayout(makeTask(1000, [400, 0]))).toBe(100);
+    });
+
+    it('should multiply by the streak, still within the share', () => {
+        expect(getSubtaskPayout(makeTask(1000, [0, 0, 0, 0]), 5)).toBe(150);
+        expect(getSubtaskPayout(makeTask(1000, [300, 0]), 5)).toBe(200);
+    });
+
+    it('should pay nothing once the parent is completed', () => {
+        expect(getSubtaskPayout(makeTask(1000, [0, 0], 'completed'))).toBe(0);
+    });
+});
+
+describe('getSubtasksPaid', () => {
+    it('should add up what the subtasks paid', () => {
+        expect(getSubtasksPaid(makeTask(1000, [125, 0, 125]))).toBe(250);
+        expect(getSubtasksPaid(makeTask(1000, []))).toBe(0);
+    });
+});
@@ -0,0 +1,61 @@
+import {
+    scoreCompletion,
+    getOverdueDrain,
+    EARLY_BONUS,
+    MIN_LATE_SHARE,
+    OVERDUE_HAPPINESS_PER_HOUR,
+    MAX_OVERDUE_HAPPINESS_PER_HOUR,
+} from "../utils/scoring.js";
+import { now, hoursFromNow } from "./fixtures.js";
+
+describe('scoreCompletion', () => {
+    it('should pay the base points for a task without a due date', () => {
+        expect(scoreCompletion({ points: 500, category: 'medium' }, now)).toEqual({
+            points: 500,
+            breakdown: [{ reason: 'medium task', points: 500 }],
+        });
+    });
+
+    it('should add a bonus for finishing before the due date', () => {
+        const score = scoreCompletion({ points: 500, category: 'medium', dueDate: hoursFromNow(2) }, now);
+        expect(score.points).toBe(500 + 500 * EARLY_BONUS);
+        expect(score.breakdown[1].reason).toBe('done before the due date');
+    });
+
+    it('should take a share off for every started day late', () => {
+        expect(scoreCompletion({ points: 1000, dueDate: hoursFromNow(-1) }, now).points).toBe(900);
+        expect(scoreCompletion({ points: 1000, dueDate: hoursFromNow(-25) }, now)).toEqual({
+            points: 800,
+            breakdown: [{ reason: 'task', points: 1000 }, { reason: '2 days late', points: -200 }],
+        });
+    });
+
+    it('should never pay less than the minimum share for a late task', () => {
+        expect(scoreCompletion({ points: 1000, dueDate: hoursFromNow(-24 * 30) }, now).points).toBe(1000 * MIN_LATE_SHARE);
+    });
+
+    it('should multiply everything by the daily streak', () => {
+        expect(scoreCompletion({ points: 500, category: 'medium' }, now, 1).points).toBe(500);
+        expect(scoreCompletion({ points: 1000, dueDate: hoursFromNow(-25) }, now, 3)).toEqual({
+            points: 880,
+            breakdown: [
+                { reason: 'task', points: 1000 },
+                { reason: '2 days late', points: -200 },
+                { reason: '3-day streak ×1.1', points: 80 },
+            ],
+        });
+    });
+});
+
+describe('getOverdueDrain', () => {
+    it('should only count the time each task has been overdue', () => {
+        const from = hoursFromNow(-10);
+        const drain = getOverdueDrain([hoursFromNow(-4), hoursFromNow(-20), hoursFromNow(5)], from, now);
+        expect(drain).toBeCloseTo((4 + 10) * OVERDUE_HAPPINESS_PER_HOUR);
+    });
+
+    it('should cap the drain however many tasks are overdue', () => {
+        const dueDates = Array.from({ length: 50 }, () => hoursFromNow(-48));
+        expect(getOverdueDrain(dueDates, hoursFromNow(-10), now)).toBeCloseTo(10 * MAX_OVERDUE_HAPPINESS_PER_HOUR);
+    });
+});
@@ -0,0 +1,92 @@
+import {
+    SHOP_ITEMS,
+    getItem,
+    getCoins,
+    getPurchaseError,
+    getQuantity,
+    changeQuantity,
+    listInventory,
+    useItemOnPet,
+    POINTS_PER_COIN,
+    MAX_PURCHASE,
+} from "../utils/shop.js";
+import { makePet } from "./fixtures.js";
+
+describe('getCoins', () => {
+    it('should pay a coin for every few points, and take them back the same way', () => {
+        expect(getCoins(250)).toBe(250 / POINTS_PER_COIN);
+        expect(getCoins(-250)).toBe(-250 / POINTS_PER_COIN);
+        expect(getCoins(POINTS_PER_COIN - 1)).toBe(0);
+    });
+});
+
+describe('getPurchaseError', () => {
+    it('should allow a purchase the user can afford', () => {
+        expect(getPurchaseError(getItem('kibble'), 2, 30)).toBeNull();
+    });
+
+    it('should explain what is wrong with a purchase', () => {
+        expect(getPurchaseError(getItem('caviar'), 1, 1000)).toBe('Item not found');
+        expect(getPurchaseError(getItem('kibble'), 0, 1000)).toMatch(/Quantity/);
+        expect(getPurchaseError(getItem('kibble'), MAX_PURCHASE + 1, 100000)).toMatch(/Quantity/);
+        expect(getPurchaseError(getItem('crown'), 2, 100000)).toMatch(/one at a time/);
+        expect(getPurchaseError(getItem('kibble'), 3, 30)).toBe('Not enough coins');
+    });
+});
+
+describe('changeQuantity', () => {
+    it('should add new items and drop used-up ones', () => {
+        const inventory = { items: [] };
+        changeQuantity(inventory, 'kibble', 2);
+        changeQuantity(inventory, 'kibble', 1);
+        expect(getQuantity(inventory, 'kibble')).toBe(3);
+
+        changeQuantity(inventory, 'kibble', -3);
+        expect(inventory.items).toEqual([]);
+        expect(getQuantity(inventory, 'kibble')).toBe(0);
+    });
+});
+
+describe('listInventory', () => {
+    it('should list held items with their catalog details, in catalog order', () => {
+        const inventory = { items: [{ item: 'crown', quantity: 1 }, { item: 'kibble', quantity: 4 }, { item: 'retired', quantity: 2 }] };
+        expect(listInventory(inventory).map(({ id, quantity, price }) => ({ id, quantity, price }))).toEqual([
+            { id: 'kibble', quantity: 4, price: getItem('kibble').price },
+            { id: 'crown', quantity: 1, price: getItem('crown').price },
+        ]);
+        expect(listInventory(null)).toEqual([]);
+    });
+});
+
+describe('useItemOnPet', () => {
+    it('should refill needs with food and toys, up to the max', () => {
+        const pet = makePet({ needs: { hunger: 90 } });
+        expect(useItemOnPet(pet, getItem('fish'))).toBe(true);
+        expect(pet.needs).toEqual({ hunger: 100, happiness: 55, energy: 50 });
+
+        useItemOnPet(pet, getItem('ball'));
+        expect(pet.needs).toEqual({ hunger: 100, happiness: 75, energy: 45 });
+    });
+
+    it('should put accessories on and take them off without using them up', () => {
+        const pet = makePet();
+        expect(useItemOnPet(pet, getItem('crown'))).toBe(false);
+        expect(pet.accessories).toEqual(['crown']);
+
+        useItemOnPet(pet, getItem('crown'));
+        expect(pet.accessories).toEqual([]);
+    });
+
+    it('should swap out whatever was worn in the same slot', () => {
+        const pet = makePet({ accessories: ['party-hat', 'sunglasses', 'beach'] });
+        useItemOnPet(pet, getItem('crown'));
+        useItemOnPet(pet, getItem('starry-night'));
+        expect(pet.accessories).toEqual(['sunglasses', 'crown', 'starry-night']);
+    });
+
+    it('should give every accessory a slot', () => {
+        for (const item of SHOP_ITEMS.filter((item) => item.kind === 'accessory')) {
+            expect(['hat', 'glasses', 'neck', 'background']).toContain(item.slot);
+        }
+    });
+});
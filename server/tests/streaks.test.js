@@ -0,0 +1,90 @@
+import {
+    recordCompletion,
+    undoCompletion,
+    getStreakStatus,
+    getStreakMultiplier,
+    getLocalDay,
+    isValidTimeZone,
+    MAX_STREAK_MULTIPLIER,
+} from "../utils/streaks.js";
+
+const makeStreak = (current, best, lastDay) => ({ current, best, lastDay });
+
+// recordCompletion keeps the streak it replaced -- only the counting fields matter to most tests
+const counted = ({ current, best, lastDay }) => makeStreak(current, best, lastDay);
+
+describe('getLocalDay', () => {
+    it('should use the user\'s time zone', () => {
+        const lateNight = new Date("2025-02-01T04:30:00Z"); // 8:30pm jan 31 in los angeles
+        expect(getLocalDay(lateNight)).toBe('2025-02-01');
+        expect(getLocalDay(lateNight, 'America/Los_Angeles')).toBe('2025-01-31');
+    });
+
+    it('should tell real time zones from made up ones', () => {
+        expect(isValidTimeZone('Europe/Berlin')).toBe(true);
+        expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+        expect(isValidTimeZone(undefined)).toBe(false);
+    });
+});
+
+describe('recordCompletion', () => {
+    const now = new Date("2025-01-31T17:00:00Z");
+
+    it('should start a streak', () => {
+        expect(counted(recordCompletion(makeStreak(0, 0, null), now))).toEqual(makeStreak(1, 1, '2025-01-31'));
+    });
+
+    it('should only count the first completion of a day', () => {
+        expect(recordCompletion(makeStreak(3, 5, '2025-01-31'), now)).toEqual(makeStreak(3, 5, '2025-01-31'));
+    });
+
+    it('should grow on consecutive days, across month ends', () => {
+        expect(counted(recordCompletion(makeStreak(3, 3, '2025-01-30'), now))).toEqual(makeStreak(4, 4, '2025-01-31'));
+        expect(counted(recordCompletion(makeStreak(1, 4, '2025-01-31'), new Date("2025-02-01T09:00:00Z")))).toEqual(makeStreak(2, 4, '2025-02-01'));
+    });
+
+    it('should start over after a missed day', () => {
+        expect(counted(recordCompletion(makeStreak(6, 6, '2025-01-29'), now))).toEqual(makeStreak(1, 6, '2025-01-31'));
+    });
+});
+
+describe('undoCompletion', () => {
+    const now = new Date("2025-01-31T17:00:00Z");
+
+    it('should put back the streak from before the day was counted', () => {
+        const streak = recordCompletion(makeStreak(3, 3, '2025-01-30'), now);
+        expect(counted(undoCompletion(streak))).toEqual(makeStreak(3, 3, '2025-01-30'));
+
+        const restarted = recordCompletion(makeStreak(6, 6, '2025-01-29'), now);
+        expect(counted(undoCompletion(restarted))).toEqual(makeStreak(6, 6, '2025-01-29'));
+    });
+
+    it('should only take back one day', () => {
+        const streak = undoCompletion(recordCompletion(makeStreak(3, 3, '2025-01-30'), now));
+        expect(counted(undoCompletion(streak))).toEqual(makeStreak(3, 3, '2025-01-30'));
+        expect(counted(undoCompletion(makeStreak(2, 2, '2025-01-31')))).toEqual(makeStreak(2, 2, '2025-01-31'));
+    });
+});
+
+describe('getStreakStatus', () => {
+    const now = new Date("2025-01-31T17:00:00Z");
+
+    it('should keep a streak alive until the end of the next day', () => {
+        expect(getStreakStatus(makeStreak(4, 4, '2025-01-31'), now)).toEqual({ current: 4, best: 4, activeToday: true, lost: 0 });
+        expect(getStreakStatus(makeStreak(4, 4, '2025-01-30'), now)).toEqual({ current: 4, best: 4, activeToday: false, lost: 0 });
+    });
+
+    it('should report a broken streak', () => {
+        expect(getStreakStatus(makeStreak(4, 9, '2025-01-29'), now)).toEqual({ current: 0, best: 9, activeToday: false, lost: 4 });
+        expect(getStreakStatus(makeStreak(0, 0, null), now)).toEqual({ current: 0, best: 0, activeToday: false, lost: 0 });
+    });
+});
+
+describe('getStreakMultiplier', () => {
+    it('should grow with the streak up to the cap', () => {
+        expect(getStreakMultiplier(0)).toBe(1);
+        expect(getStreakMultiplier(1)).toBe(1);
+        expect(getStreakMultiplier(3)).toBeCloseTo(1.1);
+        expect(getStreakMultiplier(100)).toBe(MAX_STREAK_MULTIPLIER);
+    });
+});
@@ -0,0 +1,109 @@
+const request = require('supertest');
+import app from "../index.js"
+import mongoose from "mongoose";
+import jwt from "jsonwebtoken";
+import { applyPoints } from "../utils/leveling.js";
+
+const test_user = "674d8bc2f443dedf4529ec55";
+const test_note = "674dddfafeda77b61390aea9";
+const test_pet = "674e019ad9f88e637f644c7f";
+const auth = { Authorization: `Bearer ${jwt.sign({ id: test_user }, process.env.JWT_SECRET)}` };
+
+const getPet = async () => (await request(app).get(`/pets/${test_pet}`).set(auth)).body;
+
+describe(`GET, POST, PATCH, and DELETE /tasks/:taskId/subtasks`, () => {
+    let task_id;
+    let subtask_ids;
+
+    beforeAll(async () => {
+        const response = await request(app).post(`/tasks/${test_note}`).set(auth).send({ name: "write report" });
+        task_id = response.body._id;
+    });
+
+    afterAll(async () => {
+        await request(app).delete(`/tasks/${task_id}`).set(auth);
+    });
+
+    it('should add subtasks in order', async () => {
+        await request(app).post(`/tasks/${task_id}/subtasks`).set(auth).send({ name: "outline" });
+        const response = await request(app).post(`/tasks/${task_id}/subtasks`).set(auth).send({ name: "draft" });
+        expect(response.status).toBe(201);
+        expect(response.body.subtasks.map((subtask) => subtask.name)).toEqual(['outline', 'draft']);
+        expect(response.body.subtasks[0].status).toBe('pending');
+
+        subtask_ids = response.body.subtasks.map((subtask) => subtask._id);
+    });
+
+    it('should return 400 if name is missing', async () => {
+        const response = await request(app).post(`/tasks/${task_id}/subtasks`).set(auth).send({});
+        expect(response.status).toBe(400);
+    });
+
+    it('should pay a share of the parent points when a subtask is completed', async () => {
+        const before = await getPet();
+        const response = await request(app).patch(`/tasks/${task_id}/subtasks/${subtask_ids[0]}`).set(auth).send({ status: 'completed' });
+        expect(response.status).toBe(200);
+        expect(response.body.task.subtasks[0].status).toBe('completed');
+        expect(response.body.task.subtasks[0].pointsAwarded).toBe(63); // half of 250, split over 2
+
+        const expected = applyPoints({ points: before.points, level: before.level }, 63);
+        expect(response.body.pet.level).toBe(expected.level);
+        expect(response.body.pet.points).toBeCloseTo(expected.points);
+    });
+
+    it('should rename a subtask', async () => {
+        const response = await request(app).patch(`/tasks/${task_id}/subtasks/${subtask_ids[1]}`).set(auth).send({ name: "first draft" });
+        expect(response.status).toBe(200);
+        expect(response.body.task.subtasks[1].name).toBe('first draft');
+        expect(response.body.pet).toBeNull();
+    });
+
+    it('should take the points back when a completed subtask is deleted', async () => {
+        const before = await getPet();
+        const response = await request(app).delete(`/tasks/${task_id}/subtasks/${subtask_ids[0]}`).set(auth);
+        expect(response.status).toBe(200);
+        expect(response.body.task.subtasks.length).toBe(1);
+
+        const expected = applyPoints({ points: before.points, level: before.level }, -63);
+        expect(response.body.pet.level).toBe(expected.level);
+        expect(response.body.pet.points).toBeCloseTo(expected.points);
+    });
+
+    it('should list the checklist in order', async () => {
+        const response = await request(app).get(`/tasks/${task_id}/subtasks`).set(auth);
+        expect(response.status).toBe(200);
+        expect(response.body.map((subtask) => subtask.name)).toEqual(['first draft']);
+    });
+
+    it('should take what subtasks paid off the parent when it is completed', async () => {
+        const subtask = await request(app).patch(`/tasks/${task_id}/subtasks/${subtask_ids[1]}`).set(auth).send({ status: 'completed' });
+        const paid = subtask.body.task.subtasks[0].pointsAwarded;
+        expect(paid).toBeGreaterThan(0);
+
+        const response = await request(app).patch(`/tasks/${task_id}`).set(auth).send({ status: 'completed' });
+        expect(response.status).toBe(200);
+        expect(response.body.score.breakdown).toContainEqual({ reason: 'already paid by its subtasks', points: -paid });
+        expect(response.body.task.pointsAwarded).toBe(response.body.score.points);
+    });
+
+    it('should not pay for subtasks of a completed task', async () => {
+        await request(app).patch(`/tasks/${task_id}/subtasks/${subtask_ids[1]}`).set(auth).send({ status: 'pending' });
+        const response = await request(app).patch(`/tasks/${task_id}/subtasks/${subtask_ids[1]}`).set(auth).send({ status: 'completed' });
+        expect(response.status).toBe(200);
+        expect(response.body.task.subtasks[0].pointsAwarded).toBe(0);
+        expect(response.body.pet).toBeNull();
+    });
+
+    it('should return 404 for a non-existent subtask', async () => {
+        const response = await request(app).patch(`/tasks/${task_id}/subtasks/674d8bc2f443dedf4529ec54`).set(auth).send({ status: 'completed' });
+        expect(response.status).toBe(404);
+    });
+
+    it("should return 403 for another user's task", async () => {
+        const other = { Authorization: `Bearer ${jwt.sign({ id: '674d8bc2f443dedf4529ec54' }, process.env.JWT_SECRET)}` };
+        const response = await request(app).post(`/tasks/${task_id}/subtasks`).set(other).send({ name: "sneaky" });
+        expect(response.status).toBe(403);
+    });
+});
+
+afterAll(() => mongoose.connection.close())
@@ -0,0 +1,79 @@
+import { buildTaskQuery, decodeCursor, encodeCursor } from "../utils/taskQuery.js";
+
+const user = "674d8bc2f443dedf4529ec55";
+const id = "674dddfafeda77b61390aea9";
+const easy = "6750a1b2c3d4e5f601234567";
+const hard = "6750a1b2c3d4e5f601234569";
+
+describe('buildTaskQuery', () => {
+    it('should scope every query to the user, skip the trash and default to due date order', () => {
+        const { filter, sort, limit } = buildTaskQuery(user, {});
+        expect(filter.$and).toEqual([{ user, deletedAt: null }]);
+        expect(sort).toEqual({ dueDate: 1, _id: 1 });
+        expect(limit).toBe(50);
+    });
+
+    it('should build filters from the query string', () => {
+        const { filter } = buildTaskQuery(user, { status: 'pending', category: `${easy},${hard}`, dueBefore: '2030-01-01' });
+        expect(filter.$and).toContainEqual({ status: 'pending' });
+        expect(filter.$and).toContainEqual({ category: { $in: [easy, hard] } });
+        expect(filter.$and).toContainEqual({ dueDate: { $lt: new Date('2030-01-01') } });
+    });
+
+    it('should match free text literally', () => {
+        const { filter } = buildTaskQuery(user, { q: 'a+b' });
+        expect(filter.$and).toContainEqual({ name: { $regex: 'a\\+b', $options: 'i' } });
+    });
+
+    it('should cap the page size', () => {
+        expect(buildTaskQuery(user, { limit: '1000' }).limit).toBe(200);
+    });
+
+    it('should reject bad input', () => {
+        expect(buildTaskQuery(user, { category: 'easy' }).error).toBeTruthy();
+        expect(buildTaskQuery(user, { status: 'done' }).error).toBeTruthy();
+        expect(buildTaskQuery(user, { dueAfter: 'soon' }).error).toBeTruthy();
+        expect(buildTaskQuery(user, { sortBy: 'note' }).error).toBeTruthy();
+        expect(buildTaskQuery(user, { order: 'up' }).error).toBeTruthy();
+        expect(buildTaskQuery(user, { limit: '0' }).error).toBeTruthy();
+        expect(buildTaskQuery(user, { cursor: 'nope' }).error).toBeTruthy();
+    });
+
+    it('should reject parameters given more than once', () => {
+        expect(buildTaskQuery(user, { category: [easy, hard] }).error).toBe('category can only be given once');
+        expect(buildTaskQuery(user, { status: ['pending', 'completed'] }).error).toBeTruthy();
+        expect(buildTaskQuery(user, { q: { $ne: '' } }).error).toBeTruthy();
+        expect(buildTaskQuery(user, { q: 'a', extra: ['b', 'c'] }).error).toBeUndefined();
+    });
+
+    it('should continue after the cursor, keeping tasks without a due date last when descending', () => {
+        const cursor = encodeCursor({ _id: id, dueDate: new Date('2030-01-01') }, 'dueDate');
+        const { filter } = buildTaskQuery(user, { order: 'desc', cursor });
+        expect(filter.$and[1].$or).toEqual([
+            { dueDate: { $lt: new Date('2030-01-01') } },
+            { dueDate: new Date('2030-01-01'), _id: { $lt: id } },
+            { dueDate: null },
+        ]);
+    });
+});
+
+describe('cursors', () => {
+    it('should round trip', () => {
+        const cursor = encodeCursor({ _id: id, name: 'report' }, 'name');
+        expect(decodeCursor(cursor, 'name')).toEqual({ value: 'report', id });
+    });
+
+    it('should keep missing values as null', () => {
+        const cursor = encodeCursor({ _id: id }, 'dueDate');
+        expect(decodeCursor(cursor, 'dueDate')).toEqual({ value: null, id });
+    });
+
+    it('should reject values that are not of the field\'s type', () => {
+        const forge = (value) => Buffer.from(JSON.stringify({ value, id })).toString('base64url');
+        expect(decodeCursor(forge({ $ne: null }), 'name')).toBeNull();
+        expect(decodeCursor(forge('someday'), 'dueDate')).toBeNull();
+        expect(decodeCursor(forge('500'), 'points')).toBeNull();
+        expect(decodeCursor(forge(500), 'points')).toEqual({ value: 500, id });
+        expect(buildTaskQuery(user, { sortBy: 'name', cursor: forge({ $gt: '' }) }).error).toBe('Invalid cursor');
+    });
+});
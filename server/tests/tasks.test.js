@@ -1,22 +1,77 @@
 const request = require('supertest');
 import app from "../index.js"
 import mongoose from "mongoose";
+import jwt from "jsonwebtoken";
+import { applyPoints } from "../utils/leveling.js";
+import User from "../models/User.js";
+import { getLocalDay } from "../utils/streaks.js";
 
+const test_user = "674d8bc2f443dedf4529ec55";
+const test_folder = "674ddb19b8f13e0d30a5919d";
 const test_note = "674dddfafeda77b61390aea9";
+const test_pet = "674e019ad9f88e637f644c7f";
+const auth = { Authorization: `Bearer ${jwt.sign({ id: test_user }, process.env.JWT_SECRET)}` };
+
+// start without a streak so completions pay their plain points
+const resetStreak = (streak = { current: 0, best: 0, lastDay: null }) => User.updateOne({ _id: test_user }, { streak });
+beforeAll(() => resetStreak());
+
+// the user's categories (the defaults) by name
+let categoryIds = {};
+beforeAll(async () => {
+    const categories = (await request(app).get('/categories').set(auth)).body;
+    categoryIds = Object.fromEntries(categories.map((category) => [category.name, category._id]));
+});
 
 describe(`GET /tasks/${test_note}`, () => {
     it('should return a list of tasks', async () => {
-        const response = await request(app).get(`/tasks/${test_note}`);
+        const response = await request(app).get(`/tasks/${test_note}`).set(auth);
         expect(response.status).toBe(200);
         expect(response.body.length).toBe(4);
     });
 });
 
+describe(`PUT /tasks/${test_note}/order`, () => {
+    it('should save the new order and keep it', async () => {
+        const ids = (await request(app).get(`/tasks/${test_note}`).set(auth)).body.map((task) => task._id);
+        const reordered = [...ids.slice(1), ids[0]];
+
+        const response = await request(app).put(`/tasks/${test_note}/order`).set(auth).send({ order: reordered });
+        expect(response.status).toBe(200);
+        expect(response.body.map((task) => task._id)).toEqual(reordered);
+
+        const reloaded = (await request(app).get(`/tasks/${test_note}`).set(auth)).body.map((task) => task._id);
+        expect(reloaded).toEqual(reordered);
+
+        // put things back for the other tests
+        await request(app).put(`/tasks/${test_note}/order`).set(auth).send({ order: ids });
+    });
+
+    it('should return 400 for a task from somewhere else', async () => {
+        const ids = (await request(app).get(`/tasks/${test_note}`).set(auth)).body.map((task) => task._id);
+        const order = [...ids.slice(1), new mongoose.Types.ObjectId().toString()];
+        const response = await request(app).put(`/tasks/${test_note}/order`).set(auth).send({ order });
+        expect(response.status).toBe(400);
+    });
+});
+
+// level/points we expect the pet to end up at after gaining (or losing) points
+const expectPetChange = (before, after, points) => {
+    const expected = applyPoints({ points: before.points, level: before.level }, points);
+    expect(after.level).toBe(expected.level);
+    expect(after.points).toBeCloseTo(expected.points);
+};
+
+const getPet = async () => (await request(app).get(`/pets/${test_pet}`).set(auth)).body;
+
 describe(`POST, PATCH, and DELETE /tasks/${test_note}`, () => {
     let task_id;
 
+    beforeAll(() => { process.env.TASK_TOGGLE_COOLDOWN_MS = '0'; });
+    afterAll(() => { delete process.env.TASK_TOGGLE_COOLDOWN_MS; });
+
     it('should create a new task', async () => {
-        const response = await request(app).post(`/tasks/${test_note}`).send({ name: "new task" });
+        const response = await request(app).post(`/tasks/${test_note}`).set(auth).send({ name: "new task" });
         expect(response.status).toBe(201);
         expect(response.body).toHaveProperty('_id');
         expect(response.body.name).toBe('new task');
@@ -25,14 +80,521 @@ describe(`POST, PATCH, and DELETE /tasks/${test_note}`, () => {
     });
 
     it('should update the created task', async () => {
-        const response = await request(app).patch(`/tasks/${task_id}`).send({ category: 'medium' });
+        const response = await request(app).patch(`/tasks/${task_id}`).set(auth).send({ category: categoryIds.medium });
+        expect(response.status).toBe(200);
+        expect(response.body.task._id).toBe(task_id);
+        expect(response.body.task.category).toBe(categoryIds.medium);
+        expect(response.body.pet).toBeNull();
+    });
+
+    it('should return 400 for a category that is not one of the user\'s', async () => {
+        const response = await request(app).patch(`/tasks/${task_id}`).set(auth).send({ category: 'medium' });
+        expect(response.status).toBe(400);
+    });
+
+    it('should award the task points to the pet when completed', async () => {
+        const before = await getPet();
+
+        const response = await request(app).patch(`/tasks/${task_id}`).set(auth).send({ status: 'completed' });
         expect(response.status).toBe(200);
-        expect(response.body._id).toBe(task_id);
-        expect(response.body.category).toBe('medium');
+        expect(response.body.task.status).toBe('completed');
+        expect(response.body.task).toHaveProperty('completedDate');
+        expectPetChange(before, response.body.pet, 500);
+    });
+
+    it('should take the points back when un-completed', async () => {
+        const before = await getPet();
+
+        const response = await request(app).patch(`/tasks/${task_id}`).set(auth).send({ status: 'pending' });
+        expect(response.status).toBe(200);
+        expect(response.body.task.status).toBe('pending');
+        expectPetChange(before, response.body.pet, -500);
+    });
+
+    it('should ignore points sent by the client', async () => {
+        const response = await request(app).patch(`/tasks/${task_id}`).set(auth).send({ points: 100000 });
+        expect(response.status).toBe(200);
+        expect(response.body.task.points).toBe(500);
     });
 
     it('should delete the created task', async () => {
-        const response = await request(app).delete(`/tasks/${task_id}`);
+        const response = await request(app).delete(`/tasks/${task_id}`).set(auth);
         expect(response.status).toBe(200); 
     });
 });
+
+describe('toggling task completion', () => {
+    let task_id;
+
+    beforeAll(async () => {
+        process.env.TASK_TOGGLE_COOLDOWN_MS = '0';
+        const response = await request(app).post(`/tasks/${test_note}`).set(auth).send({ name: "toggle task" });
+        task_id = response.body._id;
+    });
+
+    afterAll(async () => {
+        delete process.env.TASK_TOGGLE_COOLDOWN_MS;
+        await request(app).delete(`/tasks/${task_id}`).set(auth);
+    });
+
+    it('should pay out once on check', async () => {
+        const before = await getPet();
+        const response = await request(app).patch(`/tasks/${task_id}`).set(auth).send({ status: 'completed' });
+        expect(response.status).toBe(200);
+        expect(response.body.task.pointsAwarded).toBe(250);
+        expectPetChange(before, response.body.pet, 250);
+    });
+
+    it('should ignore a repeat completion', async () => {
+        const before = await getPet();
+        const response = await request(app).patch(`/tasks/${task_id}`).set(auth).send({ status: 'completed' });
+        expect(response.status).toBe(200);
+        expect(response.body.pet).toBeNull();
+        expect(response.body.task.pointsAwarded).toBe(250);
+        expectPetChange(before, await getPet(), 0);
+    });
+
+    it('should only claw back what was paid out on uncheck', async () => {
+        // bumping the category after completing must not change what gets taken back
+        await request(app).patch(`/tasks/${task_id}`).set(auth).send({ category: categoryIds.hard });
+
+        const before = await getPet();
+        const response = await request(app).patch(`/tasks/${task_id}`).set(auth).send({ status: 'pending' });
+        expect(response.status).toBe(200);
+        expect(response.body.task.pointsAwarded).toBe(0);
+        expect(response.body.task.completedDate).toBeNull();
+        expectPetChange(before, response.body.pet, -250);
+    });
+
+    it('should not claw back twice on a repeat uncheck', async () => {
+        const response = await request(app).patch(`/tasks/${task_id}`).set(auth).send({ status: 'pending' });
+        expect(response.status).toBe(200);
+        expect(response.body.pet).toBeNull();
+    });
+
+    it('should net out to a single payout over check/uncheck/check', async () => {
+        const before = await getPet();
+        await request(app).patch(`/tasks/${task_id}`).set(auth).send({ status: 'completed' });
+        await request(app).patch(`/tasks/${task_id}`).set(auth).send({ status: 'pending' });
+        const response = await request(app).patch(`/tasks/${task_id}`).set(auth).send({ status: 'completed' });
+        expect(response.status).toBe(200);
+        expect(response.body.task.pointsAwarded).toBe(1000);
+        expectPetChange(before, await getPet(), 1000);
+    });
+
+    it('should reject toggles during the cooldown', async () => {
+        process.env.TASK_TOGGLE_COOLDOWN_MS = '60000';
+        const before = await getPet();
+        const response = await request(app).patch(`/tasks/${task_id}`).set(auth).send({ status: 'pending' });
+        expect(response.status).toBe(429);
+
+        const tasks = (await request(app).get(`/tasks/${test_note}`).set(auth)).body;
+        expect(tasks.find((task) => task._id === task_id).status).toBe('completed');
+        expectPetChange(before, await getPet(), 0);
+    });
+
+    it('should return 400 for an unknown status', async () => {
+        const response = await request(app).patch(`/tasks/${task_id}`).set(auth).send({ status: 'done' });
+        expect(response.status).toBe(400);
+    });
+});
+
+describe('scoring completions against the due date', () => {
+    let task_id;
+
+    beforeAll(async () => {
+        process.env.TASK_TOGGLE_COOLDOWN_MS = '0';
+        task_id = (await request(app).post(`/tasks/${test_note}`).set(auth).send({ name: "late task" })).body._id;
+    });
+
+    afterAll(async () => {
+        delete process.env.TASK_TOGGLE_COOLDOWN_MS;
+        await request(app).delete(`/tasks/${task_id}`).set(auth);
+    });
+
+    it('should pay less for a late task and say why', async () => {
+        const due = new Date(Date.now() - 36 * 60 * 60 * 1000).toISOString(); // a day and a half ago
+        const before = await getPet();
+        await request(app).patch(`/tasks/${task_id}`).set(auth).send({ dueDate: due });
+        const response = await request(app).patch(`/tasks/${task_id}`).set(auth).send({ status: 'completed' });
+        expect(response.status).toBe(200);
+        expect(response.body.score).toEqual({
+            points: 200,
+            breakdown: [{ reason: 'easy task', points: 250 }, { reason: '2 days late', points: -50 }],
+        });
+        expect(response.body.task.pointsAwarded).toBe(200);
+        expectPetChange(before, response.body.pet, 200);
+    });
+
+    it('should only claw back what the late task paid', async () => {
+        const before = await getPet();
+        const response = await request(app).patch(`/tasks/${task_id}`).set(auth).send({ status: 'pending' });
+        expect(response.status).toBe(200);
+        expect(response.body.score).toBeNull();
+        expectPetChange(before, response.body.pet, -200);
+    });
+
+    it('should score against the old due date when a new one is sent with the completion', async () => {
+        const later = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+        const response = await request(app).patch(`/tasks/${task_id}`).set(auth).send({ dueDate: later, status: 'completed' });
+        expect(response.status).toBe(200);
+        expect(response.body.score.points).toBe(200);
+        expect(response.body.task.dueDate).toBe(later);
+    });
+});
+
+describe('daily streaks', () => {
+    let task_id;
+
+    beforeAll(async () => {
+        process.env.TASK_TOGGLE_COOLDOWN_MS = '0';
+        task_id = (await request(app).post(`/tasks/${test_note}`).set(auth).send({ name: "streak task" })).body._id;
+    });
+
+    afterAll(async () => {
+        delete process.env.TASK_TOGGLE_COOLDOWN_MS;
+        await request(app).delete(`/tasks/${task_id}`).set(auth);
+        await resetStreak();
+    });
+
+    it('should multiply the points when yesterday kept the streak going', async () => {
+        const yesterday = getLocalDay(new Date(Date.now() - 24 * 60 * 60 * 1000));
+        await resetStreak({ current: 2, best: 2, lastDay: yesterday });
+
+        const before = await getPet();
+        const response = await request(app).patch(`/tasks/${task_id}`).set(auth).send({ status: 'completed' });
+        expect(response.status).toBe(200);
+        expect(response.body.score).toEqual({
+            points: 275,
+            breakdown: [{ reason: 'easy task', points: 250 }, { reason: '3-day streak ×1.1', points: 25 }],
+        });
+        expectPetChange(before, response.body.pet, 275);
+    });
+
+    it('should report the streak as active today', async () => {
+        const response = await request(app).get(`/users/${test_user}/streak`).set(auth);
+        expect(response.status).toBe(200);
+        expect(response.body).toEqual({ current: 3, best: 3, activeToday: true, lost: 0 });
+    });
+
+    it('should report a streak lost to a missed day', async () => {
+        const twoDaysAgo = getLocalDay(new Date(Date.now() - 2 * 24 * 60 * 60 * 1000));
+        await resetStreak({ current: 5, best: 7, lastDay: twoDaysAgo });
+
+        const response = await request(app).get(`/users/${test_user}/streak`).set(auth);
+        expect(response.body).toEqual({ current: 0, best: 7, activeToday: false, lost: 5 });
+    });
+
+    it("should return 403 for another user's streak", async () => {
+        const response = await request(app).get('/users/674d8bc2f443dedf4529ec54/streak').set(auth);
+        expect(response.status).toBe(403);
+    });
+});
+
+describe('achievements', () => {
+    let task_id;
+
+    beforeAll(async () => {
+        process.env.TASK_TOGGLE_COOLDOWN_MS = '0';
+        await User.updateOne({ _id: test_user }, { achievements: [] });
+        task_id = (await request(app).post(`/tasks/${test_note}`).set(auth).send({ name: "badge task" })).body._id;
+    });
+
+    afterAll(async () => {
+        delete process.env.TASK_TOGGLE_COOLDOWN_MS;
+        await request(app).delete(`/tasks/${task_id}`).set(auth);
+    });
+
+    it('should unlock a badge on completion, once', async () => {
+        const first = await request(app).patch(`/tasks/${task_id}`).set(auth).send({ status: 'completed' });
+        expect(first.status).toBe(200);
+        expect(first.body.achievements.map((achievement) => achievement.id)).toContain('first-task');
+
+        await request(app).patch(`/tasks/${task_id}`).set(auth).send({ status: 'pending' });
+        const again = await request(app).patch(`/tasks/${task_id}`).set(auth).send({ status: 'completed' });
+        expect(again.body.achievements).toEqual([]);
+    });
+
+    it('should list earned and locked badges', async () => {
+        const response = await request(app).get('/achievements').set(auth);
+        expect(response.status).toBe(200);
+        expect(response.body.earned.map((achievement) => achievement.id)).toContain('first-task');
+        for (const achievement of response.body.locked) {
+            expect(achievement.progress).toBeLessThan(achievement.goal);
+        }
+    });
+});
+
+describe('raising the pet', () => {
+    let task_id;
+
+    beforeAll(async () => {
+        process.env.TASK_TOGGLE_COOLDOWN_MS = '0';
+        task_id = (await request(app).post(`/tasks/${test_note}`).set(auth).send({ name: "hard task" })).body._id;
+    });
+
+    afterAll(async () => {
+        delete process.env.TASK_TOGGLE_COOLDOWN_MS;
+        await request(app).delete(`/tasks/${task_id}`).set(auth);
+    });
+
+    it('should tally hard tasks on the pet and take them back on reopen', async () => {
+        const before = await getPet();
+        const completed = await request(app).patch(`/tasks/${task_id}`).set(auth).send({ category: categoryIds.hard, status: 'completed' });
+        expect(completed.body.pet.raising.tasks).toBe(before.raising.tasks + 1);
+        expect(completed.body.pet.raising.hard).toBe(before.raising.hard + 1);
+
+        const reopened = await request(app).patch(`/tasks/${task_id}`).set(auth).send({ status: 'pending' });
+        expect(reopened.body.pet.raising.hard).toBe(before.raising.hard);
+    });
+});
+
+describe('recurring tasks', () => {
+    let task_id;
+    let next_id;
+    const due = '2030-01-07T17:00:00.000Z'; // a monday
+
+    beforeAll(async () => {
+        process.env.TASK_TOGGLE_COOLDOWN_MS = '0';
+        const response = await request(app).post(`/tasks/${test_note}`).set(auth).send({ name: "standup" });
+        task_id = response.body._id;
+    });
+
+    afterAll(async () => {
+        delete process.env.TASK_TOGGLE_COOLDOWN_MS;
+        await request(app).delete(`/tasks/${task_id}`).set(auth);
+        if (next_id) {
+            await request(app).delete(`/tasks/${next_id}`).set(auth);
+        }
+    });
+
+    it('should reject a malformed repeat rule', async () => {
+        const response = await request(app).patch(`/tasks/${task_id}`).set(auth).send({ recurrence: { frequency: 'weekly' } });
+        expect(response.status).toBe(400);
+    });
+
+    it('should set a repeat rule', async () => {
+        const response = await request(app).patch(`/tasks/${task_id}`).set(auth)
+            .send({ dueDate: due, recurrence: { frequency: 'weekdays' } });
+        expect(response.status).toBe(200);
+        expect(response.body.task.recurrence.frequency).toBe('weekdays');
+    });
+
+    it('should create the next occurrence when completed', async () => {
+        const before = await getPet();
+        const response = await request(app).patch(`/tasks/${task_id}`).set(auth).send({ status: 'completed' });
+        expect(response.status).toBe(200);
+        expect(response.body.nextTask.name).toBe('standup');
+        expect(response.body.nextTask.status).toBe('pending');
+        expect(response.body.nextTask.dueDate).toBe('2030-01-08T17:00:00.000Z');
+        expect(response.body.task.nextOccurrence).toBe(response.body.nextTask._id);
+        expectPetChange(before, response.body.pet, 300); // finished ahead of its 2030 due date
+
+        next_id = response.body.nextTask._id;
+        const tasks = (await request(app).get(`/tasks/${test_note}`).set(auth)).body;
+        expect(tasks.some((task) => task._id === next_id)).toBe(true);
+    });
+
+    it('should remove the untouched occurrence when un-completed', async () => {
+        const response = await request(app).patch(`/tasks/${task_id}`).set(auth).send({ status: 'pending' });
+        expect(response.status).toBe(200);
+        expect(response.body.task.nextOccurrence).toBeNull();
+
+        const tasks = (await request(app).get(`/tasks/${test_note}`).set(auth)).body;
+        expect(tasks.some((task) => task._id === next_id)).toBe(false);
+        next_id = null;
+    });
+
+    it('should not queue up an occurrence that is already overdue when completed late', async () => {
+        const threeDaysAgo = new Date(Date.now() - 3 * 24 * 60 * 60 * 1000).toISOString();
+        await request(app).patch(`/tasks/${task_id}`).set(auth).send({ dueDate: threeDaysAgo, recurrence: { frequency: 'daily' } });
+
+        const response = await request(app).patch(`/tasks/${task_id}`).set(auth).send({ status: 'completed' });
+        expect(response.status).toBe(200);
+        expect(new Date(response.body.nextTask.dueDate).getTime()).toBeGreaterThan(Date.now());
+        expect(new Date(response.body.nextTask.dueDate).getTime()).toBeLessThanOrEqual(Date.now() + 24 * 60 * 60 * 1000);
+
+        next_id = response.body.nextTask._id;
+    });
+});
+
+describe('GET /tasks', () => {
+    const created = [];
+
+    beforeAll(async () => {
+        const names = ['query alpha', 'query beta', 'query gamma'];
+        for (const [i, name] of names.entries()) {
+            const task = (await request(app).post(`/tasks/${test_note}`).set(auth).send({ name })).body;
+            await request(app).patch(`/tasks/${task._id}`).set(auth).send({ dueDate: `2031-01-0${i + 1}T12:00:00.000Z` });
+            created.push(task._id);
+        }
+    });
+
+    afterAll(async () => {
+        for (const id of created) {
+            await request(app).delete(`/tasks/${id}`).set(auth);
+        }
+    });
+
+    it('should find tasks across notes by free text', async () => {
+        const response = await request(app).get('/tasks').query({ q: 'QUERY' }).set(auth);
+        expect(response.status).toBe(200);
+        expect(response.body.tasks.map((task) => task._id)).toEqual(created);
+        expect(response.body.nextCursor).toBeNull();
+    });
+
+    it('should filter by due date range', async () => {
+        const response = await request(app).get('/tasks').set(auth)
+            .query({ q: 'query', dueAfter: '2031-01-02T00:00:00Z', dueBefore: '2031-01-03T00:00:00Z' });
+        expect(response.status).toBe(200);
+        expect(response.body.tasks.map((task) => task.name)).toEqual(['query beta']);
+    });
+
+    it('should page through results with a cursor', async () => {
+        const first = await request(app).get('/tasks').query({ q: 'query', sortBy: 'dueDate', order: 'desc', limit: 2 }).set(auth);
+        expect(first.body.tasks.map((task) => task.name)).toEqual(['query gamma', 'query beta']);
+        expect(first.body.nextCursor).not.toBeNull();
+
+        const second = await request(app).get('/tasks').set(auth)
+            .query({ q: 'query', sortBy: 'dueDate', order: 'desc', limit: 2, cursor: first.body.nextCursor });
+        expect(second.body.tasks.map((task) => task.name)).toEqual(['query alpha']);
+        expect(second.body.nextCursor).toBeNull();
+    });
+
+    it('should only return tasks of the authenticated user', async () => {
+        const other = { Authorization: `Bearer ${jwt.sign({ id: new mongoose.Types.ObjectId().toString() }, process.env.JWT_SECRET)}` };
+        const response = await request(app).get('/tasks').query({ q: 'query' }).set(other);
+        expect(response.status).toBe(200);
+        expect(response.body.tasks).toEqual([]);
+    });
+
+    it('should reject an unknown sort field', async () => {
+        const response = await request(app).get('/tasks').query({ sortBy: 'points; drop' }).set(auth);
+        expect(response.status).toBe(400);
+    });
+
+    it('should return 400 for a filter given twice', async () => {
+        const response = await request(app).get('/tasks?category=674d8bc2f443dedf4529ec55&category=674d8bc2f443dedf4529ec54').set(auth);
+        expect(response.status).toBe(400);
+        expect(response.body.message).toBe('category can only be given once');
+    });
+});
+
+describe('PATCH /tasks/:taskId/move', () => {
+    let task_id;
+    let note_id;
+
+    beforeAll(async () => {
+        note_id = (await request(app).post(`/notes/${test_folder}`).set(auth).send({ name: 'move target' })).body._id;
+        task_id = (await request(app).post(`/tasks/${test_note}`).set(auth).send({ name: 'moving task' })).body._id;
+    });
+
+    afterAll(async () => {
+        await request(app).delete(`/notes/${note_id}`).set(auth); // takes the moved task with it
+    });
+
+    it('should move the task into the other note', async () => {
+        const response = await request(app).patch(`/tasks/${task_id}/move`).set(auth).send({ noteId: note_id });
+        expect(response.status).toBe(200);
+        expect(response.body.note).toBe(note_id);
+
+        const oldTasks = (await request(app).get(`/tasks/${test_note}`).set(auth)).body;
+        expect(oldTasks.some((task) => task._id === task_id)).toBe(false);
+
+        const newTasks = (await request(app).get(`/tasks/${note_id}`).set(auth)).body;
+        expect(newTasks.map((task) => task._id)).toEqual([task_id]);
+    });
+
+    it('should return 400 without a note', async () => {
+        const response = await request(app).patch(`/tasks/${task_id}/move`).set(auth).send({});
+        expect(response.status).toBe(400);
+    });
+
+    it('should return 404 for a note that does not exist', async () => {
+        const response = await request(app).patch(`/tasks/${task_id}/move`).set(auth)
+            .send({ noteId: new mongoose.Types.ObjectId().toString() });
+        expect(response.status).toBe(404);
+    });
+});
+
+describe('POST /tasks/bulk', () => {
+    let task_ids;
+    let note_id;
+
+    beforeAll(async () => {
+        process.env.TASK_TOGGLE_COOLDOWN_MS = '0';
+        note_id = (await request(app).post(`/notes/${test_folder}`).set(auth).send({ name: 'bulk target' })).body._id;
+        task_ids = [];
+        for (const name of ['bulk one', 'bulk two']) {
+            task_ids.push((await request(app).post(`/tasks/${test_note}`).set(auth).send({ name })).body._id);
+        }
+    });
+
+    afterAll(async () => {
+        delete process.env.TASK_TOGGLE_COOLDOWN_MS;
+        await request(app).delete(`/notes/${note_id}`).set(auth);
+    });
+
+    it('should complete every task with one net payout', async () => {
+        const before = await getPet();
+        const response = await request(app).post('/tasks/bulk').set(auth).send({ ids: task_ids, action: 'complete' });
+        expect(response.status).toBe(200);
+        expect(response.body.tasks.map((task) => task.status)).toEqual(['completed', 'completed']);
+        expectPetChange(before, response.body.pet, 500);
+    });
+
+    it('should only claw back tasks that actually change', async () => {
+        await request(app).patch(`/tasks/${task_ids[0]}`).set(auth).send({ status: 'pending' });
+
+        const before = await getPet();
+        const response = await request(app).post('/tasks/bulk').set(auth).send({ ids: task_ids, action: 'reopen' });
+        expect(response.status).toBe(200);
+        expectPetChange(before, response.body.pet, -250);
+    });
+
+    it('should set the category and points of every task', async () => {
+        const response = await request(app).post('/tasks/bulk').set(auth).send({ ids: task_ids, action: 'setCategory', value: categoryIds.hard });
+        expect(response.status).toBe(200);
+        expect(response.body.tasks.map((task) => task.points)).toEqual([1000, 1000]);
+    });
+
+    it('should unpin a monthly repeat when its due date is set in bulk', async () => {
+        await request(app).patch(`/tasks/${task_ids[0]}`).set(auth).send({ recurrence: { frequency: 'monthly', dayOfMonth: 31 } });
+
+        const response = await request(app).post('/tasks/bulk').set(auth)
+            .send({ ids: task_ids, action: 'setDueDate', value: '2031-03-15T12:00:00.000Z' });
+        expect(response.status).toBe(200);
+        expect(response.body.tasks[0].recurrence.frequency).toBe('monthly');
+        expect(response.body.tasks[0].recurrence.dayOfMonth).toBeNull();
+        expect(response.body.tasks[1].recurrence).toBeNull();
+    });
+
+    it('should move every task into the note in the order given', async () => {
+        const order = [...task_ids].reverse();
+        const response = await request(app).post('/tasks/bulk').set(auth).send({ ids: order, action: 'move', value: note_id });
+        expect(response.status).toBe(200);
+
+        const newTasks = (await request(app).get(`/tasks/${note_id}`).set(auth)).body;
+        expect(newTasks.map((task) => task._id)).toEqual(order);
+    });
+
+    it('should change nothing if one task is not the user\'s', async () => {
+        const other = { Authorization: `Bearer ${jwt.sign({ id: '674d8bc2f443dedf4529ec54' }, process.env.JWT_SECRET)}` };
+        const response = await request(app).post('/tasks/bulk').set(other).send({ ids: task_ids, action: 'delete' });
+        expect(response.status).toBe(403);
+    });
+
+    it('should return 400 for an unknown action', async () => {
+        const response = await request(app).post('/tasks/bulk').set(auth).send({ ids: task_ids, action: 'archive' });
+        expect(response.status).toBe(400);
+    });
+
+    it('should move every task to the trash', async () => {
+        const response = await request(app).post('/tasks/bulk').set(auth).send({ ids: task_ids, action: 'delete' });
+        expect(response.status).toBe(200);
+        expect(response.body.entries).toHaveLength(2);
+
+        const newTasks = (await request(app).get(`/tasks/${note_id}`).set(auth)).body;
+        expect(newTasks).toEqual([]);
+    });
+});
@@ -0,0 +1,128 @@
+const request = require('supertest');
+import app from "../index.js"
+import mongoose from "mongoose";
+import jwt from "jsonwebtoken";
+
+const test_user = "674d8bc2f443dedf4529ec55";
+const test_folder = "674ddb19b8f13e0d30a5919d";
+const auth = { Authorization: `Bearer ${jwt.sign({ id: test_user }, process.env.JWT_SECRET)}` };
+
+const getNoteIds = async () => (await request(app).get(`/notes/${test_folder}`).set(auth)).body.map((note) => note._id);
+
+describe('/trash', () => {
+    let note_id;
+    let task_id;
+    let noteTrash;
+    let taskTrash;
+
+    beforeAll(async () => {
+        note_id = (await request(app).post(`/notes/${test_folder}`).set(auth).send({ name: 'trash me' })).body._id;
+        task_id = (await request(app).post(`/tasks/${note_id}`).set(auth).send({ name: 'trashed task' })).body._id;
+    });
+
+    afterAll(async () => {
+        await request(app).delete(`/notes/${note_id}`).set(auth);
+        await request(app).delete('/trash').set(auth);
+    });
+
+    it('should move a deleted note and its tasks to the trash', async () => {
+        const position = (await getNoteIds()).indexOf(note_id);
+
+        const response = await request(app).delete(`/notes/${note_id}`).set(auth);
+        expect(response.status).toBe(200);
+        expect(response.body.kind).toBe('note');
+        expect(response.body.position).toBe(position);
+        noteTrash = response.body._id;
+
+        expect(await getNoteIds()).not.toContain(note_id);
+
+        const tasks = (await request(app).get('/tasks').query({ q: 'trashed task' }).set(auth)).body.tasks;
+        expect(tasks).toEqual([]);
+
+        const noteTasks = await request(app).get(`/tasks/${note_id}`).set(auth);
+        expect(noteTasks.status).toBe(404);
+
+        const trash = (await request(app).get('/trash').set(auth)).body;
+        expect(trash.items.map((item) => item._id)).toContain(noteTrash);
+        expect(trash.retentionDays).toBeGreaterThan(0);
+    });
+
+    it('should restore the note to the same spot with its tasks', async () => {
+        const response = await request(app).post(`/trash/${noteTrash}/restore`).set(auth);
+        expect(response.status).toBe(200);
+        expect(response.body.item._id).toBe(note_id);
+
+        const tasks = (await request(app).get(`/tasks/${note_id}`).set(auth)).body;
+        expect(tasks.map((task) => task._id)).toEqual([task_id]);
+
+        const found = (await request(app).get('/tasks').query({ q: 'trashed task' }).set(auth)).body.tasks;
+        expect(found.map((task) => task._id)).toEqual([task_id]);
+    });
+
+    it('should not restore a task while its note is in the trash', async () => {
+        taskTrash = (await request(app).delete(`/tasks/${task_id}`).set(auth)).body._id;
+        noteTrash = (await request(app).delete(`/notes/${note_id}`).set(auth)).body._id;
+
+        const response = await request(app).post(`/trash/${taskTrash}/restore`).set(auth);
+        expect(response.status).toBe(409);
+
+        await request(app).post(`/trash/${noteTrash}/restore`).set(auth);
+        const restored = await request(app).post(`/trash/${taskTrash}/restore`).set(auth);
+        expect(restored.status).toBe(200);
+    });
+
+    it('should not let a task in the trash be completed or changed', async () => {
+        taskTrash = (await request(app).delete(`/tasks/${task_id}`).set(auth)).body._id;
+
+        const complete = await request(app).patch(`/tasks/${task_id}`).set(auth).send({ status: 'completed' });
+        expect(complete.status).toBe(404);
+
+        const bulk = await request(app).post('/tasks/bulk').set(auth).send({ ids: [task_id], action: 'complete' });
+        expect(bulk.status).toBe(404);
+
+        const subtask = await request(app).post(`/tasks/${task_id}/subtasks`).set(auth).send({ name: 'sneaky' });
+        expect(subtask.status).toBe(404);
+
+        const move = await request(app).patch(`/tasks/${task_id}/move`).set(auth).send({ noteId: note_id });
+        expect(move.status).toBe(404);
+
+        await request(app).post(`/trash/${taskTrash}/restore`).set(auth);
+        const tasks = (await request(app).get(`/tasks/${note_id}`).set(auth)).body;
+        expect(tasks.find((task) => task._id === task_id).status).toBe('pending');
+    });
+
+    it('should hide expired items without deleting them when the trash is read', async () => {
+        taskTrash = (await request(app).delete(`/tasks/${task_id}`).set(auth)).body._id;
+
+        process.env.TRASH_RETENTION_DAYS = '0';
+        const trash = (await request(app).get('/trash').set(auth)).body;
+        expect(trash.items.map((item) => item._id)).not.toContain(taskTrash);
+        expect((await request(app).post(`/trash/${taskTrash}/restore`).set(auth)).status).toBe(404);
+
+        delete process.env.TRASH_RETENTION_DAYS;
+        const restored = await request(app).post(`/trash/${taskTrash}/restore`).set(auth);
+        expect(restored.status).toBe(200);
+    });
+
+    it('should delete an item for good', async () => {
+        taskTrash = (await request(app).delete(`/tasks/${task_id}`).set(auth)).body._id;
+
+        const response = await request(app).delete(`/trash/${taskTrash}`).set(auth);
+        expect(response.status).toBe(200);
+
+        const restore = await request(app).post(`/trash/${taskTrash}/restore`).set(auth);
+        expect(restore.status).toBe(404);
+    });
+
+    it("should return 403 for someone else's trash", async () => {
+        noteTrash = (await request(app).delete(`/notes/${note_id}`).set(auth)).body._id;
+
+        const other = { Authorization: `Bearer ${jwt.sign({ id: '674d8bc2f443dedf4529ec54' }, process.env.JWT_SECRET)}` };
+        const response = await request(app).post(`/trash/${noteTrash}/restore`).set(other);
+        expect(response.status).toBe(403);
+
+        await request(app).post(`/trash/${noteTrash}/restore`).set(auth);
+    });
+});
+
+afterAll(() => mongoose.connection.close())
@@ -0,0 +1,94 @@
+import { EVOLUTION_LEVELS } from "./evolution.js";
+
+/**
+ * Achievements: badges a user unlocks by reaching a goal on one of their stats.
+ * Stats are worked out from the user's tasks, streak and pets (see getAchievementStats in
+ * ./rewards.js); once a badge is earned it stays earned, even if the stat later drops.
+ */
+
+// the pet evolves into its second stage at this level
+export const EVOLVE_LEVEL = EVOLUTION_LEVELS[0];
+
+// every badge, in the order they're shown -- unlocked once stats[stat] reaches goal
+export const ACHIEVEMENTS = [
+  {
+    id: "first-task",
+    name: "First Step",
+    description: "Complete your first task",
+    icon: "✅",
+    stat: "completedTasks",
+    goal: 1,
+  },
+  {
+    id: "hard-worker",
+    name: "Hard Worker",
+    description: "Complete 10 hard tasks",
+    icon: "💪",
+    stat: "hardTasks",
+    goal: 10,
+  },
+  {
+    id: "week-streak",
+    name: "On Fire",
+    description: "Keep a 7-day streak",
+    icon: "🔥",
+    stat: "bestStreak",
+    goal: 7,
+  },
+  {
+    id: "evolved",
+    name: "All Grown Up",
+    description: `Reach level ${EVOLVE_LEVEL} and evolve your pet`,
+    icon: "🌟",
+    stat: "level",
+    goal: EVOLVE_LEVEL,
+  },
+  {
+    id: "clean-slate",
+    name: "Clean Slate",
+    description: "Finish every task in a folder",
+    icon: "🧹",
+    stat: "emptiedFolders",
+    goal: 1,
+  },
+];
+
+// what the client gets to see of a badge
+const describe = ({ id, name, description, icon, goal }) => ({ id, name, description, icon, goal });
+
+/**
+ * Find the badges a user has just reached but not been given yet.
+ *
+ * @function getNewAchievements
+ * @param {Array<{id: string}>} earned - The badges the user already has.
+ * @param {Object} stats - The user's current stats, keyed by stat name.
+ * @returns {Array<Object>} The newly reached badges, in catalog order.
+ */
+export const getNewAchievements = (earned, stats) => {
+  const earnedIds = new Set(earned.map((achievement) => achievement.id));
+  return ACHIEVEMENTS.filter(({ id, stat, goal }) => !earnedIds.has(id) && (stats[stat] ?? 0) >= goal).map(describe);
+};
+
+/**
+ * Split the catalog into the badges a user has and the ones still locked.
+ *
+ * @function listAchievements
+ * @param {Array<{id: string, earnedAt: Date}>} earned - The badges the user has.
+ * @param {Object} stats - The user's current stats, keyed by stat name.
+ * @returns {{earned: Array<Object>, locked: Array<Object>}} Earned badges with when they were earned, and
+ * locked ones with how far along the user is (progress never above the goal).
+ */
+export const listAchievements = (earned, stats) => {
+  const earnedAt = new Map(earned.map((achievement) => [achievement.id, achievement.earnedAt]));
+
+  return {
+    earned: ACHIEVEMENTS.filter(({ id }) => earnedAt.has(id)).map((achievement) => ({
+      ...describe(achievement),
+      earnedAt: earnedAt.get(achievement.id),
+    })),
+    locked: ACHIEVEMENTS.filter(({ id }) => !earnedAt.has(id)).map((achievement) => ({
+      ...describe(achievement),
+      progress: Math.min(achievement.goal, stats[achievement.stat] ?? 0),
+    })),
+  };
+};
@@ -0,0 +1,56 @@
+/**
+ * Request checks for bulk task operations (POST /tasks/bulk).
+ * A bulk request names the tasks, one action, and the action's value where it needs one.
+ */
+
+// most tasks one bulk request can touch
+export const MAX_BULK_TASKS = 200;
+
+// action -> what req.body.value has to be
+export const BULK_ACTIONS = {
+  complete: null,
+  reopen: null,
+  delete: null,
+  setCategory: "category ID",
+  setDueDate: "date or null",
+  move: "note ID",
+};
+
+/**
+ * Check a bulk request before anything is loaded.
+ *
+ * @function validateBulkRequest
+ * @param {Object} body - The request body.
+ * @param {string[]} body.ids - The IDs of the tasks to change.
+ * @param {string} body.action - One of BULK_ACTIONS.
+ * @param {*} [body.value] - The category ID, due date or note ID the action needs.
+ * @param {string[]} categories - The IDs of the user's categories.
+ * @returns {string|null} What's wrong with the request, or null if it's fine.
+ */
+export const validateBulkRequest = ({ ids, action, value }, categories) => {
+  if (!Array.isArray(ids) || ids.length === 0) {
+    return "Task IDs required";
+  }
+  if (ids.length > MAX_BULK_TASKS) {
+    return `At most ${MAX_BULK_TASKS} tasks can be changed at once`;
+  }
+  if (ids.some((id) => typeof id !== "string") || new Set(ids).size !== ids.length) {
+    return "Task IDs have to be distinct strings";
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(BULK_ACTIONS, action)) {
+    return `Action must be one of: ${Object.keys(BULK_ACTIONS).join(", ")}`;
+  }
+
+  if (action === "setCategory" && !categories.includes(value)) {
+    return "Invalid category";
+  }
+  if (action === "setDueDate" && value !== null && (value === undefined || Number.isNaN(new Date(value).getTime()))) {
+    return "Invalid due date";
+  }
+  if (action === "move" && (typeof value !== "string" || !value)) {
+    return "Note ID required";
+  }
+
+  return null;
+};
@@ -0,0 +1,137 @@
+/**
+ * Caring for a pet between tasks: feeding it, playing with it and putting it to sleep.
+ * Feeding uses up food from the inventory; playing uses up a toy if there is one, or
+ * else costs the pet some energy; sleeping trades a little hunger for energy.
+ * Each action has its own cooldown so needs can't just be topped up on demand. Food and
+ * toys used from the inventory count as feeding and playing (see useItem in shopController.js).
+ */
+
+import { getItem, getQuantity, SHOP_ITEMS } from "./shop.js";
+import { changeNeeds } from "./needs.js";
+
+const MINUTE_MS = 60 * 1000;
+
+// how long after each action before it can be done again
+export const CARE_COOLDOWNS_MS = {
+  feed: 30 * MINUTE_MS,
+  play: 10 * MINUTE_MS,
+  sleep: 120 * MINUTE_MS,
+};
+
+export const CARE_ACTIONS = Object.keys(CARE_COOLDOWNS_MS);
+
+// the kind of shop item each action uses up, if any
+const ITEM_KINDS = { feed: "food", play: "toy" };
+
+// playing without a toy -- the pet tires itself out
+export const PLAY_WITHOUT_TOY = { happiness: 10, energy: -10 };
+
+// a nap
+export const SLEEP_EFFECT = { energy: 40, hunger: -5 };
+
+/**
+ * The care action a food or toy counts as, or null for anything else.
+ *
+ * @function getItemAction
+ * @param {Object} item - The catalog item.
+ * @returns {string|null} "feed", "play" or null.
+ */
+export const getItemAction = (item) =>
+  Object.keys(ITEM_KINDS).find((action) => ITEM_KINDS[action] === item.kind) ?? null;
+
+/**
+ * How long until a pet can have an action done again.
+ *
+ * @function getCooldownLeft
+ * @param {Object} pet - The pet document.
+ * @param {string} action - One of CARE_ACTIONS.
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {number} The milliseconds left (0 if it can be done now).
+ */
+export const getCooldownLeft = (pet, action, now = new Date()) => {
+  const last = pet.lastCaredAt?.[action];
+  if (!last) {
+    return 0;
+  }
+
+  return Math.max(0, new Date(last).getTime() + CARE_COOLDOWNS_MS[action] - now.getTime());
+};
+
+/**
+ * How long until each action can be done again, for the client to show.
+ *
+ * @function getCooldowns
+ * @param {Object} pet - The pet document.
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {Object<string, number>} The milliseconds left for each of CARE_ACTIONS.
+ */
+export const getCooldowns = (pet, now = new Date()) =>
+  Object.fromEntries(CARE_ACTIONS.map((action) => [action, getCooldownLeft(pet, action, now)]));
+
+/**
+ * Pick the item an action would use up: the one asked for, or else the first of the right
+ * kind in the inventory (in catalog order).
+ *
+ * @function chooseItem
+ * @param {string} action - One of CARE_ACTIONS.
+ * @param {Object|null} inventory - The user's inventory, or null if there is none yet.
+ * @param {string} [itemId] - The item the user asked to use.
+ * @returns {Object|null} The catalog item, or null if the action doesn't use one or none is at hand.
+ */
+export const chooseItem = (action, inventory, itemId) => {
+  const kind = ITEM_KINDS[action];
+  if (!kind || !inventory) {
+    return null;
+  }
+
+  if (itemId) {
+    const item = getItem(itemId);
+    return item && item.kind === kind && getQuantity(inventory, item.id) > 0 ? item : null;
+  }
+
+  return SHOP_ITEMS.find((item) => item.kind === kind && getQuantity(inventory, item.id) > 0) ?? null;
+};
+
+/**
+ * Check whether an action can be done, cooldown aside.
+ *
+ * @function getCareError
+ * @param {Object} pet - The pet document (with its needs brought up to date).
+ * @param {string} action - The action asked for.
+ * @param {Object|null} item - The item it would use up, from chooseItem.
+ * @returns {string|null} Why the action can't be done, or null if it can.
+ */
+export const getCareError = (pet, action, item) => {
+  if (!CARE_ACTIONS.includes(action)) {
+    return "Unknown action";
+  }
+  if (action === "feed" && !item) {
+    return "You don't have any food -- buy some in the shop";
+  }
+  if (action === "play" && !item && pet.needs.energy < -PLAY_WITHOUT_TOY.energy) {
+    return "Too tired to play";
+  }
+  return null;
+};
+
+/**
+ * Do a care action for a pet and start its cooldown. Mutates the pet; the caller is
+ * responsible for taking the item (if any) out of the inventory and saving both.
+ *
+ * @function careFor
+ * @param {Object} pet - The pet document (with its needs brought up to date).
+ * @param {string} action - One of CARE_ACTIONS, already checked with getCareError.
+ * @param {Object|null} item - The item used up, from chooseItem.
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {Object} The same pet document.
+ */
+export const careFor = (pet, action, item, now = new Date()) => {
+  if (item) {
+    changeNeeds(pet, item.effect);
+  } else {
+    changeNeeds(pet, action === "sleep" ? SLEEP_EFFECT : PLAY_WITHOUT_TOY);
+  }
+
+  pet.lastCaredAt[action] = now;
+  return pet;
+};
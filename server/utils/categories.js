@@ -0,0 +1,135 @@
+/**
+ * Task categories: every user has their own list, each with a name, a color, the base
+ * points its tasks are worth and an optional icon. New users start with the three
+ * categories tasks always used to have (easy, medium, hard), which they can then change.
+ */
+
+import Category from "../models/Category.js";
+import { CATEGORY_POINTS, MIN_CATEGORY_POINTS, MAX_CATEGORY_POINTS } from "./gameConfig.js";
+import { sameId } from "./ownership.js";
+
+// the categories every user starts with -- the colors are the ones the client always used
+export const DEFAULT_CATEGORIES = [
+  { name: "easy", color: "#008000", points: CATEGORY_POINTS.easy, icon: "" },
+  { name: "medium", color: "#ffa500", points: CATEGORY_POINTS.medium, icon: "" },
+  { name: "hard", color: "#ff0000", points: CATEGORY_POINTS.hard, icon: "" },
+];
+
+// most categories one user can have
+export const MAX_CATEGORIES = 12;
+
+export const MAX_NAME_LENGTH = 30;
+
+// room for one emoji, including the ones joined from several code points
+export const MAX_ICON_LENGTH = 8;
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// fields clients are allowed to set
+const CATEGORY_FIELDS = ["name", "color", "points", "icon"];
+
+/**
+ * Copy the fields a client may set out of a request body.
+ *
+ * @function pickCategoryFields
+ * @param {Object} body - The request body.
+ * @returns {Object} The name (trimmed), color, points and icon that were given (null icon clears it).
+ */
+export const pickCategoryFields = (body) => {
+  const fields = {};
+  for (const key of CATEGORY_FIELDS) {
+    if (body[key] !== undefined) {
+      fields[key] = body[key];
+    }
+  }
+
+  if (typeof fields.name === "string") {
+    fields.name = fields.name.trim();
+  }
+  if (fields.icon === null) {
+    fields.icon = "";
+  }
+
+  return fields;
+};
+
+/**
+ * Check a new category, or the changes to an existing one.
+ * Only the fields given are checked when updating; creating needs a name, color and points.
+ *
+ * @function getCategoryError
+ * @param {Object} fields - The fields from pickCategoryFields.
+ * @param {Array<Object>} [categories=[]] - The user's categories, to keep names unique.
+ * @param {Object|string|null} [categoryId=null] - The category being updated, or null when creating one.
+ * @returns {string|null} What's wrong with the fields, or null if they're fine.
+ */
+export const getCategoryError = ({ name, color, points, icon }, categories = [], categoryId = null) => {
+  const creating = categoryId === null;
+
+  if (name !== undefined || creating) {
+    if (typeof name !== "string" || !name) {
+      return "Name required";
+    }
+    if (name.length > MAX_NAME_LENGTH) {
+      return `Names can be at most ${MAX_NAME_LENGTH} characters`;
+    }
+
+    const taken = categories.some(
+      (category) => !sameId(category._id, categoryId) && category.name.toLowerCase() === name.toLowerCase()
+    );
+    if (taken) {
+      return "You already have a category with that name";
+    }
+  }
+
+  if ((color !== undefined || creating) && (typeof color !== "string" || !COLOR_PATTERN.test(color))) {
+    return "Color must be a hex color like #33aa55";
+  }
+
+  if (
+    (points !== undefined || creating) &&
+    (!Number.isInteger(points) || points < MIN_CATEGORY_POINTS || points > MAX_CATEGORY_POINTS)
+  ) {
+    return `Points must be a whole number from ${MIN_CATEGORY_POINTS} to ${MAX_CATEGORY_POINTS}`;
+  }
+
+  if (icon !== undefined && (typeof icon !== "string" || icon.length > MAX_ICON_LENGTH)) {
+    return "Icon must be a single emoji";
+  }
+
+  return null;
+};
+
+/**
+ * Load a user's categories, giving them the defaults first if they have none yet
+ * (new users, and anyone who signed up before categories could be edited).
+ *
+ * @async
+ * @function ensureDefaultCategories
+ * @param {Object|string} userId - The user's ID.
+ * @param {Object} [session=null] - The mongoose session of the surrounding transaction, if any.
+ * @returns {Promise<Array<Object>>} The user's categories, oldest first.
+ */
+export const ensureDefaultCategories = async (userId, session = null) => {
+  const findCategories = () =>
+    Category.find({ user: userId }).sort({ createdAt: 1, _id: 1 }).session(session).exec();
+
+  const categories = await findCategories();
+  if (categories.length > 0) {
+    return categories;
+  }
+
+  // upserts, so two requests seeding at once don't trip over the unique name index
+  const now = Date.now();
+  for (const [index, { name, ...fields }] of DEFAULT_CATEGORIES.entries()) {
+    await Category.updateOne(
+      { user: userId, name },
+      { $setOnInsert: { ...fields, createdAt: new Date(now + index) } },
+      { upsert: true }
+    )
+      .session(session)
+      .exec();
+  }
+
+  return findCategories();
+};
@@ -0,0 +1,127 @@
+/**
+ * Branching evolutions: a pet evolves when its level crosses each of EVOLUTION_LEVELS, and
+ * the branch it takes depends on how it was raised up to then. The branch is recorded on
+ * the pet the first time it crosses a tier and kept from then on, so dropping a level and
+ * crossing again doesn't re-roll it.
+ * How a pet was raised is tallied from the tasks completed while it was the active pet.
+ */
+
+import { EVOLUTION_LEVELS, HARD_TASK_POINTS } from "./gameConfig.js";
+
+// levels where the pet evolves into its next stage (tier 1, tier 2) -- tuned in ./gameConfig.js
+export { EVOLUTION_LEVELS };
+
+// what raising a pet a certain way takes -- checked in this order, the first one that fits wins
+export const BRANCH_RULES = {
+  // kept a streak of this many days going
+  blazing: { minStreak: 7 },
+  // at least this share of its completed tasks were hard
+  brawny: { minHardShare: 0.5, minTasks: 5 },
+  // at least this share of its tasks with due dates were done in time
+  punctual: { minOnTimeShare: 0.8, minTasks: 5 },
+};
+
+// when nothing stands out
+export const DEFAULT_BRANCH = "classic";
+
+/**
+ * Whether a task is hard right now: worth at least HARD_TASK_POINTS.
+ * Categories can be repriced, so this is recorded on the task when it's completed
+ * (completedHard) and that's what counts from then on.
+ *
+ * @function isHardTask
+ * @param {Object} task - The task.
+ * @param {number} task.points - Its base points.
+ * @returns {boolean} True if completing it now counts as a hard task.
+ */
+export const isHardTask = ({ points }) => points >= HARD_TASK_POINTS;
+
+/**
+ * Work out how completing (or reopening) a task changes how the pet was raised.
+ *
+ * @function getRaisingChange
+ * @param {Object} task - The task.
+ * @param {number} task.points - Its base points, to tell whether it's hard (see isHardTask).
+ * @param {boolean|null} [task.hard] - Whether it was hard when completed, if that was recorded -- wins over points.
+ * @param {Date|string|null} [task.dueDate] - When it was due, if ever.
+ * @param {Date} completedAt - When it was completed.
+ * @param {number} [sign=1] - 1 for a completion, -1 to take one back.
+ * @returns {{tasks: number, hard: number, due: number, onTime: number}} What to add to the pet's tallies.
+ */
+export const getRaisingChange = ({ points, hard, dueDate }, completedAt, sign = 1) => {
+  const due = dueDate ? 1 : 0;
+  const onTime = dueDate && new Date(completedAt) <= new Date(dueDate) ? 1 : 0;
+  const wasHard = hard ?? isHardTask({ points });
+
+  return { tasks: sign, hard: wasHard ? sign : 0, due: due * sign, onTime: onTime * sign };
+};
+
+/**
+ * Add task completions to how the pet was raised.
+ * Mutates the pet document; the caller is responsible for saving it.
+ *
+ * @function addRaising
+ * @param {Object} pet - The pet document.
+ * @param {Array<Object>} changes - Changes from getRaisingChange.
+ * @param {number} [streak=0] - The user's current daily streak.
+ * @returns {Object} The same pet document.
+ */
+export const addRaising = (pet, changes, streak = 0) => {
+  for (const change of changes) {
+    for (const key of ["tasks", "hard", "due", "onTime"]) {
+      pet.raising[key] = Math.max(0, pet.raising[key] + change[key]);
+    }
+  }
+
+  if (changes.length > 0) {
+    pet.raising.bestStreak = Math.max(pet.raising.bestStreak, streak);
+  }
+
+  return pet;
+};
+
+/**
+ * Pick the branch a pet evolves into from how it was raised.
+ *
+ * @function chooseBranch
+ * @param {Object} raising - The pet's tallies ({ tasks, hard, due, onTime, bestStreak }).
+ * @returns {string} The branch name.
+ */
+export const chooseBranch = ({ tasks, hard, due, onTime, bestStreak }) => {
+  const { blazing, brawny, punctual } = BRANCH_RULES;
+
+  if (bestStreak >= blazing.minStreak) {
+    return "blazing";
+  }
+  if (tasks >= brawny.minTasks && hard / tasks >= brawny.minHardShare) {
+    return "brawny";
+  }
+  if (due >= punctual.minTasks && onTime / due >= punctual.minOnTimeShare) {
+    return "punctual";
+  }
+  return DEFAULT_BRANCH;
+};
+
+/**
+ * Record an evolution for every tier the pet's level has crossed for the first time.
+ * Mutates the pet document; the caller is responsible for saving it.
+ *
+ * @function evolve
+ * @param {Object} pet - The pet document.
+ * @param {Date} [now=new Date()] - When it evolved.
+ * @returns {Array<Object>} The evolutions just recorded (empty if none).
+ */
+export const evolve = (pet, now = new Date()) => {
+  const evolved = [];
+
+  EVOLUTION_LEVELS.forEach((level, index) => {
+    const tier = index + 1;
+    if (pet.level >= level && !pet.evolutions.some((evolution) => evolution.tier === tier)) {
+      const evolution = { tier, branch: chooseBranch(pet.raising), evolvedAt: now };
+      pet.evolutions.push(evolution);
+      evolved.push(evolution);
+    }
+  });
+
+  return evolved;
+};
@@ -0,0 +1,44 @@
+/**
+ * Game tuning that both the server and the client need: the leveling curve, what each default task
+ * category is worth and where pets evolve. The server is the single source of truth -- the
+ * client fetches it from GET /game/config instead of keeping its own copy, so changing a
+ * number here takes effect everywhere without redeploying the client.
+ */
+
+// a pet needs BASE_EXP * level^EXPONENT points to get past its current level (see ./leveling.js).
+// freshly hatched pets are level 0 but go by MIN_CURVE_LEVEL on the curve, so no level is free
+export const BASE_EXP = 100;
+export const EXPONENT = 1.5;
+export const MIN_CURVE_LEVEL = 1;
+
+// the categories every user starts with and their base points for completing a task (see
+// ./categories.js -- users can change these or add their own, and ./scoring.js for bonuses and penalties)
+export const CATEGORY_POINTS = {
+  easy: 250,
+  medium: 500,
+  hard: 1000,
+};
+
+// what a user's own categories can be worth
+export const MIN_CATEGORY_POINTS = 50;
+export const MAX_CATEGORY_POINTS = 2000;
+
+// tasks worth at least this many base points count as hard (for evolution branches and badges)
+export const HARD_TASK_POINTS = CATEGORY_POINTS.hard;
+
+// levels where the pet evolves into its next stage (tier 1, tier 2) -- see ./evolution.js
+export const EVOLUTION_LEVELS = [9, 13];
+
+/**
+ * Everything the client needs to know about the game's tuning.
+ *
+ * @function getGameConfig
+ * @returns {Object} The leveling curve, the default category points and the range a category's points can be
+ * set in, and the evolution levels.
+ */
+export const getGameConfig = () => ({
+  leveling: { baseExp: BASE_EXP, exponent: EXPONENT, minCurveLevel: MIN_CURVE_LEVEL },
+  categoryPoints: { ...CATEGORY_POINTS },
+  categoryPointsRange: { min: MIN_CATEGORY_POINTS, max: MAX_CATEGORY_POINTS },
+  evolutionLevels: [...EVOLUTION_LEVELS],
+});
@@ -0,0 +1,55 @@
+/**
+ * Leveling curve shared by everything that changes a pet's points.
+ * A pet needs BASE_EXP * level^EXPONENT points to get past its current level (the numbers
+ * live in ./gameConfig.js, which the client reads them from too).
+ */
+
+import { BASE_EXP, EXPONENT, MIN_CURVE_LEVEL } from "./gameConfig.js";
+
+/**
+ * Calculate how many points a pet needs to finish a level.
+ *
+ * @function calculateRequiredExp
+ * @param {number} level - The pet's current level.
+ * @returns {number} The points required to reach the next level.
+ */
+export const calculateRequiredExp = (level) => BASE_EXP * Math.pow(Math.max(level, MIN_CURVE_LEVEL), EXPONENT);
+
+/**
+ * Add (or subtract) points on a pet, rolling its level up or down as needed.
+ * Points taken back never drop a pet below level 1 or leave it with negative points --
+ * what can't be taken back any further is forgiven.
+ * Mutates the pet document; the caller is responsible for saving it.
+ *
+ * @function applyPoints
+ * @param {Object} pet - The pet document.
+ * @param {number} points - The points to add (negative to subtract).
+ * @returns {Object} The same pet document with its points and level updated.
+ */
+export const applyPoints = (pet, points) => {
+  let totalExp = pet.points + points;
+  let newLevel = pet.level;
+  let maxExp = calculateRequiredExp(newLevel);
+
+  // Handle level-up
+  while (totalExp >= maxExp) {
+    totalExp -= maxExp;
+    newLevel += 1;
+    maxExp = calculateRequiredExp(newLevel);
+  }
+
+  // Handle level-down
+  while (totalExp < 0 && newLevel > 1) {
+    newLevel -= 1;
+    maxExp = calculateRequiredExp(newLevel);
+    totalExp += maxExp;
+  }
+
+  // nothing left to take back from
+  totalExp = Math.max(0, totalExp);
+
+  pet.points = totalExp;
+  pet.level = newLevel;
+
+  return pet;
+};
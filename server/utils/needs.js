@@ -0,0 +1,85 @@
+/**
+ * Tamagotchi-style needs: hunger, happiness and energy, each from 0 (neglected) to MAX_NEED.
+ * They drain a little every hour whether or not the app is open, and come back as the
+ * pet earns points from tasks. Decay is worked out from needsUpdatedAt whenever a pet
+ * is read or changed, so the stored values only have to be right as of that time.
+ */
+
+export const MAX_NEED = 100;
+
+// how much each need drops per hour left alone (hunger runs out in ~2 days, energy in ~4)
+export const DECAY_PER_HOUR = {
+  hunger: 2,
+  happiness: 1.5,
+  energy: 1,
+};
+
+// how much each need comes back per point earned (a medium task is 500 points)
+export const RESTORE_PER_POINT = {
+  hunger: 0.03,
+  happiness: 0.02,
+  energy: 0.01,
+};
+
+export const NEEDS = Object.keys(DECAY_PER_HOUR);
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const clamp = (value) => Math.min(MAX_NEED, Math.max(0, value));
+
+/**
+ * Drain a pet's needs for the time since they were last worked out.
+ * Mutates the pet document; the caller is responsible for saving it.
+ *
+ * @function decayNeeds
+ * @param {Object} pet - The pet document.
+ * @param {Date} [now=new Date()] - The current time.
+ * @param {number} [overdueDrain=0] - Extra happiness lost to overdue tasks over the same time (see ./scoring.js).
+ * @returns {Object} The same pet document with its needs brought up to date.
+ */
+export const decayNeeds = (pet, now = new Date(), overdueDrain = 0) => {
+  const last = pet.needsUpdatedAt ? new Date(pet.needsUpdatedAt).getTime() : now.getTime();
+  const hours = Math.max(0, now.getTime() - last) / HOUR_MS;
+
+  for (const need of NEEDS) {
+    pet.needs[need] = clamp(pet.needs[need] - DECAY_PER_HOUR[need] * hours);
+  }
+  pet.needs.happiness = clamp(pet.needs.happiness - overdueDrain);
+  pet.needsUpdatedAt = now;
+
+  return pet;
+};
+
+/**
+ * Top up (or, for points taken back, drain) a pet's needs for the points it just earned.
+ * Mutates the pet document; the caller is responsible for saving it.
+ *
+ * @function restoreNeeds
+ * @param {Object} pet - The pet document, already decayed up to now.
+ * @param {number} points - The points earned (negative when taken back).
+ * @returns {Object} The same pet document with its needs updated.
+ */
+export const restoreNeeds = (pet, points) => {
+  for (const need of NEEDS) {
+    pet.needs[need] = clamp(pet.needs[need] + RESTORE_PER_POINT[need] * points);
+  }
+
+  return pet;
+};
+
+/**
+ * Change some of a pet's needs by fixed amounts (e.g. from food, a toy or a nap), keeping
+ * each between 0 and MAX_NEED. Mutates the pet document; the caller is responsible for saving it.
+ *
+ * @function changeNeeds
+ * @param {Object} pet - The pet document, already decayed up to now.
+ * @param {Object<string, number>} changes - How much to add to each need (negative to take away).
+ * @returns {Object} The same pet document with its needs updated.
+ */
+export const changeNeeds = (pet, changes) => {
+  for (const [need, change] of Object.entries(changes)) {
+    pet.needs[need] = clamp(pet.needs[need] + change);
+  }
+
+  return pet;
+};
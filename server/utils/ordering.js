@@ -0,0 +1,50 @@
+/**
+ * Children (a user's folders, a folder's notes, a note's tasks) are kept in their parent's
+ * array, and that array's order is the order they're shown in. Reordering rewrites the array.
+ */
+
+/**
+ * Check that a new order lists exactly the children the parent already has.
+ *
+ * @function validateOrder
+ * @param {Array} current - The ids currently in the parent's array.
+ * @param {Array} order - The ids in their new order.
+ * @returns {string|null} An error message, or null if the order is valid.
+ */
+export const validateOrder = (current, order) => {
+  if (!Array.isArray(order)) {
+    return "Order must be a list of ids";
+  }
+
+  const ids = order.map(String);
+  if (new Set(ids).size !== ids.length) {
+    return "Order cannot list an item twice";
+  }
+
+  const existing = new Set(current.map(String));
+  if (ids.length !== existing.size || ids.some((id) => !existing.has(id))) {
+    return "Order must list every item exactly once";
+  }
+
+  return null;
+};
+
+/**
+ * Rewrite a parent's array of children in a new order. The update only applies if the parent
+ * still holds exactly those children, so a create or delete that lands in between isn't lost.
+ *
+ * @async
+ * @function saveOrder
+ * @param {Object} Model - The parent's mongoose model.
+ * @param {string} parentId - The parent's ID.
+ * @param {string} field - The array field holding the children.
+ * @param {Array} order - The ids in their new order (already validated).
+ * @returns {Promise<boolean>} True if the order was saved, false if the children changed meanwhile.
+ */
+export const saveOrder = async (Model, parentId, field, order) => {
+  // $all never matches an empty list, so an empty parent only needs the size check
+  const children = order.length > 0 ? { $size: order.length, $all: order } : { $size: 0 };
+  const result = await Model.updateOne({ _id: parentId, [field]: children }, { $set: { [field]: order } }).exec();
+
+  return result.matchedCount === 1;
+};
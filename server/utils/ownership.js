@@ -0,0 +1,76 @@
+import Folder from "../models/Folder.js";
+import Note from "../models/Note.js";
+
+/**
+ * Ownership helpers used by the controllers.
+ * Every document chains back to a user: task -> note -> folder -> user, pet -> user, category -> user.
+ * Each helper resolves that chain and tells us whether it ends at the given user.
+ */
+
+/**
+ * Check whether two ids (ObjectIds or strings) point to the same document.
+ *
+ * @function sameId
+ * @param {Object|string} a - The first id.
+ * @param {Object|string} b - The second id.
+ * @returns {boolean} True if both ids are equal.
+ */
+export const sameId = (a, b) => a != null && b != null && String(a) === String(b);
+
+/**
+ * Check whether a folder belongs to a user.
+ *
+ * @function ownsFolder
+ * @param {Object} folder - The folder document.
+ * @param {string} userId - The authenticated user's ID.
+ * @returns {boolean} True if the folder belongs to the user.
+ */
+export const ownsFolder = (folder, userId) => sameId(folder.user, userId);
+
+/**
+ * Check whether a note belongs to a user by following note -> folder -> user.
+ *
+ * @async
+ * @function ownsNote
+ * @param {Object} note - The note document.
+ * @param {string} userId - The authenticated user's ID.
+ * @returns {Promise<boolean>} True if the note's folder belongs to the user.
+ */
+export const ownsNote = async (note, userId) => {
+  const folder = await Folder.findById(note.folder).select("user").exec();
+  return !!folder && ownsFolder(folder, userId);
+};
+
+/**
+ * Check whether a task belongs to a user by following task -> note -> folder -> user.
+ *
+ * @async
+ * @function ownsTask
+ * @param {Object} task - The task document.
+ * @param {string} userId - The authenticated user's ID.
+ * @returns {Promise<boolean>} True if the task's note belongs to the user.
+ */
+export const ownsTask = async (task, userId) => {
+  const note = await Note.findById(task.note).select("folder").exec();
+  return !!note && ownsNote(note, userId);
+};
+
+/**
+ * Check whether a pet belongs to a user.
+ *
+ * @function ownsPet
+ * @param {Object} pet - The pet document.
+ * @param {string} userId - The authenticated user's ID.
+ * @returns {boolean} True if the pet belongs to the user.
+ */
+export const ownsPet = (pet, userId) => sameId(pet.user, userId);
+
+/**
+ * Check whether a task category belongs to a user.
+ *
+ * @function ownsCategory
+ * @param {Object} category - The category document.
+ * @param {string} userId - The authenticated user's ID.
+ * @returns {boolean} True if the category belongs to the user.
+ */
+export const ownsCategory = (category, userId) => sameId(category.user, userId);
@@ -0,0 +1,35 @@
+/**
+ * Pet slots: every user starts with room for one pet, and hatches another each time their
+ * highest-level pet reaches one of the PET_SLOT_LEVELS milestones.
+ * XP from tasks goes to the user's active pet -- the one they picked, or their first.
+ */
+
+// levels that unlock another pet slot, lowest first
+export const PET_SLOT_LEVELS = [5, 10, 15];
+
+/**
+ * Work out how many pets a user may have, and what it takes to hatch the next one.
+ *
+ * @function getPetSlots
+ * @param {Array<number>} levels - The levels of the user's pets.
+ * @returns {{slots: number, nextSlotLevel: number|null}} How many pets the user may have, and the level that
+ * unlocks the next slot (null once every slot is unlocked).
+ */
+export const getPetSlots = (levels) => {
+  const highest = Math.max(0, ...levels);
+  const reached = PET_SLOT_LEVELS.filter((level) => highest >= level).length;
+
+  return {
+    slots: 1 + reached,
+    nextSlotLevel: PET_SLOT_LEVELS[reached] ?? null,
+  };
+};
+
+/**
+ * Find the pet that receives a user's XP.
+ *
+ * @function getActivePetId
+ * @param {Object} user - The user document.
+ * @returns {Object|null} The active pet's ID (the first pet if none was picked), or null if the user has no pet yet.
+ */
+export const getActivePetId = (user) => user.activePet ?? user.pets[0] ?? null;
@@ -0,0 +1,167 @@
+/**
+ * Repeat rules for recurring tasks.
+ * Completing an occurrence of a recurring task creates the next one, due on the date
+ * getUpcomingDueDate picks. Weekdays and month boundaries are worked out in the user's local
+ * time using the timezoneOffset (minutes, same as Date#getTimezoneOffset) saved on the rule.
+ */
+
+export const FREQUENCIES = ["daily", "weekdays", "weekly", "interval", "monthly"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// most occurrences getUpcomingDueDate skips over (about ten years of a daily task)
+const MAX_CATCH_UP = 4000;
+
+// move a date into the user's local time (so getUTC* reads local values) and back
+const toLocal = (date, offset) => new Date(date.getTime() - offset * 60 * 1000);
+const fromLocal = (date, offset) => new Date(date.getTime() + offset * 60 * 1000);
+
+/**
+ * Check that a repeat rule sent by a client is well formed.
+ *
+ * @function validateRecurrence
+ * @param {Object|null} recurrence - The repeat rule (null clears it).
+ * @returns {string|null} An error message, or null if the rule is valid.
+ */
+export const validateRecurrence = (recurrence) => {
+  if (recurrence === null) {
+    return null;
+  }
+
+  if (typeof recurrence !== "object" || !FREQUENCIES.includes(recurrence.frequency)) {
+    return `Repeat frequency must be one of: ${FREQUENCIES.join(", ")}`;
+  }
+
+  const { interval, daysOfWeek, timezoneOffset, dayOfMonth } = recurrence;
+
+  if (interval !== undefined && (!Number.isInteger(interval) || interval < 1)) {
+    return "Repeat interval must be a whole number of at least 1";
+  }
+
+  if (recurrence.frequency === "weekly") {
+    const validDays =
+      Array.isArray(daysOfWeek) &&
+      daysOfWeek.length > 0 &&
+      daysOfWeek.every((day) => Number.isInteger(day) && day >= 0 && day <= 6);
+    if (!validDays) {
+      return "Weekly repeats need at least one day of the week (0-6)";
+    }
+  }
+
+  if (timezoneOffset !== undefined && !Number.isInteger(timezoneOffset)) {
+    return "Timezone offset must be a whole number of minutes";
+  }
+
+  if (dayOfMonth != null && (!Number.isInteger(dayOfMonth) || dayOfMonth < 1 || dayOfMonth > 31)) {
+    return "Day of the month must be a whole number from 1 to 31";
+  }
+
+  return null;
+};
+
+/**
+ * Work out when the next occurrence of a recurring task is due.
+ *
+ * @function getNextDueDate
+ * @param {Object} recurrence - The task's repeat rule.
+ * @param {string} recurrence.frequency - daily, weekdays, weekly, interval or monthly.
+ * @param {number} [recurrence.interval] - Days between occurrences for "interval".
+ * @param {number[]} [recurrence.daysOfWeek] - Days (0 = Sunday) to repeat on for "weekly".
+ * @param {number} [recurrence.timezoneOffset] - The user's offset from UTC in minutes.
+ * @param {number} [recurrence.dayOfMonth] - The day "monthly" repeats on (see anchorRecurrence), else from's day.
+ * @param {Date} from - The due date of the occurrence that was just completed.
+ * @returns {Date} The due date of the next occurrence.
+ */
+export const getNextDueDate = (recurrence, from) => {
+  const offset = recurrence.timezoneOffset || 0;
+  const local = toLocal(new Date(from), offset);
+
+  switch (recurrence.frequency) {
+    case "daily":
+      return new Date(from.getTime() + DAY_MS);
+
+    case "interval":
+      return new Date(from.getTime() + (recurrence.interval || 1) * DAY_MS);
+
+    case "weekdays": {
+      // skip over saturday (6) and sunday (0)
+      let days = 1;
+      while ([0, 6].includes((local.getUTCDay() + days) % 7)) {
+        days += 1;
+      }
+      return new Date(from.getTime() + days * DAY_MS);
+    }
+
+    case "weekly": {
+      // first chosen weekday after today, wrapping around to the same day next week
+      let days = 1;
+      while (!recurrence.daysOfWeek.includes((local.getUTCDay() + days) % 7)) {
+        days += 1;
+      }
+      return new Date(from.getTime() + days * DAY_MS);
+    }
+
+    case "monthly": {
+      // same day next month, or the last day if next month is shorter (jan 31 -> feb 28)
+      const next = new Date(local);
+      const day = recurrence.dayOfMonth || local.getUTCDate();
+      next.setUTCDate(1);
+      next.setUTCMonth(next.getUTCMonth() + 1);
+      const lastDay = new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)).getUTCDate();
+      next.setUTCDate(Math.min(day, lastDay));
+      return fromLocal(next, offset);
+    }
+
+    default:
+      throw new Error(`Unknown repeat frequency: ${recurrence.frequency}`);
+  }
+};
+
+/**
+ * Pin a monthly rule to the day of the month it started on, so a month too short for it
+ * (jan 31 -> feb 28) doesn't move every later occurrence to the 28th. Other rules, and
+ * monthly ones already pinned, come back as they are.
+ *
+ * @function anchorRecurrence
+ * @param {Object} recurrence - The task's repeat rule (a plain object).
+ * @param {Date} from - The due date of the occurrence that was just completed.
+ * @returns {Object} The rule, with dayOfMonth set for monthly repeats.
+ */
+export const anchorRecurrence = (recurrence, from) => {
+  if (recurrence.frequency !== "monthly" || recurrence.dayOfMonth) {
+    return recurrence;
+  }
+
+  const local = toLocal(new Date(from), recurrence.timezoneOffset || 0);
+  return { ...recurrence, dayOfMonth: local.getUTCDate() };
+};
+
+/**
+ * The rule a task keeps when its due date is moved by hand: a monthly rule lets go of the
+ * day it was pinned to, so anchorRecurrence pins it to the new date instead.
+ *
+ * @function releaseAnchor
+ * @param {Object|null} recurrence - The task's repeat rule (a plain object), if any.
+ * @returns {Object|null} The rule without dayOfMonth, or the same rule if it wasn't pinned.
+ */
+export const releaseAnchor = (recurrence) =>
+  recurrence && recurrence.dayOfMonth ? { ...recurrence, dayOfMonth: null } : recurrence;
+
+/**
+ * Work out when the next occurrence of a recurring task is due, skipping over the ones
+ * that would already be overdue -- completing a daily task three days late queues up
+ * tomorrow's, not one that's two days overdue.
+ *
+ * @function getUpcomingDueDate
+ * @param {Object} recurrence - The task's repeat rule.
+ * @param {Date} from - The due date of the occurrence that was just completed.
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {Date} The first due date the rule gives after now.
+ */
+export const getUpcomingDueDate = (recurrence, from, now = new Date()) => {
+  let next = getNextDueDate(recurrence, new Date(from));
+  for (let skipped = 0; next <= now && skipped < MAX_CATCH_UP; skipped++) {
+    next = getNextDueDate(recurrence, next);
+  }
+  return next;
+};
@@ -0,0 +1,264 @@
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import Pet from "../models/Pet.js";
+import Task from "../models/Task.js";
+import { applyPoints } from "./leveling.js";
+import { decayNeeds, restoreNeeds } from "./needs.js";
+import { getOverdueDrain } from "./scoring.js";
+import { recordCompletion, undoCompletion, getLocalDay, getStreakStatus, getStreakMultiplier } from "./streaks.js";
+import { getNewAchievements } from "./achievements.js";
+import { getActivePetId } from "./petSlots.js";
+import { sameId } from "./ownership.js";
+import { addRaising, evolve } from "./evolution.js";
+import { HARD_TASK_POINTS } from "./gameConfig.js";
+
+// subtasks can earn up to this share of their parent task's points between them -- paid
+// early, out of the parent's own payout rather than on top of it
+export const SUBTASK_SHARE = 0.5;
+
+/**
+ * Bring a pet's needs up to date: everything drains with time, and if it's the owner's
+ * active pet, happiness drains further for each of their tasks that sat overdue meanwhile.
+ * The other pets aren't the ones waiting on those tasks, so they only get hungry and tired.
+ * Mutates the pet document; the caller is responsible for saving it.
+ *
+ * @async
+ * @function updateNeeds
+ * @param {Object} pet - The pet document.
+ * @param {Object} [session=null] - The mongoose session of the surrounding transaction, if any.
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {Promise<Object>} The same pet document with its needs brought up to date.
+ */
+export const updateNeeds = async (pet, session = null, now = new Date()) => {
+  const user = await User.findById(pet.user).select("pets activePet").session(session).exec();
+  if (!user || !sameId(getActivePetId(user), pet._id)) {
+    return decayNeeds(pet, now);
+  }
+
+  const overdueTasks = await Task.find({ user: pet.user, status: "pending", deletedAt: null, dueDate: { $lt: now } })
+    .select("dueDate")
+    .session(session)
+    .exec();
+
+  const from = pet.needsUpdatedAt ? new Date(pet.needsUpdatedAt) : now;
+  return decayNeeds(pet, now, getOverdueDrain(overdueTasks.map((task) => task.dueDate), from, now));
+};
+
+/**
+ * Count a task completion towards the user's daily streak, in their own time zone.
+ *
+ * @async
+ * @function recordStreak
+ * @param {string} userId - The ID of the user who completed the task.
+ * @param {Object} [session=null] - The mongoose session of the surrounding transaction, if any.
+ * @param {Date} [now=new Date()] - When the task was completed.
+ * @returns {Promise<number>} The user's current streak including today (0 if the user is gone).
+ */
+export const recordStreak = async (userId, session = null, now = new Date()) => {
+  const user = await User.findById(userId).session(session).exec();
+  if (!user) {
+    return 0;
+  }
+
+  recordCompletion(user.streak, now, user.timeZone);
+  await user.save({ session });
+  return user.streak.current;
+};
+
+/**
+ * Take the streak's last day back when reopening tasks left it without a completion.
+ * Runs after the reopened tasks are saved, so they no longer count.
+ *
+ * @async
+ * @function unrecordStreak
+ * @param {string} userId - The ID of the user who reopened the tasks.
+ * @param {Object} [session=null] - The mongoose session of the surrounding transaction, if any.
+ * @returns {Promise<number>} The user's streak afterwards (0 if the user is gone).
+ */
+export const unrecordStreak = async (userId, session = null) => {
+  const user = await User.findById(userId).session(session).exec();
+  if (!user || !user.streak.lastDay) {
+    return 0;
+  }
+
+  // a local day never spans more than two UTC days, so older completions can't be on it
+  const since = new Date(Date.parse(`${user.streak.lastDay}T00:00:00Z`) - 24 * 60 * 60 * 1000);
+  const completed = await Task.find({ user: userId, status: "completed", completedDate: { $gte: since } })
+    .select("completedDate")
+    .session(session)
+    .exec();
+
+  if (completed.some((task) => getLocalDay(task.completedDate, user.timeZone) === user.streak.lastDay)) {
+    return user.streak.current;
+  }
+
+  undoCompletion(user.streak);
+  await user.save({ session });
+  return user.streak.current;
+};
+
+/**
+ * The user's live streak, without counting anything towards it.
+ *
+ * @async
+ * @function getCurrentStreak
+ * @param {string} userId - The ID of the user.
+ * @param {Object} [session=null] - The mongoose session of the surrounding transaction, if any.
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {Promise<number>} The user's current streak (0 if it's broken or the user is gone).
+ */
+export const getCurrentStreak = async (userId, session = null, now = new Date()) => {
+  const user = await User.findById(userId).session(session).exec();
+  return user ? getStreakStatus(user.streak, now, user.timeZone).current : 0;
+};
+
+/**
+ * Pay a user coins (or take them back) inside a transaction.
+ *
+ * @async
+ * @function awardCoins
+ * @param {string} userId - The ID of the user.
+ * @param {number} coins - The coins to add (negative to take away).
+ * @param {Object} session - The mongoose session of the surrounding transaction.
+ * @returns {Promise<number|null>} The user's coins afterwards, or null if the user is gone.
+ */
+export const awardCoins = async (userId, coins, session) => {
+  const user = await User.findByIdAndUpdate(userId, { $inc: { coins } }, { new: true }).session(session).exec();
+  return user ? user.coins : null;
+};
+
+/**
+ * Add points to a user's active pet inside a transaction.
+ * The points also feed the pet's needs (or drain them again when taken back), the tasks
+ * behind them count towards how the pet was raised, and crossing an evolution tier
+ * records the branch it evolves into (see ./evolution.js).
+ *
+ * @async
+ * @function awardPoints
+ * @param {string} userId - The ID of the user whose pet receives the points.
+ * @param {number} points - The points to add (negative to take points away).
+ * @param {Object} session - The mongoose session of the surrounding transaction.
+ * @param {Array<Object>} [raised=[]] - How the completed (or reopened) tasks change how the pet was raised,
+ * from getRaisingChange.
+ * @returns {Promise<Object|null>} The updated pet, or null if the user has no pet yet.
+ */
+export const awardPoints = async (userId, points, session, raised = []) => {
+  const user = await User.findById(userId).session(session).exec();
+  if (!user || user.pets.length === 0) {
+    return null;
+  }
+
+  const pet = await Pet.findById(getActivePetId(user)).session(session).exec();
+  if (!pet) {
+    return null;
+  }
+
+  applyPoints(pet, points);
+  addRaising(pet, raised, user.streak.current);
+  evolve(pet);
+  await updateNeeds(pet, session);
+  restoreNeeds(pet, points);
+  return pet.save({ session });
+};
+
+/**
+ * Gather the stats achievements are measured against (see ./achievements.js).
+ *
+ * @async
+ * @function getAchievementStats
+ * @param {Object} user - The user document.
+ * @param {Object} [session=null] - The mongoose session of the surrounding transaction, if any.
+ * @returns {Promise<Object>} The user's completed and hard completed tasks, best streak, highest pet level,
+ * and how many of their folders have tasks that are all completed.
+ */
+export const getAchievementStats = async (user, session = null) => {
+  const owned = { user: user._id, deletedAt: null };
+
+  // one at a time -- a transaction can't run queries in parallel
+  const completedTasks = await Task.countDocuments({ ...owned, status: "completed" }).session(session).exec();
+  // hard as recorded when completed -- tasks completed before that was kept go by their points
+  const hard = { $or: [{ completedHard: true }, { completedHard: null, points: { $gte: HARD_TASK_POINTS } }] };
+  const hardTasks = await Task.countDocuments({ ...owned, status: "completed", ...hard })
+    .session(session)
+    .exec();
+  const pets = await Pet.find({ user: user._id }).select("level").session(session).exec();
+
+  // folders (outside the trash) with at least one task and nothing left pending
+  const emptiedFolders = await Task.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(String(user._id)), deletedAt: null } },
+    { $lookup: { from: "notes", localField: "note", foreignField: "_id", as: "note" } },
+    { $unwind: "$note" },
+    { $match: { "note.deletedAt": null } },
+    { $group: { _id: "$note.folder", pending: { $sum: { $cond: [{ $eq: ["$status", "pending"] }, 1, 0] } } } },
+    { $match: { pending: 0 } },
+    { $count: "folders" },
+  ]).session(session).exec();
+
+  return {
+    completedTasks,
+    hardTasks,
+    bestStreak: user.streak?.best ?? 0,
+    level: Math.max(0, ...pets.map((pet) => pet.level)),
+    emptiedFolders: emptiedFolders[0]?.folders ?? 0,
+  };
+};
+
+/**
+ * Give a user any badges they've just reached. Runs whenever tasks are completed or the
+ * pet may have levelled up.
+ *
+ * @async
+ * @function unlockAchievements
+ * @param {string} userId - The ID of the user to check.
+ * @param {Object} [session=null] - The mongoose session of the surrounding transaction, if any.
+ * @returns {Promise<Array<Object>>} The newly unlocked badges (empty if none).
+ */
+export const unlockAchievements = async (userId, session = null) => {
+  const user = await User.findById(userId).session(session).exec();
+  if (!user) {
+    return [];
+  }
+
+  const unlocked = getNewAchievements(user.achievements, await getAchievementStats(user, session));
+  if (unlocked.length === 0) {
+    return [];
+  }
+
+  const earnedAt = new Date();
+  user.achievements.push(...unlocked.map(({ id }) => ({ id, earnedAt })));
+  await user.save({ session });
+
+  return unlocked.map((achievement) => ({ ...achievement, earnedAt }));
+};
+
+/**
+ * Add up what a task's subtasks have paid out so far.
+ *
+ * @function getSubtasksPaid
+ * @param {Object} task - The parent task, including its subtasks.
+ * @returns {number} The points its subtasks paid between them.
+ */
+export const getSubtasksPaid = (task) => task.subtasks.reduce((sum, subtask) => sum + subtask.pointsAwarded, 0);
+
+/**
+ * Work out how many points completing one more subtask of a task pays.
+ * The parent's share is split evenly across its subtasks, and never pays out more
+ * than the share in total no matter how subtasks are added and removed. The user's
+ * streak multiplies it like any other payout. Once the parent is completed it has paid
+ * for its subtasks itself, so they pay nothing more.
+ *
+ * @function getSubtaskPayout
+ * @param {Object} task - The parent task, including its subtasks.
+ * @param {number} [streak=0] - The user's current streak.
+ * @returns {number} The points the next subtask completion is worth.
+ */
+export const getSubtaskPayout = (task, streak = 0) => {
+  if (task.subtasks.length === 0 || task.status === "completed") {
+    return 0;
+  }
+
+  const budget = Math.round(task.points * SUBTASK_SHARE);
+  const share = Math.round(Math.round(budget / task.subtasks.length) * getStreakMultiplier(streak));
+
+  return Math.max(0, Math.min(share, budget - getSubtasksPaid(task)));
+};
@@ -0,0 +1,91 @@
+import { getStreakMultiplier } from "./streaks.js";
+
+/**
+ * Scoring policy: what finishing a task is worth, and what leaving tasks overdue costs.
+ * A task's base points come from its category. Finishing before the due date adds
+ * EARLY_BONUS on top; finishing late takes LATE_PENALTY_PER_DAY off for every day (or
+ * part of one) it's late, but never leaves less than MIN_LATE_SHARE of the base.
+ * A daily streak (see ./streaks.js) then multiplies the lot.
+ * Pending tasks past their due date drain the pet's happiness for as long as they sit there.
+ */
+
+// share of the base points added for finishing before the due date
+export const EARLY_BONUS = 0.2;
+
+// share of the base points taken off per day late, and the least a late task still pays
+export const LATE_PENALTY_PER_DAY = 0.1;
+export const MIN_LATE_SHARE = 0.5;
+
+// happiness drained per hour by each overdue task, and at most by all of them together
+export const OVERDUE_HAPPINESS_PER_HOUR = 0.25;
+export const MAX_OVERDUE_HAPPINESS_PER_HOUR = 2;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Work out what completing a task pays, and why.
+ *
+ * @function scoreCompletion
+ * @param {Object} task - The task being completed.
+ * @param {number} task.points - The task's base points (from its category).
+ * @param {string} [task.category] - The name of the task's category, used to describe the base points.
+ * @param {Date|string|null} [task.dueDate] - When the task was due, if ever.
+ * @param {Date} [completedAt=new Date()] - When it was completed.
+ * @param {number} [streak=0] - The user's daily streak, counting this completion.
+ * @returns {{points: number, breakdown: Array<{reason: string, points: number}>}} The points to award
+ * and each part that went into them.
+ */
+export const scoreCompletion = ({ points, category, dueDate }, completedAt = new Date(), streak = 0) => {
+  const breakdown = [{ reason: category ? `${category} task` : "task", points }];
+
+  if (dueDate) {
+    const lateBy = completedAt.getTime() - new Date(dueDate).getTime();
+
+    if (lateBy <= 0) {
+      breakdown.push({ reason: "done before the due date", points: Math.round(points * EARLY_BONUS) });
+    } else {
+      const daysLate = Math.ceil(lateBy / DAY_MS);
+      const share = Math.max(MIN_LATE_SHARE, 1 - LATE_PENALTY_PER_DAY * daysLate);
+      breakdown.push({
+        reason: `${daysLate} ${daysLate === 1 ? "day" : "days"} late`,
+        points: Math.round(points * share) - points,
+      });
+    }
+  }
+
+  const subtotal = breakdown.reduce((sum, part) => sum + part.points, 0);
+  const multiplier = getStreakMultiplier(streak);
+  if (multiplier > 1) {
+    breakdown.push({
+      reason: `${streak}-day streak ×${Number(multiplier.toFixed(2))}`,
+      points: Math.round(subtotal * multiplier) - subtotal,
+    });
+  }
+
+  return {
+    points: breakdown.reduce((sum, part) => sum + part.points, 0),
+    breakdown,
+  };
+};
+
+/**
+ * Work out how much happiness overdue tasks drained over a stretch of time.
+ * Each task only counts for the part of the stretch after it was due.
+ *
+ * @function getOverdueDrain
+ * @param {Array<Date|string>} dueDates - The due dates of the user's pending tasks.
+ * @param {Date} from - The start of the stretch (when needs were last worked out).
+ * @param {Date} [now=new Date()] - The end of the stretch.
+ * @returns {number} The happiness to take off the pet.
+ */
+export const getOverdueDrain = (dueDates, from, now = new Date()) => {
+  const overdueHours = dueDates.reduce((sum, dueDate) => {
+    const start = Math.max(new Date(dueDate).getTime(), from.getTime());
+    return sum + Math.max(0, now.getTime() - start) / HOUR_MS;
+  }, 0);
+
+  // however many tasks are overdue, the pet can't drain faster than the cap
+  const hours = Math.max(0, now.getTime() - from.getTime()) / HOUR_MS;
+  return Math.min(overdueHours * OVERDUE_HAPPINESS_PER_HOUR, hours * MAX_OVERDUE_HAPPINESS_PER_HOUR);
+};
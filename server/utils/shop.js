@@ -0,0 +1,146 @@
+/**
+ * Coins and the pet shop. Tasks pay coins alongside XP (one coin per POINTS_PER_COIN points,
+ * taken back with the points when a task is reopened), and coins buy items from the catalog.
+ * Food and toys are used up to refill the active pet's needs; accessories are kept and
+ * put on (or taken off) the active pet.
+ */
+
+import { changeNeeds } from "./needs.js";
+
+// how many XP points earn one coin
+export const POINTS_PER_COIN = 10;
+
+// most of one item bought in one go
+export const MAX_PURCHASE = 20;
+
+// everything the shop sells -- effect is what using a food or toy adds to the pet's needs,
+// slot is where an accessory goes on the pet (one accessory per slot)
+export const SHOP_ITEMS = [
+  { id: "kibble", name: "Kibble", kind: "food", icon: "🥣", price: 15, effect: { hunger: 20 } },
+  { id: "fish", name: "Fresh Fish", kind: "food", icon: "🐟", price: 35, effect: { hunger: 45, happiness: 5 } },
+  { id: "cake", name: "Birthday Cake", kind: "food", icon: "🎂", price: 60, effect: { hunger: 30, happiness: 25 } },
+  { id: "coffee", name: "Espresso", kind: "food", icon: "☕", price: 40, effect: { energy: 35 } },
+  { id: "ball", name: "Bouncy Ball", kind: "toy", icon: "⚽", price: 25, effect: { happiness: 20, energy: -5 } },
+  { id: "yarn", name: "Ball of Yarn", kind: "toy", icon: "🧶", price: 30, effect: { happiness: 25 } },
+  { id: "pillow", name: "Nap Pillow", kind: "toy", icon: "🛏️", price: 45, effect: { energy: 40 } },
+  { id: "party-hat", name: "Party Hat", kind: "accessory", slot: "hat", icon: "🥳", price: 120 },
+  { id: "bow-tie", name: "Bow Tie", kind: "accessory", slot: "neck", icon: "🎀", price: 150 },
+  { id: "sunglasses", name: "Sunglasses", kind: "accessory", slot: "glasses", icon: "🕶️", price: 200 },
+  { id: "crown", name: "Crown", kind: "accessory", slot: "hat", icon: "👑", price: 500 },
+  { id: "beach", name: "Beach Day", kind: "accessory", slot: "background", icon: "🏖️", price: 250 },
+  { id: "starry-night", name: "Starry Night", kind: "accessory", slot: "background", icon: "🌌", price: 300 },
+];
+
+/**
+ * Look up an item in the catalog.
+ *
+ * @function getItem
+ * @param {string} itemId - The item's ID.
+ * @returns {Object|null} The item, or null if the shop doesn't sell it.
+ */
+export const getItem = (itemId) => SHOP_ITEMS.find((item) => item.id === itemId) ?? null;
+
+/**
+ * Work out the coins a change in points pays (or takes back).
+ *
+ * @function getCoins
+ * @param {number} points - The points paid out (negative when taken back).
+ * @returns {number} The coins to add to the user (negative to take away).
+ */
+export const getCoins = (points) => Math.sign(points) * Math.floor(Math.abs(points) / POINTS_PER_COIN);
+
+/**
+ * Check that a purchase can go through.
+ *
+ * @function getPurchaseError
+ * @param {Object|null} item - The catalog item being bought.
+ * @param {*} quantity - How many were asked for.
+ * @param {number} coins - The user's coins.
+ * @returns {string|null} Why the purchase can't go through, or null if it can.
+ */
+export const getPurchaseError = (item, quantity, coins) => {
+  if (!item) {
+    return "Item not found";
+  }
+  if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_PURCHASE) {
+    return `Quantity must be between 1 and ${MAX_PURCHASE}`;
+  }
+  if (item.kind === "accessory" && quantity > 1) {
+    return "Accessories can only be bought one at a time";
+  }
+  if (item.price * quantity > coins) {
+    return "Not enough coins";
+  }
+  return null;
+};
+
+/**
+ * How many of an item an inventory holds.
+ *
+ * @function getQuantity
+ * @param {Object} inventory - The inventory ({ items: [{ item, quantity }] }).
+ * @param {string} itemId - The item's ID.
+ * @returns {number} The quantity held (0 if none).
+ */
+export const getQuantity = (inventory, itemId) => inventory.items.find((entry) => entry.item === itemId)?.quantity ?? 0;
+
+/**
+ * Add (or take away) some of an item, dropping it from the inventory once none are left.
+ * Mutates the inventory; the caller is responsible for saving it.
+ *
+ * @function changeQuantity
+ * @param {Object} inventory - The inventory ({ items: [{ item, quantity }] }).
+ * @param {string} itemId - The item's ID.
+ * @param {number} change - How many to add (negative to take away).
+ * @returns {Object} The same inventory.
+ */
+export const changeQuantity = (inventory, itemId, change) => {
+  const quantity = getQuantity(inventory, itemId) + change;
+  const entry = inventory.items.find((held) => held.item === itemId);
+
+  if (quantity <= 0) {
+    inventory.items = inventory.items.filter((held) => held.item !== itemId);
+  } else if (entry) {
+    entry.quantity = quantity;
+  } else {
+    inventory.items.push({ item: itemId, quantity });
+  }
+
+  return inventory;
+};
+
+/**
+ * What an inventory holds, with each item's catalog details.
+ *
+ * @function listInventory
+ * @param {Object|null} inventory - The inventory ({ items: [{ item, quantity }] }), or null if there is none yet.
+ * @returns {Array<Object>} The catalog items held, each with its quantity, in catalog order.
+ */
+export const listInventory = (inventory) =>
+  SHOP_ITEMS.filter((item) => inventory && getQuantity(inventory, item.id) > 0).map((item) => ({
+    ...item,
+    quantity: getQuantity(inventory, item.id),
+  }));
+
+/**
+ * Use an item on a pet: food and toys refill its needs, accessories go on (or come off).
+ * Putting an accessory on takes off whatever the pet was wearing in the same slot.
+ * Mutates the pet; the caller is responsible for taking used-up items out of the inventory
+ * and saving both.
+ *
+ * @function useItemOnPet
+ * @param {Object} pet - The pet document (with its needs brought up to date).
+ * @param {Object} item - The catalog item.
+ * @returns {boolean} True if the item was used up.
+ */
+export const useItemOnPet = (pet, item) => {
+  if (item.kind === "accessory") {
+    const wearing = pet.accessories.includes(item.id);
+    const others = pet.accessories.filter((id) => id !== item.id && getItem(id)?.slot !== item.slot);
+    pet.accessories = wearing ? pet.accessories.filter((id) => id !== item.id) : [...others, item.id];
+    return false;
+  }
+
+  changeNeeds(pet, item.effect);
+  return true;
+};
@@ -0,0 +1,130 @@
+/**
+ * Daily completion streaks: how many days in a row (in the user's own time zone) they've
+ * completed at least one task. Days are stored as local YYYY-MM-DD strings so a late-night
+ * task counts for the day the user was actually in.
+ * Streaks multiply the XP tasks pay: STREAK_BONUS_PER_DAY for every day past the first,
+ * up to MAX_STREAK_MULTIPLIER.
+ */
+
+export const STREAK_BONUS_PER_DAY = 0.05;
+export const MAX_STREAK_MULTIPLIER = 1.5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check that a time zone is one the server knows about.
+ *
+ * @function isValidTimeZone
+ * @param {string} timeZone - An IANA time zone name (e.g. "America/Los_Angeles").
+ * @returns {boolean} True if dates can be worked out in it.
+ */
+export const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== "string" || !timeZone) {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * The calendar day a moment falls on for the user.
+ *
+ * @function getLocalDay
+ * @param {Date} date - The moment.
+ * @param {string} [timeZone="UTC"] - The user's time zone.
+ * @returns {string} The day as YYYY-MM-DD.
+ */
+export const getLocalDay = (date, timeZone = "UTC") =>
+  new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" }).format(date);
+
+// whole days from one YYYY-MM-DD to another
+const daysBetween = (from, to) => Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+
+/**
+ * Count a completion towards the user's streak.
+ * Only the first completion of a day moves the streak; missing a day starts it over.
+ * What the streak was before is kept, so undoCompletion can put it back.
+ * Mutates the streak; the caller is responsible for saving the user.
+ *
+ * @function recordCompletion
+ * @param {Object} streak - The user's streak ({ current, best, lastDay }).
+ * @param {Date} [now=new Date()] - When the task was completed.
+ * @param {string} [timeZone="UTC"] - The user's time zone.
+ * @returns {Object} The same streak, updated.
+ */
+export const recordCompletion = (streak, now = new Date(), timeZone = "UTC") => {
+  const today = getLocalDay(now, timeZone);
+  if (streak.lastDay === today) {
+    return streak;
+  }
+
+  const gap = streak.lastDay ? daysBetween(streak.lastDay, today) : null;
+  streak.previous = { current: streak.current, best: streak.best, lastDay: streak.lastDay };
+  streak.current = gap === 1 ? streak.current + 1 : 1;
+  streak.best = Math.max(streak.best, streak.current);
+  streak.lastDay = today;
+
+  return streak;
+};
+
+/**
+ * Take back the day the streak last moved, once the completion that moved it is reopened
+ * and nothing else was completed that day. Only one day can be taken back -- the streak
+ * from before that isn't kept.
+ * Mutates the streak; the caller is responsible for saving the user.
+ *
+ * @function undoCompletion
+ * @param {Object} streak - The user's streak ({ current, best, lastDay, previous }).
+ * @returns {Object} The same streak, as it was before its last day (unchanged if that's not known).
+ */
+export const undoCompletion = (streak) => {
+  const previous = streak.previous;
+  if (!previous || previous.current == null) {
+    return streak;
+  }
+
+  streak.current = previous.current;
+  streak.best = previous.best;
+  streak.lastDay = previous.lastDay;
+  streak.previous = { current: null, best: null, lastDay: null };
+
+  return streak;
+};
+
+/**
+ * Where the user's streak stands right now. A streak survives until the end of the day
+ * after its last completion; after that it's broken and reported as lost.
+ *
+ * @function getStreakStatus
+ * @param {Object} streak - The user's streak ({ current, best, lastDay }).
+ * @param {Date} [now=new Date()] - The current time.
+ * @param {string} [timeZone="UTC"] - The user's time zone.
+ * @returns {{current: number, best: number, activeToday: boolean, lost: number}} The live streak, the best one,
+ * whether a task was done today, and the length of a streak that was just broken (0 if none).
+ */
+export const getStreakStatus = (streak, now = new Date(), timeZone = "UTC") => {
+  const gap = streak.lastDay ? daysBetween(streak.lastDay, getLocalDay(now, timeZone)) : null;
+  const alive = gap === 0 || gap === 1;
+
+  return {
+    current: alive ? streak.current : 0,
+    best: streak.best,
+    activeToday: gap === 0,
+    lost: !alive && streak.current > 0 ? streak.current : 0,
+  };
+};
+
+/**
+ * What a streak multiplies task XP by.
+ *
+ * @function getStreakMultiplier
+ * @param {number} days - The current streak, including today.
+ * @returns {number} The multiplier (1 for no streak).
+ */
+export const getStreakMultiplier = (days) =>
+  Math.min(MAX_STREAK_MULTIPLIER, 1 + STREAK_BONUS_PER_DAY * Math.max(0, days - 1));
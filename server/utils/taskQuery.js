@@ -0,0 +1,206 @@
+/**
+ * Turns the query string of GET /tasks into a mongo filter, sort and page size.
+ * Every query is scoped to one user and sorted on an indexed field with _id as the
+ * tie-breaker, so cursor pagination stays stable while tasks are added or changed.
+ */
+
+// each has a { user, field, _id } index on Task
+export const SORT_FIELDS = ["dueDate", "creationDate", "completedDate", "name", "points"];
+
+// the query string parameters buildTaskQuery reads -- each has to be given once, as plain text
+const QUERY_PARAMS = [
+  "status", "category", "dueBefore", "dueAfter", "overdue", "completedAfter", "completedBefore",
+  "q", "sortBy", "order", "limit", "cursor",
+];
+const DATE_FIELDS = ["dueDate", "creationDate", "completedDate"];
+
+// what a category id in the query string has to look like
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i;
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// escape regex characters so free text is matched literally
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Encode the last task of a page as an opaque cursor.
+ *
+ * @function encodeCursor
+ * @param {Object} task - The last task on the page.
+ * @param {string} sortBy - The field the page is sorted on.
+ * @returns {string} A base64url cursor.
+ */
+export const encodeCursor = (task, sortBy) => {
+  const value = task[sortBy] instanceof Date ? task[sortBy].toISOString() : task[sortBy] ?? null;
+  return Buffer.from(JSON.stringify({ value, id: String(task._id) })).toString("base64url");
+};
+
+// whether a sort value from a cursor is something encodeCursor could have written for the field --
+// anything else (an object would turn into a query operator) makes the cursor invalid
+const isCursorValue = (value, sortBy) => {
+  if (value === null) {
+    return true;
+  }
+  if (DATE_FIELDS.includes(sortBy)) {
+    return typeof value === "string" && parseDate(value) !== null;
+  }
+  if (sortBy === "points") {
+    return Number.isFinite(value);
+  }
+  return typeof value === "string";
+};
+
+/**
+ * Decode a cursor made by encodeCursor.
+ *
+ * @function decodeCursor
+ * @param {string} cursor - The cursor from the previous page.
+ * @param {string} sortBy - The field the page is sorted on.
+ * @returns {Object|null} The sort value and id of the last task, or null if the cursor is invalid
+ * (including a value of the wrong type for the field).
+ */
+export const decodeCursor = (cursor, sortBy) => {
+  try {
+    const { value, id } = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (typeof id !== "string" || !/^[0-9a-f]{24}$/.test(id) || !isCursorValue(value, sortBy)) {
+      return null;
+    }
+    return { value: DATE_FIELDS.includes(sortBy) && value !== null ? new Date(value) : value, id };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Build the condition that only matches tasks after the cursor in sort order.
+ * Mongo puts missing values first when ascending and last when descending.
+ *
+ * @function afterCursor
+ * @param {string} sortBy - The field the page is sorted on.
+ * @param {number} direction - 1 for ascending, -1 for descending.
+ * @param {Object} cursor - The decoded cursor.
+ * @returns {Object} A mongo filter.
+ */
+const afterCursor = (sortBy, direction, { value, id }) => {
+  const past = direction === 1 ? "$gt" : "$lt";
+
+  if (value === null) {
+    return direction === 1
+      ? { $or: [{ [sortBy]: null, _id: { $gt: id } }, { [sortBy]: { $ne: null } }] }
+      : { [sortBy]: null, _id: { $lt: id } };
+  }
+
+  const conditions = [{ [sortBy]: { [past]: value } }, { [sortBy]: value, _id: { [past]: id } }];
+  if (direction === -1) {
+    conditions.push({ [sortBy]: null });
+  }
+  return { $or: conditions };
+};
+
+/**
+ * Build the mongo query for GET /tasks.
+ *
+ * @function buildTaskQuery
+ * @param {string} userId - The authenticated user's ID.
+ * @param {Object} query - The request's query string.
+ * @param {string} [query.status] - pending or completed.
+ * @param {string} [query.category] - One category ID, or several separated by commas.
+ * @param {string} [query.dueBefore] - Only tasks due before this date.
+ * @param {string} [query.dueAfter] - Only tasks due after this date.
+ * @param {string} [query.overdue] - "true" for pending tasks whose due date has passed.
+ * @param {string} [query.completedAfter] - Only tasks completed after this date.
+ * @param {string} [query.completedBefore] - Only tasks completed before this date.
+ * @param {string} [query.q] - Free text to look for in task names.
+ * @param {string} [query.sortBy] - One of SORT_FIELDS, defaults to dueDate.
+ * @param {string} [query.order] - asc or desc, defaults to asc.
+ * @param {string} [query.limit] - Page size, up to 200.
+ * @param {string} [query.cursor] - nextCursor from the previous page.
+ * @returns {Object} { filter, sort, limit, sortBy } or { error } if the query is invalid.
+ */
+export const buildTaskQuery = (userId, query) => {
+  // ?category=a&category=b (or category[x]=a) arrives as an array or object, not a string
+  const repeated = QUERY_PARAMS.find((param) => query[param] !== undefined && typeof query[param] !== "string");
+  if (repeated) {
+    return { error: `${repeated} can only be given once` };
+  }
+
+  const conditions = [{ user: userId, deletedAt: null }]; // nothing from the trash
+
+  if (query.status) {
+    if (!["pending", "completed"].includes(query.status)) {
+      return { error: "Invalid status" };
+    }
+    conditions.push({ status: query.status });
+  }
+
+  if (query.category) {
+    const categories = query.category.split(",");
+    if (!categories.every((id) => OBJECT_ID_PATTERN.test(id))) {
+      return { error: "Invalid category" };
+    }
+    conditions.push({ category: { $in: categories } });
+  }
+
+  // due / completed date ranges
+  const ranges = [
+    ["dueAfter", "dueDate", "$gte"],
+    ["dueBefore", "dueDate", "$lt"],
+    ["completedAfter", "completedDate", "$gte"],
+    ["completedBefore", "completedDate", "$lt"],
+  ];
+  for (const [param, field, operator] of ranges) {
+    if (query[param] !== undefined) {
+      const date = parseDate(query[param]);
+      if (!date) {
+        return { error: `Invalid date for ${param}` };
+      }
+      conditions.push({ [field]: { [operator]: date } });
+    }
+  }
+
+  if (query.overdue === "true") {
+    conditions.push({ status: "pending", dueDate: { $lt: new Date() } });
+  }
+
+  if (query.q) {
+    conditions.push({ name: { $regex: escapeRegex(query.q), $options: "i" } });
+  }
+
+  // sorting
+  const sortBy = query.sortBy || "dueDate";
+  if (!SORT_FIELDS.includes(sortBy)) {
+    return { error: `sortBy must be one of: ${SORT_FIELDS.join(", ")}` };
+  }
+  if (query.order && !["asc", "desc"].includes(query.order)) {
+    return { error: "order must be asc or desc" };
+  }
+  const direction = query.order === "desc" ? -1 : 1;
+
+  // page size
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : parseInt(query.limit, 10);
+  if (Number.isNaN(limit) || limit < 1) {
+    return { error: "limit must be a positive number" };
+  }
+
+  // pick up where the last page left off
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor, sortBy);
+    if (!cursor) {
+      return { error: "Invalid cursor" };
+    }
+    conditions.push(afterCursor(sortBy, direction, cursor));
+  }
+
+  return {
+    filter: { $and: conditions },
+    sort: { [sortBy]: direction, _id: direction },
+    limit: Math.min(limit, MAX_LIMIT),
+    sortBy,
+  };
+};
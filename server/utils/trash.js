@@ -0,0 +1,188 @@
+import Folder from "../models/Folder.js";
+import Note from "../models/Note.js";
+import Task from "../models/Task.js";
+import User from "../models/User.js";
+import TrashItem from "../models/TrashItem.js";
+import { sameId } from "./ownership.js";
+
+/**
+ * Soft delete for folders, notes and tasks.
+ * Deleting pulls the item out of its parent's array (so every list stops showing it), marks it and
+ * everything inside it with deletedAt, and records a TrashItem so it can be put back where it was.
+ * Items stay in the trash for TRASH_RETENTION_DAYS (default 30) before they're deleted for good
+ * by scripts/purgeTrash.js -- until then, expired items are hidden as if they were already gone.
+ */
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// how each kind of item hangs off its parent
+const relations = {
+  folder: { Model: Folder, ParentModel: User, field: "folders", parentKey: "user", parentKind: "user" },
+  note: { Model: Note, ParentModel: Folder, field: "notes", parentKey: "folder", parentKind: "folder" },
+  task: { Model: Task, ParentModel: Note, field: "tasks", parentKey: "note", parentKind: "note" },
+};
+
+/**
+ * How many days items stay in the trash, override with TRASH_RETENTION_DAYS.
+ *
+ * @function getRetentionDays
+ * @returns {number} The retention period in days.
+ */
+export const getRetentionDays = () => {
+  const days = parseFloat(process.env.TRASH_RETENTION_DAYS);
+  return Number.isNaN(days) ? DEFAULT_RETENTION_DAYS : days;
+};
+
+/**
+ * Set (or clear, with null) deletedAt on an item and everything inside it.
+ *
+ * @async
+ * @function markDeleted
+ * @param {string} kind - folder, note or task.
+ * @param {Object} doc - The item's document.
+ * @param {Date|null} deletedAt - When it was deleted, or null when restoring.
+ * @param {Object} session - The mongoose session of the surrounding transaction.
+ * @returns {Promise<void>}
+ */
+const markDeleted = async (kind, doc, deletedAt, session) => {
+  const folderIds = kind === "folder" ? [doc._id] : [];
+  const noteIds = kind === "folder" ? doc.notes : kind === "note" ? [doc._id] : [];
+  let taskIds = kind === "task" ? [doc._id] : kind === "note" ? doc.tasks : [];
+
+  // a folder's tasks are one level further down
+  if (kind === "folder") {
+    const notes = await Note.find({ _id: { $in: noteIds } }).select("tasks").session(session).exec();
+    taskIds = notes.flatMap((note) => note.tasks);
+  }
+
+  await Folder.updateMany({ _id: { $in: folderIds } }, { deletedAt }).session(session).exec();
+  await Note.updateMany({ _id: { $in: noteIds } }, { deletedAt }).session(session).exec();
+  await Task.updateMany({ _id: { $in: taskIds } }, { deletedAt }).session(session).exec();
+};
+
+/**
+ * Move a folder, note or task into its owner's trash.
+ *
+ * @async
+ * @function trashItem
+ * @param {string} kind - folder, note or task.
+ * @param {Object} doc - The item's document.
+ * @param {string} userId - The owner's ID.
+ * @param {Object} session - The mongoose session of the surrounding transaction.
+ * @returns {Promise<Object>} The new trash entry.
+ */
+export const trashItem = async (kind, doc, userId, session) => {
+  const { ParentModel, field, parentKey } = relations[kind];
+  const parentId = doc[parentKey];
+
+  // remember where it was so restoring puts it back in the same spot
+  const parent = await ParentModel.findById(parentId).session(session).exec();
+  const position = parent ? parent[field].findIndex((id) => sameId(id, doc._id)) : -1;
+
+  const deletedAt = new Date();
+  await markDeleted(kind, doc, deletedAt, session);
+  await ParentModel.updateOne({ _id: parentId }, { $pull: { [field]: doc._id } }).session(session).exec();
+
+  const [entry] = await TrashItem.create(
+    [
+      {
+        user: userId,
+        kind,
+        item: doc._id,
+        name: doc.name,
+        parentName: parent && parent.name,
+        parent: parentId,
+        position: Math.max(position, 0),
+        deletedAt,
+      },
+    ],
+    { session }
+  );
+
+  return entry;
+};
+
+/**
+ * Put a trashed item back into its parent, at the position it was deleted from.
+ *
+ * @async
+ * @function restoreItem
+ * @param {Object} entry - The trash entry.
+ * @param {Object} session - The mongoose session of the surrounding transaction.
+ * @returns {Promise<Object>} { item } with the restored document, or { error } if it can't be restored.
+ */
+export const restoreItem = async (entry, session) => {
+  const { Model, ParentModel, field, parentKind } = relations[entry.kind];
+
+  const doc = await Model.findById(entry.item).session(session).exec();
+  if (!doc) {
+    return { error: `This ${entry.kind} no longer exists` };
+  }
+
+  // the parent has to be around (and not in the trash itself) to take the item back
+  const parent = await ParentModel.findById(entry.parent).session(session).exec();
+  if (!parent) {
+    return { error: `The ${parentKind} this ${entry.kind} was in has been deleted for good` };
+  }
+  if (parent.deletedAt) {
+    return { error: `Restore the ${parentKind} "${parent.name}" first` };
+  }
+
+  await markDeleted(entry.kind, doc, null, session);
+  await ParentModel.updateOne(
+    { _id: entry.parent },
+    { $push: { [field]: { $each: [doc._id], $position: entry.position } } }
+  )
+    .session(session)
+    .exec();
+  await TrashItem.deleteOne({ _id: entry._id }).session(session).exec();
+
+  return { item: await Model.findById(entry.item).session(session).exec() };
+};
+
+/**
+ * Delete a trashed item for good, along with everything inside it.
+ *
+ * @async
+ * @function purgeItem
+ * @param {Object} entry - The trash entry.
+ * @returns {Promise<void>}
+ */
+export const purgeItem = async (entry) => {
+  const { Model } = relations[entry.kind];
+
+  const doc = await Model.findById(entry.item).exec();
+  if (doc) {
+    await doc.deleteOne(); // triggers the pre-delete hooks, which take its notes/tasks with it
+  }
+
+  await TrashItem.deleteOne({ _id: entry._id }).exec();
+};
+
+/**
+ * The moment before which trashed items have expired.
+ *
+ * @function getExpiryCutoff
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {Date} Items deleted before this are past the retention period.
+ */
+export const getExpiryCutoff = (now = new Date()) => new Date(now.getTime() - getRetentionDays() * DAY_MS);
+
+/**
+ * Delete for good everything that has been in the trash longer than the retention period.
+ *
+ * @async
+ * @function purgeExpired
+ * @param {Object} [filter={}] - Extra conditions on the trash entries, e.g. { user }.
+ * @returns {Promise<number>} How many entries were purged.
+ */
+export const purgeExpired = async (filter = {}) => {
+  const expired = await TrashItem.find({ ...filter, deletedAt: { $lt: getExpiryCutoff() } }).exec();
+
+  for (const entry of expired) {
+    await purgeItem(entry);
+  }
+
+  return expired.length;
+};